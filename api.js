@@ -0,0 +1,319 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ledger = require('./ledger');
+const modelRegistry = require('./model-registry');
+const planner = require('./planner');
+const providerClients = require('./provider-clients');
+const cancellation = require('./cancellation');
+
+/**
+ * API Sub-agent Bridge for OpenClaw Task Router
+ * Pay-per-token execution with model selection via the model registry
+ * and real provider calls via provider-clients.js.
+ */
+class ApiBridge {
+  constructor() {
+    this.config = null;
+    this.inFlight = new Map(); // taskId → AbortController
+  }
+
+  /**
+   * Initialize the API bridge
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this.config = require('./config.json');
+    console.log('[API] Initialized API sub-agent bridge');
+  }
+
+  _getConfig() {
+    if (!this.config) {
+      this.config = require('./config.json');
+    }
+    return this.config;
+  }
+
+  /**
+   * Execute task using API sub-agent with intelligent model selection
+   * @param {Object} task - Normalized task object
+   * @param {Object} [scoring] - Task scoring object from the router
+   * @param {Object} [options]
+   * @param {string} [options.taskId] - Router task ID, used for cancellation
+   * @returns {Promise<Object>} Execution result
+   */
+  async executeTask(task, scoring = null, options = {}) {
+    const config = this._getConfig();
+    const startTime = Date.now();
+    const taskId = options.taskId || `api_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    // Get task complexity and context size for model selection
+    const complexity = scoring?.complexity || planner._inferComplexity(task.description);
+    const contextSize = scoring?.estimatedTokens || this.estimateTokens(task.description);
+
+    // Select optimal model using the registry, falling back to the configured default
+    let modelSelection = null;
+    try {
+      modelSelection = await modelRegistry.selectModel(task, complexity, contextSize);
+      console.log(`[API] Selected ${modelSelection.model} on ${modelSelection.provider} (${modelSelection.reason})`);
+      console.log(`[API] Estimated cost: $${modelSelection.estimatedCost.toFixed(4)}`);
+    } catch (error) {
+      console.error('[API] Model selection failed:', error.message);
+    }
+
+    let fullModelId = modelSelection?.fullModelId || config.backends.api.defaultModel;
+    let { provider, model } = providerClients.parseModelId(fullModelId);
+
+    if (modelSelection && !providerClients.isConfigured(provider)) {
+      console.warn(`[API] ${provider} not configured — using default model ${config.backends.api.defaultModel}`);
+      modelSelection = null;
+      fullModelId = config.backends.api.defaultModel;
+      ({ provider, model } = providerClients.parseModelId(fullModelId));
+    }
+
+    console.log(`[API] Executing task ${taskId} with ${fullModelId}`);
+
+    const controller = new AbortController();
+    this.inFlight.set(taskId, controller);
+
+    let response;
+    try {
+      const { system, messages } = this.buildMessages(task);
+      response = await providerClients.complete(provider, {
+        model,
+        system,
+        messages,
+        maxTokens: config.backends.api.maxOutputTokens
+      }, {
+        signal: controller.signal,
+        timeoutMs: config.backends.api.timeoutSeconds ? config.backends.api.timeoutSeconds * 1000 : undefined
+      });
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      if (cancellation.isCancellation(error)) {
+        // Aborted before the provider reported usage, so nothing is billed locally
+        console.log(`[API] Task ${taskId} cancelled after ${(duration / 1000).toFixed(1)}s`);
+        await ledger.recordCancellation('api', task, 0);
+        throw cancellation.error(taskId, 'api');
+      }
+      console.error(`[API] Task ${taskId} failed after ${(duration / 1000).toFixed(1)}s:`, error.message);
+      throw error;
+    } finally {
+      this.inFlight.delete(taskId);
+    }
+
+    const duration = Date.now() - startTime;
+    const { inputTokens, outputTokens, totalTokens } = response.usage;
+    const cost = this._costFromUsage(modelSelection?.config, response.usage);
+
+    // Record real token usage reported by the provider
+    const userId = task.metadata?.userId || 'meir';
+    await ledger.recordUsage('api', task, totalTokens, fullModelId, userId, { inputTokens, outputTokens, costUsd: cost });
+
+    // Save output if outputPath specified
+    if (task.outputPath && response.text) {
+      try {
+        await fs.mkdir(path.dirname(task.outputPath), { recursive: true });
+        await fs.writeFile(task.outputPath, response.text, 'utf8');
+        console.log(`[API] Output saved to ${task.outputPath}`);
+      } catch (saveError) {
+        console.error('[API] Error saving output:', saveError.message);
+      }
+    }
+
+    console.log(`[API] Task ${taskId} completed in ${(duration / 1000).toFixed(1)}s (${inputTokens} in / ${outputTokens} out, $${cost.toFixed(4)})`);
+
+    // Create enhanced speakable result
+    const speakableResult = modelSelection
+      ? `Routing to ${this._getModelDisplayName(modelSelection.model)} on ${provider.charAt(0).toUpperCase() + provider.slice(1)}, cost $${cost.toFixed(2)}`
+      : `Routing to default model, cost $${cost.toFixed(2)}`;
+
+    return {
+      success: true,
+      backend: 'api',
+      model: fullModelId,
+      modelSelection,
+      response: response.text,
+      speakableResult,
+      duration,
+      tokens: totalTokens,
+      usage: response.usage,
+      cost,
+      outputPath: task.outputPath
+    };
+  }
+
+  /**
+   * Build the system prompt and user message for a task
+   * @param {Object} task - Normalized task
+   * @returns {{system: string, messages: Array<{role: string, content: string}>}}
+   */
+  buildMessages(task) {
+    const systemPrompts = {
+      code: 'You are an expert programmer. Write clean, efficient, well-documented code.',
+      review: 'You are a senior code reviewer. Provide thorough, constructive feedback.',
+      docs: 'You are a technical writer. Create clear, comprehensive documentation.',
+      research: 'You are a research assistant. Provide well-sourced, structured findings.',
+      analysis: 'You are an analyst. Provide detailed, structured analysis with insights.'
+    };
+
+    let content = task.description;
+    if (task.files && task.files.length > 0) {
+      content += `\n\nRelevant files:\n${task.files.map(f => `- ${f}`).join('\n')}`;
+    }
+
+    return {
+      system: systemPrompts[task.type] || 'You are a helpful AI assistant. Provide accurate, detailed responses.',
+      messages: [{ role: 'user', content }]
+    };
+  }
+
+  /**
+   * Price actual usage with the selected model's rates (Sonnet rates when unknown)
+   * @param {Object|null} modelConfig - Model registry entry
+   * @param {{inputTokens: number, outputTokens: number}} usage
+   * @returns {number} Cost in USD
+   * @private
+   */
+  _costFromUsage(modelConfig, usage) {
+    const costPer1kIn = modelConfig?.costPer1kIn ?? 0.003;
+    const costPer1kOut = modelConfig?.costPer1kOut ?? 0.015;
+    return (usage.inputTokens / 1000) * costPer1kIn + (usage.outputTokens / 1000) * costPer1kOut;
+  }
+
+  /**
+   * Get human-readable display name for model
+   * @param {string} modelId - Model identifier
+   * @returns {string} Display name
+   * @private
+   */
+  _getModelDisplayName(modelId) {
+    const displayNames = {
+      'opus-4.6': 'Opus 4.6',
+      'sonnet-4': 'Sonnet 4',
+      'haiku-4.5': 'Haiku 4.5',
+      'gpt-4.1': 'GPT-4.1',
+      'gpt-4.1-mini': 'GPT-4.1 Mini',
+      'grok-3': 'Grok 3',
+      'gemini-2.5-pro': 'Gemini 2.5 Pro',
+      'deepseek-r1': 'DeepSeek R1',
+      'llama-4-maverick': 'Llama 4 Maverick'
+    };
+    return displayNames[modelId] || modelId;
+  }
+
+  /**
+   * Estimate token count for text
+   * @param {string} text - Text to analyze
+   * @returns {number} Estimated token count
+   */
+  estimateTokens(text) {
+    if (!text) return 0;
+    // Rough estimation: 1 token ≈ 4 characters for English text
+    return Math.ceil(text.length / 4);
+  }
+
+  // ─── Backend adapter contract (see backend-registry.js) ────────
+
+  get displayName() {
+    return 'API';
+  }
+
+  /**
+   * Adapter entry point
+   * @param {Object} task - Normalized task
+   * @param {Object} [context] - { scoring, taskId }
+   * @returns {Promise<Object>} Execution result
+   */
+  async execute(task, context = {}) {
+    return this.executeTask(task, context.scoring || null, { taskId: context.taskId });
+  }
+
+  /**
+   * Whether the API backend is enabled and at least one provider has credentials
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    if (this._getConfig().backends.api?.enabled === false) return false;
+    return providerClients.getSupportedProviders().some(provider => providerClients.isConfigured(provider));
+  }
+
+  /**
+   * API status including budget consumption
+   * @returns {Promise<Object>} Status object
+   */
+  async getStatus() {
+    const config = this._getConfig();
+    const ledgerReport = await ledger.getReport();
+
+    return {
+      enabled: config.backends.api.enabled,
+      model: config.backends.api.defaultModel,
+      providers: providerClients.getSupportedProviders().map(provider => ({
+        provider,
+        configured: providerClients.isConfigured(provider)
+      })),
+      inFlight: Array.from(this.inFlight.keys()),
+      budget: {
+        daily: ledgerReport.api.dailySpend + ' / $' + config.backends.api.dailyBudgetUsd,
+        monthly: ledgerReport.api.monthlySpend + ' / $' + config.backends.api.monthlyBudgetUsd
+      }
+    };
+  }
+
+  /**
+   * Estimated USD cost of running a task through the API
+   * @param {Object} task - Normalized task
+   * @param {Object} [scoring] - Task scoring object
+   * @returns {number} Cost in USD
+   */
+  estimateCost(task, scoring = null) {
+    const tokens = scoring?.estimatedTokens || this.estimateTokens(task?.description);
+    return ledger.estimateApiCost(tokens);
+  }
+
+  /**
+   * Health probe — reports which providers have credentials (no billable request)
+   * @returns {Promise<{healthy: boolean, version?: string, error?: string}>}
+   */
+  async healthPing() {
+    if (this._getConfig().backends.api?.enabled === false) {
+      return { healthy: false, error: 'API backend disabled' };
+    }
+    const configured = providerClients.getSupportedProviders().filter(provider => providerClients.isConfigured(provider));
+    if (configured.length === 0) {
+      return { healthy: false, error: 'No provider API keys configured' };
+    }
+    return { healthy: true, version: `Providers: ${configured.join(', ')}` };
+  }
+
+  /**
+   * Abort every in-flight provider request (shutdown)
+   * @returns {Promise<void>}
+   */
+  async killAllSessions() {
+    console.log(`[API] Aborting ${this.inFlight.size} in-flight requests`);
+    for (const [taskId, controller] of this.inFlight.entries()) {
+      if (!cancellation.isCancelled(taskId)) cancellation.markCancelled(taskId, 'Router shutting down');
+      controller.abort();
+    }
+    this.inFlight.clear();
+  }
+
+  /**
+   * Abort an in-flight provider request
+   * @param {string} taskId - Task identifier
+   * @returns {Promise<boolean>} Whether a request was aborted
+   */
+  async cancel(taskId) {
+    const controller = this.inFlight.get(taskId);
+    if (!controller) return false;
+
+    if (!cancellation.isCancelled(taskId)) cancellation.markCancelled(taskId);
+    controller.abort();
+    this.inFlight.delete(taskId);
+    console.log(`[API] Cancelled request for ${taskId}`);
+    return true;
+  }
+}
+
+module.exports = new ApiBridge();
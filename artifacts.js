@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+
+/**
+ * Artifact Store for OpenClaw Task Router
+ * Keeps what a task produced — the final response, files written to its
+ * outputPath (including the -part1/-core/-section2 siblings Codex's splitTask
+ * writes), patches and structured step outputs — so results can be fetched
+ * later by task, plan or step ID instead of guessing at paths.
+ *
+ * Content is stored once per SHA-256 under data/artifacts/objects/; the index
+ * (data/artifacts/index.json) maps artifact IDs to metadata.
+ *
+ * Artifact shape:
+ *   {
+ *     id, taskId, planId, stepId, backend,
+ *     kind,                        // 'response' | 'file' | 'patch' | 'output'
+ *     name, sourcePath,            // file name / where the file was found
+ *     sha256, size, stored,        // stored: false when over maxArtifactBytes (metadata only)
+ *     createdAt
+ *   }
+ */
+
+// Suffixes codex.splitTask() adds before the extension of the caller's outputPath
+const SPLIT_SUFFIX = /^-(part\d+|core|validation|docs|section\d+)$/;
+
+class ArtifactStore {
+  constructor() {
+    const dataDir = process.env.ROUTER_TEST_MODE ? process.env.ROUTER_TEST_DATA_DIR : path.join(__dirname, 'data');
+    this.rootDir = path.join(dataDir, 'artifacts');
+    this.indexPath = path.join(this.rootDir, 'index.json');
+    this.objectsDir = path.join(this.rootDir, 'objects');
+    this.artifacts = {}; // artifact ID → artifact
+    this.pruned = new Set(); // IDs removed here, so a reload doesn't bring them back
+    this.config = {
+      maxArtifactBytes: 10 * 1024 * 1024,   // Larger artifacts are indexed but not stored
+      maxTotalBytes: 500 * 1024 * 1024,     // Oldest artifacts are dropped beyond this
+      retentionDays: 30
+    };
+    this.loaded = false;
+  }
+
+  /**
+   * Apply limits from config.json `artifacts`
+   * @param {Object} cfg - { maxArtifactBytes, maxTotalBytes, retentionDays }
+   */
+  configure(cfg) {
+    if (cfg.maxArtifactBytes != null) this.config.maxArtifactBytes = cfg.maxArtifactBytes;
+    if (cfg.maxTotalBytes != null) this.config.maxTotalBytes = cfg.maxTotalBytes;
+    if (cfg.retentionDays != null) this.config.retentionDays = cfg.retentionDays;
+  }
+
+  /**
+   * Load the index from persistent storage. Artifacts already in memory win,
+   * so a reload never drops ones recorded since the last save.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    let stored = {};
+    try {
+      const dataStr = await fs.readFile(this.indexPath, 'utf8');
+      stored = JSON.parse(dataStr).artifacts || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[ARTIFACTS] Error loading artifact index:', error.message);
+      }
+    }
+    for (const id of this.pruned) delete stored[id];
+    this.artifacts = { ...stored, ...this.artifacts };
+    this.loaded = true;
+  }
+
+  /**
+   * Save the index to persistent storage (temp file + rename, so readers in
+   * other processes never see a partial file)
+   * @returns {Promise<void>}
+   */
+  async save() {
+    // Serialize before awaiting, so the file matches the state at call time
+    const data = JSON.stringify({
+      artifacts: this.artifacts,
+      lastUpdated: new Date().toISOString()
+    }, null, 2);
+    try {
+      await fs.mkdir(this.rootDir, { recursive: true });
+      const tmpPath = `${this.indexPath}.${process.pid}.${Math.random().toString(36).substr(2, 6)}.tmp`;
+      await fs.writeFile(tmpPath, data);
+      await fs.rename(tmpPath, this.indexPath);
+    } catch (error) {
+      console.error('[ARTIFACTS] Error saving artifact index:', error.message);
+    }
+  }
+
+  /**
+   * Store one artifact. The same content recorded twice under the same task
+   * and name returns the existing artifact.
+   * @param {string|Buffer} content
+   * @param {Object} meta - { taskId, planId, stepId, backend, kind, name, sourcePath }
+   * @returns {Promise<Object>} The artifact
+   */
+  async put(content, meta) {
+    if (!this.loaded) await this.load();
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    const existing = this._find(meta, sha256);
+    if (existing) return existing;
+
+    const stored = buffer.length <= this.config.maxArtifactBytes;
+    if (stored) {
+      const objectPath = this._objectPath(sha256);
+      await fs.mkdir(path.dirname(objectPath), { recursive: true });
+      try {
+        await fs.writeFile(objectPath, buffer, { flag: 'wx' });
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    } else {
+      console.warn(`[ARTIFACTS] ${meta.name} (${buffer.length} bytes) exceeds maxArtifactBytes — recording metadata only`);
+    }
+    return await this._add(meta, sha256, buffer.length, stored);
+  }
+
+  /**
+   * Store a file as an artifact. Its size is checked first: a file over
+   * maxArtifactBytes is hashed as a stream and recorded as metadata only,
+   * without reading it into memory.
+   * @param {string} file - Absolute path
+   * @param {Object} meta - As for put()
+   * @returns {Promise<Object|null>} The artifact, or null if the file isn't a readable regular file
+   */
+  async putFile(file, meta) {
+    let stat;
+    try {
+      stat = await fs.stat(file);
+    } catch (_) {
+      return null;
+    }
+    if (!stat.isFile()) return null;
+    if (stat.size <= this.config.maxArtifactBytes) {
+      const content = await fs.readFile(file).catch(() => null);
+      return content === null ? null : await this.put(content, meta);
+    }
+
+    if (!this.loaded) await this.load();
+    const sha256 = await this._hashFile(file).catch(() => null);
+    if (sha256 === null) return null;
+    const existing = this._find(meta, sha256);
+    if (existing) return existing;
+    console.warn(`[ARTIFACTS] ${meta.name} (${stat.size} bytes) exceeds maxArtifactBytes — recording metadata only`);
+    return await this._add(meta, sha256, stat.size, false);
+  }
+
+  /**
+   * @private Artifact with the same task, name and content, if any
+   */
+  _find(meta, sha256) {
+    return Object.values(this.artifacts).find(a =>
+      a.taskId === meta.taskId && a.name === meta.name && a.sha256 === sha256
+    ) || null;
+  }
+
+  /**
+   * @private Index a new artifact, prune and save
+   */
+  async _add(meta, sha256, size, stored) {
+    const artifact = {
+      id: `art_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      taskId: meta.taskId,
+      planId: meta.planId || null,
+      stepId: meta.stepId || null,
+      backend: meta.backend || null,
+      kind: meta.kind,
+      name: meta.name,
+      sourcePath: meta.sourcePath || null,
+      sha256,
+      size,
+      stored,
+      createdAt: new Date().toISOString()
+    };
+    this.artifacts[artifact.id] = artifact;
+    await this._prune();
+    await this.save();
+    return artifact;
+  }
+
+  /**
+   * Record everything a backend result produced: the response, the file at
+   * outputPath and its split siblings, files listed in `files`, a `patch`,
+   * and a structured step output
+   * @param {string} taskId - Router task ID (`${planId}:${stepId}` for plan steps)
+   * @param {Object} result - Backend result
+   * @param {Object} [meta] - { planId, stepId, backend }
+   * @returns {Promise<Array<Object>>} Artifacts recorded
+   */
+  async recordResult(taskId, result, meta = {}) {
+    if (!result) return [];
+    const base = {
+      taskId,
+      planId: meta.planId,
+      stepId: meta.stepId,
+      backend: meta.backend || result.backend
+    };
+    const recorded = [];
+
+    const response = result.response ?? result.output;
+    if (typeof response === 'string' && response) {
+      recorded.push(await this.put(response, { ...base, kind: 'response', name: 'response.txt' }));
+    }
+    if (typeof result.patch === 'string' && result.patch) {
+      recorded.push(await this.put(result.patch, { ...base, kind: 'patch', name: 'changes.patch' }));
+    }
+
+    const files = [];
+    if (result.outputPath) files.push(result.outputPath, ...await this._splitOutputs(result.outputPath));
+    if (Array.isArray(result.files)) files.push(...result.files.filter(f => typeof f === 'string'));
+    if (result.structuredOutput?.path) files.push(result.structuredOutput.path);
+
+    for (const file of [...new Set(files.map(f => path.resolve(f)))]) {
+      const kind = file === path.resolve(result.structuredOutput?.path || '')
+        ? (result.structuredOutput.type === 'patch' ? 'patch' : 'output')
+        : 'file';
+      const artifact = await this.putFile(file, { ...base, kind, name: path.basename(file), sourcePath: file });
+      if (artifact) recorded.push(artifact);
+    }
+
+    if (recorded.length > 0) {
+      console.log(`[ARTIFACTS] Recorded ${recorded.length} artifact(s) for ${taskId}`);
+    }
+    return recorded;
+  }
+
+  /**
+   * Artifacts of a task — or, given a plan ID, of every step of the plan —
+   * oldest first (re-reads disk if none are known, so other processes' tasks are visible)
+   * @param {string} taskId - Task, plan or `${planId}:${stepId}` ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(taskId) {
+    const matching = () => Object.values(this.artifacts).filter(a => a.taskId === taskId || a.planId === taskId);
+    if (matching().length === 0) await this.load();
+    return matching().sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Look up an artifact
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    if (!this.artifacts[id]) await this.load();
+    return this.artifacts[id] || null;
+  }
+
+  /**
+   * Read an artifact's content
+   * @param {string} id
+   * @returns {Promise<Buffer|null>} null if unknown or not stored (over maxArtifactBytes)
+   */
+  async read(id) {
+    const artifact = await this.get(id);
+    if (!artifact?.stored) return null;
+    return await fs.readFile(this._objectPath(artifact.sha256));
+  }
+
+  /**
+   * @private Drop artifacts past retention, then the oldest ones while over
+   * maxTotalBytes, and delete content nothing refers to any more
+   */
+  async _prune() {
+    const cutoff = Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000;
+    const byAge = Object.values(this.artifacts).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const removed = byAge.filter(a => new Date(a.createdAt).getTime() < cutoff);
+
+    const kept = byAge.filter(a => !removed.includes(a));
+    let total = this._storedBytes(kept);
+    while (total > this.config.maxTotalBytes && kept.length > 1) {
+      const oldest = kept.shift();
+      removed.push(oldest);
+      total = this._storedBytes(kept);
+    }
+    if (removed.length === 0) return;
+
+    for (const artifact of removed) {
+      delete this.artifacts[artifact.id];
+      this.pruned.add(artifact.id);
+    }
+    const referenced = new Set(Object.values(this.artifacts).map(a => a.sha256));
+    for (const sha256 of new Set(removed.filter(a => a.stored).map(a => a.sha256))) {
+      if (referenced.has(sha256)) continue;
+      await fs.unlink(this._objectPath(sha256)).catch(() => {});
+    }
+    console.log(`[ARTIFACTS] Pruned ${removed.length} artifact(s)`);
+  }
+
+  /**
+   * @private Bytes on disk for a set of artifacts (shared content counted once)
+   */
+  _storedBytes(artifacts) {
+    const sizes = new Map();
+    for (const a of artifacts) if (a.stored) sizes.set(a.sha256, a.size);
+    return [...sizes.values()].reduce((sum, size) => sum + size, 0);
+  }
+
+  /**
+   * @private Files codex.splitTask() wrote next to an outputPath
+   */
+  async _splitOutputs(outputPath) {
+    const dir = path.dirname(path.resolve(outputPath));
+    const ext = path.extname(outputPath);
+    const stem = path.basename(outputPath, ext);
+    try {
+      const names = await fs.readdir(dir);
+      return names
+        .filter(name => name.startsWith(stem) && name.endsWith(ext) &&
+          SPLIT_SUFFIX.test(name.slice(stem.length, name.length - ext.length)))
+        .map(name => path.join(dir, name));
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * @private SHA-256 of a file, read as a stream
+   */
+  _hashFile(file) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      createReadStream(file)
+        .on('data', chunk => hash.update(chunk))
+        .on('error', reject)
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * @private
+   */
+  _objectPath(sha256) {
+    return path.join(this.objectsDir, sha256.slice(0, 2), sha256);
+  }
+}
+
+module.exports = new ArtifactStore();
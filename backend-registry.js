@@ -0,0 +1,213 @@
+const path = require('path');
+
+/**
+ * Backend Adapter Registry for OpenClaw Task Router
+ * Every execution backend (Claude Code, Codex, API sub-agent, local Ollama,
+ * and anything declared in config) sits behind one adapter contract so the
+ * router can dispatch, health-check and cancel work without a switch per backend.
+ *
+ * Adapter contract:
+ *   execute(task, context)       → Promise<Object>  run a normalized task
+ *   isAvailable()                → Promise<boolean> cheap availability check
+ *   getStatus()                  → Promise<Object>  detailed status for dashboards
+ *   estimateCost(task, scoring)  → number           marginal USD cost (0 = subscription/free)
+ *   healthPing()                 → Promise<{ healthy, version?, error? }>
+ *   cancel(taskId)               → Promise<boolean> abort in-flight work for a task
+ *
+ * Optional: initialize(), displayName
+ */
+
+const ADAPTER_METHODS = ['execute', 'isAvailable', 'getStatus', 'estimateCost', 'healthPing', 'cancel'];
+
+class BackendRegistry {
+  constructor() {
+    this.adapters = new Map(); // name → adapter (insertion order = default preference order)
+    this.custom = new Set();   // names registered from config
+  }
+
+  /**
+   * List contract methods an adapter is missing
+   * @param {Object} adapter - Candidate adapter
+   * @returns {Array<string>} Missing method names (empty when valid)
+   */
+  validate(adapter) {
+    if (!adapter || typeof adapter !== 'object') {
+      return [...ADAPTER_METHODS];
+    }
+    return ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+  }
+
+  /**
+   * Register a backend adapter
+   * @param {string} name - Backend key used by the router (e.g. 'claudeCode')
+   * @param {Object} adapter - Object implementing the adapter contract
+   * @param {Object} [options]
+   * @param {boolean} [options.replace] - Allow replacing an existing registration
+   * @returns {Object} The registered adapter
+   */
+  register(name, adapter, options = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Backend name must be a non-empty string');
+    }
+
+    const missing = this.validate(adapter);
+    if (missing.length > 0) {
+      throw new Error(`Backend ${name} does not implement the adapter contract (missing: ${missing.join(', ')})`);
+    }
+
+    if (this.adapters.has(name) && !options.replace) {
+      throw new Error(`Backend ${name} is already registered`);
+    }
+
+    this.adapters.set(name, adapter);
+    console.log(`[BACKENDS] Registered backend: ${name}`);
+    return adapter;
+  }
+
+  /**
+   * Remove a backend adapter
+   * @param {string} name
+   * @returns {boolean} Whether the backend was registered
+   */
+  unregister(name) {
+    this.custom.delete(name);
+    return this.adapters.delete(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Object|null} Adapter or null if not registered
+   */
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.adapters.has(name);
+  }
+
+  /**
+   * Registered backend names in preference order
+   * @returns {Array<string>}
+   */
+  names() {
+    return [...this.adapters.keys()];
+  }
+
+  /**
+   * Human-readable label for a backend
+   * @param {string} name
+   * @returns {string}
+   */
+  getDisplayName(name) {
+    return this.adapters.get(name)?.displayName || name;
+  }
+
+  /**
+   * Summarize registered backends
+   * @returns {Array<{name: string, displayName: string, custom: boolean}>}
+   */
+  list() {
+    return this.names().map(name => ({
+      name,
+      displayName: this.getDisplayName(name),
+      custom: this.custom.has(name)
+    }));
+  }
+
+  /**
+   * Register custom backends declared in config.backends.
+   * A backend entry with an `adapter` field names a module (relative to the
+   * router directory) that exports either an adapter object or a factory
+   * `(backendConfig, name) => adapter`.
+   * @param {Object} config - config.json contents
+   * @returns {Array<string>} Names of backends that were registered
+   */
+  loadFromConfig(config) {
+    const loaded = [];
+
+    for (const [name, backendConfig] of Object.entries(config?.backends || {})) {
+      if (!backendConfig?.adapter || backendConfig.enabled === false) continue;
+      if (this.adapters.has(name)) continue;
+
+      try {
+        const exported = require(path.resolve(__dirname, backendConfig.adapter));
+        const adapter = typeof exported === 'function' ? exported(backendConfig, name) : exported;
+        this.register(name, adapter);
+        this.custom.add(name);
+        loaded.push(name);
+      } catch (error) {
+        console.error(`[BACKENDS] Failed to load adapter for ${name}:`, error.message);
+      }
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Call initialize() on every adapter that has one
+   * @returns {Promise<void>}
+   */
+  async initializeAll() {
+    for (const [name, adapter] of this.adapters) {
+      if (typeof adapter.initialize !== 'function') continue;
+      try {
+        await adapter.initialize();
+      } catch (error) {
+        console.error(`[BACKENDS] ${name} initialization failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Ask every adapter to cancel work for a task
+   * @param {string} taskId
+   * @returns {Promise<Array<string>>} Backends that reported a cancellation
+   */
+  async cancelEverywhere(taskId) {
+    const cancelledOn = [];
+    for (const [name, adapter] of this.adapters) {
+      try {
+        if (await adapter.cancel(taskId)) cancelledOn.push(name);
+      } catch (error) {
+        console.warn(`[BACKENDS] ${name} cancel failed for ${taskId}:`, error.message);
+      }
+    }
+    return cancelledOn;
+  }
+
+  /**
+   * Stop all in-flight work on every registered backend (shutdown). Adapters
+   * with a `killAllSessions()` method stop everything they run; the others
+   * are asked to cancel each of the given task IDs.
+   * @param {Array<string>} [taskIds] - Task IDs the router has in flight
+   * @returns {Promise<Array<string>>} Backends that were stopped or reported a cancellation
+   */
+  async stopAll(taskIds = []) {
+    const stopped = [];
+    for (const [name, adapter] of this.adapters) {
+      try {
+        if (typeof adapter.killAllSessions === 'function') {
+          await adapter.killAllSessions();
+          stopped.push(name);
+          continue;
+        }
+        let cancelled = false;
+        for (const taskId of taskIds) {
+          if (await adapter.cancel(taskId)) cancelled = true;
+        }
+        if (cancelled) stopped.push(name);
+      } catch (error) {
+        console.warn(`[BACKENDS] ${name} failed to stop:`, error.message);
+      }
+    }
+    return stopped;
+  }
+}
+
+module.exports = new BackendRegistry();
+module.exports.ADAPTER_METHODS = ADAPTER_METHODS;
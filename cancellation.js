@@ -0,0 +1,113 @@
+const { spawn } = require('child_process');
+
+/**
+ * Cancellation support for OpenClaw Task Router
+ * Tracks which task IDs have been cancelled (so fallbacks, retries and plan
+ * waves stop), builds the shared cancellation error, and kills backend child
+ * processes together with everything they spawned.
+ *
+ * Cancelled errors carry `code: 'TASK_CANCELLED'` and `cancelled: true`;
+ * they are never retried and never count against circuit breakers.
+ */
+class Cancellation {
+  constructor() {
+    this.cancelled = new Map(); // taskId → { reason, at }
+    this.killGraceMs = 5000;    // SIGTERM → SIGKILL escalation delay
+  }
+
+  /**
+   * Mark a task ID as cancelled
+   * @param {string} taskId
+   * @param {string} [reason]
+   */
+  markCancelled(taskId, reason = 'Cancelled by user') {
+    this.cancelled.set(taskId, { reason, at: new Date().toISOString() });
+  }
+
+  /**
+   * @param {string} taskId
+   * @returns {boolean}
+   */
+  isCancelled(taskId) {
+    return Boolean(taskId) && this.cancelled.has(taskId);
+  }
+
+  /**
+   * Forget a task once it has fully unwound
+   * @param {string} taskId
+   */
+  clear(taskId) {
+    this.cancelled.delete(taskId);
+  }
+
+  /**
+   * Build the error a backend throws when its task is cancelled
+   * @param {string} taskId
+   * @param {string} [backend]
+   * @param {Object} [extra] - e.g. { tokens } of partial work
+   * @returns {Error}
+   */
+  error(taskId, backend = null, extra = {}) {
+    const reason = this.cancelled.get(taskId)?.reason || 'Cancelled by user';
+    const error = new Error(`Task ${taskId} cancelled: ${reason}`);
+    error.code = 'TASK_CANCELLED';
+    error.cancelled = true;
+    error.backend = backend;
+    Object.assign(error, extra);
+    return error;
+  }
+
+  /**
+   * Whether an error represents a cancellation (ours or a provider abort)
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isCancellation(error) {
+    return Boolean(error) && (error.cancelled === true || /CANCELLED$/.test(error.code || ''));
+  }
+
+  /**
+   * Kill a child process and its descendants. Children spawned with
+   * `detached: true` lead their own process group, so the whole group is
+   * signalled; SIGKILL follows if the group outlives the grace period.
+   * @param {import('child_process').ChildProcess} child
+   * @param {Object} [options]
+   * @param {number} [options.graceMs] - Delay before SIGKILL
+   * @returns {boolean} Whether a signal was delivered
+   */
+  killProcessTree(child, options = {}) {
+    if (!child || !child.pid || child.exitCode !== null || child.signalCode !== null) return false;
+
+    if (process.platform === 'win32') {
+      spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' }).on('error', () => child.kill());
+      return true;
+    }
+
+    const signalTree = (signal) => {
+      try {
+        process.kill(-child.pid, signal);
+        return true;
+      } catch (error) {
+        // Not a group leader (spawned without detached) or already gone
+        try {
+          return child.kill(signal);
+        } catch (killError) {
+          return false;
+        }
+      }
+    };
+
+    const delivered = signalTree('SIGTERM');
+    const escalate = setTimeout(() => {
+      if (child.exitCode === null && child.signalCode === null) {
+        console.warn(`[CANCEL] Process ${child.pid} ignored SIGTERM, sending SIGKILL`);
+        signalTree('SIGKILL');
+      }
+    }, options.graceMs ?? this.killGraceMs);
+    escalate.unref();
+
+    return delivered;
+  }
+}
+
+module.exports = new Cancellation();
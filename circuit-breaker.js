@@ -7,6 +7,10 @@ function getRateGovernor() {
   return require('./rate-governor');
 }
 
+function getBackendRegistry() {
+  return require('./backend-registry');
+}
+
 /**
  * Circuit Breaker Pattern for OpenClaw Task Router
  * Protects backends from cascading failures with CLOSED/OPEN/HALF-OPEN states.
@@ -253,12 +257,13 @@ class CircuitBreaker extends EventEmitter {
   }
 
   /**
-   * Get all breaker states
+   * Get all breaker states: every registered backend (built-in and custom),
+   * plus any other backend with saved breaker state
    * @returns {Object} backend → sanitized state
    */
   getAll() {
     const result = {};
-    const backends = ['claudeCode', 'codex', 'api', 'local'];
+    const backends = new Set([...getBackendRegistry().names(), ...Object.keys(this.breakers)]);
     for (const b of backends) {
       result[b] = this.getState(b);
     }
@@ -2,6 +2,12 @@ const pty = require('node-pty');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const cancellation = require('./cancellation');
+const taskStream = require('./task-stream');
+const workspaces = require('./workspaces');
+const permissionProfiles = require('./permission-profiles');
+
+const RATE_LIMIT_TEXT = ['rate limit', 'quota exceeded', 'too many requests', 'usage limit'];
 
 /**
  * Claude Code CLI Bridge for OpenClaw Task Router
@@ -85,10 +91,11 @@ class ClaudeCodeBridge {
 
   /**
    * Execute a task using Claude Code CLI
-   * @param {Object} task - Task object
-   * @returns {Promise<Object>} Execution result
+   * @param {Object} task - Task object; `continueSession` ({ fromTaskId, sessionId, cwd, sourceDir, workspace, commit },
+   *   set by route(task, { continueFrom })) resumes that task's Claude Code session
+   * @returns {Promise<Object>} Execution result, with `sessionLink` describing the session for follow-ups
    */
-  async executeTask(task) {
+  async executeTask(task, context = {}) {
     const startTime = Date.now();
     
     if (!await this.isAvailable()) {
@@ -100,18 +107,33 @@ class ClaudeCodeBridge {
       throw new Error(`Claude Code session limit reached: ${status.usagePercentage}%`);
     }
 
-    const taskId = `claude_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    console.log(`[CLAUDE] Starting task ${taskId}`);
+    // Key the session by the router's task ID so cancel(taskId) can find it
+    const taskId = context.taskId || `claude_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const profile = permissionProfiles.resolve(task);
+    const resume = task.continueSession || null;
+    console.log(`[CLAUDE] Starting task ${taskId} with permission profile ${profile.name} (${profile.decidedBy})` +
+      (resume ? `, continuing ${resume.fromTaskId} (session ${resume.sessionId})` : ''));
 
     try {
-      // Create task file
-      const taskFile = await this.createTaskFile(task, taskId);
+      let taskFile = null;
       
-      // Execute Claude CLI
-      const result = await this.runClaudeSession(taskFile, task, taskId);
+      // Execute Claude CLI, in its own workspace when isolation is on. The CLI
+      // finds a session by working directory, so a follow-up runs where the
+      // session did: in place, or in a workspace at the same path, started from
+      // the earlier run's commit when its work wasn't applied to the checkout.
+      const sourceDir = resume?.sourceDir || (task.outputPath ? path.dirname(path.resolve(task.outputPath)) : process.cwd());
+      const runTask = resume ? { ...task, isolation: resume.workspace ? (task.isolation || true) : false } : task;
+      let ranIn = sourceDir;
+      const { result, isolation } = await workspaces.runIsolated(taskId, runTask, 'claudeCode', sourceDir, async (cwd, workspace) => {
+        ranIn = cwd;
+        // Task paths point into the original checkout; the agent must write in the workspace
+        const spec = workspaces.mapTask(workspace, task);
+        taskFile = await this.createTaskFile(spec, taskId);
+        return this.runClaudeSession(taskFile, spec, taskId, cwd, profile);
+      }, { name: resume?.workspace, from: resume?.commit });
       
-      // Update session usage
-      await this.updateSessionUsage(result.estimatedUsage || 10);
+      // Update session usage with the tokens and cost the CLI reported
+      await this.updateSessionUsage(result.estimatedUsage || 10, { task, tokens: result.tokens, output: result.output, usage: result.usage });
       
       // Cleanup
       await this.cleanup(taskFile);
@@ -122,10 +144,19 @@ class ClaudeCodeBridge {
       return {
         success: true,
         backend: 'claudeCode',
-        model: this.config.backends.claudeCode.preferredModel,
+        model: result.model || this.config.backends.claudeCode.preferredModel,
         response: result.output,
         duration,
         tokens: result.tokens,
+        usage: result.usage,
+        costUsd: result.costUsd,
+        toolCalls: result.toolCalls,
+        sessionId: result.sessionId,
+        sessionLink: result.sessionId ? { sessionId: result.sessionId, cwd: ranIn, sourceDir, workspace: isolation?.name || null, commit: isolation?.commit || null } : null,
+        continuedFrom: resume?.fromTaskId,
+        numTurns: result.numTurns,
+        permissions: permissionProfiles.summary(profile),
+        ...workspaces.resultFields(isolation),
         outputPath: task.outputPath,
         sessionUsage: this.sessionUsage.percentage
       };
@@ -134,6 +165,14 @@ class ClaudeCodeBridge {
       const duration = Date.now() - startTime;
       console.error(`[CLAUDE] Task ${taskId} failed after ${(duration / 1000).toFixed(1)}s:`, error.message);
       
+      if (cancellation.isCancellation(error)) {
+        // Charge only the work done before the cancel, without counting a completed task
+        const ledger = require('./ledger');
+        this.sessionUsage.percentage += this.usagePercent(error.usage, error.tokens || 0);
+        await ledger.recordCancellation('claudeCode', task, error.tokens || 0, error.usage);
+        throw error;
+      }
+
       // Still update usage even on failure (to prevent spam retries)
       await this.updateSessionUsage(5);
       
@@ -209,33 +248,38 @@ class ClaudeCodeBridge {
   }
 
   /**
-   * Run Claude CLI session with PTY
+   * Run Claude CLI session. With backends.claudeCode.outputFormat
+   * 'stream-json' (the default) the CLI reports events as JSON lines, parsed
+   * by _handleLine(); output that isn't JSON falls back to text heuristics.
    * @param {string} taskFile - Path to task specification file
-   * @param {Object} task - Original task object
+   * @param {Object} task - Original task object (`continueSession.sessionId` resumes that session)
    * @param {string} taskId - Task identifier
+   * @param {string} [cwd] - Working directory (default: outputPath's directory, else process.cwd())
+   * @param {Object} [profile] - Tool permission profile (default: permissionProfiles.resolve(task))
    * @returns {Promise<Object>} Execution result
    */
-  async runClaudeSession(taskFile, task, taskId) {
+  async runClaudeSession(taskFile, task, taskId, cwd, profile = permissionProfiles.resolve(task)) {
     return new Promise((resolve, reject) => {
       const timeoutMs = this.config.backends.claudeCode.timeoutSeconds * 1000;
+      const outputFormat = this.config.backends.claudeCode.outputFormat || 'stream-json';
+      const state = this._newStreamState();
       let output = '';
       let errorOutput = '';
       let completed = false;
-      let rateLimited = false;
-      let tokens = 0;
 
       // Sanitize the task file path to prevent injection
       const sanitizedTaskFile = taskFile.replace(/[;&|`$()]/g, '');
       
       // Spawn Claude process using child_process.spawn (works in all contexts)
       const { spawn } = require('child_process');
-      const claudeProcess = spawn('claude', ['-p', task.description, '--allowedTools', 'Edit,Write,Bash,Read', '--dangerously-skip-permissions'], {
-        cwd: task.outputPath ? path.dirname(path.resolve(task.outputPath)) : process.cwd(),
+      const claudeProcess = spawn('claude', this.cliArgs(task, profile, outputFormat), {
+        cwd: cwd || (task.outputPath ? path.dirname(path.resolve(task.outputPath)) : process.cwd()),
         env: {
           ...process.env,
           TERM: 'xterm-256color'
         },
-        stdio: ['pipe', 'pipe', 'pipe']
+        stdio: ['pipe', 'pipe', 'pipe'],
+        detached: process.platform !== 'win32' // own process group, so cancel can kill the whole tree
       });
 
       this.activeSessions.set(taskId, claudeProcess);
@@ -247,7 +291,7 @@ class ClaudeCodeBridge {
       const timeout = setTimeout(() => {
         if (!completed) {
           console.error(`[CLAUDE] Task ${taskId} timed out after ${timeoutMs/1000}s`);
-          claudeProcess.kill('SIGTERM');
+          cancellation.killProcessTree(claudeProcess);
           this.activeSessions.delete(taskId);
           const timeoutError = new Error(`Claude Code backend timeout - task exceeded ${timeoutMs/1000} seconds`);
           timeoutError.code = 'CLAUDE_CODE_TIMEOUT';
@@ -257,37 +301,20 @@ class ClaudeCodeBridge {
         }
       }, timeoutMs);
 
-      // Handle process output
+      // Handle process output line by line
+      let pending = '';
       claudeProcess.stdout.on('data', (data) => {
         const chunk = data.toString();
         output += chunk;
-        
-        // Check for rate limiting indicators
-        if (chunk.includes('rate limit') || 
-            chunk.includes('quota exceeded') || 
-            chunk.includes('too many requests') ||
-            chunk.includes('usage limit')) {
-          rateLimited = true;
-          console.warn(`[CLAUDE] Rate limit detected for task ${taskId}`);
-        }
-        
-        // Check for completion indicators
-        if (chunk.includes('Task completed') || 
-            chunk.includes('Done') || 
-            chunk.includes('✓') ||
-            chunk.includes('finished')) {
-          console.log(`[CLAUDE] Completion signal detected for task ${taskId}`);
-        }
-        
-        // Extract token count if available
-        const tokenMatch = chunk.match(/(\d+)\s+tokens?/i);
-        if (tokenMatch) {
-          tokens = Math.max(tokens, parseInt(tokenMatch[1]));
-        }
+        const lines = (pending + chunk).split('\n');
+        pending = lines.pop();
+        for (const line of lines) this._handleLine(line, state, taskId);
       });
 
       claudeProcess.stderr.on('data', (data) => {
-        errorOutput += data.toString();
+        const chunk = data.toString();
+        errorOutput += chunk;
+        taskStream.write(taskId, 'claudeCode', chunk, 'stderr');
       });
 
       // Handle process exit
@@ -295,11 +322,30 @@ class ClaudeCodeBridge {
         completed = true;
         clearTimeout(timeout);
         this.activeSessions.delete(taskId);
+        if (pending) this._handleLine(pending, state, taskId);
+        const run = this._summarizeStream(state);
+
+        if (cancellation.isCancelled(taskId)) {
+          reject(cancellation.error(taskId, 'claudeCode', {
+            tokens: run.tokens || this.estimateTokens(run.structured ? run.output : output),
+            usage: run.usage,
+            partialOutput: (run.output || output).slice(-2000)
+          }));
+          return;
+        }
         
-        if (rateLimited) {
+        if (run.rateLimited) {
           // Mark session as exhausted
           this.sessionUsage.percentage = 100;
-          reject(new Error('Claude Code rate limit hit - session exhausted'));
+          const rateLimitError = new Error('Claude Code rate limit hit - session exhausted');
+          rateLimitError.code = 'CLAUDE_CODE_RATE_LIMIT';
+          if (run.resetAt) rateLimitError.resetAt = run.resetAt;
+          reject(rateLimitError);
+          return;
+        }
+
+        if (run.error) {
+          reject(new Error(`Claude Code run failed (${run.error}): ${(run.output || output).slice(-500)}`));
           return;
         }
         
@@ -308,15 +354,14 @@ class ClaudeCodeBridge {
           return;
         }
         
-        // Estimate token usage if not detected
-        if (tokens === 0) {
-          tokens = this.estimateTokens(output);
-        }
+        // Estimate token usage if not reported (from the answer, not the raw event stream)
+        const tokens = run.tokens || this.estimateTokens(run.structured ? run.output : output);
         
         resolve({
-          output: output.trim(),
+          ...run,
+          output: run.structured ? run.output : output.trim(),
           tokens,
-          estimatedUsage: Math.min(tokens / 1000, 15), // Cap at 15% per task
+          estimatedUsage: this.usagePercent(run.usage, tokens),
           code
         });
       });
@@ -331,18 +376,191 @@ class ClaudeCodeBridge {
     });
   }
 
+  /**
+   * Claude CLI arguments for a task
+   * @param {Object} task - Task (`continueSession.sessionId` adds --resume)
+   * @param {Object} profile - Tool permission profile
+   * @param {string} [outputFormat] - 'stream-json' or 'text'
+   * @returns {Array<string>}
+   */
+  cliArgs(task, profile, outputFormat = 'stream-json') {
+    const args = ['-p', task.description, ...permissionProfiles.cliArgs(profile)];
+    if (task.continueSession?.sessionId) args.push('--resume', task.continueSession.sessionId);
+    if (outputFormat === 'stream-json') {
+      args.push('--output-format', 'stream-json', '--verbose'); // print mode needs --verbose for stream-json
+    }
+    return args;
+  }
+
+  /**
+   * Parse complete Claude CLI stdout (stream-json lines, or plain text)
+   * @param {string} stdout
+   * @returns {Object} { structured, output, tokens, usage, costUsd, toolCalls, sessionId, model, numTurns, rateLimited, resetAt, error }
+   */
+  parseStreamOutput(stdout) {
+    const state = this._newStreamState();
+    for (const line of String(stdout || '').split('\n')) this._handleLine(line, state);
+    return this._summarizeStream(state);
+  }
+
+  /**
+   * @private Per-session parse state
+   */
+  _newStreamState() {
+    return { structured: false, sessionId: null, model: null, text: [], toolCalls: [], result: null, rateLimited: false, resetAt: null, textTokens: 0 };
+  }
+
+  /**
+   * @private Handle one stdout line: a stream-json event, or plain text
+   * checked with the old substring heuristics
+   */
+  _handleLine(line, state, taskId) {
+    const event = this._parseEvent(line);
+    if (!event) {
+      taskStream.write(taskId, 'claudeCode', `${line}\n`);
+      const lower = line.toLowerCase();
+      // Check for rate limiting indicators
+      if (RATE_LIMIT_TEXT.some(text => lower.includes(text))) {
+        state.rateLimited = true;
+        console.warn(`[CLAUDE] Rate limit detected for task ${taskId}`);
+      }
+      // Check for completion indicators
+      if (line.includes('Task completed') || line.includes('Done') || line.includes('✓') || line.includes('finished')) {
+        console.log(`[CLAUDE] Completion signal detected for task ${taskId}`);
+      }
+      // Extract token count if available
+      const tokenMatch = line.match(/(\d+)\s+tokens?/i);
+      if (tokenMatch) state.textTokens = Math.max(state.textTokens, parseInt(tokenMatch[1]));
+      return;
+    }
+
+    state.structured = true;
+    if (event.session_id) state.sessionId = event.session_id;
+
+    switch (event.type) {
+      case 'system':
+        if (event.subtype === 'init' && event.model) state.model = event.model;
+        break;
+
+      case 'assistant':
+        for (const block of event.message?.content || []) {
+          if (block.type === 'text' && block.text) {
+            state.text.push(block.text);
+            taskStream.write(taskId, 'claudeCode', `${block.text}\n`);
+          } else if (block.type === 'tool_use') {
+            const call = { id: block.id, name: block.name, target: this._toolTarget(block.input), isError: false };
+            state.toolCalls.push(call);
+            taskStream.write(taskId, 'claudeCode', `→ ${call.name}${call.target ? ` ${call.target}` : ''}\n`);
+          }
+        }
+        break;
+
+      case 'user':
+        for (const block of event.message?.content || []) {
+          if (block.type !== 'tool_result' || !block.is_error) continue;
+          const call = state.toolCalls.find(c => c.id === block.tool_use_id);
+          if (call) call.isError = true;
+        }
+        break;
+
+      case 'result':
+        state.result = event;
+        if (event.is_error && RATE_LIMIT_TEXT.some(text => String(event.result || '').toLowerCase().includes(text))) {
+          state.rateLimited = true;
+          // "Claude AI usage limit reached|<reset epoch seconds>"
+          const reset = String(event.result).match(/\|(\d{9,})/);
+          if (reset) state.resetAt = new Date(Number(reset[1]) * 1000).toISOString();
+          console.warn(`[CLAUDE] Rate limit reported for task ${taskId}${state.resetAt ? ` (resets ${state.resetAt})` : ''}`);
+        }
+        break;
+    }
+  }
+
+  /**
+   * @private A stream-json event, or null for a plain-text line
+   */
+  _parseEvent(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{')) return null;
+    try {
+      const event = JSON.parse(trimmed);
+      return event && typeof event.type === 'string' ? event : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * @private The file, command or pattern a tool call acted on
+   */
+  _toolTarget(input = {}) {
+    const target = input.file_path || input.path || input.command || input.pattern || input.url || '';
+    return String(target).split('\n')[0].slice(0, 120);
+  }
+
+  /**
+   * @private Run summary from the parse state. Tokens are input + cache
+   * writes + output; cache reads are reported in usage but not counted.
+   */
+  _summarizeStream(state) {
+    const result = state.result;
+    if (!state.structured) {
+      return { structured: false, output: null, tokens: state.textTokens, usage: null, costUsd: null, toolCalls: [], sessionId: null, model: null, numTurns: null, rateLimited: state.rateLimited, resetAt: null, error: null };
+    }
+
+    const reported = result?.usage || {};
+    const costUsd = result?.total_cost_usd ?? result?.cost_usd ?? null;
+    const usage = result?.usage ? {
+      inputTokens: reported.input_tokens || 0,
+      outputTokens: reported.output_tokens || 0,
+      cacheCreationTokens: reported.cache_creation_input_tokens || 0,
+      cacheReadTokens: reported.cache_read_input_tokens || 0,
+      costUsd
+    } : null;
+
+    return {
+      structured: true,
+      output: typeof result?.result === 'string' ? result.result.trim() : state.text.join('\n').trim(),
+      tokens: usage ? usage.inputTokens + usage.cacheCreationTokens + usage.outputTokens : 0,
+      usage,
+      costUsd,
+      toolCalls: state.toolCalls,
+      sessionId: state.sessionId,
+      model: state.model,
+      numTurns: result?.num_turns ?? null,
+      rateLimited: state.rateLimited,
+      resetAt: state.resetAt,
+      // API errors arrive as is_error results with subtype 'success'; only error_* subtypes are meaningful
+      error: result?.is_error && !state.rateLimited ? (/^error/.test(result.subtype || '') ? result.subtype : 'error') : null
+    };
+  }
+
+  /**
+   * Session usage a run adds, in percentage points (capped at 15 per task).
+   * Only output tokens count: input and cache writes are mostly the same
+   * repository context re-sent on every turn, and would hit the cap on
+   * nearly every run.
+   * @param {Object|null} usage - Reported usage ({ outputTokens })
+   * @param {number} tokens - Estimated tokens, used when usage wasn't reported
+   * @returns {number}
+   */
+  usagePercent(usage, tokens) {
+    return Math.min((usage ? usage.outputTokens : tokens) / 1000, 15);
+  }
+
   /**
    * Update session usage tracking
    * @param {number} usagePercent - Percentage points to add
+   * @param {Object} [details] - { task, tokens, output, usage } for the ledger
    * @returns {Promise<void>}
    */
-  async updateSessionUsage(usagePercent) {
+  async updateSessionUsage(usagePercent, details = {}) {
     this.sessionUsage.percentage += usagePercent;
     this.sessionUsage.tasksCompleted++;
     
     // Update ledger
     const ledger = require('./ledger');
-    await ledger.recordUsage('claudeCode', {}, null, null);
+    await ledger.recordUsage('claudeCode', details.task || {}, details.tokens || null, details.output || null, undefined, details.usage || null);
     
     console.log(`[CLAUDE] Session usage updated: ${this.sessionUsage.percentage.toFixed(1)}%`);
   }
@@ -383,7 +601,7 @@ class ClaudeCodeBridge {
     
     for (const [taskId, process] of this.activeSessions.entries()) {
       try {
-        process.kill();
+        cancellation.killProcessTree(process);
         console.log(`[CLAUDE] Killed session: ${taskId}`);
       } catch (error) {
         console.warn(`[CLAUDE] Error killing session ${taskId}:`, error.message);
@@ -473,6 +691,75 @@ class ClaudeCodeBridge {
       };
     }
   }
+
+  // ─── Backend adapter contract (see backend-registry.js) ────────
+
+  get displayName() {
+    return 'Claude Code';
+  }
+
+  /**
+   * Adapter entry point
+   * @param {Object} task - Normalized task
+   * @param {Object} [context] - { taskId } from the router
+   * @returns {Promise<Object>} Execution result
+   */
+  async execute(task, context = {}) {
+    return this.executeTask(task, context);
+  }
+
+  /**
+   * Adapter status
+   * @returns {Promise<Object>} Detailed status
+   */
+  async getStatus() {
+    if (!this.config) {
+      this.config = require('./config.json');
+    }
+    return this.getDetailedStatus();
+  }
+
+  /**
+   * Marginal cost of a task — covered by the subscription
+   * @returns {number} Cost in USD
+   */
+  estimateCost() {
+    return 0;
+  }
+
+  /**
+   * Lightweight health probe
+   * @returns {Promise<{healthy: boolean, version?: string, error?: string}>}
+   */
+  async healthPing() {
+    try {
+      const { execSync } = require('child_process');
+      const output = execSync('claude --version 2>&1', { encoding: 'utf8', timeout: 10000 }).trim();
+      return { healthy: true, version: output.split('\n')[0] };
+    } catch (error) {
+      return { healthy: false, error: error.message };
+    }
+  }
+
+  /**
+   * Kill the session running a task, including any processes it spawned.
+   * The pending executeTask() rejects with a TASK_CANCELLED error.
+   * @param {string} taskId - Task identifier
+   * @returns {Promise<boolean>} Whether a session was killed
+   */
+  async cancel(taskId) {
+    const session = this.activeSessions.get(taskId);
+    if (!session) return false;
+
+    if (!cancellation.isCancelled(taskId)) cancellation.markCancelled(taskId);
+    try {
+      cancellation.killProcessTree(session);
+    } catch (error) {
+      console.warn(`[CLAUDE] Error killing session ${taskId}:`, error.message);
+    }
+    console.log(`[CLAUDE] Cancelled session: ${taskId}`);
+    return true;
+  }
 }
 
 module.exports = new ClaudeCodeBridge();
\ No newline at end of file
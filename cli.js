@@ -2,12 +2,25 @@
 /**
  * Router CLI — Entry point for all routed work.
  * Usage:
- *   node cli.js route "Build a REST API" [--force claude|codex|local|api] [--urgency high|normal|low] [--plan-only]
+ *   node cli.js route "Build a REST API" [--force claude|codex|local|api] [--urgency high|normal|low] [--plan-only] [--follow]
+ *   node cli.js route "Now add tests for it" --continue <taskId>
  *   node cli.js plan "OCR 1000 pages and analyze" 
- *   node cli.js approve <taskId>
+ *   node cli.js plan edit <planId> --step N [--description "..."] [--backend X] [--optional|--required] [--needs-approval|--no-approval] [--depends 1,2] [--remove]
+ *   node cli.js plan edit <planId> --add "description" [--after N] [--backend X] [--depends 1,2] [--optional]
+ *   node cli.js route "Review PR 42" --template pr-review --param pr=#42 [--plan-only]
+ *   node cli.js template list|show <name>|save <file.json>|delete <name>
+ *   node cli.js approve <planId> [step] [--note "..."]
+ *   node cli.js reject <planId> <step> [--note "..."]
+ *   node cli.js approvals
  *   node cli.js cancel <taskId>
+ *   node cli.js resume [planId]
+ *   node cli.js follow <taskId>
  *   node cli.js status
  *   node cli.js queue
+ *   node cli.js explain <taskId> [--json]
+ *   node cli.js simulate --config candidate.json [--days N] [--limit N] [--json]
+ *   node cli.js local provision [--no-pull] [--rerun] [--json]
+ *   node cli.js local benchmarks [--json]
  */
 
 const router = require('./index');
@@ -28,10 +41,52 @@ function parseFlags(args) {
     if (args[i] === '--from' && args[i + 1]) flags.from = args[++i];
     if (args[i] === '--to' && args[i + 1]) flags.to = args[++i];
     if (args[i] === '--limit' && args[i + 1]) flags.limit = parseInt(args[++i], 10);
+    if (args[i] === '--config' && args[i + 1]) flags.config = args[++i];
+    if (args[i] === '--days' && args[i + 1]) flags.days = parseInt(args[++i], 10);
+    if (args[i] === '--json') flags.json = true;
+    if (args[i] === '--follow') flags.follow = true;
+    if (args[i] === '--no-pull') flags.pull = false;
+    if (args[i] === '--rerun') flags.rerun = true;
+    if (args[i] === '--continue' && args[i + 1]) flags.continueFrom = args[++i];
+    if (args[i] === '--step' && args[i + 1]) flags.step = args[++i];
+    if (args[i] === '--description' && args[i + 1]) flags.description = args[++i];
+    if (args[i] === '--depends' && args[i + 1]) flags.depends = args[++i];
+    if (args[i] === '--add' && args[i + 1]) flags.add = args[++i];
+    if (args[i] === '--after' && args[i + 1]) flags.after = args[++i];
+    if (args[i] === '--optional') flags.optional = true;
+    if (args[i] === '--required') flags.optional = false;
+    if (args[i] === '--remove') flags.remove = true;
+    if (args[i] === '--needs-approval') flags.requiresApproval = true;
+    if (args[i] === '--no-approval') flags.requiresApproval = false;
+    if (args[i] === '--note' && args[i + 1]) flags.note = args[++i];
+    if (args[i] === '--template' && args[i + 1]) flags.template = args[++i];
+    if (args[i] === '--param' && args[i + 1]) {
+      const [key, ...value] = args[++i].split('=');
+      flags.params = { ...flags.params, [key]: value.join('=') };
+    }
   }
   return flags;
 }
 
+/**
+ * Turn `plan edit` flags into a planner.applyEdits() edit
+ * @param {Object} flags - Parsed flags
+ * @returns {Object|null} Edit op, or null if the flags don't describe one
+ */
+function planEditFromFlags(flags) {
+  const fields = {};
+  if (flags.description) fields.description = flags.description;
+  if (flags.backend) fields.backend = flags.backend;
+  if (flags.optional !== undefined) fields.optional = flags.optional;
+  if (flags.requiresApproval !== undefined) fields.requiresApproval = flags.requiresApproval;
+  if (flags.depends) fields.dependencies = flags.depends === 'none' ? [] : flags.depends.split(',').map(d => d.trim());
+
+  if (flags.add) return { op: 'add', ...fields, description: flags.add, ...(flags.after ? { after: flags.after } : {}) };
+  if (!flags.step) return null;
+  if (flags.remove) return { op: 'remove', step: flags.step };
+  return Object.keys(fields).length > 0 ? { op: 'update', step: flags.step, ...fields } : null;
+}
+
 async function searchHistory(keyword, flags = {}) {
   try {
     const monitorPath = path.join(__dirname, 'data', 'monitor.json');
@@ -129,6 +184,70 @@ function truncateText(text, maxLength) {
   return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
 }
 
+/**
+ * Cancel a task or plan. Running work lives in the dashboard process, so ask
+ * it first; fall back to cancelling in this process (queued/pending work).
+ */
+async function cancelTask(taskId) {
+  const axios = require('axios');
+  const config = require('./config.json');
+  const port = config.dashboard?.port || 3457;
+  const token = config.dashboard?.authToken;
+
+  try {
+    const response = await axios.post(`http://localhost:${port}/api/queue/${encodeURIComponent(taskId)}/cancel`, {}, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      timeout: 15000,
+      validateStatus: status => status < 500
+    });
+    if (response.status !== 401) return { via: 'dashboard', ...response.data };
+  } catch (error) {
+    // Dashboard not running — nothing in flight elsewhere to stop
+  }
+
+  const result = await router.cancel(taskId);
+  return { via: 'local', success: result.cancelled, ...result };
+}
+
+/**
+ * Print a live output chunk (stderr chunks go to stderr)
+ */
+function printChunk(chunk) {
+  (chunk.stream === 'stderr' ? process.stderr : process.stdout).write(chunk.text);
+}
+
+/**
+ * Stream a task's output from the running dashboard until it finishes
+ */
+async function followTask(taskId) {
+  const axios = require('axios');
+  const config = require('./config.json');
+  const port = config.dashboard?.port || 3457;
+  const token = config.dashboard?.authToken;
+
+  const response = await axios.get(`http://localhost:${port}/api/tasks/${encodeURIComponent(taskId)}/stream`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    responseType: 'stream',
+    validateStatus: status => status === 200
+  });
+
+  let pending = '';
+  let end = null;
+  for await (const data of response.data) {
+    pending += data.toString();
+    const messages = pending.split('\n\n');
+    pending = messages.pop();
+    for (const message of messages) {
+      const event = message.match(/^event: (.+)$/m)?.[1];
+      const payload = message.match(/^data: (.+)$/m)?.[1];
+      if (!event || !payload) continue;
+      if (event === 'chunk') printChunk(JSON.parse(payload));
+      if (event === 'end') end = JSON.parse(payload);
+    }
+  }
+  return end;
+}
+
 async function showDashboard() {
   try {
     const ledger = require('./ledger');
@@ -263,25 +382,76 @@ async function main() {
           outputPath: flags.outputPath || null
         };
 
-        if (flags.planOnly) {
+        if (flags.template) {
+          // Build the plan from a template; runs it unless --plan-only (or it needs approval)
+          const result = await router.route(task, { template: flags.template, params: flags.params || {}, plan: flags.planOnly });
+          console.log(result.mode === 'plan' ? result.formatted : JSON.stringify(result, null, 2));
+        } else if (flags.planOnly) {
           // Just show the plan, don't execute
-          const plan = await router.plan(task);
+          const plan = await router.route(task, { plan: true });
           console.log(JSON.stringify(plan, null, 2));
+        } else if (flags.follow) {
+          // Print backend output live, then the result
+          const taskId = `route_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+          router.taskStream.subscribe(taskId, { onChunk: printChunk });
+          const result = await router.route(task, { taskId, continueFrom: flags.continueFrom });
+          console.log('\n' + JSON.stringify(result, null, 2));
         } else {
-          const result = await router.route(task);
+          const result = await router.route(task, { continueFrom: flags.continueFrom });
           console.log(JSON.stringify(result, null, 2));
         }
         break;
       }
 
       case 'plan': {
+        if (args[1] === 'edit') {
+          const planId = args[2];
+          const flags = parseFlags(args.slice(3));
+          const edit = planEditFromFlags(flags);
+          if (!planId || !edit) {
+            console.error('Usage: plan edit <planId> --step N [--description "..."] [--backend X] [--optional|--required] [--needs-approval|--no-approval] [--depends 1,2|none] [--remove]');
+            console.error('       plan edit <planId> --add "description" [--after N] [--backend X] [--depends 1,2] [--optional]');
+            process.exit(1);
+          }
+          const result = router.editPlan(planId, edit);
+          console.log(flags.json ? JSON.stringify(result, null, 2) : result.formatted);
+          break;
+        }
         const description = args[1];
         if (!description) { console.error('Usage: plan "task description"'); process.exit(1); }
-        const plan = await router.plan({ description });
+        const plan = await router.route({ description }, { plan: true });
         console.log(JSON.stringify(plan, null, 2));
         break;
       }
 
+      case 'template':
+      case 'templates': {
+        const sub = args[1] || 'list';
+        const templates = router.planTemplates;
+        if (sub === 'list') {
+          for (const t of await templates.list()) {
+            const params = t.params.length ? ` (${t.params.join(', ')})` : '';
+            console.log(`${t.name.padEnd(20)} ${String(t.steps).padStart(2)} steps${t.builtIn ? '  [built-in]' : ''}  ${t.description}${params}`);
+          }
+        } else if (sub === 'show' && args[2]) {
+          const template = await templates.get(args[2]);
+          if (!template) { console.error(`Template ${args[2]} not found`); process.exit(1); }
+          console.log(JSON.stringify(template, null, 2));
+        } else if (sub === 'save' && args[2]) {
+          const template = JSON.parse(fs.readFileSync(path.resolve(args[2]), 'utf8'));
+          const saved = await templates.put(template);
+          console.log(`Saved template ${saved.name} (${saved.steps.length} steps)`);
+        } else if (sub === 'delete' && args[2]) {
+          const removed = await templates.remove(args[2]);
+          console.log(removed ? `Deleted template ${args[2]}` : `Template ${args[2]} not found`);
+          if (!removed) process.exit(1);
+        } else {
+          console.error('Usage: template list | show <name> | save <file.json> | delete <name>');
+          process.exit(1);
+        }
+        break;
+      }
+
       case 'estimate': {
         const description = args[1];
         if (!description) { console.error('Usage: estimate "task description"'); process.exit(1); }
@@ -313,31 +483,191 @@ async function main() {
         break;
       }
 
+      case 'approve': {
+        const planId = args[1];
+        if (!planId) { console.error('Usage: approve <planId> [step] [--note "..."]'); process.exit(1); }
+        const flags = parseFlags(args.slice(2));
+        if (args[2] && !args[2].startsWith('--')) {
+          // A step waiting at its approval gate (the running plan picks this up)
+          const gate = await router.approveStep(planId, args[2], { note: flags.note, by: 'cli' });
+          console.log(`Approved step ${gate.stepNumber} of ${planId}: ${gate.description}`);
+        } else {
+          const result = await router.approvePlan(planId);
+          console.log(JSON.stringify(result, null, 2));
+        }
+        break;
+      }
+
+      case 'reject': {
+        const [planId, step] = args.slice(1, 3);
+        if (!planId || !step) { console.error('Usage: reject <planId> <step> [--note "..."]'); process.exit(1); }
+        const flags = parseFlags(args.slice(3));
+        const gate = await router.rejectStep(planId, step, { note: flags.note, by: 'cli' });
+        console.log(`Rejected step ${gate.stepNumber} of ${planId}: ${gate.description}`);
+        break;
+      }
+
+      case 'approvals': {
+        const gates = await router.listStepApprovals();
+        if (gates.length === 0) { console.log('No plan steps are waiting for approval.'); break; }
+        for (const gate of gates) {
+          console.log(`${gate.planId}  step ${gate.stepNumber}/${gate.totalSteps}  ${gate.backend.padEnd(11)} ${gate.requestedAt}  ${gate.description.substring(0, 80)}`);
+        }
+        break;
+      }
+
+      case 'cancel': {
+        const taskId = args[1];
+        if (!taskId) { console.error('Usage: cancel <taskId|planId>'); process.exit(1); }
+        const result = await cancelTask(taskId);
+        console.log(JSON.stringify(result, null, 2));
+        if (!result.success) process.exit(1);
+        break;
+      }
+
+      case 'resume': {
+        const planId = args[1];
+        if (!planId) {
+          // No ID: list plans that can be resumed
+          const runs = await router.listPlanRuns({ resumableOnly: true });
+          if (runs.length === 0) { console.log('No interrupted, failed or cancelled plans.'); break; }
+          for (const run of runs) {
+            console.log(`${run.planId}  ${run.status.padEnd(11)} ${run.completedSteps}/${run.totalSteps} steps  ${run.updatedAt}  ${run.description}`);
+          }
+          break;
+        }
+        const result = await router.resumePlan(planId);
+        console.log(JSON.stringify(result, null, 2));
+        break;
+      }
+
+      case 'follow': {
+        const taskId = args[1];
+        if (!taskId) { console.error('Usage: follow <taskId>'); process.exit(1); }
+        let end;
+        try {
+          end = await followTask(taskId);
+        } catch (error) {
+          const reason = error.response?.status === 404 ? 'no running or recent task with that ID' : 'is the dashboard running?';
+          console.error(`Cannot follow ${taskId}: ${reason}`);
+          process.exit(1);
+        }
+        console.log(`\n[${taskId}] ${end ? end.status : 'stream closed'}`);
+        break;
+      }
+
       case 'dashboard': {
         await showDashboard();
         break;
       }
 
+      case 'explain': {
+        const taskId = args[1];
+        if (!taskId) { console.error('Usage: explain <taskId> [--json]'); process.exit(1); }
+        const trace = await router.decisionTrace.get(taskId);
+        if (!trace) { console.error(`No routing trace for ${taskId}`); process.exit(1); }
+        console.log(args.includes('--json') ? JSON.stringify(trace, null, 2) : router.decisionTrace.format(trace));
+        break;
+      }
+
+      case 'simulate': {
+        const flags = parseFlags(args.slice(1));
+        if (!flags.config) { console.error('Usage: simulate --config candidate.json [--days N] [--limit N] [--json]'); process.exit(1); }
+        const configPath = path.resolve(flags.config);
+        const candidate = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        const report = await router.simulate(candidate, {
+          days: flags.days,
+          limit: flags.limit,
+          baseDir: path.dirname(configPath)
+        });
+        console.log(flags.json ? JSON.stringify(report, null, 2) : router.simulator.format(report));
+        break;
+      }
+
+      case 'local': {
+        const sub = args[1];
+        const flags = parseFlags(args.slice(2));
+        const localProvisioner = require('./local-provisioner');
+        if (sub === 'provision') {
+          const report = await localProvisioner.provision({ pull: flags.pull, rerun: flags.rerun });
+          if (flags.json) {
+            console.log(JSON.stringify(report, null, 2));
+          } else {
+            for (const [label, models] of Object.entries(report)) {
+              if (models.length > 0) console.log(`${label.padEnd(12)} ${models.join(', ')}`);
+            }
+          }
+        } else if (sub === 'benchmarks') {
+          const results = localProvisioner.getResults();
+          if (flags.json) {
+            console.log(JSON.stringify(results, null, 2));
+          } else if (Object.keys(results).length === 0) {
+            console.log('No benchmarks yet — run: local provision');
+          } else {
+            for (const r of Object.values(results)) {
+              const byType = Object.entries(r.quality.byType).map(([type, q]) => `${type} ${q === null ? '-' : Math.round(q * 100) + '%'}`).join('  ');
+              const tps = r.tokensPerSec ? r.tokensPerSec.toFixed(1) : '?';
+              console.log(`${r.model.padEnd(24)} ${String(Math.round(r.quality.overall * 100)).padStart(3)}%  ${tps.padStart(6)} tok/s  ${String(r.latencyMs).padStart(6)}ms  ${byType}  (${r.benchmarkedAt.slice(0, 10)})`);
+            }
+          }
+        } else {
+          console.error('Usage: local provision [--no-pull] [--rerun] [--json] | local benchmarks [--json]');
+          process.exit(1);
+        }
+        break;
+      }
+
       default:
         console.log(`OpenClaw Task Router CLI
 Commands:
   route "description"    — Route and execute a task
   plan "description"     — Show execution plan without running
+  plan edit <planId>     — Edit a pending plan's steps before approval (see flags below)
+  template list          — List plan templates (also: show <name>, save <file.json>, delete <name>)
   estimate "description" — Predict task cost without execution
   status                 — Router and backend status
   queue                  — Queue status
+  approve <planId> [n]   — Approve a pending plan, or step n of a running plan paused for approval
+  reject <planId> <n>    — Reject step n of a running plan paused for approval
+  approvals              — List plan steps waiting for approval
+  cancel <taskId>        — Cancel a queued or running task or plan (stops the backend)
+  follow <taskId>        — Stream a running task's output live from the dashboard
+  resume [planId]        — Resume an interrupted plan from its last checkpoint (no ID: list resumable plans)
   history "keyword"      — Search task history
   dashboard              — Show pretty terminal status display
+  explain <taskId>       — Explain why a task was routed where it was (--json for raw trace)
+  simulate --config <f>  — Replay task history under a candidate config and compare
+  local provision        — Pull missing local models and benchmark installed ones
+  local benchmarks       — Show local model benchmark results
 
 Flags:
   --force <backend>    — Force a specific backend
   --urgency <level>    — high, normal, or low
   --plan-only          — Show plan without executing
+  --template <name>    — Build the plan from a plan template (route)
+  --param <key=value>  — Template param, repeatable (route --template)
+  --follow             — Print backend output live while the task runs (route)
+  --continue <taskId>  — Continue that task's Claude Code session (route)
   --output <path>      — Output file path
   --backend <name>     — Filter history by backend
   --from <date>        — Filter history from date (YYYY-MM-DD)
   --to <date>          — Filter history to date (YYYY-MM-DD)
-  --limit <n>          — Limit history results (default: 20)`);
+  --limit <n>          — Limit history results (default: 20) / tasks replayed
+  --config <path>      — Candidate config for simulate
+  --days <n>           — Only replay the last N days (simulate)
+  --step <n|id>        — Step to edit (plan edit)
+  --description <text> — New step description (plan edit)
+  --backend <name>     — New step backend (plan edit)
+  --depends <1,2|none> — Replace step dependencies (plan edit)
+  --optional           — Let the plan continue if the step fails (plan edit; --required undoes)
+  --needs-approval     — Pause the plan for sign-off before the step runs (plan edit; --no-approval undoes)
+  --remove             — Remove the step (plan edit)
+  --add <text>         — Insert a new step (plan edit)
+  --after <n|id>       — Position for --add (default: end of plan)
+  --note <text>        — Reason recorded with an approve/reject decision
+  --no-pull            — Report missing models instead of pulling them (local provision)
+  --rerun              — Benchmark models even if their results are recent (local provision)
+  --json               — Raw JSON output (explain, simulate, plan edit, local)`);
     }
   } catch (err) {
     console.error('Error:', err.message);
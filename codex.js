@@ -2,6 +2,12 @@ const pty = require('node-pty');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const cancellation = require('./cancellation');
+const backends = require('./backend-registry');
+const taskStream = require('./task-stream');
+const subtaskReducer = require('./subtask-reducer');
+const taskSplitter = require('./task-splitter');
+const workspaces = require('./workspaces');
 
 /**
  * Codex Parallel Bridge for OpenClaw Task Router
@@ -11,6 +17,7 @@ class CodexBridge {
   constructor() {
     this.config = null;
     this.activeSessions = new Map();
+    this.parallelRuns = new Set(); // task IDs of executeParallel() runs in progress
     this.sessionUsage = {
       percentage: 0,
       resetTime: null,
@@ -92,7 +99,7 @@ class CodexBridge {
    * @param {Object} task - Task object
    * @returns {Promise<Object>} Execution result
    */
-  async executeTask(task) {
+  async executeTask(task, context = {}) {
     const startTime = Date.now();
     
     if (!await this.isAvailable()) {
@@ -108,15 +115,21 @@ class CodexBridge {
       throw new Error(`Codex parallel limit reached: ${this.activeSessions.size}/${this.parallelLimit} sessions active`);
     }
 
-    const taskId = `codex_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    // Key the session by the router's task ID so cancel(taskId) can find it
+    const taskId = context.taskId || `codex_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     console.log(`[CODEX] Starting task ${taskId}`);
 
     try {
-      // Create task file
-      const taskFile = await this.createTaskFile(task, taskId);
+      let taskFile = null;
       
-      // Execute Codex CLI
-      const result = await this.runCodexSession(taskFile, task, taskId);
+      // Execute Codex CLI, in its own workspace when isolation is on, with the
+      // task's paths mapped into it
+      const { result, isolation } = await workspaces.runIsolated(taskId, task, 'codex', this._workingDir(task, taskId),
+        async (cwd, workspace) => {
+          const spec = workspaces.mapTask(workspace, task);
+          taskFile = await this.createTaskFile(spec, taskId, cwd);
+          return this.runCodexSession(taskFile, spec, taskId, cwd);
+        });
       
       // Update session usage
       await this.updateSessionUsage(result.estimatedUsage || 10);
@@ -134,6 +147,7 @@ class CodexBridge {
         response: result.output,
         duration,
         tokens: result.tokens,
+        ...workspaces.resultFields(isolation),
         outputPath: task.outputPath,
         sessionUsage: this.sessionUsage.percentage
       };
@@ -142,6 +156,14 @@ class CodexBridge {
       const duration = Date.now() - startTime;
       console.error(`[CODEX] Task ${taskId} failed after ${(duration / 1000).toFixed(1)}s:`, error.message);
       
+      if (cancellation.isCancellation(error)) {
+        // Charge only the work done before the cancel, without counting a completed task
+        const ledger = require('./ledger');
+        this.sessionUsage.percentage += Math.min((error.tokens || 0) / 1000, 15);
+        await ledger.recordCancellation('codex', task, error.tokens || 0);
+        throw error;
+      }
+
       // Still update usage even on failure
       await this.updateSessionUsage(5);
       
@@ -150,142 +172,160 @@ class CodexBridge {
   }
 
   /**
-   * Execute multiple tasks in parallel
-   * @param {Array} tasks - Array of task objects
-   * @returns {Promise<Array>} Array of execution results
+   * Execute multiple tasks in parallel, then combine their results with the
+   * reduce stage (subtask-reducer.js)
+   * @param {Array} tasks - Array of task objects, in the order their outputs belong
+   * @param {Object} [options]
+   * @param {string} [options.reduce] - 'auto' | 'concat' | 'synthesize' | 'merge' | 'none'
+   *   (default backends.codex.reduce.strategy, else 'auto')
+   * @param {string} [options.type] - Task type 'auto' picks the strategy from (default: first task's type)
+   * @param {string} [options.synthesisBackend] - Backend for 'synthesize' (default backends.codex.reduce.synthesisBackend)
+   * @param {string} [options.description] - The original task, for the synthesis prompt
+   * @param {string} [options.outputPath] - Where the combined output is written
+   * @param {string} [options.taskId] - Task ID of the run: subtasks run as `<taskId>:partN` and the
+   *   synthesis pass under `<taskId>:reduce`, so cancel(taskId) reaches them
+   * @returns {Promise<Object>} { success, results, errors, subtasks, reduced, totalTasks, completedTasks, failedTasks }
    */
-  async executeParallel(tasks) {
+  async executeParallel(tasks, options = {}) {
     if (!Array.isArray(tasks) || tasks.length === 0) {
       throw new Error('Tasks must be a non-empty array');
     }
+    if (!this.config) {
+      this.config = require('./config.json');
+    }
 
-    const status = await this.getSessionStatus();
-    
-    // Limit to available slots and parallel limit
-    const maxTasks = Math.min(tasks.length, status.availableSlots, this.parallelLimit);
-    const tasksToExecute = tasks.slice(0, maxTasks);
-    const remainingTasks = tasks.slice(maxTasks);
-
-    console.log(`[CODEX] Executing ${tasksToExecute.length} tasks in parallel (${remainingTasks.length} remaining)`);
+    const taskId = options.taskId || `codex_parallel_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const partId = index => `${taskId}:part${index + 1}`;
 
+    // Run in batches of free slots; stop once a whole batch fails or the run is cancelled.
+    // The run stays registered through the reduce stage so cancel(taskId) reaches the synthesis pass.
+    const subtasks = tasks.map((task, index) => ({ index, description: task.description, success: false, error: null, result: null }));
+    let next = 0;
+    this.parallelRuns.add(taskId);
     try {
-      // Execute tasks in parallel
-      const promises = tasksToExecute.map(task => this.executeTask(task));
-      const results = await Promise.allSettled(promises);
-
-      // Process results
-      const successfulResults = [];
-      const errors = [];
-
-      results.forEach((result, index) => {
-        if (result.status === 'fulfilled') {
-          successfulResults.push(result.value);
-        } else {
-          errors.push({
-            task: tasksToExecute[index],
-            error: result.reason.message
-          });
+      while (next < tasks.length) {
+        if (cancellation.isCancelled(taskId)) {
+          for (const subtask of subtasks.slice(next)) subtask.error = 'Not run: cancelled';
+          break;
         }
-      });
+        const status = await this.getSessionStatus();
+        const batchSize = Math.max(1, Math.min(status.availableSlots, this.parallelLimit));
+        const batch = tasks.slice(next, next + batchSize);
+        console.log(`[CODEX] Executing ${batch.length} tasks in parallel (${tasks.length - next - batch.length} remaining)`);
+
+        const settled = await Promise.allSettled(batch.map((task, i) => this.executeTask(task, { taskId: partId(next + i) })));
+        settled.forEach((outcome, i) => {
+          const subtask = subtasks[next + i];
+          if (outcome.status === 'fulfilled') {
+            Object.assign(subtask, { success: true, result: outcome.value });
+          } else {
+            subtask.error = outcome.reason?.message || String(outcome.reason);
+          }
+        });
+        next += batch.length;
 
-      // Handle remaining tasks if any succeeded
-      if (remainingTasks.length > 0 && successfulResults.length > 0) {
-        console.log(`[CODEX] Processing ${remainingTasks.length} remaining tasks`);
-        
-        try {
-          const remainingResults = await this.executeParallel(remainingTasks);
-          successfulResults.push(...remainingResults);
-        } catch (error) {
-          console.warn(`[CODEX] Error processing remaining tasks:`, error.message);
+        if (next < tasks.length && !cancellation.isCancelled(taskId) && settled.every(outcome => outcome.status === 'rejected')) {
+          console.warn(`[CODEX] Batch failed completely — not running the ${tasks.length - next} remaining tasks`);
+          for (const subtask of subtasks.slice(next)) subtask.error = 'Not run: previous batch failed';
+          break;
         }
       }
 
-      if (errors.length > 0) {
-        console.warn(`[CODEX] ${errors.length} tasks failed in parallel execution`);
+      const failed = subtasks.filter(s => !s.success);
+      if (failed.length > 0 && !cancellation.isCancelled(taskId)) {
+        console.warn(`[CODEX] ${failed.length} tasks failed in parallel execution`);
+      }
+
+      const reduceConfig = this.config.backends?.codex?.reduce || {};
+      let reduced = null;
+      try {
+        if (!cancellation.isCancelled(taskId)) {
+          reduced = await subtaskReducer.reduce(subtasks, {
+            strategy: options.reduce || reduceConfig.strategy,
+            type: options.type || tasks[0].type,
+            backend: options.synthesisBackend || reduceConfig.synthesisBackend,
+            description: options.description,
+            outputPath: options.outputPath,
+            taskId
+          });
+        }
+      } catch (error) {
+        if (!cancellation.isCancelled(taskId)) throw error;
+      }
+      if (cancellation.isCancelled(taskId)) {
+        throw cancellation.error(taskId, 'codex', { subtasks });
       }
 
       return {
-        success: successfulResults.length > 0,
-        results: successfulResults,
-        errors: errors,
+        success: subtasks.some(s => s.success),
+        results: subtasks.filter(s => s.success).map(s => s.result),
+        errors: failed.map(s => ({ task: tasks[s.index], error: s.error })),
+        subtasks: subtasks.map(s => ({
+          index: s.index,
+          description: s.description,
+          success: s.success,
+          duration: s.result?.duration ?? null,
+          outputPath: s.result?.outputPath ?? null,
+          error: s.error
+        })),
+        reduced,
         totalTasks: tasks.length,
-        completedTasks: successfulResults.length,
-        failedTasks: errors.length
+        completedTasks: subtasks.length - failed.length,
+        failedTasks: failed.length
       };
-
-    } catch (error) {
-      console.error('[CODEX] Parallel execution failed:', error.message);
-      throw error;
+    } finally {
+      this.parallelRuns.delete(taskId);
+      tasks.forEach((_, index) => cancellation.clear(partId(index)));
+      cancellation.clear(`${taskId}:reduce`);
+      if (!options.taskId) cancellation.clear(taskId);
     }
   }
 
   /**
-   * Split a large task into smaller subtasks for parallel execution
+   * Split a task, run the parts in parallel and reduce them into one
+   * deliverable at the task's outputPath
+   * @param {Object} task - Large task
+   * @param {Object} [options] - executeParallel() options, plus `split` ('heuristic' | 'llm')
+   * @returns {Promise<Object>} executeParallel() result
+   */
+  async executeSplit(task, options = {}) {
+    const { split, ...parallelOptions } = options;
+    return await this.executeParallel(await this.splitTaskWithModel(task, { mode: split }), {
+      type: task.type,
+      description: task.description,
+      outputPath: task.outputPath || undefined,
+      ...parallelOptions
+    });
+  }
+
+  /**
+   * Split a large task into smaller subtasks for parallel execution — by
+   * task.files, by a page/row/line range in the description, or by keywords
+   * (see task-splitter.js). At most parallelLimit parts.
    * @param {Object} task - Large task to split
    * @returns {Array} Array of smaller tasks
    */
   splitTask(task) {
-    const subtasks = [];
-    
-    // Analyze task description for natural split points
-    const description = task.description.toLowerCase();
-    
-    if (description.includes('analyze') || description.includes('research')) {
-      // Research tasks: split by aspects or sections
-      subtasks.push({
-        ...task,
-        description: `${task.description} - Part 1: Background and context analysis`,
-        outputPath: task.outputPath ? task.outputPath.replace(/(\.[^.]+)$/, '-part1$1') : undefined
-      });
-      
-      subtasks.push({
-        ...task,
-        description: `${task.description} - Part 2: Detailed analysis and findings`,
-        outputPath: task.outputPath ? task.outputPath.replace(/(\.[^.]+)$/, '-part2$1') : undefined
-      });
-      
-      subtasks.push({
-        ...task,
-        description: `${task.description} - Part 3: Conclusions and recommendations`,
-        outputPath: task.outputPath ? task.outputPath.replace(/(\.[^.]+)$/, '-part3$1') : undefined
-      });
-      
-    } else if (description.includes('code') || description.includes('implement')) {
-      // Code tasks: split by components
-      subtasks.push({
-        ...task,
-        description: `${task.description} - Core implementation`,
-        type: 'code',
-        outputPath: task.outputPath ? task.outputPath.replace(/(\.[^.]+)$/, '-core$1') : undefined
-      });
-      
-      subtasks.push({
-        ...task,
-        description: `${task.description} - Error handling and validation`,
-        type: 'code',
-        outputPath: task.outputPath ? task.outputPath.replace(/(\.[^.]+)$/, '-validation$1') : undefined
-      });
-      
-      subtasks.push({
-        ...task,
-        description: `${task.description} - Documentation and tests`,
-        type: 'docs',
-        outputPath: task.outputPath ? task.outputPath.replace(/(\.[^.]+)$/, '-docs$1') : undefined
-      });
-      
-    } else {
-      // Generic split: just divide the task
-      const parts = Math.min(3, this.parallelLimit);
-      for (let i = 0; i < parts; i++) {
-        subtasks.push({
-          ...task,
-          description: `${task.description} - Section ${i + 1} of ${parts}`,
-          outputPath: task.outputPath ? task.outputPath.replace(/(\.[^.]+)$/, `-section${i + 1}$1`) : undefined
-        });
-      }
+    const subtasks = taskSplitter.split(task, { maxParts: this.parallelLimit });
+    console.log(`[CODEX] Split task into ${subtasks.length} subtasks (${subtasks[0].split.strategy})`);
+    return subtasks;
+  }
+
+  /**
+   * Split a task with the planning model when backends.codex.split.mode is
+   * 'llm', falling back to splitTask()'s heuristics
+   * @param {Object} task - Large task to split
+   * @param {Object} [options]
+   * @param {string} [options.mode] - 'heuristic' | 'llm' (default backends.codex.split.mode)
+   * @returns {Promise<Array>} Array of smaller tasks
+   */
+  async splitTaskWithModel(task, options = {}) {
+    if (!this.config) {
+      this.config = require('./config.json');
     }
-    
-    console.log(`[CODEX] Split task into ${subtasks.length} subtasks`);
+    const mode = options.mode || this.config.backends?.codex?.split?.mode || 'heuristic';
+    const subtasks = await taskSplitter.splitWithModel(task, { mode, maxParts: this.parallelLimit });
+    console.log(`[CODEX] Split task into ${subtasks.length} subtasks (${subtasks[0].split.strategy})`);
     return subtasks;
   }
 
@@ -293,9 +333,10 @@ class CodexBridge {
    * Create task specification file for Codex
    * @param {Object} task - Task object
    * @param {string} taskId - Task identifier
+   * @param {string} [cwd] - Directory the session runs in (default: _workingDir())
    * @returns {Promise<string>} Path to created task file
    */
-  async createTaskFile(task, taskId) {
+  async createTaskFile(task, taskId, cwd) {
     const tempDir = path.join(os.tmpdir(), 'openclaw-codex');
     await fs.mkdir(tempDir, { recursive: true });
     
@@ -342,7 +383,7 @@ class CodexBridge {
     content += `- Optimize for performance and readability\n\n`;
     
     content += `## Execution Context\n`;
-    content += `Working directory: ${task.outputPath ? path.dirname(path.resolve(task.outputPath)) : process.cwd()}\n\n`;
+    content += `Working directory: ${cwd || (task.outputPath ? path.dirname(path.resolve(task.outputPath)) : process.cwd())}\n\n`;
     
     content += `---\n\nExecute this task efficiently and thoroughly.`;
     
@@ -352,14 +393,30 @@ class CodexBridge {
     return taskFile;
   }
 
+  /**
+   * Directory a task runs in: outputPath's directory, task.workdir, or a
+   * scratch directory per task
+   * @param {Object} task
+   * @param {string} taskId
+   * @returns {string}
+   */
+  _workingDir(task, taskId) {
+    if (task.outputPath) return path.dirname(path.resolve(task.outputPath));
+    if (task.workdir) return path.resolve(task.workdir);
+    const taskDir = path.join(os.tmpdir(), 'openclaw-codex', `task-${taskId}`);
+    require('fs').mkdirSync(taskDir, { recursive: true });
+    return taskDir;
+  }
+
   /**
    * Run Codex CLI session with PTY
    * @param {string} taskFile - Path to task specification
    * @param {Object} task - Original task object
    * @param {string} taskId - Task identifier
+   * @param {string} [cwd] - Working directory (default: _workingDir())
    * @returns {Promise<Object>} Execution result
    */
-  async runCodexSession(taskFile, task, taskId) {
+  async runCodexSession(taskFile, task, taskId, cwd) {
     return new Promise((resolve, reject) => {
       const timeoutMs = this.config.backends.codex.timeoutSeconds * 1000;
       let output = '';
@@ -373,18 +430,13 @@ class CodexBridge {
       // Spawn Codex process using child_process.spawn (works in all contexts)
       const { spawn } = require('child_process');
       const codexProcess = spawn('codex', ['exec', '--model', 'gpt-5.2-codex', '--full-auto', '--skip-git-repo-check', task.description], {
-        cwd: task.outputPath ? path.dirname(path.resolve(task.outputPath))
-           : task.workdir ? path.resolve(task.workdir)
-           : (() => {
-               const taskDir = path.join(os.tmpdir(), 'openclaw-codex', `task-${taskId}`);
-               require('fs').mkdirSync(taskDir, { recursive: true });
-               return taskDir;
-             })(),
+        cwd: cwd || this._workingDir(task, taskId),
         env: {
           ...process.env,
           TERM: 'xterm-256color'
         },
-        stdio: ['pipe', 'pipe', 'pipe']
+        stdio: ['pipe', 'pipe', 'pipe'],
+        detached: process.platform !== 'win32' // own process group, so cancel can kill the whole tree
       });
 
       this.activeSessions.set(taskId, codexProcess);
@@ -396,7 +448,7 @@ class CodexBridge {
       const timeout = setTimeout(() => {
         if (!completed) {
           console.error(`[CODEX] Task ${taskId} timed out after ${timeoutMs/1000}s`);
-          codexProcess.kill('SIGTERM');
+          cancellation.killProcessTree(codexProcess);
           this.activeSessions.delete(taskId);
           const timeoutError = new Error(`Codex backend timeout - task exceeded ${timeoutMs/1000} seconds`);
           timeoutError.code = 'CODEX_TIMEOUT';
@@ -410,6 +462,7 @@ class CodexBridge {
       codexProcess.stdout.on('data', (data) => {
         const chunk = data.toString();
         output += chunk;
+        taskStream.write(taskId, 'codex', chunk);
         
         // Check for rate limiting
         if (chunk.includes('rate limit') || 
@@ -437,7 +490,9 @@ class CodexBridge {
       });
 
       codexProcess.stderr.on('data', (data) => {
-        output += data.toString();
+        const chunk = data.toString();
+        output += chunk;
+        taskStream.write(taskId, 'codex', chunk, 'stderr');
       });
 
       // Handle exit
@@ -445,6 +500,11 @@ class CodexBridge {
         completed = true;
         clearTimeout(timeout);
         this.activeSessions.delete(taskId);
+
+        if (cancellation.isCancelled(taskId)) {
+          reject(cancellation.error(taskId, 'codex', { tokens: this.estimateTokens(output), partialOutput: output.slice(-2000) }));
+          return;
+        }
         
         if (rateLimited) {
           this.sessionUsage.percentage = 100;
@@ -535,7 +595,7 @@ class CodexBridge {
     
     for (const [taskId, process] of this.activeSessions.entries()) {
       try {
-        process.kill();
+        cancellation.killProcessTree(process);
         console.log(`[CODEX] Killed session: ${taskId}`);
       } catch (error) {
         console.warn(`[CODEX] Error killing session ${taskId}:`, error.message);
@@ -618,6 +678,89 @@ class CodexBridge {
       };
     }
   }
+
+  // ─── Backend adapter contract (see backend-registry.js) ────────
+
+  get displayName() {
+    return 'Codex';
+  }
+
+  /**
+   * Adapter entry point
+   * @param {Object} task - Normalized task
+   * @param {Object} [context] - { taskId } from the router
+   * @returns {Promise<Object>} Execution result
+   */
+  async execute(task, context = {}) {
+    return this.executeTask(task, context);
+  }
+
+  /**
+   * Adapter status
+   * @returns {Promise<Object>} Detailed status
+   */
+  async getStatus() {
+    if (!this.config) {
+      this.config = require('./config.json');
+    }
+    return this.getDetailedStatus();
+  }
+
+  /**
+   * Marginal cost of a task — covered by the subscription
+   * @returns {number} Cost in USD
+   */
+  estimateCost() {
+    return 0;
+  }
+
+  /**
+   * Lightweight health probe
+   * @returns {Promise<{healthy: boolean, version?: string, error?: string}>}
+   */
+  async healthPing() {
+    try {
+      const { execSync } = require('child_process');
+      const output = execSync('codex --version 2>&1', { encoding: 'utf8', timeout: 10000 }).trim();
+      return { healthy: true, version: output.split('\n')[0] };
+    } catch (error) {
+      return { healthy: false, error: error.message };
+    }
+  }
+
+  /**
+   * Kill the session running a task, including any processes it spawned.
+   * For an executeParallel() run this kills every running `<taskId>:partN`
+   * session, starts no further batches and stops the `<taskId>:reduce`
+   * synthesis pass on whichever backend runs it. The pending executeTask()
+   * or executeParallel() rejects with a TASK_CANCELLED error.
+   * @param {string} taskId - Task identifier
+   * @returns {Promise<boolean>} Whether a session or parallel run was stopped
+   */
+  async cancel(taskId) {
+    const parallel = this.parallelRuns.has(taskId);
+    const sessionIds = [...this.activeSessions.keys()]
+      .filter(id => id === taskId || id.startsWith(`${taskId}:part`));
+    if (!parallel && sessionIds.length === 0) return false;
+
+    if (!cancellation.isCancelled(taskId)) cancellation.markCancelled(taskId);
+    for (const id of sessionIds) {
+      if (!cancellation.isCancelled(id)) cancellation.markCancelled(id);
+      try {
+        cancellation.killProcessTree(this.activeSessions.get(id));
+      } catch (error) {
+        console.warn(`[CODEX] Error killing session ${id}:`, error.message);
+      }
+      console.log(`[CODEX] Cancelled session: ${id}`);
+    }
+    if (parallel) {
+      const reduceId = `${taskId}:reduce`;
+      if (!cancellation.isCancelled(reduceId)) cancellation.markCancelled(reduceId);
+      const stoppedOn = await backends.cancelEverywhere(reduceId);
+      if (stoppedOn.length > 0) console.log(`[CODEX] Cancelled synthesis ${reduceId} on ${stoppedOn.join(', ')}`);
+    }
+    return true;
+  }
 }
 
 module.exports = new CodexBridge();
\ No newline at end of file
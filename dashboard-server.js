@@ -29,6 +29,11 @@ function getSession()   { return require('./session'); }
 function getWarmup()    { return require('./warmup'); }
 // ── Model Registry lazy loader ──
 function getModelRegistry() { return require('./model-registry'); }
+function getRoutingPolicy() { return require('./routing-policy'); }
+function getDecisionTrace() { return require('./decision-trace'); }
+function getTaskStream()    { return require('./task-stream'); }
+function getPlanTemplates() { return require('./plan-templates'); }
+function getArtifacts()     { return require('./artifacts'); }
 
 // ─── SSE Client Management ──────────────────────────────────────────
 const sseClients = new Set();
@@ -267,12 +272,12 @@ app.post('/api/queue/:taskId/cancel', async (req, res) => {
   if (!rateLimit(req.ip + ':cancel', 20)) return res.status(429).json({ error: 'Rate limited' });
   try {
     const { taskId } = req.params;
-    const scheduler = getScheduler();
-    const cancelled = await scheduler.cancel(taskId);
-    if (cancelled) {
-      broadcast('queue-update', { action: 'cancelled', taskId });
+    // Covers scheduler/queue items, routes in flight and pending or running plans
+    const result = await getRouter().cancel(taskId, { reason: req.body?.reason });
+    if (result.cancelled) {
+      broadcast('queue-update', { action: 'cancelled', taskId, scopes: result.scopes });
     }
-    res.json({ success: cancelled, message: cancelled ? 'Cancelled' : 'Not found' });
+    res.json({ success: result.cancelled, message: result.cancelled ? 'Cancelled' : 'Not found', ...result });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -591,7 +596,7 @@ app.post('/api/plan', async (req, res) => {
     const task = req.body;
     if (!task?.description) return res.status(400).json({ error: 'Task must have a description' });
 
-    const result = await getRouter().route(task, { plan: true });
+    const result = await getRouter().route(task, { plan: true, decomposition: req.query.decomposition });
     pendingPlans.set(result.plan.id, result);
 
     // Auto-expire plans after 1 hour
@@ -604,6 +609,27 @@ app.post('/api/plan', async (req, res) => {
   }
 });
 
+// Edit a pending plan before approval: { edits: [...] } or a single edit op
+app.patch('/api/plan/:taskId', (req, res) => {
+  if (!rateLimit(req.ip + ':plan-edit', 30)) return res.status(429).json({ error: 'Rate limited' });
+  const planId = req.params.taskId;
+  const edits = req.body?.edits || req.body;
+  if (!edits || (Array.isArray(edits) && edits.length === 0)) {
+    return res.status(400).json({ error: 'Body must contain edits' });
+  }
+
+  try {
+    const result = getRouter().editPlan(planId, edits);
+    if (pendingPlans.has(planId)) pendingPlans.set(planId, result);
+    broadcast('plan-updated', { planId, revision: result.plan.revision });
+    res.json(result);
+  } catch (error) {
+    if (error.code === 'PLAN_NOT_FOUND') return res.status(404).json({ error: error.message });
+    if (error.code === 'INVALID_PLAN_EDIT') return res.status(400).json({ error: error.message, errors: error.errors });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.post('/api/plan/:taskId/approve', async (req, res) => {
   if (!rateLimit(req.ip + ':approve', 10)) return res.status(429).json({ error: 'Rate limited' });
   try {
@@ -631,6 +657,25 @@ app.post('/api/plan/:taskId/approve', async (req, res) => {
   }
 });
 
+// Approve or reject a running plan's step that is waiting at an approval gate
+for (const decision of ['approve', 'reject']) {
+  app.post(`/api/plan/:taskId/steps/:stepId/${decision}`, async (req, res) => {
+    if (!rateLimit(req.ip + ':approve', 10)) return res.status(429).json({ error: 'Rate limited' });
+    try {
+      const { taskId: planId, stepId } = req.params;
+      const options = { note: req.body?.note, by: 'dashboard' };
+      const gate = decision === 'approve'
+        ? await getRouter().approveStep(planId, stepId, options)
+        : await getRouter().rejectStep(planId, stepId, options);
+      broadcast('step-decided', { planId, stepId: gate.stepId, status: gate.status });
+      res.json({ success: true, gate });
+    } catch (error) {
+      if (error.code === 'APPROVAL_NOT_FOUND') return res.status(404).json({ error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
+
 app.post('/api/plan/:taskId/cancel', (req, res) => {
   const planId = req.params.taskId;
 
@@ -643,6 +688,80 @@ app.post('/api/plan/:taskId/cancel', (req, res) => {
   res.json({ success: deleted, message: deleted ? 'Plan cancelled' : 'Plan not found' });
 });
 
+// ─── Plan Template Endpoints ────────────────────────────────────────
+const TEMPLATE_ERROR_STATUS = { TEMPLATE_NOT_FOUND: 404, INVALID_TEMPLATE: 400, INVALID_TEMPLATE_PARAMS: 400, TEMPLATE_READ_ONLY: 403 };
+
+function sendTemplateError(res, error) {
+  const status = TEMPLATE_ERROR_STATUS[error.code] || 500;
+  res.status(status).json({ error: error.message, ...(error.errors ? { errors: error.errors } : {}) });
+}
+
+app.get('/api/templates', async (req, res) => {
+  try {
+    res.json({ templates: await getPlanTemplates().list() });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+app.get('/api/templates/:name', async (req, res) => {
+  try {
+    const template = await getPlanTemplates().get(req.params.name);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    res.json(template);
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+app.put('/api/templates/:name', async (req, res) => {
+  if (!rateLimit(req.ip + ':templates', 10)) return res.status(429).json({ error: 'Rate limited' });
+  try {
+    const template = await getPlanTemplates().put({ ...req.body, name: req.params.name });
+    broadcast('template-saved', { name: template.name });
+    res.json(template);
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+app.delete('/api/templates/:name', async (req, res) => {
+  if (!rateLimit(req.ip + ':templates', 10)) return res.status(429).json({ error: 'Rate limited' });
+  try {
+    const removed = await getPlanTemplates().remove(req.params.name);
+    if (!removed) return res.status(404).json({ error: 'Template not found' });
+    broadcast('template-deleted', { name: req.params.name });
+    res.json({ success: true });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+// Instantiate a template as a pending plan: { params, description? }
+app.post('/api/templates/:name/plan', async (req, res) => {
+  if (!rateLimit(req.ip + ':plan', 10)) return res.status(429).json({ error: 'Rate limited' });
+  try {
+    const task = req.body?.description ? { description: req.body.description } : {};
+    const result = await getRouter().route(task, { plan: true, template: req.params.name, params: req.body?.params || {} });
+    pendingPlans.set(result.plan.id, result);
+    setTimeout(() => pendingPlans.delete(result.plan.id), 3600000);
+
+    broadcast('plan-created', { planId: result.plan.id, template: req.params.name });
+    res.json(result);
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+// Plan steps waiting at an approval gate
+app.get('/api/plans/approvals', async (req, res) => {
+  try {
+    res.json({ approvals: await getRouter().listStepApprovals({ planId: req.query.planId }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Pending plans list (from both in-memory and persistent store)
 app.get('/api/plans/pending', (req, res) => {
   try {
@@ -1097,16 +1216,19 @@ app.post('/api/scheduler/resume', (req, res) => {
   res.json({ success: true, paused: false });
 });
 
+// Errors route() raises for a bad request, before any backend runs
+const ROUTE_ERROR_STATUS = { UNKNOWN_PERMISSION_PROFILE: 400, INVALID_CONTINUATION: 400, CLAUDE_SESSION_NOT_FOUND: 404, CLAUDE_SESSION_EXPIRED: 410 };
+
 app.post('/api/route', async (req, res) => {
   if (!rateLimit(req.ip + ':route', 10)) return res.status(429).json({ error: 'Rate limited' });
   try {
     const task = req.body;
     if (!task?.description) return res.status(400).json({ error: 'Task must have a description' });
-    const result = await getRouter().route(task);
+    const result = await getRouter().route(task, { continueFrom: req.query.continueFrom });
     broadcast('task-completed', { backend: result.backend, success: result.success });
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(ROUTE_ERROR_STATUS[error.code] || 500).json({ error: error.message, ...(error.code ? { code: error.code } : {}) });
   }
 });
 
@@ -1425,6 +1547,117 @@ app.post('/api/models/provider/:providerId/health', (req, res) => {
   }
 });
 
+// ─── Routing Policy ─────────────────────────────────────────────────
+app.get('/api/routing/policy', (req, res) => {
+  try {
+    res.json(getRoutingPolicy().getStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/routing/policy/reload', (req, res) => {
+  if (!rateLimit(req.ip + ':policy-reload', 10)) return res.status(429).json({ error: 'Rate limited' });
+  try {
+    const policy = getRoutingPolicy();
+    const result = policy.load();
+    broadcast('policy-update', { loaded: result.loaded, errors: result.errors });
+    res.status(result.errors.length > 0 ? 400 : 200).json({ ...result, status: policy.getStatus() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── Routing Simulator ──────────────────────────────────────────────
+app.post('/api/simulate', async (req, res) => {
+  if (!rateLimit(req.ip + ':simulate', 5)) return res.status(429).json({ error: 'Rate limited' });
+  try {
+    const { config: candidate, days, limit } = req.body || {};
+    if (!candidate || typeof candidate !== 'object') return res.status(400).json({ error: 'Body must include a candidate config object' });
+    const report = await getRouter().simulate(candidate, { days: parseInt(days) || undefined, limit: parseInt(limit) || undefined });
+    res.json(report);
+  } catch (error) {
+    res.status(error.message.includes('invalid') ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// ─── Routing Decision Traces ────────────────────────────────────────
+app.get('/api/route/:taskId/explain', async (req, res) => {
+  try {
+    const traces = getDecisionTrace();
+    const trace = await traces.get(req.params.taskId);
+    if (!trace) return res.status(404).json({ error: 'No routing trace for task', taskId: req.params.taskId });
+    if (req.query.format === 'text') return res.type('text/plain').send(traces.format(trace));
+    res.json(trace);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── Live Task Output ───────────────────────────────────────────────
+// Per-task SSE: buffered backlog, then live chunks, then 'end'. Reconnects
+// resume after the Last-Event-ID sequence number.
+app.get('/api/tasks/:taskId/stream', (req, res) => {
+  const { taskId } = req.params;
+  const taskStream = getTaskStream();
+  const scheduler = getScheduler();
+  const known = taskStream.has(taskId) ||
+    scheduler.active.has(taskId) ||
+    scheduler.queue.some(item => item.id === taskId);
+  if (!known) return res.status(404).json({ error: 'No running or recent task with that ID', taskId });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const lastSeq = parseInt(req.headers['last-event-id'], 10) || 0;
+  const send = (event, data) => res.write(`id: ${data.seq}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const unsubscribe = taskStream.subscribe(taskId, {
+    onChunk: (chunk) => { if (chunk.seq > lastSeq) send('chunk', chunk); },
+    onEnd: (end) => {
+      clearInterval(keepAlive);
+      send('end', end);
+      res.end();
+    }
+  });
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+// ─── Task Artifacts ─────────────────────────────────────────────────
+// A plan ID lists the artifacts of all its steps
+app.get('/api/tasks/:taskId/artifacts', async (req, res) => {
+  try {
+    const artifacts = await getArtifacts().list(req.params.taskId);
+    res.json({ taskId: req.params.taskId, count: artifacts.length, artifacts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/tasks/:taskId/artifacts/:artifactId', async (req, res) => {
+  try {
+    const store = getArtifacts();
+    const artifact = await store.get(req.params.artifactId);
+    const { taskId } = req.params;
+    if (!artifact || (artifact.taskId !== taskId && artifact.planId !== taskId)) {
+      return res.status(404).json({ error: 'No such artifact for task', taskId, artifactId: req.params.artifactId });
+    }
+    const content = await store.read(artifact.id);
+    if (!content) return res.status(410).json({ error: 'Artifact content was not stored (over maxArtifactBytes)', artifact });
+    res.type(path.extname(artifact.name) || 'text/plain').send(content);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.use((req, res) => {
   res.status(404).json({ error: 'Not found', path: req.path });
 });
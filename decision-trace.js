@@ -0,0 +1,199 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Routing Decision Traces for OpenClaw Task Router
+ * Every route() call records which backends were considered, what each
+ * factor contributed, why candidates were rejected and what was picked,
+ * so unexpected routing can be explained after the fact.
+ *
+ * Trace shape:
+ *   {
+ *     taskId, createdAt,
+ *     task:       { description, type, urgency, complexity, fileCount, tools, source, userId },
+ *     scoring:    { complexity, urgency, toolRequirement, estimatedTokens, estimatedCost },
+ *     candidates: { backend: { available, factors: {...}, rejections: [{ factor, reason }] } },
+ *     policy:     { rule, action, fired },
+ *     selected, decidedBy,               // e.g. 'policy:multi-file-code', 'adaptive', 'health', 'default'
+ *     permissions: { profile, decidedBy, allowedTools },   // Claude Code tool profile
+ *     fallbacks:  [{ from, to, reason }],
+ *     outcome:    { status, backend, duration, error }
+ *   }
+ */
+class DecisionTrace {
+  constructor() {
+    const dataDir = process.env.ROUTER_TEST_MODE ? process.env.ROUTER_TEST_DATA_DIR : path.join(__dirname, 'data');
+    this.dataPath = path.join(dataDir, 'route-traces.json');
+    this.traces = {}; // taskId → trace
+    this.maxTraces = 500;
+    this.loaded = false;
+  }
+
+  /**
+   * Load traces from persistent storage
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const dataStr = await fs.readFile(this.dataPath, 'utf8');
+      this.traces = JSON.parse(dataStr).traces || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[TRACE] Error loading traces:', error.message);
+      }
+      this.traces = {};
+    }
+    this.loaded = true;
+  }
+
+  /**
+   * Save traces to persistent storage
+   * @returns {Promise<void>}
+   */
+  async save() {
+    try {
+      await fs.mkdir(path.dirname(this.dataPath), { recursive: true });
+      await fs.writeFile(this.dataPath, JSON.stringify({
+        traces: this.traces,
+        lastUpdated: new Date().toISOString()
+      }, null, 2));
+    } catch (error) {
+      console.error('[TRACE] Error saving traces:', error.message);
+    }
+  }
+
+  /**
+   * Start a trace for a routed task
+   * @param {string} taskId - Router task ID
+   * @param {Object} task - Normalized task
+   * @param {Object} scoring - Task scoring
+   * @returns {Object} Trace object to be filled in by the router
+   */
+  create(taskId, task, scoring) {
+    return {
+      taskId,
+      createdAt: new Date().toISOString(),
+      task: {
+        description: (task.description || '').substring(0, 200),
+        type: task.type,
+        urgency: task.urgency,
+        complexity: task.complexity,
+        fileCount: (task.files || []).length,
+        tools: task.toolsNeeded || [],
+        source: task.source || null,
+        userId: task.metadata?.userId || null
+      },
+      scoring: {
+        complexity: scoring.complexity,
+        urgency: scoring.urgency,
+        toolRequirement: scoring.toolRequirement,
+        estimatedTokens: scoring.estimatedTokens,
+        estimatedCost: scoring.estimatedCost
+      },
+      candidates: {},
+      policy: null,
+      selected: null,
+      decidedBy: null,
+      permissions: null,
+      fallbacks: [],
+      outcome: null
+    };
+  }
+
+  /**
+   * Persist a finished trace
+   * @param {Object} trace - Trace created by create()
+   * @returns {Promise<void>}
+   */
+  async record(trace) {
+    if (!this.loaded) await this.load();
+
+    this.traces[trace.taskId] = trace;
+
+    const ids = Object.keys(this.traces);
+    if (ids.length > this.maxTraces) {
+      ids
+        .sort((a, b) => new Date(this.traces[a].createdAt) - new Date(this.traces[b].createdAt))
+        .slice(0, ids.length - this.maxTraces)
+        .forEach(id => delete this.traces[id]);
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Look up the trace for a task (re-reads disk so other processes' traces are visible)
+   * @param {string} taskId - Router task ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(taskId) {
+    if (!this.traces[taskId]) await this.load();
+    return this.traces[taskId] || null;
+  }
+
+  /**
+   * Most recent traces, newest first
+   * @param {number} [limit]
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(limit = 20) {
+    if (!this.loaded) await this.load();
+    return Object.values(this.traces)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Render a trace as human-readable text
+   * @param {Object} trace
+   * @returns {string}
+   */
+  format(trace) {
+    const lines = [];
+    lines.push(`Routing decision for ${trace.taskId} (${trace.createdAt})`);
+    lines.push(`Task: ${trace.task.description}`);
+    lines.push(`  type=${trace.task.type} urgency=${trace.task.urgency} complexity=${trace.task.complexity} files=${trace.task.fileCount}` +
+      (trace.task.tools.length ? ` tools=${trace.task.tools.join(',')}` : '') +
+      (trace.task.source ? ` source=${trace.task.source}` : ''));
+    lines.push(`  estimated ${trace.scoring.estimatedTokens} tokens, $${(trace.scoring.estimatedCost || 0).toFixed(4)} on API`);
+    lines.push('');
+    lines.push('Candidates:');
+
+    for (const [backend, candidate] of Object.entries(trace.candidates)) {
+      const mark = backend === trace.selected ? '→' : candidate.available ? ' ' : '✗';
+      const factors = Object.entries(candidate.factors)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([factor, value]) => `${factor}=${value}`)
+        .join(' ');
+      lines.push(`  ${mark} ${backend.padEnd(12)} ${factors}`);
+      for (const rejection of candidate.rejections) {
+        lines.push(`      rejected (${rejection.factor}): ${rejection.reason}`);
+      }
+    }
+
+    if (trace.policy?.fired?.length) {
+      lines.push('');
+      lines.push(`Policy rules matched: ${trace.policy.fired.map(f => `${f.rule} [${f.action.join('+')}]`).join(', ')}`);
+    }
+
+    lines.push('');
+    lines.push(`Selected: ${trace.selected || 'none'} (decided by ${trace.decidedBy || 'n/a'})`);
+    if (trace.permissions) {
+      lines.push(`Permissions: ${trace.permissions.profile} (${trace.permissions.decidedBy}) — ${trace.permissions.allowedTools.join(', ')}`);
+    }
+
+    for (const fallback of trace.fallbacks) {
+      lines.push(`Fallback: ${fallback.from} → ${fallback.to} (${fallback.reason})`);
+    }
+
+    if (trace.outcome) {
+      const duration = trace.outcome.duration !== undefined ? ` in ${(trace.outcome.duration / 1000).toFixed(1)}s` : '';
+      lines.push(`Outcome: ${trace.outcome.status}${trace.outcome.backend ? ` on ${trace.outcome.backend}` : ''}${duration}` +
+        (trace.outcome.error ? ` — ${trace.outcome.error}` : ''));
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = new DecisionTrace();
@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
+const axios = require('axios');
 
 /**
  * Smart Deduplication for OpenClaw Task Router
@@ -7,24 +8,46 @@ const path = require('path');
  *
  * - Rolling window of recent tasks (last 30 min)
  * - Normalized text similarity via word overlap (Jaccard-like)
+ * - Optional semantic mode (dedup.semantic.enabled): cosine similarity of
+ *   embeddings from a local Ollama embedding model, blended with the word
+ *   overlap and judged against semantic thresholds; falls back to word
+ *   overlap alone when embeddings are unavailable
  * - Handles: same task from different channels, retries of failed tasks,
  *   and similar-but-different-scope tasks
  */
 
+const SEMANTIC_DEFAULTS = {
+  enabled: false,
+  model: 'nomic-embed-text',
+  url: null,                           // default: an Ollama endpoint from backends.local
+  weight: 0.9,                         // share of the embedding score in the blend
+  similarityThreshold: 0.85,           // blended score → flag as duplicate
+  warnThreshold: 0.70,                 // blended score → warn
+  timeoutMs: 3000,
+  retryAfterMs: 60 * 1000              // pause embedding calls after a failure
+};
+
 const DEFAULTS = {
   windowMs: 30 * 60 * 1000,           // 30 minutes
   similarityThreshold: 0.70,           // 70% word overlap → flag as duplicate
   warnThreshold: 0.50,                 // 50-70% → warn
+  semantic: SEMANTIC_DEFAULTS
 };
 
+// Embeddings kept for descriptions seen by checkSemantic() but not (yet) registered
+const EMBEDDING_CACHE_SIZE = 100;
+
 class Dedup {
   constructor() {
     const dataDir = process.env.ROUTER_TEST_MODE ? process.env.ROUTER_TEST_DATA_DIR : path.join(__dirname, 'data');
     this.persistPath = path.join(dataDir, 'recent-tasks.json');
-    this.tasks = new Map();  // taskId → { id, description, normalized, words, status, channel, registeredAt }
+    this.tasks = new Map();  // taskId → { id, description, normalized, words, embedding, embeddingModel, status, channel, registeredAt }
     this.config = DEFAULTS;
     this.loaded = false;
     this._cleanupTimer = null;
+    this._embeddingCache = new Map(); // `${model}:${normalized}` → embedding
+    this._embeddingsDownUntil = 0;
+    this.backfilling = null;          // in-flight embedding of tracked tasks that lack one
   }
 
   // ─── Persistence ─────────────────────────────────────────────
@@ -46,7 +69,7 @@ class Dedup {
         }
       }
       if (saved.config) {
-        this.config = { ...DEFAULTS, ...saved.config };
+        this.config = { ...DEFAULTS, ...saved.config, semantic: { ...SEMANTIC_DEFAULTS, ...saved.config.semantic } };
       }
       this.loaded = true;
       console.log(`[DEDUP] State loaded (${this.tasks.size} recent tasks)`);
@@ -72,6 +95,8 @@ class Dedup {
           description: t.description,
           normalized: t.normalized,
           wordsArray: [...t.words],
+          embedding: t.embedding || null,
+          embeddingModel: t.embeddingModel || null,
           status: t.status,
           channel: t.channel,
           registeredAt: t.registeredAt,
@@ -162,6 +187,111 @@ class Dedup {
     return union > 0 ? intersection / union : 0;
   }
 
+  /**
+   * Cosine similarity of two embeddings, clamped to 0-1
+   * @param {Array<number>} a
+   * @param {Array<number>} b
+   * @returns {number} 0-1
+   */
+  _cosine(a, b) {
+    if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return Math.max(0, Math.min(1, dot / Math.sqrt(normA * normB)));
+  }
+
+  /**
+   * Similarity of a task to a tracked one: word overlap, blended with the
+   * embedding similarity when both have embeddings from the same model
+   * @returns {{ similarity: number, lexical: number, semantic: number|null }}
+   */
+  _score(words, embedding, existing) {
+    const lexical = this._similarity(words, existing.words);
+    const semantic = this.config.semantic;
+    if (!embedding || !existing.embedding || existing.embeddingModel !== semantic.model) {
+      return { similarity: lexical, lexical, semantic: null };
+    }
+    const cosine = this._cosine(embedding, existing.embedding);
+    return { similarity: semantic.weight * cosine + (1 - semantic.weight) * lexical, lexical, semantic: cosine };
+  }
+
+  // ─── Embeddings ──────────────────────────────────────────────
+
+  /**
+   * Embed a normalized description with the configured Ollama model.
+   * Results are cached; failures return null and pause further calls for
+   * semantic.retryAfterMs, so checks fall back to word overlap.
+   * @param {string} normalized - Output of _normalize()
+   * @returns {Promise<Array<number>|null>}
+   */
+  async _embed(normalized) {
+    const semantic = this.config.semantic;
+    if (!semantic.enabled || !normalized) return null;
+
+    const key = `${semantic.model}:${normalized}`;
+    if (this._embeddingCache.has(key)) return this._embeddingCache.get(key);
+    if (Date.now() < this._embeddingsDownUntil) return null;
+
+    try {
+      const url = semantic.url || require('./local').ollamaUrl(semantic.model);
+      const response = await axios.post(`${url.replace(/\/+$/, '')}/api/embed`,
+        { model: semantic.model, input: normalized },
+        { timeout: semantic.timeoutMs });
+      const embedding = response.data?.embeddings?.[0];
+      if (!Array.isArray(embedding) || embedding.length === 0) {
+        throw new Error('no embedding in response');
+      }
+      this._embeddingCache.set(key, embedding);
+      if (this._embeddingCache.size > EMBEDDING_CACHE_SIZE) {
+        this._embeddingCache.delete(this._embeddingCache.keys().next().value);
+      }
+      return embedding;
+    } catch (err) {
+      console.error(`[DEDUP] Embeddings unavailable (${semantic.model}), using word overlap: ${err.message}`);
+      this._embeddingsDownUntil = Date.now() + semantic.retryAfterMs;
+      return null;
+    }
+  }
+
+  /**
+   * Make sure a tracked task has an embedding from the current model
+   * @param {Object} entry - Tracked task
+   * @returns {Promise<boolean>} Whether it has one
+   */
+  async _embedEntry(entry) {
+    const model = this.config.semantic.model;
+    if (entry.embedding && entry.embeddingModel === model) return true;
+    const embedding = await this._embed(entry.normalized);
+    if (!embedding) return false;
+    entry.embedding = embedding;
+    entry.embeddingModel = model;
+    return true;
+  }
+
+  /**
+   * Embed tracked tasks that have no embedding from the current model (kept
+   * from before semantic mode or a model change, or registered while the
+   * model was down), in parallel and off the routing path. One run at a time.
+   * @returns {Promise<void>}
+   */
+  _backfill() {
+    if (this.backfilling) return this.backfilling;
+    const model = this.config.semantic.model;
+    const missing = [...this.tasks.values()].filter(t => !t.failed && !(t.embedding && t.embeddingModel === model));
+    if (missing.length === 0) return Promise.resolve();
+
+    this.backfilling = Promise.all(missing.map(entry => this._embedEntry(entry)))
+      .then(results => { if (results.some(Boolean)) return this.save(); })
+      .catch(err => console.error('[DEDUP] Error embedding tracked tasks:', err.message))
+      .finally(() => { this.backfilling = null; });
+    return this.backfilling;
+  }
+
   /**
    * Check for numeric scope differences ("page 1-10" vs "page 11-20")
    */
@@ -174,52 +304,96 @@ class Dedup {
     return false;
   }
 
+  /**
+   * Verdict for one match against its method's thresholds
+   * @param {Object} match - { similarity, taskId, existingTask, method }
+   * @param {string} normalized - The checked task's normalized description
+   * @returns {Object} As check()
+   * @private
+   */
+  _judge(match, normalized) {
+    const { similarity, taskId, method } = match;
+    const thresholds = method === 'semantic' ? this.config.semantic : this.config;
+
+    if (similarity >= thresholds.similarityThreshold) {
+      // Even if high similarity, allow if scope is different
+      if (this._hasDifferentScope(normalized, match.existingTask.normalized)) {
+        return { isDuplicate: false, existingTaskId: taskId, similarity, recommendation: 'proceed', method };
+      }
+      return { isDuplicate: true, existingTaskId: taskId, similarity, recommendation: 'skip', method };
+    }
+
+    if (similarity >= thresholds.warnThreshold) {
+      return { isDuplicate: false, existingTaskId: taskId, similarity, recommendation: 'warn', method };
+    }
+
+    return { isDuplicate: false, existingTaskId: null, similarity, recommendation: 'proceed', method };
+  }
+
   // ─── Public API ──────────────────────────────────────────────
 
   /**
    * Check if a task is a duplicate of a recent task
    * @param {Object} task - { description, channel? }
-   * @returns {{ isDuplicate: boolean, existingTaskId: string|null, similarity: number, recommendation: 'skip'|'warn'|'proceed' }}
+   * @param {Object} [options]
+   * @param {Array<number>} [options.embedding] - The task's embedding (see checkSemantic())
+   * @returns {{ isDuplicate: boolean, existingTaskId: string|null, similarity: number, recommendation: 'skip'|'warn'|'proceed', method: 'semantic'|'lexical' }}
    */
-  check(task) {
+  check(task, options = {}) {
     this._expire(); // Clean up first
 
     const normalized = this._normalize(task.description);
     const words = this._extractWords(normalized);
+    const embedding = this.config.semantic.enabled ? options.embedding || null : null;
 
-    let bestMatch = { similarity: 0, taskId: null, existingTask: null };
-
+    // Best match per method: blended scores run higher than word overlap, so a
+    // semantic match and a lexical one are each judged by their own thresholds
+    const best = { lexical: null, semantic: null };
     for (const [id, existing] of this.tasks) {
       // Skip completed-and-failed tasks (retries should be allowed)
       if (existing.failed) continue;
 
-      const sim = this._similarity(words, existing.words);
-      if (sim > bestMatch.similarity) {
-        bestMatch = { similarity: sim, taskId: id, existingTask: existing };
-      }
-    }
-
-    const sim = bestMatch.similarity;
-
-    // Even if high similarity, allow if scope is different
-    if (sim >= this.config.similarityThreshold && bestMatch.existingTask) {
-      if (this._hasDifferentScope(normalized, bestMatch.existingTask.normalized)) {
-        console.log(`[DEDUP] High similarity (${(sim * 100).toFixed(0)}%) but different scope — allowing`);
-        return { isDuplicate: false, existingTaskId: bestMatch.taskId, similarity: sim, recommendation: 'proceed' };
+      const score = this._score(words, embedding, existing);
+      const method = score.semantic !== null ? 'semantic' : 'lexical';
+      if (!best[method] || score.similarity > best[method].similarity) {
+        best[method] = { similarity: score.similarity, taskId: id, existingTask: existing, method };
       }
     }
 
-    if (sim >= this.config.similarityThreshold) {
-      console.log(`[DEDUP] Duplicate detected (${(sim * 100).toFixed(0)}% match with ${bestMatch.taskId})`);
-      return { isDuplicate: true, existingTaskId: bestMatch.taskId, similarity: sim, recommendation: 'skip' };
+    // The stronger verdict wins (skip over warn over proceed), then the higher score
+    const rank = { skip: 2, warn: 1, proceed: 0 };
+    const verdict = [best.lexical, best.semantic]
+      .filter(Boolean)
+      .map(match => this._judge(match, normalized))
+      .sort((a, b) => rank[b.recommendation] - rank[a.recommendation] || b.similarity - a.similarity)[0] ||
+      { isDuplicate: false, existingTaskId: null, similarity: 0, recommendation: 'proceed', method: 'lexical' };
+
+    const pct = (verdict.similarity * 100).toFixed(0);
+    if (verdict.recommendation === 'skip') {
+      console.log(`[DEDUP] Duplicate detected (${pct}% ${verdict.method} match with ${verdict.existingTaskId})`);
+    } else if (verdict.recommendation === 'warn') {
+      console.log(`[DEDUP] Similar task warning (${pct}% ${verdict.method} match with ${verdict.existingTaskId})`);
+    } else if (verdict.existingTaskId) {
+      console.log(`[DEDUP] High similarity (${pct}%) but different scope — allowing`);
     }
+    return verdict;
+  }
 
-    if (sim >= this.config.warnThreshold) {
-      console.log(`[DEDUP] Similar task warning (${(sim * 100).toFixed(0)}% match with ${bestMatch.taskId})`);
-      return { isDuplicate: false, existingTaskId: bestMatch.taskId, similarity: sim, recommendation: 'warn' };
-    }
+  /**
+   * check() with embedding similarity. Makes one embedding call, for the task
+   * itself; tracked tasks are embedded when registered, and any still missing
+   * one are embedded in the background (compared by word overlap until then).
+   * Same as check() when semantic mode is off or the embedding model can't
+   * be reached.
+   * @param {Object} task - { description, channel? }
+   * @returns {Promise<Object>} As check()
+   */
+  async checkSemantic(task) {
+    if (!this.config.semantic.enabled) return this.check(task);
 
-    return { isDuplicate: false, existingTaskId: null, similarity: sim, recommendation: 'proceed' };
+    const embedding = await this._embed(this._normalize(task.description));
+    if (embedding) this._backfill();
+    return this.check(task, { embedding });
   }
 
   /**
@@ -243,6 +417,12 @@ class Dedup {
     });
 
     console.log(`[DEDUP] Registered task ${taskId}`);
+    if (this.config.semantic.enabled) {
+      // Usually cached from checkSemantic(); saved once it is attached
+      this._embedEntry(this.tasks.get(taskId))
+        .then(embedded => { if (embedded) return this.save(); })
+        .catch(err => console.error(`[DEDUP] Error embedding task ${taskId}:`, err.message));
+    }
     this.save();
   }
 
@@ -285,12 +465,13 @@ class Dedup {
 
   /**
    * Update config
-   * @param {Object} cfg - { windowMinutes?, similarityThreshold?, warnThreshold? }
+   * @param {Object} cfg - { windowMinutes?, similarityThreshold?, warnThreshold?, semantic? }
    */
   configure(cfg) {
     if (cfg.windowMinutes) this.config.windowMs = cfg.windowMinutes * 60 * 1000;
     if (cfg.similarityThreshold != null) this.config.similarityThreshold = cfg.similarityThreshold;
     if (cfg.warnThreshold != null) this.config.warnThreshold = cfg.warnThreshold;
+    if (cfg.semantic) this.config.semantic = { ...this.config.semantic, ...cfg.semantic };
     this.save();
   }
 }
@@ -4,6 +4,19 @@ const queue = require('./queue');
 const claudeCode = require('./claude-code');
 const codex = require('./codex');
 const local = require('./local');
+const localProvisioner = require('./local-provisioner');
+const api = require('./api');
+const backends = require('./backend-registry');
+const routingPolicy = require('./routing-policy');
+const decisionTrace = require('./decision-trace');
+const simulator = require('./simulator');
+const cancellation = require('./cancellation');
+const taskStream = require('./task-stream');
+const planStore = require('./plan-store');
+const planTemplates = require('./plan-templates');
+const stepApprovals = require('./step-approvals');
+const stepOutputs = require('./step-outputs');
+const artifacts = require('./artifacts');
 const planner = require('./planner');
 const scheduler = require('./scheduler');
 const notify = require('./notify');
@@ -11,6 +24,7 @@ const notify = require('./notify');
 const circuitBreaker = require('./circuit-breaker');
 const dedup = require('./dedup');
 const rateGovernor = require('./rate-governor');
+const permissionProfiles = require('./permission-profiles');
 // ── Agent 3: Session continuity + warm standby ──
 const session = require('./session');
 const warmup = require('./warmup');
@@ -28,6 +42,8 @@ class TaskRouter {
     this.config = null;
     this.initialized = false;
     this.fallbackChain = ['api', 'local']; // Final fallback order
+    this.activeTasks = new Map(); // taskId → { description, startedAt } for routes in flight
+    this.activePlans = new Map(); // planId → { cancelled, running: Map(stepId → taskId) }
   }
 
   /**
@@ -51,10 +67,13 @@ class TaskRouter {
       await queue.load();
       await scheduler.load();
 
-      // Initialize backends
-      await claudeCode.initialize();
-      await codex.initialize();
-      await local.initialize();
+      // Load the routing policy and hot-reload it on change
+      routingPolicy.load(this.config.routing?.policyFile);
+      routingPolicy.watch();
+
+      // Initialize backends (built-ins first, then adapters declared in config)
+      this.registerBackends();
+      await backends.initializeAll();
 
       // Initialize model registry
       await modelRegistry.load();
@@ -85,6 +104,11 @@ class TaskRouter {
         dedup.configure(this.config.dedup);
       }
       await rateGovernor.load();
+
+      await artifacts.load();
+      if (this.config.artifacts) {
+        artifacts.configure(this.config.artifacts);
+      }
       
       // Configure rate limits from backend config
       rateGovernor.configureRateLimits(this.config);
@@ -106,6 +130,13 @@ class TaskRouter {
         console.log('[ROUTER] Warm standby started');
       }
 
+      // Pull missing local models and benchmark them in the background
+      if (this.config.backends.local?.enabled && this.config.backends.local.provisioning?.onStartup) {
+        localProvisioner.provision().catch(error => {
+          console.error('[ROUTER] Local model provisioning failed:', error.message);
+        });
+      }
+
       this.initialized = true;
       console.log('[ROUTER] Initialization complete');
 
@@ -130,7 +161,7 @@ class TaskRouter {
       local: 'Local'
     };
 
-    const backendName = backendNames[backend] || backend;
+    const backendName = backendNames[backend] || backends.getDisplayName(backend);
     const duration = Math.round(scoring.estimatedTokens / 1000); // Rough time estimate in minutes
     const cost = scoring.estimatedCost;
 
@@ -156,6 +187,11 @@ class TaskRouter {
    * @param {Object} task - Task object with description, type, urgency, complexity, toolsNeeded, files, outputPath
    * @param {Object} [options] - Routing options
    * @param {boolean} [options.plan] - If true, return a plan without executing
+   * @param {string} [options.decomposition] - Plan mode only: 'llm' or 'heuristic' (overrides planner.decomposition.mode)
+   * @param {string} [options.template] - Build the plan from this plan template and run it (see plan-templates.js)
+   * @param {Object} [options.params] - Values for the template's params
+   * @param {string} [options.taskId] - Run under this ID (queues pass their own so cancel() reaches the backend)
+   * @param {string} [options.continueFrom] - Continue this earlier task's Claude Code session (runs on claudeCode)
    * @returns {Promise<Object>} Routing result or Plan
    */
   async route(task, options = {}) {
@@ -163,8 +199,17 @@ class TaskRouter {
       await this.initialize();
     }
 
+    // An unknown permission profile is the caller's mistake: reject it before
+    // anything is routed, recorded or sent down the fallback chain
+    if (task?.permissionProfile) permissionProfiles.get(task.permissionProfile);
+
+    // ── Follow-up: resume the earlier task's Claude Code session ──
+    if (options.continueFrom) {
+      task = this._continueSession(task, options.continueFrom, options);
+    }
+
     // ── Agent 2: Confidence-based self-handling ──
-    if (this.config.confidence?.enabled !== false && !options.plan && !options.skipConfidence) {
+    if (this.config.confidence?.enabled !== false && !options.plan && !options.template && !options.continueFrom && !options.skipConfidence) {
       const confidence = planner.assessConfidence(task);
       if (confidence.recommendation === 'self') {
         console.log(`[ROUTER] Self-handle (confidence ${confidence.score}%): ${confidence.reason}`);
@@ -176,8 +221,8 @@ class TaskRouter {
     }
 
     // ── Agent 2: Dedup check ──
-    if (this.config.dedup?.enabled !== false && !options.plan && !options.skipDedup) {
-      const dedupResult = dedup.check(task);
+    if (this.config.dedup?.enabled !== false && !options.plan && !options.template && !options.continueFrom && !options.skipDedup) {
+      const dedupResult = await dedup.checkSemantic(task);
       if (dedupResult.isDuplicate) {
         console.log(`[ROUTER] Duplicate detected (${(dedupResult.similarity * 100).toFixed(0)}% match with ${dedupResult.existingTaskId})`);
         return {
@@ -195,37 +240,31 @@ class TaskRouter {
       }
     }
 
-    // ── Plan mode: decompose and return plan without executing ──
-    if (options.plan) {
-      const plan = planner.decompose(task);
+    // ── Template: build the plan from a stored template instead of decomposing ──
+    if (options.template) {
+      const plan = await planTemplates.instantiate(options.template, options.params, task);
       const costBreakdown = planner.estimateCost(plan);
-      const formatted = planner.formatPlanForUser(plan);
-
-      const threshold = this.config.notifications?.autoApproveThresholdUsd
-        ?? this.config.planner?.approvalThresholdUsd ?? 2;
+      console.log(`[ROUTER] Plan ${plan.id} from template ${options.template} (${plan.steps.length} steps)`);
 
-      // If cost exceeds threshold, send approval notification and store as pending
-      if (costBreakdown.totalApiCost > threshold) {
-        if (this.config.notifications?.enabled !== false) {
-          notify.sendPlanApproval(plan, costBreakdown);
-        } else {
-          notify.storePendingPlan(plan.id, plan, costBreakdown);
-        }
+      // Plans over the approval threshold wait for approval like any other plan
+      if (options.plan || costBreakdown.totalApiCost > this._approvalThreshold()) {
+        return this._offerPlan(plan, costBreakdown);
       }
+      return await this.executePlan(plan);
+    }
 
-      return {
-        mode: 'plan',
-        plan,
-        costBreakdown,
-        formatted,
-        needsApproval: costBreakdown.needsApproval
-      };
+    // ── Plan mode: decompose and return plan without executing ──
+    if (options.plan) {
+      const plan = await planner.decomposeWithModel(task, { mode: options.decomposition });
+      return this._offerPlan(plan, planner.estimateCost(plan));
     }
 
     const startTime = Date.now();
-    const taskId = `route_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const taskId = options.taskId || `route_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
 
     console.log(`[ROUTER] Routing task ${taskId}: ${task.description?.substring(0, 100)}...`);
+    this.activeTasks.set(taskId, { description: task.description, startedAt: new Date().toISOString() });
+    taskStream.open(taskId);
 
     // ── Agent 3: Register task in active context ──
     if (this.config.session?.enabled !== false) {
@@ -241,19 +280,29 @@ class TaskRouter {
       }
     }
 
+    let trace = null;
+    let normalizedTask = null;
+
     try {
       // Validate and normalize task
-      const normalizedTask = this.normalizeTask(task);
+      normalizedTask = this.normalizeTask(task);
 
       // Score task on multiple dimensions
       const scoring = await this.scoreTask(normalizedTask);
 
-      // Determine optimal backend
-      const backend = await this.selectBackend(normalizedTask, scoring);
+      // Determine optimal backend, recording why (see `cli.js explain <taskId>`)
+      trace = decisionTrace.create(taskId, normalizedTask, scoring);
+      const backend = await this.selectBackend(normalizedTask, scoring, trace);
 
       // Check if task should be queued instead of executed immediately
       if (this.shouldQueue(normalizedTask, backend)) {
         const queueResult = await this.enqueueTask(normalizedTask, backend);
+        this._tracePermissions(trace, normalizedTask, backend);
+        trace.outcome = { status: 'queued', backend, queueTaskId: queueResult };
+        await decisionTrace.record(trace);
+        this.activeTasks.delete(taskId);
+        cancellation.clear(taskId);
+        taskStream.end(taskId, 'queued');
         const queueSpeakable = `Task queued for ${backend} execution. I'll let you know when it's done.`;
         return {
           success: true,
@@ -268,28 +317,18 @@ class TaskRouter {
       }
 
       // Execute task with selected backend
-      const result = await this.executeWithBackend(backend, normalizedTask, scoring);
-
-      // Record success
-      await monitor.recordResult(backend, normalizedTask, true, result.duration, result.tokens);
-
-      // ── Agent 2: Register completed task in dedup tracker ──
-      if (this.config.dedup?.enabled !== false) {
-        dedup.register(taskId, normalizedTask);
-        dedup.complete(taskId);
-      }
+      const result = await this.executeWithBackend(backend, normalizedTask, scoring, { taskId, trace });
+      this._tracePermissions(trace, normalizedTask, result.backend || backend);
+      trace.outcome = {
+        status: 'completed',
+        backend: result.backend || backend,
+        duration: result.duration
+      };
+      await decisionTrace.record(trace);
+      await this._completeRoute(taskId, normalizedTask, backend, result);
 
       console.log(`[ROUTER] Task ${taskId} completed via ${backend} in ${(result.duration / 1000).toFixed(1)}s`);
 
-      // ── Agent 3: Mark task complete in active context ──
-      if (this.config.session?.enabled !== false) {
-        await session.completeTask(taskId, {
-          duration: result.duration,
-          cost: result.cost,
-          outputPath: result.outputPath
-        });
-      }
-
       // Generate speakable result for voice interface
       const speakableResult = this.generateSpeakableResult(backend, scoring, result);
       const confirmationNeeded = scoring.estimatedCost > 2;
@@ -312,6 +351,9 @@ class TaskRouter {
         taskId,
         routing: {
           selectedBackend: backend,
+          policyRule: scoring.policy?.rule || null,
+          decidedBy: trace.decidedBy,
+          fallbacks: trace.fallbacks,
           scoring,
           duration: Date.now() - startTime
         },
@@ -320,30 +362,91 @@ class TaskRouter {
       };
 
     } catch (error) {
+      if (trace) this._tracePermissions(trace, normalizedTask, trace.selected);
+      let failure = error;
+
+      // Try fallback unless cancelled or already on final fallback. The task stays in
+      // activeTasks until the fallback settles, so router.cancel(taskId) still reaches it.
+      if (!cancellation.isCancellation(error) && !cancellation.isCancelled(taskId)) {
+        console.error(`[ROUTER] Task ${taskId} failed:`, error.message);
+
+        if (trace) {
+          trace.outcome = { status: 'failed', backend: trace.selected, duration: Date.now() - startTime, error: error.message };
+        }
+
+        // A task that failed validation has nothing to fall back with
+        if (normalizedTask && !error.message.includes('All fallbacks exhausted')) {
+          try {
+            const fallbackResult = await this.executeFallback(normalizedTask, error.message, { taskId });
+            if (trace) {
+              trace.fallbacks.push({ from: trace.selected, to: fallbackResult.fallbackUsed, reason: `fallback chain: ${error.message}` });
+              this._tracePermissions(trace, normalizedTask, fallbackResult.fallbackUsed);
+              trace.outcome = { status: 'completed', backend: fallbackResult.fallbackUsed, duration: Date.now() - startTime };
+              await decisionTrace.record(trace);
+            }
+            await this._completeRoute(taskId, normalizedTask, fallbackResult.fallbackUsed, fallbackResult);
+            console.log(`[ROUTER] Task ${taskId} completed via fallback ${fallbackResult.fallbackUsed}`);
+
+            const fallbackSpeakable = `Had to use fallback routing, but task completed successfully.`;
+            return {
+              ...fallbackResult,
+              taskId,
+              fallback: true,
+              originalError: error.message,
+              duration: Date.now() - startTime,
+              speakableResult: fallbackSpeakable,
+              confirmationNeeded: false
+            };
+          } catch (fallbackError) {
+            if (!cancellation.isCancellation(fallbackError) && !cancellation.isCancelled(taskId)) {
+              // Record final failure
+              this.activeTasks.delete(taskId);
+              taskStream.end(taskId, 'failed');
+              if (trace) {
+                trace.outcome.error = `${error.message}; fallbacks exhausted: ${fallbackError.message}`;
+                await decisionTrace.record(trace);
+              }
+              await monitor.recordResult('api', task, false, Date.now() - startTime, 0);
+              throw new Error(`All fallbacks exhausted: ${fallbackError.message}`);
+            }
+            failure = fallbackError;
+          }
+        }
+      }
+
       const duration = Date.now() - startTime;
-      console.error(`[ROUTER] Task ${taskId} failed:`, error.message);
-
-      // Try fallback if not already on final fallback
-      if (!error.message.includes('All fallbacks exhausted')) {
-        try {
-          const fallbackResult = await this.executeFallback(task, error.message);
-          const fallbackSpeakable = `Had to use fallback routing, but task completed successfully.`;
-          return {
-            ...fallbackResult,
-            taskId,
-            fallback: true,
-            originalError: error.message,
-            duration,
-            speakableResult: fallbackSpeakable,
-            confirmationNeeded: false
-          };
-        } catch (fallbackError) {
-          // Record final failure
-          await monitor.recordResult('api', task, false, duration, 0);
-          throw new Error(`All fallbacks exhausted: ${fallbackError.message}`);
+      this.activeTasks.delete(taskId);
+
+      // Cancelled: no (further) fallback, no failure stats — just reconcile state
+      if (cancellation.isCancellation(failure) || cancellation.isCancelled(taskId)) {
+        console.log(`[ROUTER] Task ${taskId} cancelled after ${(duration / 1000).toFixed(1)}s`);
+        cancellation.clear(taskId);
+        taskStream.end(taskId, 'cancelled');
+        if (trace) {
+          trace.outcome = { status: 'cancelled', backend: trace.selected, duration };
+          await decisionTrace.record(trace);
+        }
+        if (this.config.dedup?.enabled !== false) {
+          dedup.register(taskId, task);
+          dedup.complete(taskId, { failed: true });
+        }
+        if (this.config.session?.enabled !== false) {
+          await session.cancelTask(taskId);
         }
+        return {
+          success: false,
+          cancelled: true,
+          taskId,
+          backend: trace?.selected || null,
+          duration,
+          message: `Task ${taskId} cancelled`,
+          speakableResult: 'Task cancelled.',
+          confirmationNeeded: false
+        };
       }
 
+      taskStream.end(taskId, 'failed');
+      if (trace) await decisionTrace.record(trace);
       await monitor.recordResult('unknown', task, false, duration, 0);
 
       // ── Agent 2: Mark failed task in dedup (allows retries) ──
@@ -362,11 +465,55 @@ class TaskRouter {
   }
 
   /**
-   * Execute a previously-approved plan (multi-route execution)
+   * Bookkeeping for a routed task that completed, on its selected backend or
+   * on a fallback: active-task and cancellation state, stream, monitor,
+   * artifacts, dedup tracker and session context
+   * @param {string} taskId
+   * @param {Object} task - Normalized task
+   * @param {string} backend - Backend the task was routed to
+   * @param {Object} result - Execution result
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _completeRoute(taskId, task, backend, result) {
+    if (result.sessionLink && this.config.session?.enabled !== false) {
+      await session.linkClaudeSession(taskId, { ...result.sessionLink, continuedFrom: task.continueSession?.fromTaskId },
+        this.config.backends.claudeCode.sessionResetHours);
+    }
+
+    this.activeTasks.delete(taskId);
+    cancellation.clear(taskId);
+    taskStream.end(taskId, 'completed');
+
+    // Record success
+    await monitor.recordResult(backend, task, true, result.duration, result.tokens);
+    await this._recordArtifacts(taskId, result, { backend: result.backend || backend });
+
+    // ── Agent 2: Register completed task in dedup tracker ──
+    if (this.config.dedup?.enabled !== false) {
+      dedup.register(taskId, task);
+      dedup.complete(taskId);
+    }
+
+    // ── Agent 3: Mark task complete in active context ──
+    if (this.config.session?.enabled !== false) {
+      await session.completeTask(taskId, {
+        duration: result.duration,
+        cost: result.cost,
+        outputPath: result.outputPath
+      });
+    }
+  }
+
+  /**
+   * Execute a previously-approved plan (multi-route execution).
+   * Wave state is checkpointed to plan-store.js after every step.
    * @param {Object} plan - Plan from planner.decompose() or route({plan:true})
+   * @param {Object} [options]
+   * @param {Object} [options.resumeFrom] - Saved run to continue (see resumePlan)
    * @returns {Promise<Object>} Execution results
    */
-  async executePlan(plan) {
+  async executePlan(plan, options = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -377,17 +524,56 @@ class TaskRouter {
       throw new Error('Plan has no steps to execute');
     }
 
-    console.log(`[ROUTER] Executing plan ${plan.id} with ${steps.length} steps`);
+    const run = options.resumeFrom || null;
+    console.log(`[ROUTER] ${run ? 'Resuming' : 'Executing'} plan ${plan.id} with ${steps.length} steps`);
 
     const results = {};   // stepId → result
     const errors  = {};   // stepId → error
     const context = {};   // stepId → output (for passing between steps)
+    const outputs = {};   // stepId → structured output (steps that declare `output`)
 
     // Build dependency lookup
     const dependents = {}; // stepId → [stepIds that depend on it]
     const remaining  = new Set(steps.map(s => s.id));
     const completed  = new Set();
     const failed     = new Set();
+    const cancelled  = new Set();
+    const skipped    = new Set();
+
+    // Resuming: finished steps keep their results; everything else runs again
+    if (run) {
+      for (const stepId of [...run.completed, ...run.skipped]) {
+        if (!remaining.has(stepId)) continue;
+        remaining.delete(stepId);
+        if (run.completed.includes(stepId)) {
+          completed.add(stepId);
+          results[stepId] = run.results[stepId];
+          context[stepId] = run.context[stepId];
+          await this._restoreStepOutput(steps.find(s => s.id === stepId), results[stepId], outputs);
+        } else {
+          skipped.add(stepId);
+          errors[stepId] = run.errors[stepId];
+        }
+      }
+      for (const step of steps) {
+        if (remaining.has(step.id)) delete step.status;
+      }
+      console.log(`[ROUTER] Plan ${plan.id}: ${completed.size + skipped.size} step(s) restored from checkpoint`);
+    }
+
+    const checkpoint = (status, resumed = false) => planStore.checkpoint({
+      plan, status, results, errors, context, completed, skipped, resumed
+    });
+
+    // Running step task IDs are tracked so cancel(planId) can stop them mid-flight
+    const planState = { cancelled: false, running: new Map() };
+    this.activePlans.set(plan.id, planState);
+    const markCancelled = (step) => {
+      step.status = 'cancelled';
+      errors[step.id] = 'Cancelled';
+      cancelled.add(step.id);
+      remaining.delete(step.id);
+    };
 
     for (const step of steps) {
       for (const depId of step.dependencies) {
@@ -396,14 +582,65 @@ class TaskRouter {
       }
     }
 
+    await checkpoint('running', Boolean(run));
+
+    // Steps flagged requiresApproval wait at their gate first; other ready steps run meanwhile
+    const runStep = async (step, stepTaskId) => {
+      if (step.requiresApproval && !step.approval) {
+        step.status = 'awaiting-approval';
+        await checkpoint('running');
+        step.approval = await this._awaitStepApproval(plan, step, context, stepTaskId);
+        delete step.status;
+      }
+      return await this._executeStep(step, context, stepTaskId, outputs);
+    };
+
+    // Structured outputs go to disk; results keep only their type and path
+    const complete = async (step, result) => {
+      if (result.structuredOutput) {
+        const { type, data } = result.structuredOutput;
+        const file = await stepOutputs.save(plan.id, step.id, result.structuredOutput);
+        outputs[step.id] = { stepId: step.id, key: step.key, index: step.index, type, data, path: file };
+        result.structuredOutput = { type, path: file };
+      }
+      await this._recordArtifacts(this._stepTaskId(plan, step), result, { planId: plan.id, stepId: step.id });
+      results[step.id] = result;
+      context[step.id] = this._extractContext(result);
+      completed.add(step.id);
+      remaining.delete(step.id);
+      step.status = 'completed';
+    };
+
     // Process steps in waves — all steps with satisfied dependencies run in parallel
     while (remaining.size > 0) {
-      // Find steps whose dependencies are all satisfied
-      const ready = steps.filter(s =>
+      if (planState.cancelled) {
+        steps.filter(s => remaining.has(s.id)).forEach(markCancelled);
+        break;
+      }
+
+      // Find steps whose dependencies have all completed or been skipped
+      const unblocked = steps.filter(s =>
         remaining.has(s.id) &&
-        s.dependencies.every(d => completed.has(d))
+        s.dependencies.every(d => completed.has(d) || skipped.has(d))
       );
 
+      // Conditional steps run only if their condition holds on the prior step's output
+      const ready = [];
+      for (const step of unblocked) {
+        if (!step.condition || planner.evaluateCondition(step.condition, context[step.condition.step])) {
+          ready.push(step);
+          continue;
+        }
+        const reason = planner.describeCondition(step.condition, plan);
+        console.log(`[ROUTER] Step ${step.index + 1} skipped — condition not met: ${reason}`);
+        step.status = 'skipped';
+        errors[step.id] = `Skipped (condition not met): ${reason}`;
+        skipped.add(step.id);
+        remaining.delete(step.id);
+      }
+      if (ready.length < unblocked.length) await checkpoint('running');
+      if (ready.length === 0 && unblocked.length > 0) continue;
+
       if (ready.length === 0) {
         // Check if remaining steps are blocked by failed critical dependencies
         const blocked = steps.filter(s => remaining.has(s.id));
@@ -424,68 +661,83 @@ class TaskRouter {
       }
 
       // Execute ready steps in parallel
-      const promises = ready.map(step => this._executeStep(step, context));
+      for (const step of ready) {
+        planState.running.set(step.id, this._stepTaskId(plan, step));
+        taskStream.open(this._stepTaskId(plan, step));
+      }
+      const promises = ready.map(step => runStep(step, this._stepTaskId(plan, step)));
       const settled = await Promise.allSettled(promises);
 
       for (let i = 0; i < ready.length; i++) {
         const step = ready[i];
         const outcome = settled[i];
+        const stepTaskId = this._stepTaskId(plan, step);
 
         if (outcome.status === 'fulfilled') {
-          results[step.id] = outcome.value;
-          context[step.id] = this._extractContext(outcome.value);
-          completed.add(step.id);
-          remaining.delete(step.id);
+          await complete(step, outcome.value);
 
           console.log(`[ROUTER] Step ${step.index + 1}/${steps.length} completed: ${step.description.substring(0, 60)}`);
+        } else if (planState.cancelled || cancellation.isCancellation(outcome.reason)) {
+          // Cancelled steps are never retried or sent to a fallback backend
+          markCancelled(step);
+        } else if (['LOOP_EXHAUSTED', 'STEP_REJECTED'].includes(outcome.reason?.code)) {
+          // Rejected steps must not run; exhausted loops already re-ran the step
+          this._handleStepFailure(step, outcome.reason.message, errors, failed, remaining);
         } else {
           const errMsg = outcome.reason?.message || String(outcome.reason);
 
           // Retry once on same backend
           console.log(`[ROUTER] Step ${step.index + 1} failed, retrying: ${errMsg}`);
           try {
-            const retryResult = await this._executeStep(step, context);
-            results[step.id] = retryResult;
-            context[step.id] = this._extractContext(retryResult);
-            completed.add(step.id);
-            remaining.delete(step.id);
+            await complete(step, await this._executeStep(step, context, stepTaskId, outputs));
           } catch (retryErr) {
             // Try fallback backend
             const fallbackBackend = this.getNextFallback(
               step.backend === 'claude-code' ? 'claudeCode' : step.backend
             );
-            if (fallbackBackend) {
+            if (cancellation.isCancellation(retryErr)) {
+              markCancelled(step);
+            } else if (fallbackBackend) {
               console.log(`[ROUTER] Step ${step.index + 1} fallback → ${fallbackBackend}`);
               try {
-                const fbResult = await this._executeStepOnBackend(step, context, fallbackBackend);
-                results[step.id] = fbResult;
-                context[step.id] = this._extractContext(fbResult);
-                completed.add(step.id);
-                remaining.delete(step.id);
+                await complete(step, await this._executeStepOnBackend(step, context, fallbackBackend, stepTaskId, outputs));
               } catch (fbErr) {
-                this._handleStepFailure(step, fbErr.message, errors, failed, remaining);
+                if (cancellation.isCancellation(fbErr)) markCancelled(step);
+                else this._handleStepFailure(step, fbErr.message, errors, failed, remaining);
               }
             } else {
               this._handleStepFailure(step, retryErr.message, errors, failed, remaining);
             }
           }
         }
+        planState.running.delete(step.id);
+        cancellation.clear(stepTaskId);
+        taskStream.end(stepTaskId, step.status);
+        if (step.status === 'skipped') skipped.add(step.id);
+        await checkpoint('running');
       }
     }
 
+    this.activePlans.delete(plan.id);
+    const finished = completed.size + skipped.size === steps.length;
+    await checkpoint(planState.cancelled ? 'cancelled' : finished ? 'completed' : 'failed');
+
     const duration = Date.now() - startTime;
     const totalSteps = steps.length;
     const completedCount = completed.size;
     const failedCount = failed.size;
 
-    console.log(`[ROUTER] Plan ${plan.id} finished: ${completedCount}/${totalSteps} steps completed in ${(duration / 1000).toFixed(1)}s`);
+    console.log(`[ROUTER] Plan ${plan.id} ${planState.cancelled ? 'cancelled' : 'finished'}: ${completedCount}/${totalSteps} steps completed in ${(duration / 1000).toFixed(1)}s`);
 
     return {
       planId: plan.id,
-      success: failedCount === 0,
+      success: failedCount === 0 && !planState.cancelled,
+      cancelled: planState.cancelled,
       totalSteps,
       completedSteps: completedCount,
       failedSteps: failedCount,
+      cancelledSteps: cancelled.size,
+      resumed: Boolean(run),
       results,
       errors: Object.keys(errors).length > 0 ? errors : undefined,
       context,
@@ -493,6 +745,123 @@ class TaskRouter {
     };
   }
 
+  /**
+   * Resume an interrupted, failed or cancelled plan from its last checkpoint.
+   * Completed (and skipped optional) steps are not run again.
+   * @param {string} planId - Plan ID
+   * @returns {Promise<Object>} Execution results
+   */
+  async resumePlan(planId) {
+    const run = await planStore.get(planId);
+    if (!run) {
+      throw new Error(`Plan ${planId} has no saved execution state`);
+    }
+    if (run.status === 'running' && !planStore.isInterrupted(run, new Set(this.activePlans.keys()))) {
+      throw new Error(`Plan ${planId} is still running`);
+    }
+    if (run.status === 'completed') {
+      throw new Error(`Plan ${planId} already completed`);
+    }
+
+    console.log(`[ROUTER] Plan ${planId} resuming (${run.completed.length}/${run.plan.steps.length} steps done, was ${run.status})`);
+    return await this.executePlan(run.plan, { resumeFrom: run });
+  }
+
+  /**
+   * Plan runs with checkpointed state, newest first
+   * @param {Object} [options]
+   * @param {boolean} [options.resumableOnly] - Only interrupted, failed or cancelled runs
+   * @returns {Promise<Array<Object>>}
+   */
+  async listPlanRuns(options = {}) {
+    return await planStore.list({ ...options, activeIds: new Set(this.activePlans.keys()) });
+  }
+
+  /**
+   * @private API cost above which plans need approval
+   */
+  _approvalThreshold() {
+    return this.config.notifications?.autoApproveThresholdUsd
+      ?? this.config.planner?.approvalThresholdUsd ?? 2;
+  }
+
+  /**
+   * @private Store a plan as pending (so it can be edited or approved) and
+   * send an approval request if its cost exceeds the threshold
+   * @returns {Object} Plan-mode result
+   */
+  _offerPlan(plan, costBreakdown) {
+    if (costBreakdown.totalApiCost > this._approvalThreshold() && this.config.notifications?.enabled !== false) {
+      notify.sendPlanApproval(plan, costBreakdown);
+    } else {
+      notify.storePendingPlan(plan.id, plan, costBreakdown);
+    }
+
+    return {
+      mode: 'plan',
+      plan,
+      costBreakdown,
+      formatted: planner.formatPlanForUser(plan),
+      needsApproval: costBreakdown.needsApproval
+    };
+  }
+
+  /**
+   * @private Turn a task into a follow-up of an earlier task: it runs on
+   * Claude Code and resumes that task's session (see session.linkClaudeSession)
+   * @throws {Error} code 'INVALID_CONTINUATION', 'CLAUDE_SESSION_NOT_FOUND' or 'CLAUDE_SESSION_EXPIRED'
+   */
+  _continueSession(task, fromTaskId, options = {}) {
+    const fail = (code, message) => {
+      const error = new Error(message);
+      error.code = code;
+      throw error;
+    };
+    if (options.plan || options.template) {
+      fail('INVALID_CONTINUATION', 'continueFrom applies to single tasks, not plans');
+    }
+
+    const link = this.config.session?.enabled !== false ? session.getClaudeSession(fromTaskId) : null;
+    if (!link) fail('CLAUDE_SESSION_NOT_FOUND', `No Claude Code session recorded for task ${fromTaskId}`);
+    if (link.expired) fail('CLAUDE_SESSION_EXPIRED', `Claude Code session of task ${fromTaskId} expired at ${link.expiresAt}`);
+
+    console.log(`[ROUTER] Continuing ${fromTaskId} in Claude Code session ${link.sessionId}`);
+    return {
+      ...task,
+      forceBackend: 'claudeCode',
+      continueSession: { fromTaskId, sessionId: link.sessionId, cwd: link.cwd, sourceDir: link.sourceDir, workspace: link.workspace, commit: link.commit }
+    };
+  }
+
+  /**
+   * Edit a pending plan before approval (see planner.applyEdits for the edit ops).
+   * Costs and the dependency graph are recomputed and the pending entry replaced.
+   * @param {string} planId - Pending plan ID
+   * @param {Object|Array<Object>} edits - One edit or a list applied in order
+   * @returns {Object} { plan, costBreakdown, formatted, needsApproval }
+   * @throws {Error} code 'PLAN_NOT_FOUND' or 'INVALID_PLAN_EDIT'
+   */
+  editPlan(planId, edits) {
+    const pending = notify.getPendingPlan(planId);
+    if (!pending) {
+      const error = new Error(`Plan ${planId} not found or expired`);
+      error.code = 'PLAN_NOT_FOUND';
+      throw error;
+    }
+
+    const plan = planner.applyEdits(pending.plan, edits);
+    const costBreakdown = planner.estimateCost(plan);
+    notify.storePendingPlan(planId, plan, costBreakdown);
+
+    console.log(`[ROUTER] Plan ${planId} edited (revision ${plan.revision}, ${plan.steps.length} steps, $${costBreakdown.totalApiCost.toFixed(2)})`);
+    return {
+      plan,
+      costBreakdown,
+      formatted: planner.formatPlanForUser(plan),
+      needsApproval: costBreakdown.needsApproval
+    };
+  }
+
   /**
    * Approve a pending plan and execute it
    * @param {string} planId - Plan ID to approve
@@ -527,16 +896,121 @@ class TaskRouter {
   }
 
   /**
-   * Cancel a pending plan
+   * Approve a plan step waiting at its approval gate; the plan continues with it
+   * @param {string} planId
+   * @param {string|number} stepRef - Step ID or 1-based step number
+   * @param {Object} [options] - { note, by }
+   * @returns {Promise<Object>} The decided gate
+   * @throws {Error} code 'APPROVAL_NOT_FOUND'
+   */
+  async approveStep(planId, stepRef, options = {}) {
+    return await stepApprovals.decide(planId, stepRef, true, options);
+  }
+
+  /**
+   * Reject a plan step waiting at its approval gate. The step does not run and
+   * fails like any other step (skipped if it is optional).
+   * @param {string} planId
+   * @param {string|number} stepRef - Step ID or 1-based step number
+   * @param {Object} [options] - { note, by }
+   * @returns {Promise<Object>} The decided gate
+   * @throws {Error} code 'APPROVAL_NOT_FOUND'
+   */
+  async rejectStep(planId, stepRef, options = {}) {
+    return await stepApprovals.decide(planId, stepRef, false, options);
+  }
+
+  /**
+   * Plan steps waiting for approval
+   * @param {Object} [options] - { planId }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listStepApprovals(options = {}) {
+    return await stepApprovals.listPending(options);
+  }
+
+  /**
+   * Artifacts recorded for a task, or for every step of a plan
+   * @param {string} taskId - Task, plan or `${planId}:${stepId}` ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async listArtifacts(taskId) {
+    return await artifacts.list(taskId);
+  }
+
+  /**
+   * Cancel a pending or running plan. Running steps are stopped in the
+   * background; use cancel() to wait for the backends to confirm.
    * @param {string} planId - Plan ID to cancel
    * @returns {boolean} Whether the plan was found and cancelled
    */
   cancelPlan(planId) {
     const removed = notify.removePendingPlan(planId);
-    if (removed) {
+    const running = this.activePlans.has(planId);
+    if (running) {
+      this._cancelRunningPlan(planId, 'Plan cancelled').catch(error => {
+        console.error(`[ROUTER] Failed to stop plan ${planId}:`, error.message);
+      });
+    }
+    if (removed || running) {
       console.log(`[ROUTER] Plan ${planId} cancelled`);
     }
-    return removed;
+    return removed || running;
+  }
+
+  /**
+   * Cancel a task or plan end to end: drop it from the queues, stop the
+   * backend running it (process tree or HTTP request), mark plan steps
+   * cancelled and free its scheduler slot. Accepts router task IDs,
+   * scheduler/queue IDs and plan IDs.
+   * @param {string} id - Task or plan ID
+   * @param {Object} [options]
+   * @param {string} [options.reason] - Recorded on the cancelled task
+   * @returns {Promise<Object>} { cancelled, id, scopes, stoppedOn }
+   */
+  async cancel(id, options = {}) {
+    const reason = options.reason || 'Cancelled by user';
+    const scopes = [];
+    const stoppedOn = [];
+
+    if (notify.removePendingPlan(id)) scopes.push('pending-plan');
+    if (this.activePlans.has(id)) {
+      stoppedOn.push(...await this._cancelRunningPlan(id, reason));
+      scopes.push('plan');
+    }
+
+    if (await scheduler.cancel(id)) scopes.push('scheduler');
+    if (await queue.cancel(id)) scopes.push('queue');
+
+    if (this.activeTasks.has(id)) {
+      cancellation.markCancelled(id, reason);
+      stoppedOn.push(...await backends.cancelEverywhere(id));
+      scopes.push('route');
+    }
+
+    if (scopes.length > 0) {
+      console.log(`[ROUTER] Cancelled ${id} (${scopes.join(', ')})${stoppedOn.length ? ` — stopped on ${[...new Set(stoppedOn)].join(', ')}` : ''}`);
+    }
+
+    return { cancelled: scopes.length > 0, id, scopes, stoppedOn: [...new Set(stoppedOn)] };
+  }
+
+  /**
+   * @private Flag a running plan so no new wave starts, and stop its in-flight steps
+   * @returns {Promise<Array<string>>} Backends that reported a cancellation
+   */
+  async _cancelRunningPlan(planId, reason) {
+    const planState = this.activePlans.get(planId);
+    if (!planState) return [];
+
+    planState.cancelled = true;
+    stepApprovals.abortPlan(planId, reason);
+    const stoppedOn = [];
+    for (const stepTaskId of planState.running.values()) {
+      cancellation.markCancelled(stepTaskId, reason);
+      stoppedOn.push(...await backends.cancelEverywhere(stepTaskId));
+    }
+    return stoppedOn;
   }
 
   /**
@@ -550,26 +1024,126 @@ class TaskRouter {
   /**
    * @private Execute a single plan step
    */
-  async _executeStep(step, priorContext) {
-    const backendKey = this._backendKey(step.backend);
-    const task = this._stepToTask(step, priorContext);
-    const scoring = await this.scoreTask(task);
-    return await this.executeWithBackend(backendKey, task, scoring);
+  async _executeStep(step, priorContext, taskId, outputs = {}) {
+    return await this._executeStepOnBackend(step, priorContext, this._backendKey(step.backend), taskId, outputs);
   }
 
   /**
-   * @private Execute a step on a specific backend (for fallback)
+   * @private Pause a step at its approval gate: record the gate, notify with
+   * the output of the steps it depends on, and wait for a decision
+   * @returns {Promise<Object>} { approvedAt, by, note }
+   * @throws {Error} code 'STEP_REJECTED', or a cancellation error if the plan is cancelled
    */
-  async _executeStepOnBackend(step, priorContext, backendKey) {
-    const task = this._stepToTask(step, priorContext);
+  async _awaitStepApproval(plan, step, context, stepTaskId) {
+    const priorOutput = step.dependencies
+      .filter(depId => context[depId])
+      .map(depId => context[depId])
+      .join('\n---\n');
+
+    const gate = await stepApprovals.request(plan, step, priorOutput);
+    notify.sendStepApproval(gate);
+
+    const timeoutMinutes = this.config.planner?.stepApprovalTimeoutMinutes || 0;
+    const decision = await stepApprovals.wait(plan.id, step.id, { timeoutMs: timeoutMinutes * 60000 });
+
+    if (decision.status === 'cancelled') {
+      throw cancellation.error(stepTaskId, step.backend);
+    }
+    if (decision.status === 'rejected') {
+      const error = new Error(`Step rejected${decision.decidedBy ? ` via ${decision.decidedBy}` : ''}${decision.note ? `: ${decision.note}` : ''}`);
+      error.code = 'STEP_REJECTED';
+      throw error;
+    }
+    return { approvedAt: decision.decidedAt, by: decision.decidedBy, note: decision.note };
+  }
+
+  /**
+   * @private Execute a step on a specific backend (also used for fallback).
+   * Steps that declare an `output` get it parsed onto `result.structuredOutput`.
+   * @throws {Error} code 'INVALID_STEP_OUTPUT' if the response doesn't match the declared output
+   */
+  async _executeStepOnBackend(step, priorContext, backendKey, taskId, outputs = {}) {
+    const task = this._stepToTask(step, priorContext, outputs, backendKey);
     const scoring = await this.scoreTask(task);
-    return await this.executeWithBackend(backendKey, task, scoring);
+    const result = step.loop
+      ? await this._executeLoop(step, task, scoring, backendKey, taskId)
+      : await this.executeWithBackend(backendKey, task, scoring, { taskId });
+
+    if (step.output) {
+      result.structuredOutput = stepOutputs.parse(step, result);
+    }
+    return result;
+  }
+
+  /**
+   * @private Reload a completed step's stored output when resuming a plan
+   */
+  async _restoreStepOutput(step, result, outputs) {
+    const stored = result?.structuredOutput;
+    if (!step || !stored?.path) return;
+    try {
+      const data = await stepOutputs.load(stored.path, stored.type);
+      outputs[step.id] = { stepId: step.id, key: step.key, index: step.index, type: stored.type, data, path: stored.path };
+    } catch (error) {
+      console.warn(`[ROUTER] Stored output of step ${step.index + 1} unavailable: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private Re-run a looping step, feeding it its previous output, until
+   * loop.until holds on its output or loop.maxIterations runs are used up
+   * @throws {Error} code 'LOOP_EXHAUSTED' (with the last `result`) if the condition never holds
+   */
+  async _executeLoop(step, task, scoring, backendKey, taskId) {
+    const { until, maxIterations } = step.loop;
+    let result = null;
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      const attempt = iteration === 1 ? task : {
+        ...task,
+        description: `${task.description}\n\nPrevious attempt (${iteration - 1}/${maxIterations}) output:\n${this._extractContext(result)}`
+      };
+      result = await this.executeWithBackend(backendKey, attempt, scoring, { taskId });
+
+      if (planner.evaluateCondition(until, this._extractContext(result))) {
+        console.log(`[ROUTER] Step ${step.index + 1} loop finished after ${iteration} run(s)`);
+        return { ...result, iterations: iteration };
+      }
+      console.log(`[ROUTER] Step ${step.index + 1} loop ${iteration}/${maxIterations}: ${planner.describeCondition(until)} not yet true`);
+    }
+
+    const error = new Error(`Loop ended after ${maxIterations} run(s) without ${planner.describeCondition(until)}`);
+    error.code = 'LOOP_EXHAUSTED';
+    error.result = result;
+    throw error;
+  }
+
+  /**
+   * @private Keep a result's response, files and patches in the artifact store.
+   * Never fails the task: storage problems are only logged.
+   */
+  async _recordArtifacts(taskId, result, meta = {}) {
+    if (this.config.artifacts?.enabled === false) return [];
+    try {
+      return await artifacts.recordResult(taskId, result, meta);
+    } catch (error) {
+      console.warn(`[ROUTER] Could not store artifacts for ${taskId}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * @private Task ID a plan step runs under (what backends key their sessions by)
+   */
+  _stepTaskId(plan, step) {
+    return `${plan.id}:${step.id}`;
   }
 
   /**
    * @private Handle a step failure
    */
   _handleStepFailure(step, errMsg, errors, failed, remaining) {
+    step.status = step.critical ? 'failed' : 'skipped';
     if (step.critical) {
       console.error(`[ROUTER] Critical step ${step.index + 1} failed permanently: ${errMsg}`);
       errors[step.id] = errMsg;
@@ -591,16 +1165,23 @@ class TaskRouter {
   }
 
   /**
-   * @private Convert a plan step + prior context into a task object
+   * @private Convert a plan step + prior context into a task object.
+   * `{{steps.X.output...}}` references are filled from structured outputs;
+   * dependencies with a structured output are inlined up to the step-outputs
+   * limit, and past it passed by file path to backends that can read it.
    */
-  _stepToTask(step, priorContext) {
-    let description = step.description;
+  _stepToTask(step, priorContext, outputs = {}, backend = null) {
+    let description = stepOutputs.resolve(step.description, outputs, backend);
 
     // Inject context from prior steps (summaries, not full outputs)
     if (step.dependencies.length > 0) {
       const contextSnippets = step.dependencies
-        .filter(depId => priorContext[depId])
+        .filter(depId => outputs[depId] || priorContext[depId])
         .map(depId => {
+          const output = outputs[depId];
+          if (output) {
+            return `Step ${output.index + 1} ${output.type} output:\n${stepOutputs.format(output.data, output, backend)}`;
+          }
           const ctx = priorContext[depId];
           return typeof ctx === 'string' ? ctx.substring(0, 500) : JSON.stringify(ctx).substring(0, 500);
         });
@@ -635,9 +1216,11 @@ class TaskRouter {
    * Force route a task to a specific backend (admin function)
    * @param {Object} task - Task object
    * @param {string} backend - Backend to force ('claudeCode', 'codex', 'api', 'local')
+   * @param {Object} [options]
+   * @param {string} [options.taskId] - ID the backend keys the run by (used for cancellation)
    * @returns {Promise<Object>} Execution result
    */
-  async forceRoute(task, backend) {
+  async forceRoute(task, backend, options = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -647,11 +1230,25 @@ class TaskRouter {
     const normalizedTask = this.normalizeTask(task);
     const scoring = await this.scoreTask(normalizedTask);
 
-    const result = await this.executeWithBackend(backend, normalizedTask, scoring);
+    if (options.taskId) {
+      this.activeTasks.set(options.taskId, { description: normalizedTask.description, startedAt: new Date().toISOString() });
+      taskStream.open(options.taskId);
+    }
+    let result;
+    try {
+      result = await this.executeWithBackend(backend, normalizedTask, scoring, { taskId: options.taskId });
+      taskStream.end(options.taskId, 'completed');
+    } catch (error) {
+      taskStream.end(options.taskId, cancellation.isCancellation(error) ? 'cancelled' : 'failed');
+      throw error;
+    } finally {
+      if (options.taskId) this.activeTasks.delete(options.taskId);
+    }
     
     // Record the result in monitor (same as route() method does)
     if (result.success !== false) {
       await monitor.recordResult(backend, normalizedTask, true, result.duration, result.tokens);
+      if (options.taskId) await this._recordArtifacts(options.taskId, result, { backend });
     } else {
       await monitor.recordResult(backend, normalizedTask, false, result.duration, result.tokens || 0);
     }
@@ -681,11 +1278,28 @@ class TaskRouter {
       toolsNeeded: Array.isArray(task.toolsNeeded) ? task.toolsNeeded : [],
       files: Array.isArray(task.files) ? task.files : [],
       outputPath: task.outputPath || null,
+      isolation: task.isolation ?? null,
+      permissionProfile: task.permissionProfile || null,
+      continueSession: task.continueSession || null,
       forceBackend: task.forceBackend || null,
+      source: task.source || task.metadata?.source || null,
       metadata: task.metadata || {}
     };
   }
 
+  /**
+   * Record the tool permission profile on a decision trace when the task ran
+   * (or is queued) on Claude Code, the only backend that applies one
+   * @param {Object} trace - Decision trace
+   * @param {Object} task - Task
+   * @param {string} backend - Backend the task ran on
+   * @private
+   */
+  _tracePermissions(trace, task, backend) {
+    if (backend !== 'claudeCode' || trace.permissions) return;
+    trace.permissions = permissionProfiles.summary(permissionProfiles.resolve(task));
+  }
+
   /**
    * Infer task type from description
    * @param {string} description - Task description
@@ -763,7 +1377,7 @@ class TaskRouter {
       const fastThreshold = this.config.routing.fastLearningThreshold || 20;
       const fastMultiplier = this.config.routing.fastLearningMultiplier || 2;
       
-      for (const backend of ['claudeCode', 'codex', 'api', 'local']) {
+      for (const backend of backends.names()) {
         let score = monitor.getAdaptiveScore(backend, task);
         
         // Use initial seeds if monitor has insufficient data
@@ -810,7 +1424,7 @@ class TaskRouter {
 
     // Tools that require API sub-agents
     const apiTools = ['web', 'email', 'shell', 'memory', 'calendar', 'files'];
-    const apiToolCount = toolsNeeded.filter(tool => apiTools.includes(tool.toLowerCase())).length;
+    const apiToolCount = toolsNeeded.filter(tool => typeof tool === 'string' && apiTools.includes(tool.toLowerCase())).length;
 
     return apiToolCount * 25; // 25 points per API tool
   }
@@ -853,42 +1467,74 @@ class TaskRouter {
    * Select the optimal backend for a task
    * @param {Object} task - Normalized task
    * @param {Object} scoring - Task scoring
+   * @param {Object} [trace] - Decision trace (decision-trace.js) to fill in with candidates, rejections and the pick
    * @returns {Promise<string>} Selected backend
    */
-  async selectBackend(task, scoring) {
+  async selectBackend(task, scoring, trace = null) {
+    const gates = this.routingGates();
+    trace = trace || { candidates: {} };
+    const candidate = (backend) => {
+      if (!trace.candidates[backend]) {
+        trace.candidates[backend] = { available: true, factors: {}, rejections: [] };
+      }
+      return trace.candidates[backend];
+    };
+    const reject = (backend, factor, reason) => {
+      const entry = candidate(backend);
+      entry.available = false;
+      entry.rejections.push({ factor, reason });
+    };
+    const pick = (backend, decidedBy) => {
+      trace.selected = backend;
+      trace.decidedBy = decidedBy;
+      return backend;
+    };
+
     // Force backend if specified
     if (task.forceBackend) {
       console.log(`[ROUTER] Force backend: ${task.forceBackend}`);
-      return task.forceBackend;
+      candidate(task.forceBackend);
+      return pick(task.forceBackend, 'forceBackend');
     }
 
-    // Rule 1: Tools required → API sub-agent
-    if (scoring.toolRequirement > 0) {
-      console.log(`[ROUTER] Tools required (${task.toolsNeeded.join(', ')}) → API`);
-      return 'api';
+    // Check budget constraints
+    const availableBackends = {};
+    for (const backend of backends.names()) {
+      candidate(backend);
+      if (backend === 'local') {
+        availableBackends.local = true; // Always available
+        candidate(backend).factors.budget = 'ok';
+        continue;
+      }
+      const budgetCheck = await gates.checkBudget(backend, scoring.estimatedTokens);
+      availableBackends[backend] = budgetCheck.allowed;
+      candidate(backend).factors.budget = budgetCheck.allowed ? 'ok' : 'exceeded';
+      if (!budgetCheck.allowed) {
+        reject(backend, 'budget', budgetCheck.reason || 'budget check failed');
+      }
     }
 
-    // Rule 2: Check budget constraints
-    const budgetChecks = await Promise.all([
-      ledger.checkBudget('claudeCode', scoring.estimatedTokens),
-      ledger.checkBudget('codex', scoring.estimatedTokens),
-      ledger.checkBudget('api', scoring.estimatedTokens)
-    ]);
-
-    const availableBackends = {
-      claudeCode: budgetChecks[0].allowed,
-      codex: budgetChecks[1].allowed,
-      api: budgetChecks[2].allowed,
-      local: true // Always available
-    };
+    // Circuit breakers - an OPEN breaker would only bounce the task to a fallback
+    if (this.config.circuitBreaker?.enabled !== false) {
+      for (const backend of Object.keys(availableBackends)) {
+        const breaker = gates.breakerState(backend);
+        candidate(backend).factors.circuitBreaker = breaker.state;
+        if (availableBackends[backend] && breaker.state === 'OPEN') {
+          availableBackends[backend] = false;
+          reject(backend, 'circuitBreaker', `breaker OPEN after ${breaker.failures} failures${breaker.cooldownEnds ? `, cooldown ends ${breaker.cooldownEnds}` : ''}`);
+        }
+      }
+    }
 
-    // Rule 2.5: Rate limiting checks - apply rate governor filters
+    // Rate limiting checks - apply rate governor filters
     for (const backend of Object.keys(availableBackends)) {
       if (availableBackends[backend]) { // Only check available backends
-        const rateCheck = rateGovernor.canUse(backend);
+        const rateCheck = gates.rateCheck(backend);
+        candidate(backend).factors.rateLimit = rateCheck.allowed ? (rateCheck.delayMs ? `delay ${rateCheck.delayMs}ms` : 'ok') : 'limited';
         if (!rateCheck.allowed) {
           console.log(`[ROUTER] ${backend} rate limited: ${rateCheck.reason}`);
           availableBackends[backend] = false; // Mark as unavailable
+          reject(backend, 'rateLimit', rateCheck.reason || 'rate limited');
           
           // If suggested fallback is available, prefer it
           if (rateCheck.suggestedBackend && availableBackends[rateCheck.suggestedBackend]) {
@@ -902,75 +1548,81 @@ class TaskRouter {
       }
     }
 
-    // Rule 3: Urgency-based routing
-    if (scoring.urgency >= 100) { // Immediate
-      if (availableBackends.api) {
-        console.log('[ROUTER] Immediate urgency → API');
-        return 'api';
+    // Declarative routing policy (routing-policy.json)
+    const decision = gates.policy.evaluate(task, availableBackends, this.config);
+    scoring.policy = { rule: decision.rule, action: decision.action, fired: decision.fired };
+    trace.policy = scoring.policy;
+    for (const [backend, ruleId] of Object.entries(decision.forbidden)) {
+      if (availableBackends[backend]) {
+        reject(backend, 'policy', `forbidden by rule ${ruleId}`);
       }
     }
-
-    // Rule 4: Code builds (>1 file, no tools) → Claude Code
-    if (task.type === 'code' && scoring.fileCount > 1 && availableBackends.claudeCode) {
-      console.log('[ROUTER] Multi-file code build → Claude Code');
-      return 'claudeCode';
+    Object.assign(availableBackends, decision.available);
+    for (const [backend, delta] of Object.entries(decision.weights)) {
+      candidate(backend).factors.policyWeight = delta;
     }
-
-    // Rule 5: Parallel research tasks → Codex
-    if (task.type === 'research' && scoring.complexity >= 7 && availableBackends.codex) {
-      console.log('[ROUTER] Complex research → Codex (parallel)');
-      return 'codex';
-    }
-
-    // Rule 6: Code review, linting, docs, comments → Local
-    if (['review', 'docs'].includes(task.type) && scoring.complexity <= 6) {
-      console.log(`[ROUTER] ${task.type} task → Local`);
-      return 'local';
-    }
-
-    // Rule 7: Low priority → Queue or Local
-    if (scoring.urgency <= 25) {
-      console.log('[ROUTER] Low priority → Local');
-      return 'local';
-    }
-
-    // Rule 8: Hybrid routing consideration
-    if (this.config.routing.hybridEnabled && scoring.complexity >= 8) {
-      console.log('[ROUTER] High complexity → Hybrid (starting with local)');
-      return 'local';
+    if (decision.backend) {
+      console.log(`[ROUTER] Policy rule ${decision.rule} (${decision.action}) → ${decision.backend}`);
+      candidate(decision.backend);
+      return pick(decision.backend, `policy:${decision.rule}`);
     }
 
-    // Rule 9: Adaptive scoring (if enabled)
+    // Adaptive scoring (if enabled), adjusted by policy weights
     if (this.config.routing.adaptiveScoringEnabled) {
-      const bestBackend = this.selectBestAdaptiveBackend(scoring.adaptiveScores, availableBackends);
+      const weightedScores = { ...scoring.adaptiveScores };
+      for (const [backend, delta] of Object.entries(decision.weights)) {
+        weightedScores[backend] = (weightedScores[backend] || 0) + delta;
+      }
+      for (const [backend, score] of Object.entries(weightedScores)) {
+        candidate(backend).factors.adaptiveScore = scoring.adaptiveScores[backend];
+        candidate(backend).factors.weightedScore = score;
+      }
+      const bestBackend = this.selectBestAdaptiveBackend(weightedScores, availableBackends);
       if (bestBackend) {
         console.log(`[ROUTER] Adaptive scoring → ${bestBackend}`);
-        return bestBackend;
+        return pick(bestBackend, 'adaptive');
       }
     }
 
     // ── Agent 3: Health-aware tie-breaking (prefer warm/healthy over cold/dead) ──
     if (this.config.warmup?.enabled !== false) {
-      const health = warmup.getHealth();
-      const healthOrder = ['claudeCode', 'codex', 'local'].filter(b => availableBackends[b]);
+      const health = gates.health();
+      for (const backend of backends.names()) {
+        if (health[backend]?.status) candidate(backend).factors.health = health[backend].status;
+      }
+      const healthOrder = backends.names().filter(b => b !== 'api' && availableBackends[b]);
       const warmBackends = healthOrder.filter(b => health[b]?.status === 'warm' || health[b]?.status === 'healthy');
       if (warmBackends.length > 0) {
         console.log(`[ROUTER] Health-aware selection → ${warmBackends[0]} (${health[warmBackends[0]]?.status})`);
-        return warmBackends[0];
+        return pick(warmBackends[0], 'health');
       }
     }
 
-    // Rule 10: Default fallback chain
-    const defaults = ['claudeCode', 'codex', 'api', 'local'];
-    for (const backend of defaults) {
+    // Default fallback chain
+    for (const backend of backends.names()) {
       if (availableBackends[backend]) {
         console.log(`[ROUTER] Default selection → ${backend}`);
-        return backend;
+        return pick(backend, 'default');
       }
     }
 
     // Should never reach here, but safety fallback
-    return 'local';
+    return pick('local', 'safety-fallback');
+  }
+
+  /**
+   * Live state that selectBackend gates candidates on. The simulator swaps in
+   * its own gates so historical tasks can be replayed without live state.
+   * @returns {{checkBudget: Function, rateCheck: Function, breakerState: Function, policy: Object, health: Function}}
+   */
+  routingGates() {
+    return {
+      checkBudget: (backend, estimatedTokens) => ledger.checkBudget(backend, estimatedTokens),
+      rateCheck: (backend) => rateGovernor.canUse(backend),
+      breakerState: (backend) => circuitBreaker.getState(backend),
+      policy: routingPolicy,
+      health: () => warmup.getHealth()
+    };
   }
 
   /**
@@ -1059,16 +1711,31 @@ class TaskRouter {
    * @param {string} backend - Backend to use
    * @param {Object} task - Task object
    * @param {Object} scoring - Task scoring
+   * @param {Object} [context] - Execution context
+   * @param {string} [context.taskId] - Router task ID (passed to the adapter)
+   * @param {Object} [context.trace] - Decision trace; fallbacks taken here are appended to it
    * @returns {Promise<Object>} Execution result
    */
-  async executeWithBackend(backend, task, scoring) {
+  async executeWithBackend(backend, task, scoring, context = {}) {
+    // Never start (or fall back into) a backend once the task is cancelled
+    if (cancellation.isCancelled(context.taskId)) {
+      throw cancellation.error(context.taskId, backend);
+    }
+
+    const fallBack = async (fallbackBackend, reason) => {
+      if (context.trace) {
+        context.trace.fallbacks.push({ from: backend, to: fallbackBackend, reason });
+      }
+      return await this.executeWithBackend(fallbackBackend, task, scoring, context);
+    };
+
     // ── Agent 2: Circuit breaker check ──
     if (this.config.circuitBreaker?.enabled !== false && !circuitBreaker.canExecute(backend)) {
       console.log(`[ROUTER] Circuit breaker OPEN for ${backend} — skipping to fallback`);
       const fallbackBackend = this.getNextFallback(backend);
       if (fallbackBackend) {
         console.log(`[ROUTER] Breaker fallback: ${backend} → ${fallbackBackend}`);
-        return await this.executeWithBackend(fallbackBackend, task, scoring);
+        return await fallBack(fallbackBackend, 'circuit breaker OPEN');
       }
       throw new Error(`Backend ${backend} circuit breaker is OPEN and no fallback available`);
     }
@@ -1081,7 +1748,7 @@ class TaskRouter {
         const fallbackBackend = this.getNextFallback(backend);
         if (fallbackBackend) {
           console.log(`[ROUTER] Rate limit fallback: ${backend} → ${fallbackBackend}`);
-          return await this.executeWithBackend(fallbackBackend, task, scoring);
+          return await fallBack(fallbackBackend, `rate limited: ${rateCheck.reason}`);
         }
         throw new Error(`Backend ${backend} rate limited: ${rateCheck.reason}`);
       }
@@ -1090,25 +1757,16 @@ class TaskRouter {
       if (rateCheck.delayMs) {
         console.log(`[ROUTER] Rate limit soft delay: ${rateCheck.delayMs}ms for ${backend} - ${rateCheck.reason}`);
         await new Promise(resolve => setTimeout(resolve, rateCheck.delayMs));
+        if (cancellation.isCancelled(context.taskId)) {
+          throw cancellation.error(context.taskId, backend);
+        }
       }
 
-      let result;
-      switch (backend) {
-        case 'claudeCode':
-          result = await claudeCode.executeTask(task);
-          break;
-        case 'codex':
-          result = await codex.executeTask(task);
-          break;
-        case 'local':
-          result = await local.executeTask(task);
-          break;
-        case 'api':
-          result = await this.executeWithApiSubagent(task, scoring);
-          break;
-        default:
-          throw new Error(`Unknown backend: ${backend}`);
+      const adapter = backends.get(backend);
+      if (!adapter) {
+        throw new Error(`Unknown backend: ${backend}`);
       }
+      const result = await adapter.execute(task, { scoring, taskId: context.taskId });
 
       // ── Agent 2: Record success in circuit breaker ──
       if (this.config.circuitBreaker?.enabled !== false) {
@@ -1121,6 +1779,12 @@ class TaskRouter {
 
       return result;
     } catch (error) {
+      // A cancelled run is not a backend failure: skip breaker/governor bookkeeping and fallbacks
+      if (cancellation.isCancellation(error) || cancellation.isCancelled(context.taskId)) {
+        console.log(`[ROUTER] ${backend} stopped: task ${context.taskId} cancelled`);
+        throw cancellation.isCancellation(error) ? error : cancellation.error(context.taskId, backend);
+      }
+
       console.error(`[ROUTER] Backend ${backend} failed:`, error.message);
 
       // Determine if this is a timeout or rate limit error
@@ -1149,7 +1813,8 @@ class TaskRouter {
         rateGovernor.recordThrottle(backend, {
           errorMessage: error.message,
           errorCode: error.code,
-          timestamp: Date.now()
+          timestamp: Date.now(),
+          ...(error.resetAt ? { resetAt: error.resetAt } : {})
         });
         console.log(`[ROUTER] Rate limit throttle recorded for ${backend}`);
       }
@@ -1160,7 +1825,7 @@ class TaskRouter {
         if (fallbackBackend) {
           console.log(`[ROUTER] Trying fallback (${isTimeout ? 'timeout' : isRateLimit ? 'rate-limit' : 'error'}): ${backend} → ${fallbackBackend}`);
           console.log(`[ROUTER] Original failure attributed to ${backend}, fallback execution on ${fallbackBackend}`);
-          return await this.executeWithBackend(fallbackBackend, task, scoring);
+          return await fallBack(fallbackBackend, `${isTimeout ? 'timeout' : isRateLimit ? 'rate limit' : 'error'}: ${error.message}`);
         }
       }
 
@@ -1169,102 +1834,33 @@ class TaskRouter {
   }
 
   /**
-   * Execute task using API sub-agent with intelligent model selection
-   * @param {Object} task - Task object
-   * @param {Object} scoring - Task scoring object
-   * @returns {Promise<Object>} Execution result
+   * Dry-run a candidate config against recorded task history
+   * @param {Object} candidateConfig - Config overrides to evaluate
+   * @param {Object} [options] - { days, limit, baseDir }
+   * @returns {Promise<Object>} Simulation report (see simulator.js)
    */
-  async executeWithApiSubagent(task, scoring = null) {
-    const startTime = Date.now();
-
-    try {
-      // Get task complexity and context size for model selection
-      const complexity = scoring?.complexity || planner._inferComplexity(task.description);
-      const contextSize = scoring?.estimatedTokens || this.estimateTokens(task);
-
-      // Select optimal model using the registry
-      const modelSelection = await modelRegistry.selectModel(task, complexity, contextSize);
-      
-      console.log(`[ROUTER] Selected ${modelSelection.model} on ${modelSelection.provider} (${modelSelection.reason})`);
-      console.log(`[ROUTER] Estimated cost: $${modelSelection.estimatedCost.toFixed(4)}`);
-
-      // This would integrate with OpenClaw's subagent system
-      // For now, simulate the API call with the selected model
-      console.log(`[ROUTER] Executing with ${modelSelection.fullModelId}`);
-
-      // Simulate processing time based on model tier
-      const processingTime = modelSelection.config.tier === 'fast' ? 1500 : 
-                             modelSelection.config.tier === 'standard' ? 2500 : 3500;
-      await new Promise(resolve => setTimeout(resolve, processingTime));
-
-      const duration = Date.now() - startTime;
-      const actualTokens = contextSize; // In real implementation, would get from API response
-
-      // Record usage with actual model information
-      const userId = task.metadata?.userId || 'meir';
-      await ledger.recordUsage('api', task, actualTokens, modelSelection.fullModelId, userId);
-
-      // Create enhanced speakable result
-      const providerName = modelSelection.provider.charAt(0).toUpperCase() + modelSelection.provider.slice(1);
-      const modelDisplayName = this._getModelDisplayName(modelSelection.model);
-      const speakableResult = `Routing to ${modelDisplayName} on ${providerName}, estimated cost $${modelSelection.estimatedCost.toFixed(2)}`;
-
-      return {
-        success: true,
-        backend: 'api',
-        model: modelSelection.fullModelId,
-        modelSelection,
-        response: `API Sub-agent completed: ${task.description}`,
-        speakableResult,
-        duration,
-        tokens: actualTokens,
-        cost: modelSelection.estimatedCost,
-        outputPath: task.outputPath
-      };
-    } catch (error) {
-      console.error('[ROUTER] Model selection failed:', error.message);
-      
-      // Fallback to default model if selection fails
-      const duration = Date.now() - startTime;
-      const estimatedTokens = this.estimateTokens(task);
-      const cost = ledger.estimateApiCost(estimatedTokens);
-      const userId = task.metadata?.userId || 'meir';
-      
-      await ledger.recordUsage('api', task, estimatedTokens, this.config.backends.api.defaultModel, userId);
-
-      return {
-        success: true,
-        backend: 'api',
-        model: this.config.backends.api.defaultModel,
-        response: `API Sub-agent completed: ${task.description} (fallback model)`,
-        speakableResult: `Routing to default model (selection failed)`,
-        duration,
-        tokens: estimatedTokens,
-        cost,
-        outputPath: task.outputPath
-      };
+  async simulate(candidateConfig, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
     }
+    return await simulator.run(this, candidateConfig, options);
   }
 
   /**
-   * Get human-readable display name for model
-   * @param {string} modelId - Model identifier
-   * @returns {string} Display name
-   * @private
+   * Register the built-in backend adapters followed by any declared in config.
+   * Registration order is the default preference order used by selectBackend.
    */
-  _getModelDisplayName(modelId) {
-    const displayNames = {
-      'opus-4.6': 'Opus 4.6',
-      'sonnet-4': 'Sonnet 4',
-      'haiku-4.5': 'Haiku 4.5',
-      'gpt-4.1': 'GPT-4.1',
-      'gpt-4.1-mini': 'GPT-4.1 Mini',
-      'grok-3': 'Grok 3',
-      'gemini-2.5-pro': 'Gemini 2.5 Pro',
-      'deepseek-r1': 'DeepSeek R1',
-      'llama-4-maverick': 'Llama 4 Maverick'
-    };
-    return displayNames[modelId] || modelId;
+  registerBackends() {
+    const builtIns = { claudeCode, codex, api, local };
+    for (const [name, adapter] of Object.entries(builtIns)) {
+      if (!backends.has(name)) {
+        backends.register(name, adapter);
+      }
+    }
+    backends.loadFromConfig(this.config);
+
+    const chain = this.config.routing?.fallbackChain || this.fallbackChain;
+    this.fallbackChain = chain.filter(name => backends.has(name));
   }
 
   /**
@@ -1278,9 +1874,10 @@ class TaskRouter {
       return this.fallbackChain[index + 1];
     }
 
-    // If not in chain or last in chain, use default fallback
-    if (failedBackend !== 'local') {
-      return 'local';
+    // If not in chain or last in chain, use the final link of the chain
+    const lastResort = this.fallbackChain[this.fallbackChain.length - 1];
+    if (lastResort && failedBackend !== lastResort) {
+      return lastResort;
     }
 
     return null; // No more fallbacks
@@ -1292,7 +1889,7 @@ class TaskRouter {
    * @param {string} originalError - Error from first attempt
    * @returns {Promise<Object>} Fallback result
    */
-  async executeFallback(task, originalError) {
+  async executeFallback(task, originalError, context = {}) {
     console.log('[ROUTER] Executing fallback chain');
 
     for (const backend of this.fallbackChain) {
@@ -1304,7 +1901,7 @@ class TaskRouter {
         }
 
         console.log(`[ROUTER] Trying fallback backend: ${backend}`);
-        const result = await this.executeWithBackend(backend, task, await this.scoreTask(task));
+        const result = await this.executeWithBackend(backend, task, await this.scoreTask(task), { taskId: context.taskId });
 
         return {
           ...result,
@@ -1313,6 +1910,7 @@ class TaskRouter {
         };
 
       } catch (error) {
+        if (cancellation.isCancellation(error)) throw error;
         console.error(`[ROUTER] Fallback ${backend} failed:`, error.message);
         continue;
       }
@@ -1334,18 +1932,17 @@ class TaskRouter {
       ledgerReport,
       performanceReport,
       queueStatus,
-      claudeStatus,
-      codexStatus,
-      localStatus
+      ...backendStatuses
     ] = await Promise.all([
       ledger.getReport(),
       monitor.getPerformanceReport(),
       queue.getQueueStatus(),
-      claudeCode.getDetailedStatus(),
-      codex.getDetailedStatus(),
-      local.getStatus()
+      ...backends.names().map(name => backends.get(name).getStatus().catch(error => ({ error: error.message })))
     ]);
 
+    const backendStatus = {};
+    backends.names().forEach((name, i) => { backendStatus[name] = backendStatuses[i]; });
+
     const schedulerStatus = scheduler.getStatus();
 
     return {
@@ -1356,19 +1953,7 @@ class TaskRouter {
         adaptiveScoringEnabled: this.config.routing.adaptiveScoringEnabled,
         performanceWindowDays: this.config.routing.performanceWindowDays
       },
-      backends: {
-        claudeCode: claudeStatus,
-        codex: codexStatus,
-        api: {
-          enabled: this.config.backends.api.enabled,
-          model: this.config.backends.api.defaultModel,
-          budget: {
-            daily: ledgerReport.api.dailySpend + ' / $' + this.config.backends.api.dailyBudgetUsd,
-            monthly: ledgerReport.api.monthlySpend + ' / $' + this.config.backends.api.monthlyBudgetUsd
-          }
-        },
-        local: localStatus
-      },
+      backends: backendStatus,
       queue: queueStatus,
       scheduler: schedulerStatus,
       performance: {
@@ -1378,6 +1963,7 @@ class TaskRouter {
       },
       // ── Agent 2: Circuit breaker + dedup status ──
       circuitBreakers: circuitBreaker.getAll(),
+      routingPolicy: routingPolicy.getStatus(),
       recentTasks: dedup.getRecent(),
       usage: ledgerReport,
       uptime: process.uptime(),
@@ -1397,9 +1983,13 @@ class TaskRouter {
       await queue.stopScheduler();
       scheduler.stop();
 
-      // Kill active sessions
-      await claudeCode.killAllSessions();
-      await codex.killAllSessions();
+      // Stop work in flight on every registered backend, built-in and custom
+      const inFlight = [...this.activeTasks.keys()];
+      for (const planState of this.activePlans.values()) inFlight.push(...planState.running.values());
+      for (const taskId of inFlight) cancellation.markCancelled(taskId, 'Router shutting down');
+      await backends.stopAll(inFlight);
+
+      routingPolicy.unwatch();
 
       // ── Agent 3: Stop warmup + save session ──
       warmup.stopWarmup();
@@ -1430,10 +2020,19 @@ const router = new TaskRouter();
 module.exports = {
   route: (task, options) => router.route(task, options),
   executePlan: (plan) => router.executePlan(plan),
+  resumePlan: (planId) => router.resumePlan(planId),
+  listPlanRuns: (options) => router.listPlanRuns(options),
+  editPlan: (planId, edits) => router.editPlan(planId, edits),
   approvePlan: (planId) => router.approvePlan(planId),
   cancelPlan: (planId) => router.cancelPlan(planId),
+  approveStep: (planId, stepRef, options) => router.approveStep(planId, stepRef, options),
+  rejectStep: (planId, stepRef, options) => router.rejectStep(planId, stepRef, options),
+  listStepApprovals: (options) => router.listStepApprovals(options),
+  listArtifacts: (taskId) => router.listArtifacts(taskId),
   getPendingPlans: () => router.getPendingPlans(),
-  forceRoute: (task, backend) => router.forceRoute(task, backend),
+  forceRoute: (task, backend, options) => router.forceRoute(task, backend, options),
+  cancel: (id, options) => router.cancel(id, options),
+  simulate: (candidateConfig, options) => router.simulate(candidateConfig, options),
   getStatus: () => router.getStatus(),
   initialize: () => router.initialize(),
   shutdown: () => router.shutdown(),
@@ -1446,7 +2045,14 @@ module.exports = {
   rateGovernor,
   // ── Agent 3 exports ──
   session,
-  warmup
+  warmup,
+  routingPolicy,
+  backends,
+  decisionTrace,
+  simulator,
+  taskStream,
+  planTemplates,
+  artifacts
 };
 
 // Auto-initialize on first import (only once via global flag)
@@ -29,6 +29,8 @@ class Ledger {
         monthlySpendUsd: 0,
         dailyTokens: 0,
         monthlyTokens: 0,
+        monthlyInputTokens: 0,
+        monthlyOutputTokens: 0,
         dailyResetTime: null,
         monthlyResetTime: null,
         tasksCompleted: 0
@@ -37,6 +39,12 @@ class Ledger {
         taskCount: 0,
         totalTasks: 0
       },
+      custom: {
+        // backend -> { tasksCompleted, totalTokens } for adapters registered from config
+      },
+      cancellations: {
+        // backend -> { count, tokens, costUsd } for tasks cancelled mid-run
+      },
       users: {
         // userId -> { dailySpendUsd, monthlySpendUsd, dailyTokens, monthlyTokens, tasksCompleted }
       },
@@ -129,6 +137,8 @@ class Ledger {
     if (this.shouldReset(this.data.api.monthlyResetTime, 30 * 24 * 60 * 60 * 1000)) {
       this.data.api.monthlySpendUsd = 0;
       this.data.api.monthlyTokens = 0;
+      this.data.api.monthlyInputTokens = 0;
+      this.data.api.monthlyOutputTokens = 0;
       this.data.api.monthlyResetTime = now.toISOString();
       console.log('[LEDGER] API monthly budget reset');
     }
@@ -233,8 +243,17 @@ class Ledger {
         }
         return { allowed: true }; // Local is always allowed (free)
 
-      default:
-        return { allowed: false, reason: `Unknown backend: ${backend}` };
+      default: {
+        // Custom adapters registered from config have no budget of their own
+        const backendConfig = config.backends[backend];
+        if (!backendConfig) {
+          return { allowed: false, reason: `Unknown backend: ${backend}` };
+        }
+        if (backendConfig.enabled === false) {
+          return { allowed: false, reason: `${backend} disabled` };
+        }
+        return { allowed: true };
+      }
     }
   }
 
@@ -245,21 +264,23 @@ class Ledger {
    * @param {number|null} actualTokens - Actual tokens used (if available)
    * @param {string|null} output - Task output for fallback estimation
    * @param {string} userId - User ID for cost tracking (defaults to "meir")
+   * @param {Object} [usage] - Provider-reported usage { inputTokens, outputTokens, costUsd }
    * @returns {Promise<void>}
    */
-  async recordUsage(backend, task, actualTokens = null, output = null, userId = 'meir') {
+  async recordUsage(backend, task, actualTokens = null, output = null, userId = 'meir', usage = null) {
     if (!this.loaded) await this.load();
 
     const tokens = actualTokens || this.estimateTokens(output);
 
     switch (backend) {
       case 'claudeCode': {
-        const sessionIncrease = Math.min(tokens / 50000 * 10, 15);
+        // Session limits track output; reported input and cache writes would inflate it
+        const sessionIncrease = Math.min((usage ? usage.outputTokens || 0 : tokens) / 50000 * 10, 15);
         this.data.claudeCode.sessionUsagePercent += sessionIncrease;
         this.data.claudeCode.weeklyUsagePercent += sessionIncrease;
         this.data.claudeCode.tasksCompleted++;
-        // Track savings — what this would have cost on API
-        const ccSaved = this.estimateApiCost(tokens);
+        // Track savings — what this would have cost on API (the CLI reports it with stream-json output)
+        const ccSaved = typeof usage?.costUsd === 'number' ? usage.costUsd : this.estimateApiCost(tokens);
         this._recordSavings(ccSaved);
         break;
       }
@@ -275,12 +296,17 @@ class Ledger {
       }
 
       case 'api': {
-        const cost = this.estimateApiCost(tokens);
+        const cost = typeof usage?.costUsd === 'number' ? usage.costUsd : this.estimateApiCost(tokens);
         this.data.api.dailySpendUsd += cost;
         this.data.api.monthlySpendUsd += cost;
         this.data.api.dailyTokens += tokens;
         this.data.api.monthlyTokens += tokens;
         this.data.api.tasksCompleted++;
+        if (usage) {
+          // Older ledger files predate the input/output split
+          this.data.api.monthlyInputTokens = (this.data.api.monthlyInputTokens || 0) + (usage.inputTokens || 0);
+          this.data.api.monthlyOutputTokens = (this.data.api.monthlyOutputTokens || 0) + (usage.outputTokens || 0);
+        }
         
         // Track per-user costs
         if (!this.data.users[userId]) {
@@ -309,12 +335,67 @@ class Ledger {
         this._recordSavings(localSaved);
         break;
       }
+
+      default: {
+        if (!this.data.custom) this.data.custom = {};
+        if (!this.data.custom[backend]) {
+          this.data.custom[backend] = { tasksCompleted: 0, totalTokens: 0 };
+        }
+        this.data.custom[backend].tasksCompleted++;
+        this.data.custom[backend].totalTokens += tokens;
+        break;
+      }
     }
 
     console.log(`[LEDGER] Recorded usage for ${backend}: ${tokens} tokens`);
     await this.save();
   }
 
+  /**
+   * Record the partial usage of a cancelled task. Work done before the cancel
+   * still consumes subscription session capacity (and API spend, when the
+   * provider reported it), but the task is not counted as completed.
+   * @param {string} backend - Backend name
+   * @param {Object} task - Task object
+   * @param {number} [tokens] - Tokens consumed before the cancel
+   * @param {Object} [usage] - Provider-reported usage { outputTokens, costUsd }
+   * @returns {Promise<void>}
+   */
+  async recordCancellation(backend, task, tokens = 0, usage = null) {
+    if (!this.loaded) await this.load();
+
+    if (!this.data.cancellations) this.data.cancellations = {};
+    if (!this.data.cancellations[backend]) {
+      this.data.cancellations[backend] = { count: 0, tokens: 0, costUsd: 0 };
+    }
+    const entry = this.data.cancellations[backend];
+    entry.count++;
+    entry.tokens += tokens;
+
+    switch (backend) {
+      case 'claudeCode':
+      case 'codex': {
+        const increase = Math.min((usage?.outputTokens ?? tokens) / 50000 * 10, 15);
+        this.data[backend].sessionUsagePercent += increase;
+        this.data[backend].weeklyUsagePercent += increase;
+        break;
+      }
+
+      case 'api': {
+        const cost = usage?.costUsd || 0;
+        this.data.api.dailySpendUsd += cost;
+        this.data.api.monthlySpendUsd += cost;
+        this.data.api.dailyTokens += tokens;
+        this.data.api.monthlyTokens += tokens;
+        entry.costUsd += cost;
+        break;
+      }
+    }
+
+    console.log(`[LEDGER] Recorded cancellation for ${backend}: ${tokens} tokens before cancel`);
+    await this.save();
+  }
+
   /**
    * Estimate token count from output text (fallback method)
    * @param {string|null} output - Output text
@@ -406,6 +487,8 @@ class Ledger {
         totalTasks: this.data.local.totalTasks,
         available: true
       },
+      custom: { ...(this.data.custom || {}) },
+      cancellations: { ...(this.data.cancellations || {}) },
       lastUpdated: this.data.lastUpdated
     };
   }
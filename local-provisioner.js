@@ -0,0 +1,290 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+
+/**
+ * Local Model Provisioning and Benchmarks for OpenClaw Task Router
+ * provision() makes sure the models named in backends.local.models (plus
+ * backends.local.provisioning.models) are installed, pulling missing ones
+ * onto an Ollama endpoint, then runs a small fixed benchmark on every
+ * installed model: a handful of prompts with a pass/fail check each, timed
+ * for latency and tokens/sec. Results are stored in data/local-benchmarks.json
+ * and rankModels() uses them so local.selectModel() picks, per task type,
+ * the model that measured best on this machine.
+ *
+ * Result shape (per model):
+ *   {
+ *     model, endpoint, benchmarkedAt,
+ *     latencyMs, tokensPerSec,               // averages over the prompts that answered
+ *     quality: { overall, byType: { code, review, docs, analysis, other } },   // share of checks passed
+ *     prompts: [{ id, passed, latencyMs, tokens, error }]
+ *   }
+ *
+ * config.json backends.local.provisioning:
+ *   { onStartup, pull, models, maxAgeDays, minQuality, weights: { quality, speed }, useBenchmarks }
+ */
+
+const BENCHMARK_PROMPTS = [
+  {
+    id: 'code-function',
+    types: ['code', 'review'],
+    prompt: 'Write a JavaScript function named isPalindrome(str) that returns true if str reads the same backwards, ignoring case. Reply with only the code.',
+    check: (text) => /isPalindrome\s*(\(|=)/.test(text) && /return/.test(text)
+  },
+  {
+    id: 'code-bug',
+    types: ['review', 'code'],
+    prompt: 'What is the bug in this code? `function sum(a) { let t = 0; for (let i = 1; i < a.length; i++) t += a[i]; return t; }` Answer in one sentence.',
+    check: (text) => /first (element|item|value|number)|i\s*=\s*0|index 0|a\[0\]|starts? at (index )?1|skips/i.test(text)
+  },
+  {
+    id: 'json',
+    types: ['code', 'analysis'],
+    prompt: 'Return only a JSON object with the keys "name" (the string "router") and "version" (the number 2).',
+    check: (text) => {
+      try {
+        const parsed = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+        return parsed.name === 'router' && parsed.version === 2;
+      } catch (_) {
+        return false;
+      }
+    }
+  },
+  {
+    id: 'arithmetic',
+    types: ['analysis', 'other'],
+    prompt: 'What is 17 multiplied by 23? Answer with the number only.',
+    check: (text) => /\b391\b/.test(text)
+  },
+  {
+    id: 'summary',
+    types: ['docs', 'other'],
+    prompt: 'Summarize in one sentence of at most 25 words: The task router sends each job to the cheapest backend that can handle it. ' +
+      'Local models are free but slower, so they get simple documentation and review work, while complex multi-file changes go to Claude Code.',
+    check: (text) => text.trim().split(/\s+/).length <= 40 && /local|router|backend/i.test(text)
+  },
+  {
+    id: 'docs-list',
+    types: ['docs'],
+    prompt: 'List exactly three benefits of writing unit tests as a Markdown bullet list, with no other text.',
+    check: (text) => text.split('\n').filter(line => /^\s*[-*+]\s+\S/.test(line)).length === 3
+  }
+];
+
+const TASK_TYPES = ['code', 'review', 'docs', 'analysis', 'other'];
+
+const DEFAULTS = {
+  onStartup: false,
+  pull: true,
+  models: [],
+  maxAgeDays: 7,
+  minQuality: 0.5,
+  weights: { quality: 0.7, speed: 0.3 },
+  useBenchmarks: true
+};
+
+class LocalProvisioner {
+  constructor() {
+    const dataDir = process.env.ROUTER_TEST_MODE ? process.env.ROUTER_TEST_DATA_DIR : path.join(__dirname, 'data');
+    this.dataPath = path.join(dataDir, 'local-benchmarks.json');
+    this.results = {};   // model → benchmark result
+    this.loaded = false;
+    this.running = null; // in-flight provision() promise
+  }
+
+  /**
+   * Provisioning settings (backends.local.provisioning over the defaults)
+   * @returns {Object}
+   */
+  settings() {
+    const local = require('./local');
+    const config = local.config || require('./config.json');
+    const cfg = config.backends.local.provisioning || {};
+    return { ...DEFAULTS, ...cfg, weights: { ...DEFAULTS.weights, ...cfg.weights } };
+  }
+
+  /**
+   * Load stored results. Synchronous, as local.selectModel() reads them.
+   */
+  load() {
+    try {
+      this.results = JSON.parse(fs.readFileSync(this.dataPath, 'utf8')).models || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[PROVISION] Error loading local benchmarks:', error.message);
+      }
+      this.results = {};
+    }
+    this.loaded = true;
+  }
+
+  /**
+   * Save results (temp file + rename, so readers never see a partial file)
+   * @returns {Promise<void>}
+   */
+  async save() {
+    try {
+      await fsp.mkdir(path.dirname(this.dataPath), { recursive: true });
+      const tmpPath = `${this.dataPath}.${process.pid}.${Math.random().toString(36).substr(2, 6)}.tmp`;
+      await fsp.writeFile(tmpPath, JSON.stringify({
+        models: this.results,
+        lastUpdated: new Date().toISOString()
+      }, null, 2));
+      await fsp.rename(tmpPath, this.dataPath);
+    } catch (error) {
+      console.error('[PROVISION] Error saving local benchmarks:', error.message);
+    }
+  }
+
+  /**
+   * Models provisioning keeps installed: backends.local.models plus provisioning.models
+   * @returns {Array<string>}
+   */
+  wantedModels() {
+    const local = require('./local');
+    const config = local.config || require('./config.json');
+    const configured = Object.values(config.backends.local.models || {});
+    return [...new Set([...configured, ...this.settings().models].filter(Boolean))];
+  }
+
+  /**
+   * Pull missing models, then benchmark installed models whose results are
+   * missing or older than maxAgeDays. Only one run at a time; a second call
+   * gets the running one's report.
+   * @param {Object} [options]
+   * @param {boolean} [options.pull] - Pull missing models (default: provisioning.pull)
+   * @param {boolean} [options.benchmark=true] - Run benchmarks
+   * @param {boolean} [options.rerun=false] - Benchmark models even if their results are recent
+   * @param {Array<string>} [options.models] - Only benchmark these models
+   * @returns {Promise<Object>} { pulled, missing, failed, benchmarked, skipped }
+   */
+  provision(options = {}) {
+    if (this.running) return this.running;
+    this.running = this._provision(options).finally(() => { this.running = null; });
+    return this.running;
+  }
+
+  async _provision(options) {
+    const local = require('./local');
+    const settings = this.settings();
+    if (!this.loaded) this.load();
+    const report = { pulled: [], missing: [], failed: [], benchmarked: [], skipped: [] };
+
+    await local.checkModelsAvailability();
+    const canPull = local.getEndpoints().some(endpoint => endpoint.type === 'ollama' && endpoint.healthy);
+    for (const model of this.wantedModels()) {
+      if (local.availableModels.includes(model)) continue;
+      if (!(options.pull ?? settings.pull) || !canPull) {
+        report.missing.push(model);
+        continue;
+      }
+      console.log(`[PROVISION] ${model} is not installed, pulling`);
+      (await local.pullModel(model) ? report.pulled : report.failed).push(model);
+    }
+
+    if (options.benchmark !== false) {
+      const maxAgeMs = settings.maxAgeDays * 24 * 60 * 60 * 1000;
+      for (const model of options.models || local.availableModels) {
+        const previous = this.results[model];
+        if (!options.rerun && previous && Date.now() - Date.parse(previous.benchmarkedAt) < maxAgeMs) {
+          report.skipped.push(model);
+          continue;
+        }
+        // One model at a time: the numbers are only comparable without contention
+        this.results[model] = await this.benchmarkModel(model);
+        report.benchmarked.push(model);
+        await this.save();
+      }
+    }
+
+    console.log(`[PROVISION] Pulled ${report.pulled.length}, missing ${report.missing.length}, failed ${report.failed.length}, ` +
+      `benchmarked ${report.benchmarked.length}, up to date ${report.skipped.length}`);
+    return report;
+  }
+
+  /**
+   * Run the fixed benchmark prompts against one model
+   * @param {string} model - Installed model name
+   * @returns {Promise<Object>} Benchmark result (see shape above)
+   */
+  async benchmarkModel(model) {
+    const local = require('./local');
+    const endpoint = local.selectEndpoint(model);
+    const prompts = [];
+    console.log(`[PROVISION] Benchmarking ${model} on ${endpoint.id}`);
+
+    for (const item of BENCHMARK_PROMPTS) {
+      const taskType = item.types[0];
+      const startTime = Date.now();
+      try {
+        const result = await local.callModel(model, item.prompt, { endpoint, taskType });
+        const latencyMs = Date.now() - startTime;
+        const tokens = result.eval_count || local.estimateTokens(result.response);
+        // Ollama reports generation time in ns; otherwise use wall time
+        const seconds = result.eval_duration ? result.eval_duration / 1e9 : latencyMs / 1000;
+        prompts.push({ id: item.id, passed: item.check(result.response), latencyMs, tokens, tokensPerSec: seconds > 0 ? tokens / seconds : null, error: null });
+      } catch (error) {
+        prompts.push({ id: item.id, passed: false, latencyMs: Date.now() - startTime, tokens: 0, tokensPerSec: null, error: error.message });
+      }
+    }
+
+    const answered = prompts.filter(p => !p.error);
+    const average = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    const share = (items) => items.length > 0 ? items.filter(p => p.passed).length / items.length : null;
+
+    const byType = {};
+    for (const type of TASK_TYPES) {
+      const ids = BENCHMARK_PROMPTS.filter(item => item.types.includes(type)).map(item => item.id);
+      byType[type] = share(prompts.filter(p => ids.includes(p.id)));
+    }
+
+    const result = {
+      model,
+      endpoint: endpoint.id,
+      benchmarkedAt: new Date().toISOString(),
+      latencyMs: Math.round(average(answered.map(p => p.latencyMs)) || 0),
+      tokensPerSec: average(answered.map(p => p.tokensPerSec).filter(v => v !== null)),
+      quality: { overall: share(prompts), byType },
+      prompts
+    };
+    console.log(`[PROVISION] ${model}: ${(result.quality.overall * 100).toFixed(0)}% passed, ` +
+      `${result.latencyMs}ms avg, ${result.tokensPerSec ? result.tokensPerSec.toFixed(1) : '?'} tok/s`);
+    return result;
+  }
+
+  /**
+   * Rank benchmarked models for a task type: quality for that type and
+   * speed relative to the fastest candidate, weighted by provisioning.weights.
+   * Models below minQuality for the type are left out.
+   * @param {string} taskType - Task type
+   * @param {Array<string>} candidates - Installed models to consider
+   * @returns {Array<Object>} [{ model, score, quality, tokensPerSec }], best first
+   */
+  rankModels(taskType, candidates) {
+    if (!this.loaded) this.load();
+    const settings = this.settings();
+    const measured = candidates.map(model => this.results[model]).filter(Boolean);
+    const fastest = Math.max(0, ...measured.map(r => r.tokensPerSec || 0));
+
+    return measured
+      .map(r => {
+        const quality = r.quality.byType[taskType] ?? r.quality.overall ?? 0;
+        const speed = fastest > 0 ? (r.tokensPerSec || 0) / fastest : 0;
+        return { model: r.model, score: settings.weights.quality * quality + settings.weights.speed * speed, quality, tokensPerSec: r.tokensPerSec };
+      })
+      .filter(entry => entry.quality >= settings.minQuality)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Stored results
+   * @returns {Object} model → result
+   */
+  getResults() {
+    if (!this.loaded) this.load();
+    return { ...this.results };
+  }
+}
+
+module.exports = new LocalProvisioner();
+module.exports.BENCHMARK_PROMPTS = BENCHMARK_PROMPTS;
@@ -1,8 +1,34 @@
 const axios = require('axios');
+const cancellation = require('./cancellation');
+const taskStream = require('./task-stream');
+
+// Used when config.json has no backends.local.sampling / context
+const DEFAULT_SAMPLING = {
+  default: { temperature: 0.7, top_p: 0.9, top_k: 40 },
+  code: { temperature: 0.3 },
+  review: { temperature: 0.3 }
+};
+const DEFAULT_CONTEXT = {
+  min: 4096,            // never below the old fixed window
+  responseTokens: 2048, // room left for the answer
+  fallbackMax: 8192     // cap when the model doesn't report its context length
+};
+
+const ENDPOINT_TYPES = ['ollama', 'openai'];
 
 /**
- * Local Model Bridge for OpenClaw Task Router - Ollama Integration
- * Handles local AI model execution via Ollama HTTP API
+ * Local Model Bridge for OpenClaw Task Router - Ollama and OpenAI-compatible servers
+ * Handles local AI model execution on one or more local endpoints:
+ *   ollama — Ollama's HTTP API (/api/tags, /api/show, /api/chat)
+ *   openai — servers exposing /v1/models and /v1/chat/completions
+ *            (llama.cpp server, LM Studio, vLLM)
+ *
+ * config.json backends.local.endpoints:
+ *   [{ id, type, url, apiKeyEnv, maxConcurrent }]
+ * Without it, the single Ollama server at backends.local.ollamaUrl is used.
+ * Each endpoint has its own model list and health, refreshed together by
+ * checkModelsAvailability(); requests for a model go to the least busy
+ * healthy endpoint that serves it.
  */
 class LocalBridge {
   constructor() {
@@ -10,6 +36,9 @@ class LocalBridge {
     this.availableModels = [];
     this.lastModelCheck = null;
     this.modelCheckInterval = 5 * 60 * 1000; // 5 minutes
+    this.inFlight = new Map(); // taskId → AbortController for running Ollama requests
+    this.endpoints = new Map(); // endpoint id → { id, type, url, models, healthy, inFlight, ... }
+    this.contextLengths = new Map(); // `${endpointId}/${model}` → context length (null if unknown)
   }
 
   /**
@@ -23,22 +52,125 @@ class LocalBridge {
   }
 
   /**
-   * Check which models are available in Ollama
+   * Configured local endpoints with their live state
+   * @returns {Array<Object>} { id, type, url, apiKeyEnv, maxConcurrent, models, healthy, error, lastCheck, inFlight, lastUsed }
+   * @throws {Error} code 'INVALID_LOCAL_ENDPOINT' for an endpoint without a url or with an unknown type
+   */
+  getEndpoints() {
+    if (!this.config) {
+      this.config = require('./config.json');
+    }
+
+    const local = this.config.backends.local;
+    const configured = local.endpoints?.length ? local.endpoints : [{ id: 'ollama', type: 'ollama', url: local.ollamaUrl || 'http://localhost:11434' }];
+    return configured.map((cfg, index) => {
+      const type = cfg.type || 'ollama';
+      const id = cfg.id || `${type}-${index + 1}`;
+      if (!cfg.url || !ENDPOINT_TYPES.includes(type)) {
+        const error = new Error(`Local endpoint ${id} needs a url and a type of ${ENDPOINT_TYPES.join(' or ')}`);
+        error.code = 'INVALID_LOCAL_ENDPOINT';
+        throw error;
+      }
+
+      const url = cfg.url.replace(/\/+$/, '');
+      let endpoint = this.endpoints.get(id);
+      if (!endpoint || endpoint.url !== url || endpoint.type !== type) {
+        endpoint = { id, type, url, models: [], healthy: null, error: null, lastCheck: null, inFlight: 0, lastUsed: 0 };
+        this.endpoints.set(id, endpoint);
+      }
+      endpoint.apiKeyEnv = cfg.apiKeyEnv || null;
+      endpoint.maxConcurrent = cfg.maxConcurrent || null;
+      return endpoint;
+    });
+  }
+
+  /**
+   * Health check one endpoint and refresh its model list
+   * @param {Object} endpoint - From getEndpoints()
+   * @returns {Promise<Object>} The endpoint
+   */
+  async checkEndpoint(endpoint) {
+    try {
+      if (endpoint.type === 'ollama') {
+        const response = await axios.get(`${endpoint.url}/api/tags`, { timeout: 10000 });
+        endpoint.models = (response.data.models || []).map(model => model.name);
+      } else {
+        const response = await axios.get(`${endpoint.url}/v1/models`, { timeout: 10000, headers: this._authHeaders(endpoint) });
+        const entries = response.data.data || [];
+        endpoint.models = entries.map(model => model.id);
+        // vLLM and LM Studio list the context length with the model
+        for (const model of entries) {
+          const length = model.max_model_len || model.context_length || model.max_context_length;
+          if (length) this.contextLengths.set(`${endpoint.id}/${model.id}`, Number(length));
+        }
+      }
+      endpoint.healthy = true;
+      endpoint.error = null;
+    } catch (error) {
+      endpoint.healthy = false;
+      endpoint.error = error.message;
+      endpoint.models = [];
+    }
+    endpoint.lastCheck = new Date();
+    return endpoint;
+  }
+
+  /**
+   * Check which models are available across all local endpoints
    * @returns {Promise<void>}
    */
   async checkModelsAvailability() {
+    const endpoints = this.getEndpoints();
+    await Promise.all(endpoints.map(endpoint => this.checkEndpoint(endpoint)));
+
+    this.availableModels = [...new Set(endpoints.flatMap(endpoint => endpoint.models))];
+    this.lastModelCheck = new Date();
+
+    for (const endpoint of endpoints) {
+      if (endpoint.healthy) {
+        console.log(`[LOCAL] ${endpoint.id} models:`, endpoint.models.join(', '));
+      } else {
+        console.error(`[LOCAL] Error checking ${endpoint.id} (${endpoint.url}):`, endpoint.error);
+      }
+    }
+  }
+
+  /**
+   * Pick the endpoint to run a model on: among healthy endpoints serving it,
+   * the one with the fewest requests in flight (least recently used on a
+   * tie). Endpoints at their maxConcurrent are skipped while others are free.
+   * @param {string} model - Model name
+   * @param {string} [type] - Only consider endpoints of this type
+   * @returns {Object} Endpoint
+   * @throws {Error} code 'LOCAL_NO_ENDPOINT'
+   */
+  selectEndpoint(model, type) {
+    const candidates = this.getEndpoints().filter(endpoint =>
+      endpoint.healthy && endpoint.models.includes(model) && (!type || endpoint.type === type));
+    if (candidates.length === 0) {
+      const error = new Error(`No healthy local endpoint serves ${model}`);
+      error.code = 'LOCAL_NO_ENDPOINT';
+      throw error;
+    }
+
+    const free = candidates.filter(endpoint => !endpoint.maxConcurrent || endpoint.inFlight < endpoint.maxConcurrent);
+    return (free.length > 0 ? free : candidates).reduce((best, endpoint) =>
+      endpoint.inFlight < best.inFlight || (endpoint.inFlight === best.inFlight && endpoint.lastUsed < best.lastUsed) ? endpoint : best);
+  }
+
+  /**
+   * Base URL of the Ollama endpoint to call directly for a model (embeddings,
+   * plan decomposition): a healthy endpoint serving it as of the last check,
+   * else the first configured Ollama endpoint
+   * @param {string} [model] - Model name
+   * @returns {string}
+   * @throws {Error} if no Ollama endpoint is configured
+   */
+  ollamaUrl(model) {
     try {
-      const response = await axios.get(`${this.config.backends.local.ollamaUrl}/api/tags`, {
-        timeout: 10000
-      });
-      
-      this.availableModels = response.data.models.map(model => model.name);
-      this.lastModelCheck = new Date();
-      
-      console.log('[LOCAL] Available models:', this.availableModels.join(', '));
-    } catch (error) {
-      console.error('[LOCAL] Error checking available models:', error.message);
-      this.availableModels = [];
+      return this.selectEndpoint(model, 'ollama').url;
+    } catch (_) {
+      return this._ollamaEndpoint().url;
     }
   }
 
@@ -56,7 +188,9 @@ class LocalBridge {
   }
 
   /**
-   * Select the best model for a given task type
+   * Select the best model for a given task type: the best-ranked model
+   * from the provisioning benchmarks when there are any, otherwise the
+   * first installed model from the preference list
    * @param {string} taskType - Task type (code, docs, review, other)
    * @returns {string|null} Best available model name or null if none available
    */
@@ -107,6 +241,14 @@ class LocalBridge {
         ];
     }
 
+    // Measured on this machine beats the static preference list
+    if (this.config.backends.local.provisioning?.useBenchmarks !== false) {
+      const ranked = require('./local-provisioner').rankModels(taskType, this.availableModels);
+      if (ranked.length > 0) {
+        return ranked[0].model;
+      }
+    }
+
     // Find the first available model from candidates
     for (const candidate of candidates) {
       if (candidate && this.availableModels.includes(candidate)) {
@@ -119,8 +261,8 @@ class LocalBridge {
   }
 
   /**
-   * Check if the local backend is available
-   * @returns {Promise<boolean>} Whether the local backend is available
+   * Check if the local backend is available (health checks every endpoint)
+   * @returns {Promise<boolean>} Whether any endpoint is up with at least one model
    */
   async isAvailable() {
     if (!this.config) {
@@ -131,16 +273,8 @@ class LocalBridge {
       return false;
     }
 
-    try {
-      const response = await axios.get(`${this.config.backends.local.ollamaUrl}/api/tags`, {
-        timeout: 5000
-      });
-      
-      return response.status === 200 && response.data.models && response.data.models.length > 0;
-    } catch (error) {
-      console.error('[LOCAL] Availability check failed:', error.message);
-      return false;
-    }
+    await this.checkModelsAvailability();
+    return this.getEndpoints().some(endpoint => endpoint.healthy && endpoint.models.length > 0);
   }
 
   /**
@@ -148,7 +282,7 @@ class LocalBridge {
    * @param {Object} task - Task object with description, type, files, etc.
    * @returns {Promise<Object>} Execution result
    */
-  async executeTask(task) {
+  async executeTask(task, context = {}) {
     const startTime = Date.now();
     
     if (!this.config) {
@@ -164,11 +298,22 @@ class LocalBridge {
       throw new Error('No suitable local model available for task type: ' + task.type);
     }
 
-    console.log(`[LOCAL] Executing task with model: ${model}`);
+    const endpoint = this.selectEndpoint(model);
+    const messages = this.buildMessages(task);
+    const contextSize = await this.contextWindow(model, messages, endpoint);
+    console.log(`[LOCAL] Executing task with model: ${model} on ${endpoint.id} (num_ctx ${contextSize.numCtx}, ~${contextSize.promptTokens} prompt tokens)`);
+
+    const controller = new AbortController();
+    if (context.taskId) this.inFlight.set(context.taskId, controller);
 
     try {
-      const prompt = this.buildPrompt(task);
-      const result = await this.callOllama(model, prompt);
+      const result = await this.callModel(model, messages, {
+        endpoint,
+        signal: controller.signal,
+        taskType: task.type,
+        numCtx: contextSize.numCtx,
+        onChunk: (text) => taskStream.write(context.taskId, 'local', text)
+      });
       
       const duration = Date.now() - startTime;
       
@@ -193,46 +338,71 @@ class LocalBridge {
         success: true,
         backend: 'local',
         model,
+        endpoint: endpoint.id,
         response: result.response,
         duration,
-        tokens: this.estimateTokens(prompt + result.response),
+        tokens: result.prompt_eval_count || result.eval_count
+          ? (result.prompt_eval_count || 0) + (result.eval_count || 0)
+          : contextSize.promptTokens + this.estimateTokens(result.response),
+        contextWindow: contextSize,
         cost: 0, // Local is free
         outputPath: task.outputPath
       };
 
     } catch (error) {
       const duration = Date.now() - startTime;
+      if (controller.signal.aborted) {
+        console.log(`[LOCAL] Task ${context.taskId} cancelled after ${(duration / 1000).toFixed(1)}s`);
+        throw cancellation.error(context.taskId, 'local');
+      }
       console.error(`[LOCAL] Task failed after ${(duration / 1000).toFixed(1)}s:`, error.message);
       
       throw new Error(`Local execution failed: ${error.message}`);
+    } finally {
+      if (context.taskId) this.inFlight.delete(context.taskId);
     }
   }
 
   /**
-   * Build a comprehensive prompt for the local model
+   * Build the chat messages for the local model: a system message for the
+   * task type and a user message with the task
    * @param {Object} task - Task object
-   * @returns {string} Formatted prompt
+   * @returns {Array<{role: string, content: string}>}
    */
-  buildPrompt(task) {
-    let prompt = '';
+  buildMessages(task) {
+    return [
+      { role: 'system', content: this.buildSystemPrompt(task) },
+      { role: 'user', content: this.buildPrompt(task) }
+    ];
+  }
 
-    // System context based on task type
+  /**
+   * System prompt based on task type
+   * @param {Object} task - Task object
+   * @returns {string}
+   */
+  buildSystemPrompt(task) {
     switch (task.type) {
       case 'code':
-        prompt += 'You are an expert programmer. Write clean, efficient, well-documented code.\n\n';
-        break;
+        return 'You are an expert programmer. Write clean, efficient, well-documented code.';
       case 'review':
-        prompt += 'You are a senior code reviewer. Provide thorough, constructive feedback.\n\n';
-        break;
+        return 'You are a senior code reviewer. Provide thorough, constructive feedback.';
       case 'docs':
-        prompt += 'You are a technical writer. Create clear, comprehensive documentation.\n\n';
-        break;
+        return 'You are a technical writer. Create clear, comprehensive documentation.';
       case 'analysis':
-        prompt += 'You are an analyst. Provide detailed, structured analysis with insights.\n\n';
-        break;
+        return 'You are an analyst. Provide detailed, structured analysis with insights.';
       default:
-        prompt += 'You are a helpful AI assistant. Provide accurate, detailed responses.\n\n';
+        return 'You are a helpful AI assistant. Provide accurate, detailed responses.';
     }
+  }
+
+  /**
+   * Build the user prompt for the local model
+   * @param {Object} task - Task object
+   * @returns {string} Formatted prompt
+   */
+  buildPrompt(task) {
+    let prompt = '';
 
     // Add task description
     prompt += `Task: ${task.description}\n\n`;
@@ -288,34 +458,61 @@ class LocalBridge {
   }
 
   /**
-   * Call Ollama API to generate response
+   * Run a chat request on a local endpoint of either protocol, counting it
+   * against the endpoint's load
+   * @param {string} model - Model name
+   * @param {Array<Object>|string} messages - Chat messages, or a prompt sent as one user message
+   * @param {Object} [options] - As callOllama(), plus `endpoint` (default: selectEndpoint(model))
+   * @returns {Promise<Object>} { response, prompt_eval_count, eval_count, endpoint, ... }
+   */
+  async callModel(model, messages, options = {}) {
+    if (typeof messages === 'string') messages = [{ role: 'user', content: messages }];
+    const endpoint = options.endpoint || this.selectEndpoint(model);
+
+    endpoint.inFlight++;
+    endpoint.lastUsed = Date.now();
+    try {
+      const call = endpoint.type === 'openai' ? this.callOpenAICompatible : this.callOllama;
+      const result = await call.call(this, model, messages, { ...options, endpoint });
+      return { ...result, endpoint: endpoint.id };
+    } finally {
+      endpoint.inFlight--;
+    }
+  }
+
+  /**
+   * Call the Ollama chat API
    * @param {string} model - Model name
-   * @param {string} prompt - Input prompt
-   * @returns {Promise<Object>} Ollama response
+   * @param {Array<Object>|string} messages - Chat messages, or a prompt sent as one user message
+   * @param {Object} [options]
+   * @param {Object} [options.endpoint] - Ollama endpoint (default: selectEndpoint(model, 'ollama'))
+   * @param {AbortSignal} [options.signal] - Aborts the request on cancel
+   * @param {function(string)} [options.onChunk] - Stream the response, receiving each token chunk
+   * @param {string} [options.taskType] - Picks sampling parameters (backends.local.sampling)
+   * @param {number} [options.numCtx] - Context window (default: sized by contextWindow())
+   * @returns {Promise<Object>} Final Ollama message, with the full text in `response`
    */
-  async callOllama(model, prompt) {
+  async callOllama(model, messages, options = {}) {
+    if (typeof messages === 'string') messages = [{ role: 'user', content: messages }];
+    const endpoint = options.endpoint || this.selectEndpoint(model, 'ollama');
+
     const requestData = {
       model,
-      prompt,
-      stream: false,
+      messages,
+      stream: Boolean(options.onChunk),
       options: {
-        temperature: 0.7,
-        top_p: 0.9,
-        top_k: 40,
-        num_ctx: 4096 // Context window
+        ...this.samplingOptions(options.taskType),
+        num_ctx: options.numCtx || (await this.contextWindow(model, messages, endpoint)).numCtx
       }
     };
 
-    // Adjust parameters based on task
-    if (prompt.includes('code') || prompt.includes('Code')) {
-      requestData.options.temperature = 0.3; // More deterministic for code
-    }
-
     const response = await axios.post(
-      `${this.config.backends.local.ollamaUrl}/api/generate`,
+      `${endpoint.url}/api/chat`,
       requestData,
       {
         timeout: this.config.backends.local.timeoutSeconds * 1000,
+        signal: options.signal,
+        responseType: requestData.stream ? 'stream' : 'json',
         headers: {
           'Content-Type': 'application/json'
         }
@@ -326,11 +523,238 @@ class LocalBridge {
       throw new Error(`Ollama API returned status ${response.status}`);
     }
 
-    if (!response.data.response) {
+    if (requestData.stream) {
+      return await this.readOllamaStream(response.data, options.onChunk);
+    }
+
+    const text = response.data.message?.content;
+    if (!text) {
       throw new Error('Ollama API returned empty response');
     }
 
-    return response.data;
+    return { ...response.data, response: text };
+  }
+
+  /**
+   * Call an OpenAI-compatible chat completions API (llama.cpp server, LM
+   * Studio, vLLM). The server's own context size applies; `num_predict` in
+   * the sampling parameters is sent as `max_tokens`.
+   * @param {string} model - Model name, as listed by the server's /v1/models
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} [options] - As callOllama(); `endpoint` defaults to selectEndpoint(model, 'openai')
+   * @returns {Promise<Object>} { response, model, prompt_eval_count, eval_count, done } (Ollama's field names)
+   */
+  async callOpenAICompatible(model, messages, options = {}) {
+    const endpoint = options.endpoint || this.selectEndpoint(model, 'openai');
+    const { num_predict: maxTokens, ...sampling } = this.samplingOptions(options.taskType);
+
+    const requestData = { model, messages, stream: Boolean(options.onChunk), ...sampling };
+    if (maxTokens) requestData.max_tokens = maxTokens;
+    if (requestData.stream) requestData.stream_options = { include_usage: true };
+
+    const response = await axios.post(
+      `${endpoint.url}/v1/chat/completions`,
+      requestData,
+      {
+        timeout: this.config.backends.local.timeoutSeconds * 1000,
+        signal: options.signal,
+        responseType: requestData.stream ? 'stream' : 'json',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this._authHeaders(endpoint)
+        }
+      }
+    );
+
+    if (response.status !== 200) {
+      throw new Error(`${endpoint.id} returned status ${response.status}`);
+    }
+
+    if (requestData.stream) {
+      return await this.readOpenAIStream(response.data, options.onChunk);
+    }
+
+    const text = response.data.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error(`${endpoint.id} returned empty response`);
+    }
+
+    const usage = response.data.usage || {};
+    return { response: text, model: response.data.model || model, prompt_eval_count: usage.prompt_tokens, eval_count: usage.completion_tokens, done: true };
+  }
+
+  /**
+   * Sampling parameters for a task type: backends.local.sampling.default
+   * overlaid with the entry for the type
+   * @param {string} [taskType]
+   * @returns {Object} Ollama options (temperature, top_p, top_k, ...)
+   */
+  samplingOptions(taskType) {
+    const sampling = this.config.backends.local.sampling || DEFAULT_SAMPLING;
+    return { ...DEFAULT_SAMPLING.default, ...sampling.default, ...(taskType && sampling[taskType]) };
+  }
+
+  /**
+   * Size the context window for a request: the estimated prompt tokens plus
+   * room for the response, rounded up to a multiple of 1024, at least
+   * backends.local.context.min and at most the model's context length
+   * @param {string} model - Model name
+   * @param {Array<Object>|string} messages - Chat messages or prompt
+   * @param {Object} [endpoint] - Endpoint the request goes to
+   * @returns {Promise<Object>} { numCtx, promptTokens, modelMax }
+   * @throws {Error} code 'LOCAL_CONTEXT_OVERFLOW' if the prompt alone exceeds the model's context length
+   */
+  async contextWindow(model, messages, endpoint) {
+    const settings = { ...DEFAULT_CONTEXT, ...this.config.backends.local.context };
+    const text = typeof messages === 'string' ? messages : messages.map(m => m.content).join('\n');
+    const promptTokens = this.estimateTokens(text);
+    const modelMax = await this.getContextLength(model, endpoint) || settings.fallbackMax;
+
+    if (promptTokens > modelMax) {
+      const error = new Error(`Prompt of ~${promptTokens} tokens exceeds ${model}'s ${modelMax}-token context`);
+      error.code = 'LOCAL_CONTEXT_OVERFLOW';
+      error.backend = 'local';
+      error.shouldFallback = true;
+      throw error;
+    }
+
+    const wanted = Math.ceil((promptTokens + settings.responseTokens) / 1024) * 1024;
+    return { numCtx: Math.min(modelMax, Math.max(settings.min, wanted)), promptTokens, modelMax };
+  }
+
+  /**
+   * Context length a model reports (cached per endpoint and model): Ollama's
+   * /api/show, or for OpenAI-compatible servers the /v1/models listing or
+   * llama.cpp's /props
+   * @param {string} model - Model name
+   * @param {Object} [endpoint] - Default: the first endpoint serving the model
+   * @returns {Promise<number|null>} Tokens, or null if the server doesn't report one
+   */
+  async getContextLength(model, endpoint) {
+    const endpoints = this.getEndpoints();
+    endpoint = endpoint || endpoints.find(e => e.models.includes(model)) || endpoints[0];
+    const key = `${endpoint.id}/${model}`;
+    if (this.contextLengths.has(key)) return this.contextLengths.get(key);
+
+    let length = null;
+    try {
+      if (endpoint.type === 'ollama') {
+        const response = await axios.post(`${endpoint.url}/api/show`, { model, name: model }, { timeout: 10000 });
+        const info = response.data.model_info || {};
+        const infoKey = Object.keys(info).find(k => k.endsWith('.context_length'));
+        length = infoKey ? Number(info[infoKey]) || null : null;
+      } else {
+        const response = await axios.get(`${endpoint.url}/props`, { timeout: 10000, headers: this._authHeaders(endpoint) });
+        length = Number(response.data.default_generation_settings?.n_ctx) || null;
+      }
+    } catch (error) {
+      if (endpoint.type === 'ollama') {
+        console.warn(`[LOCAL] Could not read context length of ${model}:`, error.message);
+        return null; // not cached, so the next request asks again
+      }
+      // Servers without /props never report one
+    }
+
+    this.contextLengths.set(key, length);
+    return length;
+  }
+
+  /**
+   * Collect a streamed /api/chat (or /api/generate) response
+   * (newline-delimited JSON), forwarding each token chunk as it arrives
+   * @param {import('stream').Readable} stream - Response body
+   * @param {function(string)} onChunk - Receives each text fragment
+   * @returns {Promise<Object>} Final Ollama message with the full response text
+   */
+  async readOllamaStream(stream, onChunk) {
+    let pending = '';
+    let text = '';
+    let final = {};
+
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      const message = JSON.parse(line);
+      if (message.error) throw new Error(`Ollama error: ${message.error}`);
+      const chunk = message.message?.content || message.response;
+      if (chunk) {
+        text += chunk;
+        onChunk(chunk);
+      }
+      if (message.done) final = message;
+    };
+
+    for await (const data of stream) {
+      pending += data.toString();
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(pending);
+
+    if (!text) {
+      throw new Error('Ollama API returned empty response');
+    }
+
+    return { ...final, response: text };
+  }
+
+  /**
+   * Collect a streamed OpenAI-compatible response (server-sent events),
+   * forwarding each token chunk as it arrives
+   * @param {import('stream').Readable} stream - Response body
+   * @param {function(string)} onChunk - Receives each text fragment
+   * @returns {Promise<Object>} { response, model, prompt_eval_count, eval_count, done }
+   */
+  async readOpenAIStream(stream, onChunk) {
+    let pending = '';
+    let text = '';
+    let model = null;
+    let usage = {};
+
+    const handleLine = (line) => {
+      const data = line.trim().replace(/^data:\s*/, '');
+      if (!line.trim().startsWith('data:') || data === '[DONE]') return;
+      const event = JSON.parse(data);
+      if (event.error) throw new Error(`Local server error: ${event.error.message || event.error}`);
+      const chunk = event.choices?.[0]?.delta?.content;
+      if (chunk) {
+        text += chunk;
+        onChunk(chunk);
+      }
+      if (event.model) model = event.model;
+      if (event.usage) usage = event.usage;
+    };
+
+    for await (const data of stream) {
+      pending += data.toString();
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(pending);
+
+    if (!text) {
+      throw new Error('Local server returned empty response');
+    }
+
+    return { response: text, model, prompt_eval_count: usage.prompt_tokens, eval_count: usage.completion_tokens, done: true };
+  }
+
+  /**
+   * @private Ollama endpoint by ID, or the first configured one
+   */
+  _ollamaEndpoint(endpointId) {
+    const endpoint = this.getEndpoints().find(e => e.type === 'ollama' && (!endpointId || e.id === endpointId));
+    if (!endpoint) throw new Error(`No Ollama endpoint${endpointId ? ` ${endpointId}` : ''} configured`);
+    return endpoint;
+  }
+
+  /**
+   * @private Authorization header for endpoints with an apiKeyEnv
+   */
+  _authHeaders(endpoint) {
+    const key = endpoint.apiKeyEnv && process.env[endpoint.apiKeyEnv];
+    return key ? { Authorization: `Bearer ${key}` } : {};
   }
 
   /**
@@ -354,6 +778,7 @@ class LocalBridge {
       available: false,
       models: [],
       ollamaUrl: this.config?.backends?.local?.ollamaUrl,
+      endpoints: [],
       lastCheck: this.lastModelCheck,
       error: null
     };
@@ -363,6 +788,17 @@ class LocalBridge {
       if (status.available) {
         status.models = await this.listModels();
       }
+      status.endpoints = this.getEndpoints().map(endpoint => ({
+        id: endpoint.id,
+        type: endpoint.type,
+        url: endpoint.url,
+        healthy: endpoint.healthy,
+        models: endpoint.models,
+        inFlight: endpoint.inFlight,
+        maxConcurrent: endpoint.maxConcurrent,
+        lastCheck: endpoint.lastCheck,
+        error: endpoint.error
+      }));
     } catch (error) {
       status.error = error.message;
     }
@@ -373,15 +809,16 @@ class LocalBridge {
   /**
    * Pull a model from Ollama registry
    * @param {string} modelName - Model name to pull
+   * @param {string} [endpointId] - Ollama endpoint (default: the first one)
    * @returns {Promise<boolean>} Whether the pull succeeded
    */
-  async pullModel(modelName) {
+  async pullModel(modelName, endpointId) {
     try {
       console.log(`[LOCAL] Pulling model: ${modelName}`);
       
       const response = await axios.post(
-        `${this.config.backends.local.ollamaUrl}/api/pull`,
-        { name: modelName },
+        `${this._ollamaEndpoint(endpointId).url}/api/pull`,
+        { name: modelName, model: modelName, stream: false },
         { timeout: 600000 } // 10 minute timeout for model downloads
       );
 
@@ -401,14 +838,15 @@ class LocalBridge {
   /**
    * Remove a model from local storage
    * @param {string} modelName - Model name to remove
+   * @param {string} [endpointId] - Ollama endpoint (default: the first one)
    * @returns {Promise<boolean>} Whether the removal succeeded
    */
-  async removeModel(modelName) {
+  async removeModel(modelName, endpointId) {
     try {
       console.log(`[LOCAL] Removing model: ${modelName}`);
       
       const response = await axios.delete(
-        `${this.config.backends.local.ollamaUrl}/api/delete`,
+        `${this._ollamaEndpoint(endpointId).url}/api/delete`,
         {
           data: { name: modelName },
           timeout: 30000
@@ -438,7 +876,7 @@ class LocalBridge {
     const startTime = Date.now();
     
     try {
-      const result = await this.callOllama(modelName, testPrompt);
+      const result = await this.callModel(modelName, testPrompt, { taskType: 'code' });
       const duration = Date.now() - startTime;
       
       return {
@@ -457,6 +895,77 @@ class LocalBridge {
       };
     }
   }
+
+  // ─── Backend adapter contract (see backend-registry.js) ────────
+
+  get displayName() {
+    return 'Local (Ollama)';
+  }
+
+  /**
+   * Adapter entry point
+   * @param {Object} task - Normalized task
+   * @param {Object} [context] - { taskId } from the router
+   * @returns {Promise<Object>} Execution result
+   */
+  async execute(task, context = {}) {
+    return this.executeTask(task, context);
+  }
+
+  /**
+   * Marginal cost of a task — local inference is free
+   * @returns {number} Cost in USD
+   */
+  estimateCost() {
+    return 0;
+  }
+
+  /**
+   * Health probe across all local endpoints (healthy if any is up)
+   * @returns {Promise<{healthy: boolean, version?: string, error?: string}>}
+   */
+  async healthPing() {
+    try {
+      await this.checkModelsAvailability();
+      const endpoints = this.getEndpoints();
+      const up = endpoints.filter(endpoint => endpoint.healthy);
+      if (up.length === 0) {
+        return { healthy: false, error: endpoints.map(endpoint => `${endpoint.id}: ${endpoint.error}`).join('; ') };
+      }
+      return { healthy: true, version: `${this.availableModels.length} models loaded on ${up.length}/${endpoints.length} endpoints` };
+    } catch (error) {
+      return { healthy: false, error: error.message };
+    }
+  }
+
+  /**
+   * Abort every in-flight Ollama request (shutdown)
+   * @returns {Promise<void>}
+   */
+  async killAllSessions() {
+    console.log(`[LOCAL] Aborting ${this.inFlight.size} in-flight Ollama requests`);
+    for (const [taskId, controller] of this.inFlight.entries()) {
+      if (!cancellation.isCancelled(taskId)) cancellation.markCancelled(taskId, 'Router shutting down');
+      controller.abort();
+    }
+    this.inFlight.clear();
+  }
+
+  /**
+   * Abort the in-flight Ollama request for a task
+   * @param {string} taskId - Router task ID
+   * @returns {Promise<boolean>} Whether a request was aborted
+   */
+  async cancel(taskId) {
+    const controller = this.inFlight.get(taskId);
+    if (!controller) return false;
+
+    if (!cancellation.isCancelled(taskId)) cancellation.markCancelled(taskId);
+    controller.abort();
+    this.inFlight.delete(taskId);
+    console.log(`[LOCAL] Aborted Ollama request for ${taskId}`);
+    return true;
+  }
 }
 
 module.exports = new LocalBridge();
\ No newline at end of file
@@ -87,10 +87,18 @@ class Monitor {
       tokens,
       taskType: task.type || 'other',
       urgency: task.urgency || 'normal',
-      complexity: task.complexity || 5
+      complexity: task.complexity || 5,
+      // Kept so the routing simulator can replay the task as it was routed
+      files: Array.isArray(task.files) ? task.files : [],
+      toolsNeeded: Array.isArray(task.toolsNeeded) ? task.toolsNeeded : [],
+      source: task.source || task.metadata?.source || null,
+      userId: task.metadata?.userId || null
     };
 
-    // Record backend performance
+    // Record backend performance (custom backends get stats on first use)
+    if (backend && !this.data.backends[backend]) {
+      this.data.backends[backend] = { results: [], totalTasks: 0, successRate: 0, avgDuration: 0, avgTokens: 0 };
+    }
     if (this.data.backends[backend]) {
       this.data.backends[backend].results.push(result);
       this.data.backends[backend].totalTasks++;
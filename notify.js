@@ -12,6 +12,7 @@ function getSlackNotify() {
       console.warn('[NOTIFY] Slack notifications not available:', err.message);
       slackNotify = {
         sendPlanApproval: () => false,
+        sendStepApproval: () => false,
         sendProgress: () => false,
         sendCompletion: () => false,
         sendError: () => false
@@ -214,6 +215,46 @@ function sendPlanApproval(plan, costBreakdown) {
   return telegramSent;
 }
 
+/**
+ * Ask for sign-off on a plan step that is paused at an approval gate
+ * @param {Object} gate - Pending gate from step-approvals.js
+ * @returns {boolean} Whether message was sent
+ */
+function sendStepApproval(gate) {
+  const taskDesc = (gate.taskDescription || gate.planId).substring(0, 80);
+
+  const lines = [];
+  lines.push(`Step Approval -- "${taskDesc}"`);
+  lines.push('');
+  lines.push(`Step ${gate.stepNumber}/${gate.totalSteps}: ${gate.description.substring(0, 100)} -> ${formatBackendLabel(gate.backend)} (${formatCostLabel(gate)})`);
+
+  if (gate.priorOutput) {
+    lines.push('');
+    lines.push('Output so far:');
+    lines.push(gate.priorOutput.substring(0, 500));
+  }
+  lines.push('');
+
+  const config = getConfig();
+  const dashboardPort = config.dashboard?.port || 3457;
+  const authToken = config.dashboard?.authToken || '';
+
+  const stepUrl = `http://localhost:${dashboardPort}/api/plan/${gate.planId}/steps/${gate.stepId}`;
+  lines.push('Actions:');
+  lines.push(`✅ Approve: ${stepUrl}/approve?token=${authToken}`);
+  lines.push(`❌ Reject: ${stepUrl}/reject?token=${authToken}`);
+  lines.push(`Or run: node cli.js approve ${gate.planId} ${gate.stepNumber}`);
+
+  const telegramSent = sendMessage(lines.join('\n'));
+
+  // Also send to Slack if enabled
+  if (config.slackNotifications?.enabled) {
+    getSlackNotify().sendStepApproval(gate);
+  }
+
+  return telegramSent;
+}
+
 /**
  * Send a progress update
  * @param {string} taskId - Task/plan identifier
@@ -350,6 +391,7 @@ function wireSchedulerEvents(scheduler) {
 
 module.exports = {
   sendPlanApproval,
+  sendStepApproval,
   sendProgress,
   sendCompletion,
   sendError,
@@ -0,0 +1,127 @@
+const routingPolicy = require('./routing-policy');
+
+/**
+ * Tool Permission Profiles for OpenClaw Task Router
+ * Decides which tools a Claude Code session may use. A profile is chosen,
+ * first match wins, by:
+ *   1. task.permissionProfile            (explicit)
+ *   2. a routing-policy rule with action { permissionProfile }
+ *   3. backends.claudeCode.permissions.bySource  (GitHub tasks → read-only)
+ *   4. backends.claudeCode.permissions.byType
+ *   5. backends.claudeCode.permissions.default   (full-dev)
+ *
+ * Profile shape:
+ *   { allowedTools: [tool], skipPermissions }   // skipPermissions → --dangerously-skip-permissions
+ * Without skipPermissions, guarded tools (shell, edits, web) the profile
+ * doesn't list are passed to --disallowedTools, so they are refused.
+ */
+
+const BUILT_IN_PROFILES = {
+  'read-only': { description: 'Review and analysis: read and search only', allowedTools: ['Read', 'Grep', 'Glob'], skipPermissions: false },
+  'docs-writer': { description: 'Documentation: read, search and edit files, no shell', allowedTools: ['Read', 'Grep', 'Glob', 'Edit', 'Write'], skipPermissions: false },
+  'full-dev': { description: 'Development: edit files and run commands', allowedTools: ['Edit', 'Write', 'Bash', 'Read'], skipPermissions: true }
+};
+
+// Tools refused explicitly when a profile doesn't list them
+const GUARDED_TOOLS = ['Bash', 'Edit', 'Write', 'MultiEdit', 'NotebookEdit', 'WebFetch', 'WebSearch'];
+
+const DEFAULTS = {
+  default: 'full-dev',
+  byType: { review: 'read-only', docs: 'docs-writer' },
+  bySource: { github: 'read-only', 'github-webhook': 'read-only' }
+};
+
+class PermissionProfiles {
+  constructor() {
+    this.config = null;
+  }
+
+  /**
+   * Lazy-load config (backends.claudeCode.permissions)
+   */
+  loadConfig() {
+    if (!this.config) {
+      const cfg = require('./config.json').backends?.claudeCode?.permissions || {};
+      this.config = {
+        default: cfg.default || DEFAULTS.default,
+        byType: { ...DEFAULTS.byType, ...cfg.byType },
+        bySource: { ...DEFAULTS.bySource, ...cfg.bySource },
+        profiles: { ...BUILT_IN_PROFILES, ...cfg.profiles }
+      };
+    }
+    return this.config;
+  }
+
+  /**
+   * Known profile names
+   * @returns {Array<string>}
+   */
+  names() {
+    return Object.keys(this.loadConfig().profiles);
+  }
+
+  /**
+   * Look up a profile
+   * @param {string} name
+   * @returns {Object} { name, description, allowedTools, disallowedTools, skipPermissions }
+   * @throws {Error} code 'UNKNOWN_PERMISSION_PROFILE'
+   */
+  get(name) {
+    const profile = this.loadConfig().profiles[name];
+    if (!profile) {
+      const error = new Error(`Unknown permission profile ${name} (expected ${this.names().join(', ')})`);
+      error.code = 'UNKNOWN_PERMISSION_PROFILE';
+      throw error;
+    }
+    const allowedTools = profile.allowedTools || [];
+    return {
+      name,
+      description: profile.description || null,
+      allowedTools,
+      disallowedTools: profile.skipPermissions ? [] : GUARDED_TOOLS.filter(tool => !allowedTools.includes(tool)),
+      skipPermissions: profile.skipPermissions === true
+    };
+  }
+
+  /**
+   * Choose the profile for a task
+   * @param {Object} task - Normalized task
+   * @returns {Object} Profile plus `decidedBy` ('task', 'policy:<rule>', 'source:<source>', 'type:<type>', 'default')
+   * @throws {Error} code 'UNKNOWN_PERMISSION_PROFILE' for an unknown explicit profile
+   */
+  resolve(task) {
+    const config = this.loadConfig();
+    if (task.permissionProfile) return { ...this.get(task.permissionProfile), decidedBy: 'task' };
+
+    const rule = routingPolicy.permissionProfileFor(task, require('./config.json'));
+    if (rule && config.profiles[rule.profile]) return { ...this.get(rule.profile), decidedBy: `policy:${rule.rule}` };
+
+    const source = task.source || task.metadata?.source;
+    if (source && config.bySource[source]) return { ...this.get(config.bySource[source]), decidedBy: `source:${source}` };
+    if (config.byType[task.type]) return { ...this.get(config.byType[task.type]), decidedBy: `type:${task.type}` };
+    return { ...this.get(config.default), decidedBy: 'default' };
+  }
+
+  /**
+   * Claude CLI arguments for a profile
+   * @param {Object} profile - From get() / resolve()
+   * @returns {Array<string>}
+   */
+  cliArgs(profile) {
+    const args = ['--allowedTools', profile.allowedTools.join(',')];
+    if (profile.disallowedTools.length > 0) args.push('--disallowedTools', profile.disallowedTools.join(','));
+    if (profile.skipPermissions) args.push('--dangerously-skip-permissions');
+    return args;
+  }
+
+  /**
+   * Short form for traces and results
+   * @param {Object} profile
+   * @returns {{ profile: string, decidedBy: string, allowedTools: Array<string> }}
+   */
+  summary(profile) {
+    return { profile: profile.name, decidedBy: profile.decidedBy || null, allowedTools: profile.allowedTools };
+  }
+}
+
+module.exports = new PermissionProfiles();
@@ -0,0 +1,228 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+/**
+ * Plan Execution Checkpoints for OpenClaw Task Router
+ * executePlan() saves its wave state here after every settled step, so a plan
+ * interrupted by a restart (or a failure/cancellation) can be resumed with
+ * router.resumePlan(planId) without re-running the steps that finished.
+ *
+ * Run shape:
+ *   {
+ *     planId, status,            // 'running' | 'completed' | 'failed' | 'cancelled'
+ *     plan,                      // the plan, with per-step `status`
+ *     results, errors, context,  // stepId → result / error / context passed downstream
+ *     completed: [stepId], skipped: [stepId],
+ *     pid, pidStartedAt,         // the executing process and its start time (clock ticks, Linux only)
+ *     startedAt, updatedAt, finishedAt, resumedCount
+ *   }
+ *
+ * A run left 'running' by a process that is no longer executing it is
+ * reported as interrupted.
+ */
+
+/**
+ * Start time of a process in clock ticks since boot, from /proc/<pid>/stat,
+ * or null where that isn't available. Tells the process that wrote a run
+ * apart from a later one that reused its pid.
+ * @param {number} pid
+ * @returns {string|null}
+ */
+function processStartedAt(pid) {
+  try {
+    const stat = fsSync.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    // Fields after "(comm)" start at field 3; starttime is field 22
+    return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19] || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+class PlanStore {
+  constructor() {
+    const dataDir = process.env.ROUTER_TEST_MODE ? process.env.ROUTER_TEST_DATA_DIR : path.join(__dirname, 'data');
+    this.dataPath = path.join(dataDir, 'plan-runs.json');
+    this.runs = {}; // planId → run
+    this.removed = new Set(); // planIds removed here, so a reload doesn't bring them back
+    this.pidStartedAt = processStartedAt(process.pid);
+    this.maxFinishedRuns = 50;
+    this.loaded = false;
+  }
+
+  /**
+   * Load runs from persistent storage. A checkpoint this process holds that
+   * is newer than the stored one (or not saved yet) is kept, so a reload
+   * during a concurrent checkpoint doesn't roll the run back.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    let stored = {};
+    try {
+      const dataStr = await fs.readFile(this.dataPath, 'utf8');
+      stored = JSON.parse(dataStr).runs || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[PLANS] Error loading plan runs:', error.message);
+      }
+    }
+
+    const runs = {};
+    for (const [planId, run] of Object.entries(stored)) {
+      if (!this.removed.has(planId)) runs[planId] = run;
+    }
+    for (const [planId, run] of Object.entries(this.runs)) {
+      const onDisk = runs[planId];
+      if (onDisk ? new Date(run.updatedAt) >= new Date(onDisk.updatedAt) : run.pid === process.pid) {
+        runs[planId] = run;
+      }
+    }
+    this.runs = runs;
+    this.loaded = true;
+  }
+
+  /**
+   * Save runs to persistent storage (temp file + rename, so readers in other
+   * processes never see a partial file)
+   * @returns {Promise<void>}
+   */
+  async save() {
+    // Serialize before awaiting: a concurrent load() replaces this.runs
+    const data = JSON.stringify({
+      runs: this.runs,
+      lastUpdated: new Date().toISOString()
+    }, null, 2);
+    try {
+      await fs.mkdir(path.dirname(this.dataPath), { recursive: true });
+      const tmpPath = `${this.dataPath}.${process.pid}.${Math.random().toString(36).substr(2, 6)}.tmp`;
+      await fs.writeFile(tmpPath, data);
+      await fs.rename(tmpPath, this.dataPath);
+    } catch (error) {
+      console.error('[PLANS] Error saving plan runs:', error.message);
+    }
+  }
+
+  /**
+   * Record the current state of a plan run
+   * @param {Object} state - { plan, status, results, errors, context, completed, skipped }
+   * @returns {Promise<Object>} The stored run
+   */
+  async checkpoint(state) {
+    if (!this.loaded) await this.load();
+
+    const previous = this.runs[state.plan.id];
+    const now = new Date().toISOString();
+    const run = {
+      planId: state.plan.id,
+      status: state.status,
+      plan: state.plan,
+      results: state.results,
+      errors: state.errors,
+      context: state.context,
+      completed: [...state.completed],
+      skipped: [...(state.skipped || [])],
+      pid: process.pid,
+      pidStartedAt: this.pidStartedAt,
+      startedAt: previous?.startedAt || now,
+      updatedAt: now,
+      finishedAt: state.status === 'running' ? null : now,
+      resumedCount: (previous?.resumedCount || 0) + (state.resumed ? 1 : 0)
+    };
+    this.runs[run.planId] = run;
+    this.removed.delete(run.planId);
+
+    this._prune();
+    await this.save();
+    return run;
+  }
+
+  /**
+   * Look up a run (re-reads disk so runs from other processes are visible)
+   * @param {string} planId
+   * @returns {Promise<Object|null>}
+   */
+  async get(planId) {
+    await this.load();
+    return this.runs[planId] || null;
+  }
+
+  /**
+   * Runs, newest first, with `interrupted` computed
+   * @param {Object} [options]
+   * @param {Set<string>} [options.activeIds] - Plans this process is executing
+   * @param {boolean} [options.resumableOnly] - Only runs that can be resumed
+   * @returns {Promise<Array<Object>>} Run summaries
+   */
+  async list(options = {}) {
+    await this.load();
+    const activeIds = options.activeIds || new Set();
+
+    return Object.values(this.runs)
+      .map(run => {
+        const interrupted = this.isInterrupted(run, activeIds);
+        const steps = run.plan.steps || [];
+        return {
+          planId: run.planId,
+          status: interrupted ? 'interrupted' : run.status,
+          description: (run.plan.task?.description || '').substring(0, 100),
+          totalSteps: steps.length,
+          completedSteps: run.completed.length,
+          skippedSteps: run.skipped.length,
+          startedAt: run.startedAt,
+          updatedAt: run.updatedAt,
+          resumable: interrupted || ['failed', 'cancelled'].includes(run.status)
+        };
+      })
+      .filter(summary => !options.resumableOnly || summary.resumable)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+
+  /**
+   * Whether a run marked 'running' is no longer being executed. A process
+   * with the run's pid only counts if it also started when the run's did,
+   * as pids are reused after restarts.
+   * @param {Object} run
+   * @param {Set<string>} activeIds - Plans this process is executing
+   * @returns {boolean}
+   */
+  isInterrupted(run, activeIds = new Set()) {
+    if (run.status !== 'running') return false;
+    if (run.pid === process.pid && (!run.pidStartedAt || run.pidStartedAt === this.pidStartedAt)) return !activeIds.has(run.planId);
+    try {
+      process.kill(run.pid, 0); // Signal 0 only checks the process exists
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+    const startedAt = processStartedAt(run.pid);
+    return Boolean(run.pidStartedAt && startedAt && startedAt !== run.pidStartedAt);
+  }
+
+  /**
+   * Drop a run's checkpoint
+   * @param {string} planId
+   * @returns {Promise<boolean>}
+   */
+  async remove(planId) {
+    await this.load();
+    if (!this.runs[planId]) return false;
+    delete this.runs[planId];
+    this.removed.add(planId);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Keep every running run; trim settled ones to the newest maxFinishedRuns
+   * @private
+   */
+  _prune() {
+    const finished = Object.values(this.runs)
+      .filter(run => run.status !== 'running')
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    for (const run of finished.slice(this.maxFinishedRuns)) {
+      delete this.runs[run.planId];
+    }
+  }
+}
+
+module.exports = new PlanStore();
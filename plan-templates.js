@@ -0,0 +1,287 @@
+const fs = require('fs').promises;
+const path = require('path');
+const planner = require('./planner');
+
+/**
+ * Plan Templates for OpenClaw Task Router
+ * Named, parameterised step graphs for workflows that run over and over, so
+ * they don't have to be rebuilt from keywords by planner.decompose() each time.
+ * Instantiate with router.route(task, { template: 'ocr-analyze', params }).
+ *
+ * Template shape:
+ *   {
+ *     name: 'ocr-analyze',
+ *     description: 'OCR {{source}}, extract, analyze and report',
+ *     params: { source: { description, required: true }, format: { default: 'markdown' } },
+ *     steps: [
+ *       { id: 'ocr', description: 'OCR the scans in {{source}}', backend: 'local', type: 'ocr' },
+ *       { id: 'analyze', description: '...', backend: 'claude-code', dependsOn: ['ocr'], critical: false }
+ *     ]
+ *   }
+ *
+ * `{{param}}` placeholders in descriptions are filled from params (or their
+ * defaults). Step fields other than id/description/backend/dependsOn are
+ * optional and default like planner steps. Built-in templates are read-only;
+ * user templates are stored in data/plan-templates.json.
+ */
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+const BUILT_IN_TEMPLATES = {
+  'pr-review': {
+    name: 'pr-review',
+    description: 'Review {{pr}}, run the tests and summarise',
+    params: {
+      pr: { description: 'Pull request URL or branch', required: true },
+      testCommand: { description: 'Command that runs the test suite', default: 'npm test' }
+    },
+    steps: [
+      { id: 'review', description: 'Review the changes in {{pr}} for bugs, style and missing tests', backend: 'claude-code', type: 'code' },
+      { id: 'tests', description: 'Check out {{pr}} and run `{{testCommand}}`, reporting any failures', backend: 'codex', type: 'code' },
+      { id: 'summary', description: 'Summarise the review findings and test results for {{pr}}', backend: 'local', type: 'docs', dependsOn: ['review', 'tests'] }
+    ]
+  },
+  'ocr-analyze': {
+    name: 'ocr-analyze',
+    description: 'OCR {{source}}, extract, analyze and report',
+    params: {
+      source: { description: 'Files or folder to OCR', required: true },
+      focus: { description: 'What the analysis should look for', default: 'key figures and risks' },
+      format: { description: 'Report format', default: 'markdown' }
+    },
+    steps: [
+      { id: 'ocr', description: 'OCR the documents in {{source}}', backend: 'local', type: 'ocr', estimatedTokens: 4000 },
+      { id: 'extract', description: 'Extract structured data from the OCR text of {{source}}', backend: 'local', type: 'extraction', dependsOn: ['ocr'] },
+      { id: 'analyze', description: 'Analyze the extracted data for {{focus}}', backend: 'claude-code', type: 'analysis', dependsOn: ['extract'] },
+      { id: 'report', description: 'Write a {{format}} report of the analysis', backend: 'local', type: 'docs', dependsOn: ['analyze'] }
+    ]
+  }
+};
+
+class PlanTemplates {
+  constructor() {
+    const dataDir = process.env.ROUTER_TEST_MODE ? process.env.ROUTER_TEST_DATA_DIR : path.join(__dirname, 'data');
+    this.dataPath = path.join(dataDir, 'plan-templates.json');
+    this.templates = {}; // name → user template
+    this.builtIn = BUILT_IN_TEMPLATES;
+    this.loaded = false;
+  }
+
+  /**
+   * Load user templates from persistent storage
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const dataStr = await fs.readFile(this.dataPath, 'utf8');
+      this.templates = JSON.parse(dataStr).templates || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[TEMPLATES] Error loading plan templates:', error.message);
+      }
+      this.templates = {};
+    }
+    this.loaded = true;
+  }
+
+  /**
+   * Save user templates to persistent storage
+   * @returns {Promise<void>}
+   */
+  async save() {
+    try {
+      await fs.mkdir(path.dirname(this.dataPath), { recursive: true });
+      await fs.writeFile(this.dataPath, JSON.stringify({
+        templates: this.templates,
+        lastUpdated: new Date().toISOString()
+      }, null, 2));
+    } catch (error) {
+      console.error('[TEMPLATES] Error saving plan templates:', error.message);
+    }
+  }
+
+  /**
+   * All templates, built-in first
+   * @returns {Promise<Array<Object>>} Summaries: { name, description, params, steps, builtIn, updatedAt }
+   */
+  async list() {
+    await this.load();
+    return [
+      ...Object.values(this.builtIn).map(t => ({ ...t, builtIn: true })),
+      ...Object.values(this.templates).map(t => ({ ...t, builtIn: false }))
+    ].map(t => ({
+      name: t.name,
+      description: t.description || '',
+      params: Object.keys(t.params || {}),
+      steps: t.steps.length,
+      builtIn: t.builtIn,
+      updatedAt: t.updatedAt || null
+    }));
+  }
+
+  /**
+   * Look up a template by name
+   * @param {string} name
+   * @returns {Promise<Object|null>}
+   */
+  async get(name) {
+    if (this.builtIn[name]) return { ...this.builtIn[name], builtIn: true };
+    await this.load();
+    return this.templates[name] ? { ...this.templates[name], builtIn: false } : null;
+  }
+
+  /**
+   * Create or replace a user template after validating it
+   * @param {Object} template
+   * @returns {Promise<Object>} The stored template
+   * @throws {Error} code 'INVALID_TEMPLATE' (with `errors`) or 'TEMPLATE_READ_ONLY'
+   */
+  async put(template) {
+    if (this.builtIn[template?.name]) {
+      throw this._error('TEMPLATE_READ_ONLY', `Template ${template.name} is built in and cannot be replaced`);
+    }
+    const errors = this.validate(template);
+    if (errors.length > 0) {
+      throw this._error('INVALID_TEMPLATE', `Invalid template: ${errors.join('; ')}`, { errors });
+    }
+
+    await this.load();
+    const now = new Date().toISOString();
+    const stored = {
+      name: template.name,
+      description: template.description || '',
+      params: template.params || {},
+      steps: template.steps,
+      createdAt: this.templates[template.name]?.createdAt || now,
+      updatedAt: now
+    };
+    this.templates[stored.name] = stored;
+    await this.save();
+    console.log(`[TEMPLATES] Saved template ${stored.name} (${stored.steps.length} steps)`);
+    return stored;
+  }
+
+  /**
+   * Delete a user template
+   * @param {string} name
+   * @returns {Promise<boolean>} Whether it existed
+   * @throws {Error} code 'TEMPLATE_READ_ONLY' for built-in templates
+   */
+  async remove(name) {
+    if (this.builtIn[name]) {
+      throw this._error('TEMPLATE_READ_ONLY', `Template ${name} is built in and cannot be deleted`);
+    }
+    await this.load();
+    if (!this.templates[name]) return false;
+    delete this.templates[name];
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Check a template's shape, placeholders and the plan it produces against
+   * planner.validatePlan()
+   * @param {Object} template
+   * @returns {Array<string>} Problems found (empty when valid)
+   */
+  validate(template) {
+    const errors = [];
+    if (!template || typeof template !== 'object') return ['template must be an object'];
+    if (typeof template.name !== 'string' || !NAME_PATTERN.test(template.name)) {
+      errors.push('name must be letters, digits, "-" or "_"');
+    }
+    if (template.params !== undefined && (typeof template.params !== 'object' || Array.isArray(template.params))) {
+      errors.push('params must be an object of { description, required, default }');
+    }
+    if (!Array.isArray(template.steps) || template.steps.length === 0) {
+      errors.push('steps must be a non-empty array');
+      return errors;
+    }
+
+    const params = template.params || {};
+    const ids = new Set(template.steps.map(step => step?.id));
+    for (const [i, step] of template.steps.entries()) {
+      const at = `steps[${i}]`;
+      if (typeof step?.id !== 'string' || !step.id) errors.push(`${at}.id must be a string`);
+      if (!step?.backend) errors.push(`${at}.backend is required`);
+      for (const depId of step?.dependsOn || []) {
+        if (!ids.has(depId)) errors.push(`${at}.dependsOn references unknown step ${depId}`);
+      }
+      for (const name of this._placeholders(step?.description)) {
+        if (!params[name]) errors.push(`${at}.description uses undeclared param {{${name}}}`);
+      }
+    }
+    if (errors.length > 0) return errors;
+
+    // Cycles first: building a plan walks the dependency graph
+    const cycle = planner._findCycle(template.steps.map(step => ({ id: step.id, dependencies: step.dependsOn || [] })));
+    if (cycle) return [`dependency cycle: ${cycle.join(' → ')}`];
+
+    // Build a plan with sample values and check it like any other plan
+    const sample = {};
+    for (const [name, spec] of Object.entries(params)) sample[name] = spec?.default ?? `<${name}>`;
+    try {
+      const plan = planner.fromTemplate(template, { description: template.description || template.name }, sample);
+      errors.push(...planner.validatePlan(plan));
+    } catch (error) {
+      errors.push(error.message);
+    }
+    return errors;
+  }
+
+  /**
+   * Build a plan from a template
+   * @param {string} name - Template name
+   * @param {Object} [params] - Values for the template's params
+   * @param {Object} [task] - Task being planned (description defaults to the template's)
+   * @returns {Promise<Object>} Plan, with `template: { name, params }`
+   * @throws {Error} code 'TEMPLATE_NOT_FOUND' or 'INVALID_TEMPLATE_PARAMS' (with `errors`)
+   */
+  async instantiate(name, params = {}, task = {}) {
+    const template = await this.get(name);
+    if (!template) throw this._error('TEMPLATE_NOT_FOUND', `Template ${name} not found`);
+
+    const specs = template.params || {};
+    const values = {};
+    const errors = [];
+    for (const [param, spec] of Object.entries(specs)) {
+      if (params[param] !== undefined && params[param] !== '') values[param] = String(params[param]);
+      else if (spec.default !== undefined) values[param] = String(spec.default);
+      else if (spec.required) errors.push(`missing required param ${param}`);
+      else values[param] = '';
+    }
+    for (const param of Object.keys(params)) {
+      if (!specs[param]) errors.push(`unknown param ${param}`);
+    }
+    if (errors.length > 0) {
+      throw this._error('INVALID_TEMPLATE_PARAMS', `Template ${name}: ${errors.join('; ')}`, { errors });
+    }
+
+    const plan = planner.fromTemplate(template, task, values);
+    const planErrors = planner.validatePlan(plan);
+    if (planErrors.length > 0) {
+      throw this._error('INVALID_TEMPLATE', `Template ${name} produced an invalid plan: ${planErrors.join('; ')}`, { errors: planErrors });
+    }
+    return plan;
+  }
+
+  /**
+   * @private Param names used in a string
+   */
+  _placeholders(text) {
+    return [...String(text || '').matchAll(PLACEHOLDER)].map(match => match[1]);
+  }
+
+  /**
+   * @private Error with a code (and extra fields)
+   */
+  _error(code, message, extra = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+  }
+}
+
+module.exports = new PlanTemplates();
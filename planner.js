@@ -1,4 +1,15 @@
 const EventEmitter = require('events');
+const axios = require('axios');
+const stepOutputs = require('./step-outputs');
+
+const PLAN_BACKENDS = ['claude-code', 'codex', 'api', 'local'];
+
+// Step conditions are tested against a step's _extractContext output (all must hold):
+//   contains / notContains   string | string[]  (any of, case-insensitive)
+//   matches / notMatches     regex source       (case-insensitive)
+// `condition` also names the prior step to test; `loop.until` tests the looping step itself.
+const CONDITION_TESTS = ['contains', 'notContains', 'matches', 'notMatches'];
+const MAX_LOOP_ITERATIONS = 10;
 
 /**
  * OpenClaw Task Planner - Decomposition + Cost Estimation Engine
@@ -66,7 +77,7 @@ class TaskPlanner extends EventEmitter {
     const complexity = task.complexity || this._inferComplexity(desc);
 
     // Simple tasks: no decomposition needed
-    if (complexity <= 3 && desc.length < 200 && !(task.files && task.files.length > 2)) {
+    if (this._isSimpleTask(task, desc, complexity)) {
       const backend = this._pickSingleBackend(task);
       const tokens  = this._estimateTokens(desc, task.files);
       const step = {
@@ -91,6 +102,341 @@ class TaskPlanner extends EventEmitter {
     return this._buildPlan(planId, task, steps);
   }
 
+  /**
+   * Decompose a task, asking a model to propose the steps when LLM decomposition
+   * is enabled (`planner.decomposition.mode: "llm"` or options.mode). The model's
+   * plan must pass validatePlan(); otherwise, or when the model is unreachable,
+   * the heuristic plan from decompose() is returned.
+   * @param {Object} task - Same shape as decompose()
+   * @param {Object} [options]
+   * @param {string} [options.mode] - 'llm' | 'heuristic' (overrides config)
+   * @returns {Promise<Object>} Plan with `decomposition: { mode, model, fallbackReason }`
+   */
+  async decomposeWithModel(task, options = {}) {
+    this.loadConfig();
+
+    const settings = this._decompositionSettings();
+    const mode = options.mode || settings.mode;
+    const desc = (task.description || '').trim();
+    const complexity = task.complexity || this._inferComplexity(desc);
+
+    if (mode !== 'llm' || this._isSimpleTask(task, desc, complexity)) {
+      return { ...this.decompose(task), decomposition: { mode: 'heuristic' } };
+    }
+
+    const planId = `plan_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    try {
+      const raw = await this._requestModelPlan(task, settings);
+      const steps = this._stepsFromModel(planId, raw);
+
+      // Validate before _buildPlan: its critical-path estimate assumes an acyclic graph
+      const errors = this.validatePlan({ id: planId, steps });
+      if (errors.length > 0) {
+        throw new Error(`invalid plan: ${errors.slice(0, 3).join('; ')}`);
+      }
+      const plan = this._buildPlan(planId, task, steps);
+
+      console.log(`[PLANNER] ${settings.model} proposed ${steps.length} steps for ${planId}`);
+      plan.decomposition = { mode: 'llm', model: settings.model };
+      return plan;
+    } catch (error) {
+      console.warn(`[PLANNER] Model decomposition failed (${error.message}) — using heuristics`);
+      return {
+        ...this.decompose(task),
+        decomposition: { mode: 'heuristic', model: settings.model, fallbackReason: error.message }
+      };
+    }
+  }
+
+  /**
+   * Name of the planning model (`planner.decomposition.model`)
+   * @returns {string}
+   */
+  planningModel() {
+    this.loadConfig();
+    return this._decompositionSettings().model;
+  }
+
+  /**
+   * Send a prompt to the planning model and return the JSON object in its
+   * reply, for modules that ask it for something other than a plan (such as
+   * task-splitter.js)
+   * @param {string} prompt
+   * @returns {Promise<Object>}
+   * @throws {Error} if the model can't be reached or replies without JSON
+   */
+  async requestModelJson(prompt) {
+    this.loadConfig();
+    return await this._requestModelJson(prompt, this._decompositionSettings());
+  }
+
+  /**
+   * Check a plan against the shape _buildPlan() produces: required step fields,
+   * known backends, dependencies that exist, and no dependency cycles
+   * @param {Object} plan
+   * @returns {Array<string>} Problems found (empty when valid)
+   */
+  validatePlan(plan) {
+    const errors = [];
+    if (!plan || typeof plan.id !== 'string') errors.push('plan.id must be a string');
+    if (!Array.isArray(plan?.steps) || plan.steps.length === 0) {
+      errors.push('plan.steps must be a non-empty array');
+      return errors;
+    }
+
+    const ids = new Set();
+    for (const [i, step] of plan.steps.entries()) {
+      const at = `steps[${i}]`;
+      if (typeof step.id !== 'string' || !step.id) errors.push(`${at}.id must be a string`);
+      else if (ids.has(step.id)) errors.push(`${at}.id "${step.id}" is duplicated`);
+      ids.add(step.id);
+
+      if (typeof step.description !== 'string' || !step.description.trim()) errors.push(`${at}.description must be a non-empty string`);
+      if (!PLAN_BACKENDS.includes(step.backend)) errors.push(`${at}.backend must be one of ${PLAN_BACKENDS.join(', ')}`);
+      for (const field of ['estimatedTokens', 'estimatedMinutes']) {
+        if (!(typeof step[field] === 'number' && step[field] > 0)) errors.push(`${at}.${field} must be a positive number`);
+      }
+      if (!(typeof step.estimatedCost === 'number' && step.estimatedCost >= 0)) errors.push(`${at}.estimatedCost must be a number >= 0`);
+      if (!Array.isArray(step.dependencies)) errors.push(`${at}.dependencies must be an array`);
+      for (const field of ['critical', 'parallelizable']) {
+        if (typeof step[field] !== 'boolean') errors.push(`${at}.${field} must be a boolean`);
+      }
+      if (typeof step.type !== 'string') errors.push(`${at}.type must be a string`);
+
+      if (step.condition !== undefined) {
+        errors.push(...this._conditionErrors(`${at}.condition`, step.condition));
+        if (!(step.dependencies || []).includes(step.condition?.step)) {
+          errors.push(`${at}.condition.step must be one of the step's dependencies`);
+        }
+      }
+      if (step.output !== undefined) errors.push(...stepOutputs.validateSpec(step.output, `${at}.output`));
+      for (const ref of stepOutputs.references(step.description)) {
+        const source = stepOutputs.findStep(plan.steps, ref.step);
+        if (!source || !(step.dependencies || []).includes(source.id)) {
+          errors.push(`${at}.description references ${ref.match} but that step is not one of its dependencies`);
+        } else if (!source.output) {
+          errors.push(`${at}.description references ${ref.match} but step ${source.index + 1} declares no output`);
+        }
+      }
+      if (step.requiresApproval !== undefined && typeof step.requiresApproval !== 'boolean') {
+        errors.push(`${at}.requiresApproval must be a boolean`);
+      }
+      if (step.loop !== undefined) {
+        const max = step.loop?.maxIterations;
+        if (!(Number.isInteger(max) && max >= 1 && max <= MAX_LOOP_ITERATIONS)) {
+          errors.push(`${at}.loop.maxIterations must be an integer from 1 to ${MAX_LOOP_ITERATIONS}`);
+        }
+        errors.push(...this._conditionErrors(`${at}.loop.until`, step.loop?.until, { self: true }));
+      }
+    }
+
+    for (const step of plan.steps) {
+      for (const depId of step.dependencies || []) {
+        if (depId === step.id) errors.push(`step ${step.id} depends on itself`);
+        else if (!ids.has(depId)) errors.push(`step ${step.id} depends on unknown step ${depId}`);
+      }
+    }
+
+    const cycle = this._findCycle(plan.steps);
+    if (cycle) errors.push(`dependency cycle: ${cycle.join(' → ')}`);
+
+    return errors;
+  }
+
+  /**
+   * Test a step condition against a step's output (see CONDITION_TESTS)
+   * @param {Object} condition - { contains, notContains, matches, notMatches }
+   * @param {string} [output] - _extractContext output; missing output never meets a condition
+   * @returns {boolean}
+   */
+  evaluateCondition(condition, output) {
+    if (output === undefined || output === null) return false;
+    const text = String(output).toLowerCase();
+    const anyOf = (value) => [].concat(value).some(v => text.includes(String(v).toLowerCase()));
+
+    if (condition.contains !== undefined && !anyOf(condition.contains)) return false;
+    if (condition.notContains !== undefined && anyOf(condition.notContains)) return false;
+    if (condition.matches !== undefined && !new RegExp(condition.matches, 'i').test(output)) return false;
+    if (condition.notMatches !== undefined && new RegExp(condition.notMatches, 'i').test(output)) return false;
+    return true;
+  }
+
+  /**
+   * Human-readable form of a step condition
+   * @param {Object} condition
+   * @param {Object} [plan] - Used to show the tested step by number
+   * @returns {string} e.g. 'step 2 output contains "FAIL"'
+   */
+  describeCondition(condition, plan) {
+    const quote = (value) => [].concat(value).map(v => `"${v}"`).join(' or ');
+    const parts = [];
+    if (condition.contains !== undefined) parts.push(`contains ${quote(condition.contains)}`);
+    if (condition.notContains !== undefined) parts.push(`does not contain ${quote(condition.notContains)}`);
+    if (condition.matches !== undefined) parts.push(`matches /${condition.matches}/`);
+    if (condition.notMatches !== undefined) parts.push(`does not match /${condition.notMatches}/`);
+
+    let subject = 'output';
+    if (condition.step) {
+      const index = plan ? plan.steps.findIndex(s => s.id === condition.step) : -1;
+      subject = `${index >= 0 ? `step ${index + 1}` : condition.step} output`;
+    }
+    return `${subject} ${parts.join(' and ')}`;
+  }
+
+  /**
+   * Build a plan from a plan template (see plan-templates.js), filling
+   * `{{param}}` placeholders from values. Does not validate the result.
+   * @param {Object} template - { name, description, steps: [{ id, description, backend, dependsOn, ... }] }
+   * @param {Object} task - Task being planned; description defaults to the template's
+   * @param {Object} values - param name → value
+   * @returns {Object} Plan, with `template: { name, params }`
+   */
+  fromTemplate(template, task, values = {}) {
+    this.loadConfig();
+    const planId = `plan_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const render = (text) => String(text || '').replace(/\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g,
+      (match, name) => (values[name] !== undefined ? values[name] : match));
+
+    const idMap = new Map(template.steps.map((step, i) => [step.id, `${planId}_s${i + 1}`]));
+    const steps = template.steps.map((step, i) => {
+      const description = render(step.description);
+      return this._makeStep(planId, i, {
+        description,
+        backend: step.backend,
+        tokens: step.estimatedTokens || this._estimateTokens(description),
+        minutes: step.estimatedMinutes,
+        dependencies: (step.dependsOn || []).map(depId => idMap.get(depId) || depId),
+        parallelizable: step.parallelizable ?? (step.dependsOn || []).length === 0,
+        critical: step.critical,
+        type: step.type,
+        condition: step.condition && { ...step.condition, step: idMap.get(step.condition.step) || step.condition.step },
+        loop: step.loop,
+        requiresApproval: step.requiresApproval,
+        output: step.output,
+        key: step.id
+      });
+    });
+
+    const plan = this._buildPlan(planId, { ...task, description: task.description || render(template.description) }, steps);
+    plan.template = { name: template.name, params: values };
+    return plan;
+  }
+
+  /**
+   * Apply edits to a plan that has not started. Returns a new plan with
+   * re-indexed steps, recomputed step costs and totals; the input is untouched.
+   * Steps are referenced by ID or by 1-based position.
+   *
+   * Edits:
+   *   { op: 'update', step, description?, backend?, type?, estimatedTokens?, optional?, dependencies?, condition?, loop?, requiresApproval?, output? }
+   *   { op: 'add', description, backend?, type?, estimatedTokens?, optional?, dependencies?, condition?, loop?, requiresApproval?, output?, after? }
+   *   { op: 'remove', step }
+   *
+   * @param {Object} plan - Plan from decompose()
+   * @param {Object|Array<Object>} edits
+   * @returns {Object} Edited plan
+   * @throws {Error} code 'INVALID_PLAN_EDIT' with `errors` when an edit or the result is invalid
+   */
+  applyEdits(plan, edits) {
+    this.loadConfig();
+    const fail = (errors) => {
+      const error = new Error(`Invalid plan edit: ${errors.join('; ')}`);
+      error.code = 'INVALID_PLAN_EDIT';
+      error.errors = errors;
+      return error;
+    };
+
+    const steps = JSON.parse(JSON.stringify(plan.steps || []));
+    let nextNumber = steps.reduce((max, s) => Math.max(max, parseInt(s.id.split('_s').pop(), 10) || 0), 0) + 1;
+    const resolve = (ref) => {
+      const step = typeof ref === 'number' || /^\d+$/.test(String(ref))
+        ? steps[Number(ref) - 1]
+        : steps.find(s => s.id === ref);
+      if (!step) throw fail([`unknown step ${ref}`]);
+      return step;
+    };
+    const applyFields = (step, edit) => {
+      if (edit.description !== undefined) step.description = String(edit.description).trim();
+      if (edit.type !== undefined) step.type = edit.type;
+      if (edit.critical !== undefined) step.critical = Boolean(edit.critical);
+      if (edit.optional !== undefined) step.critical = !edit.optional;
+      if (edit.parallelizable !== undefined) step.parallelizable = Boolean(edit.parallelizable);
+      if (edit.estimatedTokens !== undefined) step.estimatedTokens = Number(edit.estimatedTokens);
+      if (edit.dependencies !== undefined) {
+        if (!Array.isArray(edit.dependencies)) throw fail([`dependencies of ${step.id} must be an array of step references`]);
+        step.dependencies = edit.dependencies.map(ref => resolve(ref).id);
+      }
+      if (edit.condition !== undefined) {
+        if (edit.condition) step.condition = { ...edit.condition, step: resolve(edit.condition.step).id };
+        else delete step.condition;
+      }
+      if (edit.output !== undefined) {
+        if (edit.output) step.output = edit.output;
+        else delete step.output;
+      }
+      if (edit.requiresApproval !== undefined) {
+        if (edit.requiresApproval) step.requiresApproval = true;
+        else delete step.requiresApproval;
+      }
+      if (edit.loop !== undefined) {
+        if (edit.loop) step.loop = edit.loop;
+        else delete step.loop;
+      }
+      if (edit.backend !== undefined && edit.backend !== step.backend) {
+        step.backend = edit.backend;
+        step.estimatedMinutes = this.timeEstimates[edit.backend] || step.estimatedMinutes;
+      }
+      step.estimatedCost = this._tokenCost(step.estimatedTokens, step.backend);
+    };
+
+    for (const edit of [].concat(edits || [])) {
+      switch (edit.op) {
+        case 'update':
+          applyFields(resolve(edit.step), edit);
+          break;
+
+        case 'add': {
+          const step = this._makeStep(plan.id, 0, {
+            description: String(edit.description || '').trim(),
+            backend: edit.backend || this._pickSingleBackend({ description: edit.description || '' }),
+            tokens: this._estimateTokens(edit.description)
+          });
+          step.id = `${plan.id}_s${nextNumber++}`;
+          const position = edit.after !== undefined ? steps.indexOf(resolve(edit.after)) + 1 : steps.length;
+          steps.splice(position, 0, step);
+          applyFields(step, { ...edit, backend: undefined });
+          break;
+        }
+
+        case 'remove': {
+          const step = resolve(edit.step);
+          steps.splice(steps.indexOf(step), 1);
+          for (const other of steps) {
+            other.dependencies = other.dependencies.filter(depId => depId !== step.id);
+          }
+          break;
+        }
+
+        default:
+          throw fail([`unknown op "${edit.op}" (expected update, add or remove)`]);
+      }
+    }
+
+    steps.forEach((step, index) => { step.index = index; });
+    const errors = this.validatePlan({ id: plan.id, steps });
+    if (errors.length > 0) throw fail(errors);
+
+    const edited = {
+      ...this._buildPlan(plan.id, plan.task || {}, steps),
+      createdAt: plan.createdAt,
+      editedAt: new Date().toISOString(),
+      revision: (plan.revision || 0) + 1
+    };
+    if (plan.decomposition) edited.decomposition = plan.decomposition;
+    if (plan.template) edited.template = plan.template;
+    return edited;
+  }
+
   /**
    * Estimate cost breakdown for a plan
    * @param {Object} plan - Plan object from decompose()
@@ -154,6 +500,17 @@ class TaskPlanner extends EventEmitter {
     lines.push(`═══ Task Plan: ${plan.id} ═══`);
     lines.push(`Task: ${plan.task.description.substring(0, 120)}`);
     lines.push(`Steps: ${plan.steps.length} | Est. time: ~${cost.totalEstimatedMinutes} min`);
+    if (plan.decomposition?.mode === 'llm') {
+      lines.push(`Planned by: ${plan.decomposition.model}`);
+    } else if (plan.decomposition?.fallbackReason) {
+      lines.push(`Planned by: heuristics (${plan.decomposition.model} unavailable: ${plan.decomposition.fallbackReason})`);
+    }
+    if (plan.template) {
+      lines.push(`Template: ${plan.template.name}`);
+    }
+    if (plan.revision) {
+      lines.push(`Edited: revision ${plan.revision} (${plan.editedAt})`);
+    }
     lines.push('');
 
     for (let i = 0; i < plan.steps.length; i++) {
@@ -164,9 +521,20 @@ class TaskPlanner extends EventEmitter {
         : '';
       const parallelTag = step.parallelizable ? ' [parallel]' : '';
       const criticalTag = step.critical ? '' : ' [optional]';
+      const approvalTag = step.requiresApproval ? ' [needs approval]' : '';
 
       lines.push(`  ${i + 1}. ${step.description}`);
-      lines.push(`     Backend: ${step.backend} | ~${step.estimatedMinutes} min | ${costInfo.isFree ? '$0 (subscription)' : '$' + step.estimatedCost.toFixed(4)}${depStr}${parallelTag}${criticalTag}`);
+      lines.push(`     Backend: ${step.backend} | ~${step.estimatedMinutes} min | ${costInfo.isFree ? '$0 (subscription)' : '$' + step.estimatedCost.toFixed(4)}${depStr}${parallelTag}${criticalTag}${approvalTag}`);
+      if (step.condition) {
+        lines.push(`     Runs if: ${this.describeCondition(step.condition, plan)}`);
+      }
+      if (step.output) {
+        const required = step.output.schema?.required?.length ? ` (${step.output.schema.required.join(', ')})` : '';
+        lines.push(`     Output: ${step.output.type}${required}`);
+      }
+      if (step.loop) {
+        lines.push(`     Repeats until: ${this.describeCondition(step.loop.until)} (max ${step.loop.maxIterations} runs)`);
+      }
     }
 
     lines.push('');
@@ -489,15 +857,199 @@ class TaskPlanner extends EventEmitter {
     return { score, recommendation, reason };
   }
 
+  // ─── Model Decomposition ──────────────────────────────────────
+
+  /**
+   * @private planner.decomposition config with defaults
+   */
+  _decompositionSettings() {
+    const settings = this.config.planner?.decomposition || {};
+    return {
+      mode: settings.mode || 'heuristic',
+      provider: settings.provider || 'ollama',
+      model: settings.model || this.config.backends?.local?.models?.docs || 'llama3.2:latest',
+      ollamaUrl: settings.ollamaUrl || null,   // null: resolved from backends.local when a request is made
+      timeoutSeconds: settings.timeoutSeconds || 60,
+      maxSteps: this.config.planner?.maxSteps || 10
+    };
+  }
+
+  /**
+   * @private Prompt asking for a plan as JSON
+   */
+  _decompositionPrompt(task, maxSteps) {
+    const files = (task.files || []).slice(0, 20);
+    return [
+      'Break the task below into at most ' + maxSteps + ' concrete steps for AI coding agents.',
+      'Backends: "claude-code" (multi-file code changes, deep reasoning), "codex" (quick code, scripts, file processing),',
+      '"local" (formatting, summaries, simple docs; free), "api" (needs tools or very large context; paid).',
+      'Respond with JSON only, in this shape:',
+      '{"steps": [{"description": "...", "backend": "codex", "type": "code", "dependsOn": [1], "estimatedTokens": 4000, "critical": true, "parallelizable": false}]}',
+      '"dependsOn" lists the 1-based numbers of earlier steps whose output this step needs.',
+      '"critical": false marks steps that can be skipped if they fail.',
+      '',
+      `Task: ${task.description}`,
+      files.length > 0 ? `Files: ${files.join(', ')}` : '',
+      task.outputPath ? `Output path: ${task.outputPath}` : ''
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * @private Ask the configured model for a plan; returns its parsed JSON
+   */
+  async _requestModelPlan(task, settings) {
+    return await this._requestModelJson(this._decompositionPrompt(task, settings.maxSteps), settings);
+  }
+
+  /**
+   * @private Send a prompt to the decomposition model and parse the JSON
+   * object in its reply
+   */
+  async _requestModelJson(prompt, settings) {
+    let text;
+
+    if (settings.provider === 'ollama') {
+      const url = settings.ollamaUrl || require('./local').ollamaUrl(settings.model);
+      const response = await axios.post(`${url}/api/generate`, {
+        model: settings.model,
+        prompt,
+        stream: false,
+        format: 'json',
+        options: { temperature: 0.2 }
+      }, { timeout: settings.timeoutSeconds * 1000 });
+      text = response.data?.response;
+    } else {
+      const providerClients = require('./provider-clients');
+      const { provider, model } = providerClients.parseModelId(settings.model);
+      const response = await providerClients.complete(provider, {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        maxTokens: 2000,
+        temperature: 0.2
+      }, { timeoutMs: settings.timeoutSeconds * 1000 });
+      text = response.text;
+    }
+
+    // Tolerate prose or code fences around the JSON object
+    const start = (text || '').indexOf('{');
+    const end = (text || '').lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('model returned no JSON');
+    }
+    return JSON.parse(text.slice(start, end + 1));
+  }
+
+  /**
+   * @private Turn the model's JSON into plan steps (shape checks only;
+   * validatePlan() runs on the built plan)
+   */
+  _stepsFromModel(planId, raw) {
+    const proposed = raw?.steps;
+    const maxSteps = this._decompositionSettings().maxSteps;
+    if (!Array.isArray(proposed) || proposed.length === 0) {
+      throw new Error('response has no steps array');
+    }
+    if (proposed.length > maxSteps) {
+      throw new Error(`model proposed ${proposed.length} steps (max ${maxSteps})`);
+    }
+
+    return proposed.map((entry, index) => {
+      const dependsOn = Array.isArray(entry.dependsOn) ? entry.dependsOn : [];
+      if (!dependsOn.every(n => Number.isInteger(n) && n >= 1 && n <= proposed.length)) {
+        throw new Error(`step ${index + 1} has invalid dependsOn`);
+      }
+      if (!PLAN_BACKENDS.includes(entry.backend)) {
+        throw new Error(`step ${index + 1} has unknown backend "${entry.backend}"`);
+      }
+      const description = typeof entry.description === 'string' ? entry.description.trim() : '';
+      const tokens = Number.isFinite(entry.estimatedTokens) && entry.estimatedTokens > 0
+        ? Math.round(entry.estimatedTokens)
+        : this._estimateTokens(description);
+
+      return this._makeStep(planId, index, {
+        description,
+        backend: entry.backend,
+        tokens,
+        dependencies: dependsOn.map(n => `${planId}_s${n}`),
+        parallelizable: entry.parallelizable === true,
+        critical: entry.critical !== false,
+        type: typeof entry.type === 'string' ? entry.type : 'other'
+      });
+    });
+  }
+
+  /**
+   * @private Problems with a step condition (`self` conditions test the step's own output)
+   */
+  _conditionErrors(at, condition, { self = false } = {}) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) return [`${at} must be an object`];
+    const errors = [];
+    if (!self && typeof condition.step !== 'string') errors.push(`${at}.step must name a prior step`);
+    if (self && condition.step !== undefined) errors.push(`${at} tests the step's own output and takes no step`);
+
+    const tests = Object.keys(condition).filter(key => key !== 'step');
+    if (tests.length === 0) errors.push(`${at} needs one of ${CONDITION_TESTS.join(', ')}`);
+    for (const key of tests) {
+      if (!CONDITION_TESTS.includes(key)) {
+        errors.push(`${at}: unknown test "${key}"`);
+      } else if (key === 'matches' || key === 'notMatches') {
+        try {
+          new RegExp(condition[key], 'i');
+        } catch (error) {
+          errors.push(`${at}.${key}: ${error.message}`);
+        }
+      } else if (![].concat(condition[key]).every(v => typeof v === 'string' && v)) {
+        errors.push(`${at}.${key} must be a string or array of strings`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * @private First dependency cycle found, as a list of step IDs (null if acyclic)
+   */
+  _findCycle(steps) {
+    const byId = new Map(steps.map(s => [s.id, s]));
+    const state = new Map(); // stepId → 'visiting' | 'done'
+    const trail = [];
+
+    const visit = (id) => {
+      if (state.get(id) === 'done' || !byId.has(id)) return null;
+      if (state.get(id) === 'visiting') return [...trail.slice(trail.indexOf(id)), id];
+      state.set(id, 'visiting');
+      trail.push(id);
+      for (const depId of byId.get(id).dependencies || []) {
+        const cycle = visit(depId);
+        if (cycle) return cycle;
+      }
+      trail.pop();
+      state.set(id, 'done');
+      return null;
+    };
+
+    for (const step of steps) {
+      const cycle = visit(step.id);
+      if (cycle) return cycle;
+    }
+    return null;
+  }
+
   // ─── Helpers ──────────────────────────────────────────────────
 
+  /**
+   * @private Whether a task is small enough to run as a single step
+   */
+  _isSimpleTask(task, desc, complexity) {
+    return complexity <= 3 && desc.length < 200 && !(task.files && task.files.length > 2);
+  }
+
   /**
    * @private Build a step object
    */
   _makeStep(planId, index, opts) {
     const backend = opts.backend || 'local';
     const tokens  = opts.tokens  || 2000;
-    return {
+    const step = {
       id: `${planId}_s${index + 1}`,
       index,
       description: opts.description,
@@ -510,6 +1062,12 @@ class TaskPlanner extends EventEmitter {
       critical: opts.critical !== undefined ? opts.critical : true,
       type: opts.type || 'other'
     };
+    if (opts.condition) step.condition = opts.condition;
+    if (opts.loop) step.loop = opts.loop;
+    if (opts.requiresApproval) step.requiresApproval = true;
+    if (opts.output) step.output = opts.output;
+    if (opts.key) step.key = opts.key;
+    return step;
   }
 
   /**
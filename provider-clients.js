@@ -0,0 +1,296 @@
+const axios = require('axios');
+
+/**
+ * Provider HTTP Clients for OpenClaw Task Router
+ * Thin clients for the Anthropic Messages API, the OpenAI Chat Completions API
+ * and OpenRouter, normalized to one request/response shape.
+ *
+ * Request:
+ *   { model, system?, messages: [{ role: 'user'|'assistant', content }], maxTokens?, temperature? }
+ *
+ * Response:
+ *   { provider, model, id, text, finishReason, usage: { inputTokens, outputTokens, totalTokens } }
+ *
+ * Errors carry `code` (API_TIMEOUT | API_CANCELLED | API_HTTP_ERROR | API_NO_KEY | API_UNSUPPORTED_PROVIDER),
+ * `status` for HTTP errors, `resetAt` (ISO time) when a 429 says when the limit resets,
+ * and `shouldFallback` when another backend is worth trying.
+ */
+
+const DEFAULT_PROVIDERS = {
+  anthropic: {
+    baseUrl: 'https://api.anthropic.com',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    format: 'anthropic'
+  },
+  openai: {
+    baseUrl: 'https://api.openai.com',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    format: 'openai'
+  },
+  openrouter: {
+    baseUrl: 'https://openrouter.ai/api',
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    format: 'openai'
+  }
+};
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_MAX_TOKENS = 4096;
+
+class ProviderClients {
+  constructor() {
+    this.config = null;
+  }
+
+  _getConfig() {
+    if (!this.config) {
+      this.config = require('./config.json');
+    }
+    return this.config;
+  }
+
+  /**
+   * Resolve provider settings (defaults merged with config.backends.api.providers)
+   * @param {string} provider - Provider name
+   * @returns {Object|null} Provider settings or null if unsupported
+   */
+  getProviderConfig(provider) {
+    const overrides = this._getConfig().backends?.api?.providers?.[provider] || {};
+    const defaults = DEFAULT_PROVIDERS[provider];
+    if (!defaults && !overrides.baseUrl) return null;
+    return { format: 'openai', ...defaults, ...overrides };
+  }
+
+  /**
+   * Providers with a client implementation
+   * @returns {Array<string>}
+   */
+  getSupportedProviders() {
+    const configured = Object.keys(this._getConfig().backends?.api?.providers || {});
+    return [...new Set([...Object.keys(DEFAULT_PROVIDERS), ...configured])];
+  }
+
+  /**
+   * API key for a provider (inline `apiKey` wins over the environment variable)
+   * @param {string} provider - Provider name
+   * @returns {string|null}
+   */
+  getApiKey(provider) {
+    const providerConfig = this.getProviderConfig(provider);
+    if (!providerConfig) return null;
+    return providerConfig.apiKey || (providerConfig.apiKeyEnv && process.env[providerConfig.apiKeyEnv]) || null;
+  }
+
+  /**
+   * Whether a provider is supported and has credentials
+   * @param {string} provider - Provider name
+   * @returns {boolean}
+   */
+  isConfigured(provider) {
+    return Boolean(this.getProviderConfig(provider) && this.getApiKey(provider));
+  }
+
+  /**
+   * Split a registry model id ("anthropic/claude-sonnet-4-20250514",
+   * "openrouter/anthropic/claude-sonnet-4-20250514") into provider + wire model name
+   * @param {string} fullModelId - Provider-prefixed model id
+   * @returns {{provider: string, model: string}}
+   */
+  parseModelId(fullModelId) {
+    const slash = fullModelId.indexOf('/');
+    if (slash === -1) {
+      return { provider: 'anthropic', model: fullModelId };
+    }
+    return { provider: fullModelId.slice(0, slash), model: fullModelId.slice(slash + 1) };
+  }
+
+  /**
+   * Send a completion request to a provider
+   * @param {string} provider - 'anthropic' | 'openai' | 'openrouter'
+   * @param {Object} request - Shared request shape
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Request timeout
+   * @param {AbortSignal} [options.signal] - Cancellation signal
+   * @returns {Promise<Object>} Shared response shape
+   */
+  async complete(provider, request, options = {}) {
+    const providerConfig = this.getProviderConfig(provider);
+    if (!providerConfig) {
+      throw this._error(`No client for provider: ${provider}`, 'API_UNSUPPORTED_PROVIDER', { shouldFallback: true });
+    }
+
+    const apiKey = this.getApiKey(provider);
+    if (!apiKey) {
+      throw this._error(`No API key configured for ${provider} (set ${providerConfig.apiKeyEnv})`, 'API_NO_KEY', { shouldFallback: true });
+    }
+
+    const timeoutMs = options.timeoutMs || (this._getConfig().backends?.api?.timeoutSeconds * 1000) || DEFAULT_TIMEOUT_MS;
+    const http = providerConfig.format === 'anthropic'
+      ? this._buildAnthropicRequest(providerConfig, apiKey, request)
+      : this._buildOpenAIRequest(provider, providerConfig, apiKey, request);
+
+    let response;
+    try {
+      response = await axios.post(http.url, http.body, {
+        headers: http.headers,
+        timeout: timeoutMs,
+        signal: options.signal
+      });
+    } catch (error) {
+      throw this._translateError(provider, error, timeoutMs);
+    }
+
+    return providerConfig.format === 'anthropic'
+      ? this._parseAnthropicResponse(provider, response.data)
+      : this._parseOpenAIResponse(provider, response.data);
+  }
+
+  // ─── Anthropic Messages API ─────────────────────────────────
+
+  _buildAnthropicRequest(providerConfig, apiKey, request) {
+    const body = {
+      model: request.model,
+      max_tokens: request.maxTokens || DEFAULT_MAX_TOKENS,
+      messages: request.messages
+    };
+    if (request.system) body.system = request.system;
+    if (request.temperature !== undefined) body.temperature = request.temperature;
+
+    return {
+      url: `${providerConfig.baseUrl.replace(/\/$/, '')}/v1/messages`,
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body
+    };
+  }
+
+  _parseAnthropicResponse(provider, data) {
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const inputTokens = data.usage?.input_tokens || 0;
+    const outputTokens = data.usage?.output_tokens || 0;
+
+    return {
+      provider,
+      model: data.model,
+      id: data.id,
+      text,
+      finishReason: data.stop_reason || null,
+      usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens }
+    };
+  }
+
+  // ─── OpenAI Chat Completions (OpenAI + OpenRouter) ──────────
+
+  _buildOpenAIRequest(provider, providerConfig, apiKey, request) {
+    const messages = request.system
+      ? [{ role: 'system', content: request.system }, ...request.messages]
+      : [...request.messages];
+    const body = {
+      model: request.model,
+      messages,
+      max_tokens: request.maxTokens || DEFAULT_MAX_TOKENS
+    };
+    if (request.temperature !== undefined) body.temperature = request.temperature;
+
+    const headers = {
+      'content-type': 'application/json',
+      'authorization': `Bearer ${apiKey}`
+    };
+    if (provider === 'openrouter') {
+      headers['HTTP-Referer'] = providerConfig.referer || 'https://openclaw.ai';
+      headers['X-Title'] = providerConfig.title || 'OpenClaw Task Router';
+    }
+
+    return {
+      url: `${providerConfig.baseUrl.replace(/\/$/, '')}/v1/chat/completions`,
+      headers,
+      body
+    };
+  }
+
+  _parseOpenAIResponse(provider, data) {
+    const choice = data.choices?.[0] || {};
+    const inputTokens = data.usage?.prompt_tokens || 0;
+    const outputTokens = data.usage?.completion_tokens || 0;
+
+    return {
+      provider,
+      model: data.model,
+      id: data.id,
+      text: choice.message?.content || '',
+      finishReason: choice.finish_reason || null,
+      usage: { inputTokens, outputTokens, totalTokens: data.usage?.total_tokens || inputTokens + outputTokens }
+    };
+  }
+
+  // ─── Errors ─────────────────────────────────────────────────
+
+  _error(message, code, extra = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+  }
+
+  _translateError(provider, error, timeoutMs) {
+    if (axios.isCancel(error) || error.code === 'ERR_CANCELED') {
+      return this._error(`${provider} request cancelled`, 'API_CANCELLED');
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return this._error(`${provider} request timed out after ${timeoutMs}ms`, 'API_TIMEOUT', { shouldFallback: true });
+    }
+
+    if (error.response) {
+      const status = error.response.status;
+      const detail = error.response.data?.error?.message || error.response.statusText || '';
+      const label = status === 429 ? 'rate limit' : 'error';
+      const resetAt = status === 429 ? this._resetAt(error.response.headers || {}) : null;
+      return this._error(`${provider} API ${label} ${status}: ${detail}`.trim(), 'API_HTTP_ERROR', {
+        status,
+        ...(resetAt ? { resetAt } : {}),
+        shouldFallback: status === 429 || status >= 500
+      });
+    }
+
+    return this._error(`${provider} request failed: ${error.message}`, 'API_HTTP_ERROR', { shouldFallback: true });
+  }
+
+  /**
+   * When a rate limit resets, from `retry-after` (seconds or an HTTP date) or
+   * `x-ratelimit-reset` (epoch seconds or milliseconds, a duration such as
+   * `6m0s`, or a date)
+   * @param {Object} headers - Response headers (lower-case names)
+   * @param {number} [now] - Current time in ms
+   * @returns {string|null} ISO time, or null if no header says
+   */
+  _resetAt(headers, now = Date.now()) {
+    const parse = (value, relative) => {
+      if (value === undefined || value === null || value === '') return NaN;
+      const text = String(value).trim();
+      if (/^\d+(\.\d+)?$/.test(text)) {
+        const n = Number(text);
+        if (relative || n < 1e9) return now + n * 1000; // seconds from now
+        return n < 1e12 ? n * 1000 : n;                  // epoch seconds or milliseconds
+      }
+      const duration = text.match(/^(?:(\d+)h)?(?:(\d+)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+)ms)?$/);
+      if (duration && duration.slice(1).some(Boolean)) {
+        const [, h = 0, m = 0, sec = 0, ms = 0] = duration;
+        return now + ((Number(h) * 60 + Number(m)) * 60 + Number(sec)) * 1000 + Number(ms);
+      }
+      return Date.parse(text);
+    };
+
+    const reset = [parse(headers['retry-after'], true), parse(headers['x-ratelimit-reset'], false)].find(Number.isFinite);
+    return reset !== undefined ? new Date(reset).toISOString() : null;
+  }
+}
+
+module.exports = new ProviderClients();
@@ -184,6 +184,23 @@ class TaskQueue {
     return taskItem;
   }
 
+  /**
+   * Remove a pending task from the queue
+   * @param {string} taskId - Task ID
+   * @returns {Promise<boolean>} Whether the task was queued and removed
+   */
+  async cancel(taskId) {
+    if (!this.loaded) await this.load();
+
+    const before = this.queue.length;
+    this.queue = this.queue.filter(item => item.id !== taskId);
+    if (this.queue.length === before) return false;
+
+    console.log(`[QUEUE] Cancelled queued task ${taskId}`);
+    await this.save();
+    return true;
+  }
+
   /**
    * Mark a task as failed and handle retry logic
    * @param {string} taskId - Task ID
@@ -344,7 +361,12 @@ class TaskQueue {
       
       try {
         console.log(`[QUEUE] Executing dripped task ${taskItem.id}`);
-        const result = await router.route(taskItem.task);
+        // Route under the queue ID so cancel(taskItem.id) reaches the running backend
+        const result = await router.route(taskItem.task, { taskId: taskItem.id });
+        if (result.cancelled) {
+          console.log(`[QUEUE] Task ${taskItem.id} was cancelled`);
+          return;
+        }
         
         console.log(`[QUEUE] Task ${taskItem.id} completed successfully via ${result.backend}`);
         
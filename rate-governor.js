@@ -287,7 +287,8 @@ class RateGovernor extends EventEmitter {
   /**
    * Record a throttle event (when backend hits rate limits)
    * @param {string} backend - Backend name
-   * @param {Object} details - Additional throttle details
+   * @param {Object} details - Additional throttle details; `resetAt` (ISO time
+   *   the backend reported its limit resets) extends the cooldown to that time
    */
   recordThrottle(backend, details = {}) {
     if (!this.loaded) return;
@@ -300,7 +301,8 @@ class RateGovernor extends EventEmitter {
     const newLimit = Math.max(1, Math.floor(preThrottleCount * THROTTLE_MULTIPLIER));
     
     const now = Date.now();
-    const cooldownUntil = new Date(now + COOLDOWN_PERIOD_MS).toISOString();
+    const reportedReset = details.resetAt ? new Date(details.resetAt).getTime() : NaN;
+    const cooldownUntil = new Date(Math.max(now + COOLDOWN_PERIOD_MS, Number.isFinite(reportedReset) ? reportedReset : 0)).toISOString();
     
     const throttleEvent = {
       timestamp: now,
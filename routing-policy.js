@@ -0,0 +1,407 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+/**
+ * Routing Policy Engine for OpenClaw Task Router
+ * Evaluates an ordered list of declarative rules (routing-policy.json) in place
+ * of hand-written if-statements in selectBackend.
+ *
+ * Rule shape:
+ *   {
+ *     "id": "multi-file-code",
+ *     "description": "Multi-file code builds go to Claude Code",
+ *     "match":  { "type": "code", "fileCount": { "min": 2 } },
+ *     "action": { "prefer": "claudeCode" }
+ *   }
+ *
+ * Match conditions (all must hold):
+ *   type, urgency, source, user   string | string[]
+ *   complexity, fileCount         number | { min?, max? }
+ *   tools                         boolean (any tools needed) | string | string[] (any of, case-insensitive)
+ *   config                        { "dotted.config.path": expectedValue }
+ *
+ * Actions (evaluated in rule order):
+ *   force  "backend"               pick it, ignoring availability — stops evaluation
+ *   prefer "backend" | [backends]  pick the first available — stops evaluation, else continue
+ *   forbid "backend" | [backends]  remove from the candidate set for the rest of evaluation
+ *   weight { backend: delta }      adjust adaptive scores used after the rules
+ *   permissionProfile "profile"    Claude Code tool profile (see permission-profiles.js);
+ *                                  the first matching rule with one wins, wherever routing stopped
+ */
+
+const MATCH_KEYS = ['type', 'complexity', 'urgency', 'source', 'user', 'fileCount', 'tools', 'config'];
+const ACTION_KEYS = ['force', 'prefer', 'forbid', 'weight', 'permissionProfile'];
+
+// The shipped routing-policy.json is the default policy. This is used only
+// when no policy file can be loaded at all.
+const DEFAULT_POLICY_PATH = path.join(__dirname, 'routing-policy.json');
+const EMPTY_POLICY = { version: 1, rules: [] };
+
+class RoutingPolicy extends EventEmitter {
+  constructor() {
+    super();
+    this.policyPath = DEFAULT_POLICY_PATH;
+    this.policy = EMPTY_POLICY;
+    this.source = 'empty';
+    this.lastModified = null;
+    this.lastError = null;
+    this.ruleHits = {}; // ruleId → { count, lastFired }
+    this.watching = false;
+    this.loaded = false;
+  }
+
+  // ─── Loading ─────────────────────────────────────────────────
+
+  /**
+   * Load (or reload) the policy file. An invalid file never replaces a valid policy.
+   * @param {string} [policyPath] - Override the policy file location
+   * @returns {{loaded: boolean, errors: Array<string>}}
+   */
+  load(policyPath) {
+    if (policyPath) this.policyPath = path.resolve(__dirname, policyPath);
+
+    let policy;
+    try {
+      policy = JSON.parse(fs.readFileSync(this.policyPath, 'utf8'));
+      this.lastModified = fs.statSync(this.policyPath).mtimeMs;
+    } catch (error) {
+      this.loaded = true;
+      this._useDefault();
+      if (error.code === 'ENOENT') {
+        console.log(`[POLICY] No policy file at ${this.policyPath}, using ${this.source} rules`);
+        this.lastError = null;
+        return { loaded: false, errors: [] };
+      }
+      this.lastError = `Could not read policy: ${error.message}`;
+      console.error(`[POLICY] ${this.lastError}`);
+      return { loaded: false, errors: [this.lastError] };
+    }
+
+    const errors = this.validate(policy);
+    this.loaded = true;
+    if (errors.length > 0) {
+      this._useDefault();
+      this.lastError = errors.join('; ');
+      console.error(`[POLICY] Invalid policy, keeping ${this.source} rules: ${this.lastError}`);
+      this.emit('invalid', { errors });
+      return { loaded: false, errors };
+    }
+
+    this.policy = policy;
+    this.source = this.policyPath;
+    this.lastError = null;
+    console.log(`[POLICY] Loaded ${policy.rules.length} rules from ${this.policyPath}`);
+    this.emit('reloaded', { rules: policy.rules.length });
+    return { loaded: true, errors: [] };
+  }
+
+  /**
+   * Reload if the policy file changed on disk
+   * @returns {boolean} Whether a reload was attempted
+   */
+  reloadIfChanged() {
+    let mtime;
+    try {
+      mtime = fs.statSync(this.policyPath).mtimeMs;
+    } catch (_) {
+      return false;
+    }
+    if (mtime === this.lastModified) return false;
+    this.load();
+    return true;
+  }
+
+  /**
+   * Watch the policy file and hot-reload on change
+   * @param {number} [intervalMs] - Poll interval
+   */
+  watch(intervalMs = 2000) {
+    if (this.watching) return;
+    this.watching = true;
+    const watcher = fs.watchFile(this.policyPath, { interval: intervalMs }, () => this.reloadIfChanged());
+    watcher.unref();
+    console.log(`[POLICY] Watching ${this.policyPath} for changes`);
+  }
+
+  /**
+   * Stop watching the policy file
+   */
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.policyPath);
+    this.watching = false;
+  }
+
+  // ─── Validation ──────────────────────────────────────────────
+
+  /**
+   * Validate a policy document
+   * @param {Object} policy - Parsed policy
+   * @param {Array<string>} [knownBackends] - Backends actions may reference (defaults to config.backends)
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validate(policy, knownBackends = null) {
+    const errors = [];
+    if (!policy || typeof policy !== 'object' || !Array.isArray(policy.rules)) {
+      return ['Policy must be an object with a "rules" array'];
+    }
+
+    const backends = knownBackends || Object.keys(require('./config.json').backends || {});
+    const checkBackend = (where, name) => {
+      if (typeof name !== 'string' || !backends.includes(name)) {
+        errors.push(`${where}: unknown backend "${name}"`);
+      }
+    };
+    const checkRange = (where, value) => {
+      if (typeof value === 'number') return;
+      if (!value || typeof value !== 'object' || (value.min === undefined && value.max === undefined)) {
+        errors.push(`${where}: expected a number or { min, max }`);
+      }
+    };
+    const checkStrings = (where, value) => {
+      const list = Array.isArray(value) ? value : [value];
+      if (list.length === 0 || list.some(v => typeof v !== 'string')) {
+        errors.push(`${where}: expected a string or array of strings`);
+      }
+    };
+
+    const seenIds = new Set();
+    policy.rules.forEach((rule, index) => {
+      const where = `rules[${index}]${rule?.id ? ` (${rule.id})` : ''}`;
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${where}: rule must be an object`);
+        return;
+      }
+      if (!rule.id || typeof rule.id !== 'string') {
+        errors.push(`${where}: missing string "id"`);
+      } else if (seenIds.has(rule.id)) {
+        errors.push(`${where}: duplicate id`);
+      } else {
+        seenIds.add(rule.id);
+      }
+
+      const match = rule.match || {};
+      if (typeof match !== 'object') {
+        errors.push(`${where}.match: must be an object`);
+      } else {
+        for (const [key, value] of Object.entries(match)) {
+          if (!MATCH_KEYS.includes(key)) {
+            errors.push(`${where}.match: unknown condition "${key}"`);
+          } else if (key === 'complexity' || key === 'fileCount') {
+            checkRange(`${where}.match.${key}`, value);
+          } else if (key === 'tools') {
+            if (typeof value !== 'boolean') checkStrings(`${where}.match.tools`, value);
+          } else if (key === 'config') {
+            if (!value || typeof value !== 'object') errors.push(`${where}.match.config: must be an object`);
+          } else {
+            checkStrings(`${where}.match.${key}`, value);
+          }
+        }
+      }
+
+      const action = rule.action;
+      if (!action || typeof action !== 'object' || Object.keys(action).length === 0) {
+        errors.push(`${where}: missing "action"`);
+        return;
+      }
+      for (const [key, value] of Object.entries(action)) {
+        if (!ACTION_KEYS.includes(key)) {
+          errors.push(`${where}.action: unknown action "${key}"`);
+        } else if (key === 'force') {
+          checkBackend(`${where}.action.force`, value);
+        } else if (key === 'prefer' || key === 'forbid') {
+          (Array.isArray(value) ? value : [value]).forEach(b => checkBackend(`${where}.action.${key}`, b));
+        } else if (key === 'permissionProfile') {
+          const profiles = require('./permission-profiles').names();
+          if (!profiles.includes(value)) errors.push(`${where}.action.permissionProfile: unknown profile "${value}"`);
+        } else if (key === 'weight') {
+          if (!value || typeof value !== 'object') {
+            errors.push(`${where}.action.weight: must be an object of backend → number`);
+          } else {
+            for (const [b, delta] of Object.entries(value)) {
+              checkBackend(`${where}.action.weight`, b);
+              if (typeof delta !== 'number') errors.push(`${where}.action.weight.${b}: must be a number`);
+            }
+          }
+        }
+      }
+      if (action.force && action.prefer) {
+        errors.push(`${where}.action: "force" and "prefer" are mutually exclusive`);
+      }
+    });
+
+    return errors;
+  }
+
+  // ─── Evaluation ──────────────────────────────────────────────
+
+  /**
+   * Does a rule's match block apply to this task?
+   * @param {Object} match - Rule match conditions
+   * @param {Object} task - Normalized task
+   * @param {Object} config - Router config (for config conditions)
+   * @returns {boolean}
+   */
+  matches(match = {}, task, config = {}) {
+    const oneOf = (expected, actual) => (Array.isArray(expected) ? expected : [expected]).includes(actual);
+    const inRange = (expected, actual) => {
+      if (typeof expected === 'number') return actual === expected;
+      if (expected.min !== undefined && actual < expected.min) return false;
+      if (expected.max !== undefined && actual > expected.max) return false;
+      return true;
+    };
+
+    for (const [key, expected] of Object.entries(match)) {
+      switch (key) {
+        case 'type':
+          if (!oneOf(expected, task.type)) return false;
+          break;
+        case 'urgency':
+          if (!oneOf(expected, task.urgency)) return false;
+          break;
+        case 'source':
+          if (!oneOf(expected, task.source || task.metadata?.source)) return false;
+          break;
+        case 'user':
+          if (!oneOf(expected, task.metadata?.userId)) return false;
+          break;
+        case 'complexity':
+          if (!inRange(expected, task.complexity)) return false;
+          break;
+        case 'fileCount':
+          if (!inRange(expected, (task.files || []).length)) return false;
+          break;
+        case 'tools': {
+          const tools = task.toolsNeeded || [];
+          if (typeof expected === 'boolean') {
+            if ((tools.length > 0) !== expected) return false;
+          } else {
+            const needed = tools.map(t => String(t).toLowerCase());
+            if (!(Array.isArray(expected) ? expected : [expected]).some(t => needed.includes(t.toLowerCase()))) return false;
+          }
+          break;
+        }
+        case 'config':
+          for (const [configPath, value] of Object.entries(expected)) {
+            const actual = configPath.split('.').reduce((obj, part) => obj?.[part], config);
+            if (actual !== value) return false;
+          }
+          break;
+        default:
+          return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Evaluate the policy for a task
+   * @param {Object} task - Normalized task
+   * @param {Object} availableBackends - backend → boolean (budget / rate limit result)
+   * @param {Object} [config] - Router config (for config conditions)
+   * @returns {{backend: string|null, rule: string|null, action: string|null, fired: Array<Object>, available: Object, weights: Object, forbidden: Object}}
+   */
+  evaluate(task, availableBackends, config = {}) {
+    if (!this.loaded) this.load();
+
+    const available = { ...availableBackends };
+    const weights = {};
+    const forbidden = {}; // backend → id of the rule that forbade it
+    const fired = [];
+    const decide = (backend, rule, action) => ({ backend, rule: rule.id, action, fired, available, weights, forbidden });
+
+    for (const rule of this.policy.rules) {
+      if (!this.matches(rule.match, task, config)) continue;
+
+      const action = rule.action;
+      fired.push({ rule: rule.id, action: Object.keys(action) });
+      this._recordHit(rule.id);
+
+      if (action.forbid) {
+        for (const backend of [].concat(action.forbid)) {
+          available[backend] = false;
+          if (!forbidden[backend]) forbidden[backend] = rule.id;
+        }
+      }
+
+      if (action.weight) {
+        for (const [backend, delta] of Object.entries(action.weight)) {
+          weights[backend] = (weights[backend] || 0) + delta;
+        }
+      }
+
+      if (action.force) {
+        console.log(`[POLICY] ${rule.id} → force ${action.force}`);
+        return decide(action.force, rule, 'force');
+      }
+
+      if (action.prefer) {
+        const preferred = [].concat(action.prefer).find(backend => available[backend]);
+        if (preferred) {
+          console.log(`[POLICY] ${rule.id} → prefer ${preferred}`);
+          return decide(preferred, rule, 'prefer');
+        }
+      }
+    }
+
+    return { backend: null, rule: null, action: null, fired, available, weights, forbidden };
+  }
+
+  /**
+   * The permission profile a rule assigns to this task. Checked over all
+   * rules, independently of where backend selection stopped.
+   * @param {Object} task - Normalized task
+   * @param {Object} [config] - Router config (for config conditions)
+   * @returns {{ profile: string, rule: string }|null}
+   */
+  permissionProfileFor(task, config = {}) {
+    if (!this.loaded) this.load();
+    const rule = this.policy.rules.find(r => r.action?.permissionProfile && this.matches(r.match, task, config));
+    return rule ? { profile: rule.action.permissionProfile, rule: rule.id } : null;
+  }
+
+  /**
+   * @private Before any policy has loaded, fall back to the shipped
+   * routing-policy.json; if that can't be loaded either, keep the empty policy
+   */
+  _useDefault() {
+    if (this.source !== 'empty' || this.policyPath === DEFAULT_POLICY_PATH) return;
+    try {
+      const policy = JSON.parse(fs.readFileSync(DEFAULT_POLICY_PATH, 'utf8'));
+      if (this.validate(policy).length > 0) return;
+      this.policy = policy;
+      this.source = DEFAULT_POLICY_PATH;
+    } catch (_) { /* keep the empty policy */ }
+  }
+
+  _recordHit(ruleId) {
+    const hit = this.ruleHits[ruleId] || { count: 0, lastFired: null };
+    hit.count++;
+    hit.lastFired = new Date().toISOString();
+    this.ruleHits[ruleId] = hit;
+  }
+
+  /**
+   * Policy status for dashboards
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      source: this.source,
+      rules: this.policy.rules.map(rule => ({
+        id: rule.id,
+        description: rule.description || null,
+        hits: this.ruleHits[rule.id]?.count || 0,
+        lastFired: this.ruleHits[rule.id]?.lastFired || null
+      })),
+      lastError: this.lastError,
+      watching: this.watching
+    };
+  }
+}
+
+module.exports = new RoutingPolicy();
+module.exports.DEFAULT_POLICY_PATH = DEFAULT_POLICY_PATH;
+module.exports.EMPTY_POLICY = EMPTY_POLICY;
+module.exports.RoutingPolicy = RoutingPolicy;
@@ -11,6 +11,9 @@ function getCircuitBreaker() {
   return circuitBreaker;
 }
 
+function getCancellation() { return require('./cancellation'); }
+function getBackends() { return require('./backend-registry'); }
+
 /**
  * OpenClaw Subscription Queue Manager
  * Manages a persistent queue of tasks for subscription backends (Claude Code, Codex).
@@ -253,12 +256,27 @@ class SubscriptionScheduler extends EventEmitter {
       return true;
     }
 
-    // Cancel active (mark for skip — real abort depends on backend)
+    // Cancel active: free the concurrency slot now and stop the backend run
+    // (executions are keyed by the scheduler task ID, see _execute)
     if (this.active.has(taskId)) {
       const entry = this.active.get(taskId);
       entry.cancelled = true;
-      console.log(`[SCHEDULER] Marked active task ${taskId} for cancellation`);
+      this.active.delete(taskId);
+
+      this.completed.push({
+        ...entry.item,
+        cancelled: true,
+        cancelledAt: new Date().toISOString(),
+        duration: Date.now() - new Date(entry.startedAt).getTime(),
+        finalError: 'Cancelled'
+      });
+      if (this.completed.length > 100) this.completed = this.completed.slice(-100);
+
+      getCancellation().markCancelled(taskId);
+      const stoppedOn = await getBackends().cancelEverywhere(taskId);
+      console.log(`[SCHEDULER] Cancelled active task ${taskId}${stoppedOn.length ? ` (stopped on ${stoppedOn.join(', ')})` : ''}`);
       this.emit('cancelled', taskId);
+      await this.save();
       return true;
     }
 
@@ -362,6 +380,7 @@ class SubscriptionScheduler extends EventEmitter {
       if (entry.cancelled) {
         console.log(`[SCHEDULER] Task ${item.id} was cancelled during execution`);
         this.active.delete(item.id);
+        getCancellation().clear(item.id);
         return;
       }
 
@@ -384,6 +403,12 @@ class SubscriptionScheduler extends EventEmitter {
 
       await this.save();
     } catch (err) {
+      if (entry.cancelled || getCancellation().isCancellation(err)) {
+        console.log(`[SCHEDULER] Task ${item.id} stopped after cancellation`);
+        this.active.delete(item.id);
+        getCancellation().clear(item.id);
+        return;
+      }
       this.active.delete(item.id);
       await this._handleFailure(item, err);
     }
@@ -397,7 +422,7 @@ class SubscriptionScheduler extends EventEmitter {
     // For now we simulate or delegate to the router's executeWithBackend.
     try {
       const router = require('./index');
-      const result = await router.forceRoute(item.task, item.backend === 'claude-code' ? 'claudeCode' : item.backend);
+      const result = await router.forceRoute(item.task, item.backend === 'claude-code' ? 'claudeCode' : item.backend, { taskId: item.id });
       return result;
     } catch (err) {
       throw err;
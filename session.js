@@ -20,7 +20,8 @@ function emptyContext() {
     lastUpdated: new Date().toISOString(),
     activeTasks: [],
     recentCompleted: [],
-    channelHistory: {}
+    channelHistory: {},
+    claudeSessions: {}
   };
 }
 
@@ -189,6 +190,32 @@ async function failTask(taskId, error) {
   return task;
 }
 
+/**
+ * Mark a task as cancelled and move it to recentCompleted
+ * @param {string} taskId
+ * @param {string} [reason]
+ * @returns {Promise<Object|null>}
+ */
+async function cancelTask(taskId, reason = 'cancelled by user') {
+  ensureLoaded();
+
+  const idx = context.activeTasks.findIndex(t => t.taskId === taskId);
+  if (idx === -1) return null;
+
+  const task = context.activeTasks.splice(idx, 1)[0];
+  task.status = 'cancelled';
+  task.completedAt = new Date().toISOString();
+  task.lastUpdate = `cancelled: ${reason}`;
+
+  context.recentCompleted.unshift(task);
+  if (context.recentCompleted.length > MAX_RECENT_COMPLETED) {
+    context.recentCompleted = context.recentCompleted.slice(0, MAX_RECENT_COMPLETED);
+  }
+
+  await save();
+  return task;
+}
+
 /**
  * Get the last-active state for a specific channel
  * @param {string} channel — 'voice' | 'telegram' | 'slack' | 'dashboard' | 'cli'
@@ -216,6 +243,56 @@ async function setChannelActive(channel, taskId) {
   await save();
 }
 
+/**
+ * Link a task to the Claude Code session it ran in, so follow-up tasks can
+ * continue it (route(task, { continueFrom: taskId })). The link expires
+ * `ttlHours` after this run, along with the subscription session window.
+ * @param {string} taskId
+ * @param {Object} details — { sessionId, cwd, sourceDir, workspace, commit, continuedFrom }
+ * @param {number} ttlHours — backends.claudeCode.sessionResetHours
+ * @returns {Promise<Object>} Stored link
+ */
+async function linkClaudeSession(taskId, details, ttlHours) {
+  ensureLoaded();
+  const sessions = context.claudeSessions = context.claudeSessions || {};
+  const now = Date.now();
+
+  // Drop links whose session window has passed
+  for (const [id, link] of Object.entries(sessions)) {
+    if (Date.parse(link.expiresAt) <= now) delete sessions[id];
+  }
+
+  const link = {
+    sessionId: details.sessionId,
+    cwd: details.cwd || null,
+    sourceDir: details.sourceDir || null,
+    workspace: details.workspace || null,
+    commit: details.commit || null,
+    continuedFrom: details.continuedFrom || null,
+    linkedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlHours * 60 * 60 * 1000).toISOString()
+  };
+  sessions[taskId] = link;
+
+  const task = context.activeTasks.find(t => t.taskId === taskId) || context.recentCompleted.find(t => t.taskId === taskId);
+  if (task) task.claudeSessionId = link.sessionId;
+
+  await save();
+  return link;
+}
+
+/**
+ * Get the Claude Code session a task ran in
+ * @param {string} taskId
+ * @returns {Object|null} Link { sessionId, cwd, sourceDir, workspace, commit, continuedFrom, linkedAt, expiresAt, expired } or null
+ */
+function getClaudeSession(taskId) {
+  ensureLoaded();
+  const link = context.claudeSessions?.[taskId];
+  if (!link) return null;
+  return { ...link, expired: Date.parse(link.expiresAt) <= Date.now() };
+}
+
 /**
  * Get summary suitable for voice / short-form channels
  * @returns {Object} { activeTasks: number, latestTask, recentlyCompleted: number }
@@ -248,7 +325,10 @@ module.exports = {
   addTask,
   completeTask,
   failTask,
+  cancelTask,
   getChannelState,
   setChannelActive,
+  linkClaudeSession,
+  getClaudeSession,
   getSummary
 };
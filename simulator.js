@@ -0,0 +1,291 @@
+const path = require('path');
+const monitor = require('./monitor');
+const ledger = require('./ledger');
+const { RoutingPolicy } = require('./routing-policy');
+
+/**
+ * Dry-Run Routing Simulator for OpenClaw Task Router
+ * Replays recorded tasks (monitor.json results, priced with ledger data) through
+ * scoreTask/selectBackend under a candidate config and compares the result with
+ * what actually happened: backend distribution, API spend and success rate.
+ *
+ * Live gates (rate governor, circuit breakers, warmup health) are neutral during
+ * replay; budgets are re-enforced per day against the candidate config. When a
+ * task lands on a different backend than it actually ran on, its outcome is
+ * estimated from that backend's recorded success rate for the task type.
+ */
+class RoutingSimulator {
+  constructor() {
+    this.minTypeSamples = 3; // Per-type success rate needs this many samples
+    this.lastRun = null;
+  }
+
+  /**
+   * Recorded task results, oldest first
+   * @param {Object} [options]
+   * @param {number} [options.days] - Only replay results from the last N days
+   * @param {number} [options.limit] - Only replay the most recent N results
+   * @returns {Promise<Array<Object>>}
+   */
+  async loadHistory(options = {}) {
+    if (!monitor.loaded) await monitor.load();
+
+    const since = options.days ? Date.now() - options.days * 24 * 60 * 60 * 1000 : 0;
+    let history = [];
+    for (const [backend, stats] of Object.entries(monitor.data.backends || {})) {
+      if (backend === 'unknown') continue; // Failures before a backend was chosen have no decision to replay
+      for (const result of stats.results || []) {
+        if (new Date(result.timestamp).getTime() < since) continue;
+        history.push({ ...result, backend });
+      }
+    }
+
+    history.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    if (options.limit) history = history.slice(-options.limit);
+    return history;
+  }
+
+  /**
+   * Deep-merge a candidate config over the current one (arrays are replaced)
+   * @param {Object} base - Current config
+   * @param {Object} overrides - Candidate config (full or partial)
+   * @returns {Object}
+   */
+  mergeConfig(base, overrides = {}) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      merged[key] = isObject && base[key] && typeof base[key] === 'object'
+        ? this.mergeConfig(base[key], value)
+        : value;
+    }
+    return merged;
+  }
+
+  /**
+   * Replay history under a candidate config
+   * @param {Object} router - TaskRouter instance (provides scoreTask/selectBackend)
+   * @param {Object} candidateConfig - Config overrides to evaluate
+   * @param {Object} [options]
+   * @param {number} [options.days] - History window
+   * @param {number} [options.limit] - Max tasks to replay
+   * @param {string} [options.baseDir] - Directory relative policy paths resolve from
+   * @returns {Promise<Object>} Comparison report
+   */
+  async run(router, candidateConfig = {}, options = {}) {
+    if (!ledger.loaded) await ledger.load();
+
+    const config = this.mergeConfig(router.config, candidateConfig);
+    const history = await this.loadHistory(options);
+    const costPerToken = this._apiCostPerToken();
+    const outcomeRate = this._outcomeRates(history);
+
+    const policy = new RoutingPolicy();
+    const policyFile = config.routing?.policyFile;
+    if (policyFile) {
+      const result = policy.load(options.baseDir ? path.resolve(options.baseDir, policyFile) : policyFile);
+      if (result.errors.length > 0) {
+        throw new Error(`Candidate routing policy is invalid: ${result.errors.join('; ')}`);
+      }
+    }
+
+    // Budget is tracked per calendar day of the replayed tasks
+    const spendByDay = {};
+    let currentDay = null;
+    const sandbox = Object.create(router);
+    sandbox.config = config;
+    sandbox.routingGates = () => ({
+      checkBudget: async (backend, estimatedTokens) => this._checkBudget(config, backend, estimatedTokens * costPerToken, spendByDay[currentDay] || 0),
+      rateCheck: () => ({ allowed: true }),
+      breakerState: () => ({ state: 'CLOSED', failures: 0 }),
+      policy,
+      health: () => ({})
+    });
+
+    const actual = this._emptyTotals();
+    const simulated = this._emptyTotals();
+    const moves = {};
+    const decidedBy = {};
+
+    for (const record of history) {
+      currentDay = record.timestamp.slice(0, 10);
+
+      const task = router.normalizeTask({
+        description: `[replay] ${record.taskType || 'other'} task`,
+        type: record.taskType,
+        urgency: record.urgency,
+        complexity: record.complexity,
+        files: record.files,
+        toolsNeeded: record.toolsNeeded,
+        source: record.source,
+        metadata: record.userId ? { userId: record.userId } : {}
+      });
+      const scoring = await sandbox.scoreTask(task);
+      if (record.tokens) {
+        scoring.estimatedTokens = record.tokens;
+        scoring.estimatedCost = record.tokens * costPerToken;
+      }
+
+      const trace = { candidates: {} };
+      const backend = await sandbox.selectBackend(task, scoring, trace);
+      const cost = (record.tokens || 0) * costPerToken;
+
+      this._add(actual, record.backend, record.success ? 1 : 0, record.backend === 'api' ? cost : 0);
+      const expected = backend === record.backend
+        ? (record.success ? 1 : 0)
+        : outcomeRate(backend, record.taskType);
+      this._add(simulated, backend, expected, backend === 'api' ? cost : 0);
+
+      if (backend === 'api') {
+        spendByDay[currentDay] = (spendByDay[currentDay] || 0) + cost;
+      }
+      if (backend !== record.backend) {
+        const key = `${record.backend}→${backend}`;
+        moves[key] = (moves[key] || 0) + 1;
+      }
+      decidedBy[trace.decidedBy] = (decidedBy[trace.decidedBy] || 0) + 1;
+    }
+
+    const report = {
+      tasksReplayed: history.length,
+      window: {
+        from: history[0]?.timestamp || null,
+        to: history[history.length - 1]?.timestamp || null
+      },
+      apiCostPerToken: costPerToken,
+      actual: this._summarize(actual),
+      simulated: this._summarize(simulated),
+      delta: null,
+      changedTasks: Object.values(moves).reduce((sum, n) => sum + n, 0),
+      moves,
+      decidedBy,
+      ranAt: new Date().toISOString()
+    };
+    report.delta = this._delta(report.actual, report.simulated);
+
+    this.lastRun = report;
+    console.log(`[SIMULATOR] Replayed ${history.length} tasks: ${report.changedTasks} would route differently`);
+    return report;
+  }
+
+  /**
+   * Render a report as human-readable text
+   * @param {Object} report - Result of run()
+   * @returns {string}
+   */
+  format(report) {
+    const pct = (n) => `${n.toFixed(1)}%`;
+    const signed = (n, digits = 1) => `${n >= 0 ? '+' : ''}${n.toFixed(digits)}`;
+    const lines = [];
+    lines.push(`Replayed ${report.tasksReplayed} tasks (${report.window.from || 'n/a'} → ${report.window.to || 'n/a'})`);
+    lines.push('');
+    lines.push(`${'Backend'.padEnd(12)} ${'Actual'.padStart(8)} ${'Simulated'.padStart(10)} ${'Change'.padStart(8)}`);
+
+    const names = new Set([...Object.keys(report.actual.distribution), ...Object.keys(report.simulated.distribution)]);
+    for (const name of names) {
+      const before = report.actual.distribution[name]?.share || 0;
+      const after = report.simulated.distribution[name]?.share || 0;
+      lines.push(`${name.padEnd(12)} ${pct(before).padStart(8)} ${pct(after).padStart(10)} ${signed(after - before).padStart(8)}`);
+    }
+
+    lines.push('');
+    lines.push(`API spend:     $${report.actual.apiSpendUsd.toFixed(2)} → $${report.simulated.apiSpendUsd.toFixed(2)} (${signed(report.delta.apiSpendUsd, 2)})`);
+    lines.push(`Success rate:  ${pct(report.actual.successRate)} → ${pct(report.simulated.successRate)} (${signed(report.delta.successRate)} pts)`);
+    lines.push(`Tasks rerouted: ${report.changedTasks}`);
+    for (const [move, count] of Object.entries(report.moves).sort((a, b) => b[1] - a[1])) {
+      lines.push(`  ${move}: ${count}`);
+    }
+    return lines.join('\n');
+  }
+
+  // ─── Internals ────────────────────────────────────────────────
+
+  /**
+   * API price per token: actual ledger spend/tokens this month, else the model estimate
+   */
+  _apiCostPerToken() {
+    const api = ledger.data.api || {};
+    if (api.monthlyTokens > 0 && api.monthlySpendUsd > 0) {
+      return api.monthlySpendUsd / api.monthlyTokens;
+    }
+    return ledger.estimateApiCost(1000) / 1000;
+  }
+
+  /**
+   * Success-rate lookup built from the replayed history
+   * @returns {function(string, string): number}
+   */
+  _outcomeRates(history) {
+    const tally = {};
+    const bump = (key, success) => {
+      if (!tally[key]) tally[key] = { runs: 0, successes: 0 };
+      tally[key].runs++;
+      if (success) tally[key].successes++;
+    };
+    for (const record of history) {
+      bump(`${record.backend}:${record.taskType}`, record.success);
+      bump(record.backend, record.success);
+      bump('*', record.success);
+    }
+
+    const rate = (key) => tally[key].successes / tally[key].runs;
+    return (backend, taskType) => {
+      const byType = tally[`${backend}:${taskType}`];
+      if (byType && byType.runs >= this.minTypeSamples) return rate(`${backend}:${taskType}`);
+      if (tally[backend]) return rate(backend);
+      return tally['*'] ? rate('*') : 0;
+    };
+  }
+
+  _checkBudget(config, backend, estimatedCost, spentToday) {
+    const backendConfig = config.backends?.[backend];
+    if (!backendConfig || backendConfig.enabled === false) {
+      return { allowed: false, reason: `${backend} disabled in candidate config` };
+    }
+    if (backend === 'api' && backendConfig.dailyBudgetUsd != null && spentToday + estimatedCost > backendConfig.dailyBudgetUsd) {
+      return { allowed: false, reason: `Replay day spend would exceed $${backendConfig.dailyBudgetUsd}` };
+    }
+    return { allowed: true };
+  }
+
+  _emptyTotals() {
+    return { tasks: 0, successes: 0, apiSpendUsd: 0, byBackend: {} };
+  }
+
+  _add(totals, backend, successes, apiCost) {
+    totals.tasks++;
+    totals.successes += successes;
+    totals.apiSpendUsd += apiCost;
+    totals.byBackend[backend] = (totals.byBackend[backend] || 0) + 1;
+  }
+
+  _summarize(totals) {
+    const distribution = {};
+    for (const [backend, count] of Object.entries(totals.byBackend)) {
+      distribution[backend] = {
+        tasks: count,
+        share: Math.round((count / totals.tasks) * 1000) / 10
+      };
+    }
+    return {
+      distribution,
+      apiSpendUsd: Math.round(totals.apiSpendUsd * 10000) / 10000,
+      successRate: totals.tasks > 0 ? Math.round((totals.successes / totals.tasks) * 1000) / 10 : 0
+    };
+  }
+
+  _delta(actual, simulated) {
+    const distribution = {};
+    const names = new Set([...Object.keys(actual.distribution), ...Object.keys(simulated.distribution)]);
+    for (const name of names) {
+      distribution[name] = (simulated.distribution[name]?.tasks || 0) - (actual.distribution[name]?.tasks || 0);
+    }
+    return {
+      distribution,
+      apiSpendUsd: Math.round((simulated.apiSpendUsd - actual.apiSpendUsd) * 10000) / 10000,
+      successRate: Math.round((simulated.successRate - actual.successRate) * 10) / 10
+    };
+  }
+}
+
+module.exports = new RoutingSimulator();
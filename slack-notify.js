@@ -189,6 +189,64 @@ async function sendPlanApproval(plan, costBreakdown) {
   return await sendSlackMessage(payload);
 }
 
+/**
+ * Ask for sign-off on a paused plan step in Slack
+ * @param {Object} gate - Pending gate from step-approvals.js
+ * @returns {Promise<boolean>} Whether message was sent
+ */
+async function sendStepApproval(gate) {
+  const taskDesc = (gate.taskDescription || gate.planId).substring(0, 80);
+
+  const config = getConfig();
+  const dashboardPort = config.dashboard?.port || 3457;
+  const authToken = config.dashboard?.authToken || '';
+  const stepUrl = `http://localhost:${dashboardPort}/api/plan/${gate.planId}/steps/${gate.stepId}`;
+
+  const fields = [
+    {
+      title: `Step ${gate.stepNumber}/${gate.totalSteps}`,
+      value: `${gate.description.substring(0, 200)} → ${formatBackendLabel(gate.backend)}`,
+      short: false
+    }
+  ];
+  if (gate.priorOutput) {
+    fields.push({
+      title: 'Output So Far',
+      value: gate.priorOutput.substring(0, 1000),
+      short: false
+    });
+  }
+
+  const payload = {
+    text: `Step Approval Required`,
+    attachments: [
+      {
+        color: 'warning',
+        title: `"${taskDesc}"`,
+        fields,
+        actions: [
+          {
+            type: 'button',
+            text: '✅ Approve',
+            url: `${stepUrl}/approve?token=${authToken}`,
+            style: 'primary'
+          },
+          {
+            type: 'button',
+            text: '❌ Reject',
+            url: `${stepUrl}/reject?token=${authToken}`,
+            style: 'danger'
+          }
+        ],
+        footer: 'OpenClaw Task Router',
+        ts: Math.floor(Date.now() / 1000)
+      }
+    ]
+  };
+
+  return await sendSlackMessage(payload);
+}
+
 /**
  * Send a progress update to Slack
  * @param {string} taskId - Task/plan identifier
@@ -324,6 +382,7 @@ async function sendError(taskId, error) {
 
 module.exports = {
   sendPlanApproval,
+  sendStepApproval,
   sendProgress,
   sendCompletion,
   sendError
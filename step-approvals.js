@@ -0,0 +1,239 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Step Approval Gates for OpenClaw Task Router
+ * Plan steps flagged `requiresApproval` pause executePlan() until someone
+ * signs off. The executor records a gate here, notifies, and waits; the gate
+ * is decided through the dashboard or CLI (possibly from another process, so
+ * gates live in data/step-approvals.json and waiters poll it).
+ *
+ * Gate shape:
+ *   {
+ *     planId, stepId, stepNumber, totalSteps, description, backend, estimatedCost, estimatedMinutes,
+ *     taskDescription, priorOutput,
+ *     status,                      // 'pending' | 'approved' | 'rejected'
+ *     requestedAt, decidedAt, decidedBy, note
+ *   }
+ *
+ * Events:
+ *   'requested' → gate
+ *   'decided'   → gate
+ *   'aborted'   → gate key (plan cancelled while waiting)
+ */
+class StepApprovals extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);        // one listener per waiting step
+    const dataDir = process.env.ROUTER_TEST_MODE ? process.env.ROUTER_TEST_DATA_DIR : path.join(__dirname, 'data');
+    this.dataPath = path.join(dataDir, 'step-approvals.json');
+    this.gates = {};                // `${planId}:${stepId}` → gate
+    this.aborted = new Map();       // gate key → reason (gates abandoned by a cancelled plan)
+    this.planGates = new Map();     // planId → Set of gate keys requested here and not yet settled
+    this.pollMs = 1000;             // How often waiters re-read decisions made by other processes
+  }
+
+  /**
+   * Load gates from persistent storage
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const dataStr = await fs.readFile(this.dataPath, 'utf8');
+      this.gates = JSON.parse(dataStr).gates || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[APPROVALS] Error loading step approvals:', error.message);
+      }
+      this.gates = {};
+    }
+  }
+
+  /**
+   * Save gates to persistent storage. Written to a temp file and renamed, so
+   * waiters polling the file never read it half-written.
+   * @returns {Promise<void>}
+   */
+  async save() {
+    // Serialize before awaiting: a concurrent load() replaces this.gates
+    const data = JSON.stringify({
+      gates: this.gates,
+      lastUpdated: new Date().toISOString()
+    }, null, 2);
+    try {
+      await fs.mkdir(path.dirname(this.dataPath), { recursive: true });
+      const tmpPath = `${this.dataPath}.${process.pid}.${Math.random().toString(36).substr(2, 6)}.tmp`;
+      await fs.writeFile(tmpPath, data);
+      await fs.rename(tmpPath, this.dataPath);
+    } catch (error) {
+      console.error('[APPROVALS] Error saving step approvals:', error.message);
+    }
+  }
+
+  /**
+   * Open a gate for a step that is about to run
+   * @param {Object} plan
+   * @param {Object} step
+   * @param {string} [priorOutput] - Output of the step's dependencies, for the approver
+   * @returns {Promise<Object>} The pending gate
+   */
+  async request(plan, step, priorOutput = '') {
+    await this.load();
+    const gate = {
+      planId: plan.id,
+      stepId: step.id,
+      stepNumber: step.index + 1,
+      totalSteps: plan.steps.length,
+      description: step.description,
+      backend: step.backend,
+      estimatedCost: step.estimatedCost,
+      estimatedMinutes: step.estimatedMinutes,
+      taskDescription: plan.task?.description || '',
+      priorOutput: priorOutput.substring(0, 2000),
+      status: 'pending',
+      requestedAt: new Date().toISOString(),
+      decidedAt: null,
+      decidedBy: null,
+      note: null
+    };
+    const key = this._key(plan.id, step.id);
+    this.gates[key] = gate;
+    this.aborted.delete(key);
+    if (!this.planGates.has(plan.id)) this.planGates.set(plan.id, new Set());
+    this.planGates.get(plan.id).add(key);
+    await this.save();
+
+    console.log(`[APPROVALS] Step ${gate.stepNumber} of plan ${plan.id} is waiting for approval`);
+    this.emit('requested', gate);
+    return gate;
+  }
+
+  /**
+   * Approve or reject a pending gate
+   * @param {string} planId
+   * @param {string|number} stepRef - Step ID or 1-based step number
+   * @param {boolean} approved
+   * @param {Object} [options]
+   * @param {string} [options.note] - Shown to the executor (and in the rejection error)
+   * @param {string} [options.by] - Who decided ('cli', 'dashboard', ...)
+   * @returns {Promise<Object>} The decided gate
+   * @throws {Error} code 'APPROVAL_NOT_FOUND' if no pending gate matches
+   */
+  async decide(planId, stepRef, approved, options = {}) {
+    await this.load();
+    const gate = Object.values(this.gates).find(g =>
+      g.planId === planId && g.status === 'pending' &&
+      (g.stepId === stepRef || String(g.stepNumber) === String(stepRef))
+    );
+    if (!gate) {
+      const error = new Error(`No step ${stepRef} of plan ${planId} is waiting for approval`);
+      error.code = 'APPROVAL_NOT_FOUND';
+      throw error;
+    }
+
+    gate.status = approved ? 'approved' : 'rejected';
+    gate.decidedAt = new Date().toISOString();
+    gate.decidedBy = options.by || null;
+    gate.note = options.note || null;
+    await this.save();
+
+    console.log(`[APPROVALS] Step ${gate.stepNumber} of plan ${planId} ${gate.status}${gate.decidedBy ? ` via ${gate.decidedBy}` : ''}`);
+    this.emit('decided', gate);
+    return gate;
+  }
+
+  /**
+   * Wait until a gate is decided or abandoned. Decisions made in this process
+   * arrive immediately; decisions from other processes on the next poll.
+   * @param {string} planId
+   * @param {string} stepId
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Treat as rejected after this long (0 = wait indefinitely)
+   * @returns {Promise<Object>} The gate, with status 'approved', 'rejected' or 'cancelled'
+   */
+  wait(planId, stepId, options = {}) {
+    const key = this._key(planId, stepId);
+
+    return new Promise((resolve) => {
+      let timer = null;
+      let deadline = null;
+      let settled = false;
+      const finish = async (gate) => {
+        if (settled) return;
+        settled = true;
+        clearInterval(timer);
+        clearTimeout(deadline);
+        this.removeListener('decided', onDecided);
+        this.removeListener('aborted', onAborted);
+        await this._forget(planId, key);
+        resolve(gate);
+      };
+      const onDecided = (gate) => { if (this._key(gate.planId, gate.stepId) === key) finish(gate); };
+      const onAborted = (abortedKey) => {
+        if (abortedKey === key) finish({ ...this.gates[key], status: 'cancelled', note: this.aborted.get(key) });
+      };
+
+      this.on('decided', onDecided);
+      this.on('aborted', onAborted);
+      timer = setInterval(async () => {
+        await this.load();
+        const gate = this.gates[key];
+        if (gate && gate.status !== 'pending') finish(gate);
+      }, this.pollMs);
+      if (options.timeoutMs > 0) {
+        deadline = setTimeout(() => {
+          finish({ ...this.gates[key], status: 'rejected', decidedBy: 'timeout', note: `No decision within ${Math.round(options.timeoutMs / 60000)} min` });
+        }, options.timeoutMs);
+      }
+    });
+  }
+
+  /**
+   * Abandon every gate of a plan (the plan was cancelled). Uses the keys
+   * request() tracked rather than this.gates, which a concurrent load() may
+   * be replacing.
+   * @param {string} planId
+   * @param {string} [reason]
+   */
+  abortPlan(planId, reason = 'Plan cancelled') {
+    for (const key of this.planGates.get(planId) || []) {
+      this.aborted.set(key, reason);
+      this.emit('aborted', key);
+    }
+  }
+
+  /**
+   * Gates awaiting a decision, oldest first
+   * @param {Object} [options]
+   * @param {string} [options.planId] - Only this plan's gates
+   * @returns {Promise<Array<Object>>}
+   */
+  async listPending(options = {}) {
+    await this.load();
+    return Object.values(this.gates)
+      .filter(g => g.status === 'pending' && (!options.planId || g.planId === options.planId))
+      .sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt));
+  }
+
+  /**
+   * @private Drop a settled gate from storage
+   */
+  async _forget(planId, key) {
+    await this.load();
+    delete this.gates[key];
+    this.aborted.delete(key);
+    this.planGates.get(planId)?.delete(key);
+    if (this.planGates.get(planId)?.size === 0) this.planGates.delete(planId);
+    await this.save();
+  }
+
+  /**
+   * @private
+   */
+  _key(planId, stepId) {
+    return `${planId}:${stepId}`;
+  }
+}
+
+module.exports = new StepApprovals();
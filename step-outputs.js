@@ -0,0 +1,245 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Structured Step Outputs for OpenClaw Task Router
+ * Plan steps can declare what they produce with `output: { type, schema }`.
+ * executePlan() parses and validates the backend response into that shape,
+ * stores it under data/step-outputs/<planId>/, and downstream steps reference
+ * it with `{{steps.<step>.output}}` or `{{steps.<step>.output.<field.path>}}`
+ * (step ID, template step key or 1-based number) instead of getting a
+ * truncated text snippet.
+ *
+ * Output types:
+ *   json   — a JSON object/array (bare, fenced or embedded in prose);
+ *            schema: { required: [field], properties: { field: 'string'|'number'|'boolean'|'array'|'object' } }
+ *   files  — a list of file paths (JSON array, { files: [...] } or one per line)
+ *   patch  — a unified diff → { patch, files }
+ *   text   — the full response text
+ *
+ * Values up to maxInlineChars are pasted into prompts. Larger ones become a
+ * pointer to the stored file for backends that run on the filesystem
+ * (fileBackends), and are truncated for the rest.
+ */
+
+const OUTPUT_TYPES = ['json', 'files', 'patch', 'text'];
+const FIELD_TYPES = ['string', 'number', 'boolean', 'array', 'object'];
+const REFERENCE = /\{\{\s*steps\.([\w-]+)\.output((?:\.[\w-]+)*)\s*\}\}/g;
+const EXTENSIONS = { json: 'json', files: 'json', patch: 'patch', text: 'txt' };
+
+class StepOutputs {
+  constructor() {
+    const dataDir = process.env.ROUTER_TEST_MODE ? process.env.ROUTER_TEST_DATA_DIR : path.join(__dirname, 'data');
+    this.outputDir = path.join(dataDir, 'step-outputs');
+    this.maxInlineChars = 2000;
+    this.fileBackends = ['claudeCode', 'codex']; // Can read a stored output from disk
+  }
+
+  /**
+   * Problems with a step's `output` declaration
+   * @param {Object} spec - { type, schema }
+   * @param {string} at - Location prefix for messages
+   * @returns {Array<string>}
+   */
+  validateSpec(spec, at = 'output') {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return [`${at} must be an object`];
+    const errors = [];
+    if (!OUTPUT_TYPES.includes(spec.type)) errors.push(`${at}.type must be one of ${OUTPUT_TYPES.join(', ')}`);
+    if (spec.schema !== undefined) {
+      if (spec.type !== 'json') errors.push(`${at}.schema is only supported for json outputs`);
+      const { required = [], properties = {} } = spec.schema || {};
+      if (!Array.isArray(required) || !required.every(f => typeof f === 'string')) {
+        errors.push(`${at}.schema.required must be an array of field names`);
+      }
+      for (const [field, type] of Object.entries(properties)) {
+        if (!FIELD_TYPES.includes(type)) errors.push(`${at}.schema.properties.${field} must be one of ${FIELD_TYPES.join(', ')}`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * `{{steps.X.output...}}` references in a string
+   * @param {string} text
+   * @returns {Array<{ match: string, step: string, path: Array<string> }>}
+   */
+  references(text) {
+    return [...String(text || '').matchAll(REFERENCE)].map(m => ({
+      match: m[0],
+      step: m[1],
+      path: m[2] ? m[2].slice(1).split('.') : []
+    }));
+  }
+
+  /**
+   * Find the step a reference names (ID, template key or 1-based number)
+   * @param {Array<Object>} steps
+   * @param {string} ref
+   * @returns {Object|undefined}
+   */
+  findStep(steps, ref) {
+    return steps.find(s => s.id === ref || s.key === ref) || (/^\d+$/.test(ref) ? steps[Number(ref) - 1] : undefined);
+  }
+
+  /**
+   * Parse a backend response into the step's declared output
+   * @param {Object} step - Plan step with `output`
+   * @param {Object} result - Backend result
+   * @returns {{ type: string, data: * }}
+   * @throws {Error} code 'INVALID_STEP_OUTPUT'
+   */
+  parse(step, result) {
+    const text = String(result?.response ?? result?.output ?? '');
+    const { type, schema } = step.output;
+
+    switch (type) {
+      case 'json': {
+        const data = this._parseJson(text);
+        if (data === undefined) throw this._invalid(step, 'response is not valid JSON');
+        const problems = schema ? this._checkSchema(data, schema) : [];
+        if (problems.length > 0) throw this._invalid(step, problems.join('; '));
+        return { type, data };
+      }
+
+      case 'files': {
+        const parsed = this._parseJson(text);
+        const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.files) ? parsed.files : text
+          .split('\n')
+          .map(line => line.trim().replace(/^([-*]|\d+\.)\s+/, '').replace(/^`(.*)`$/, '$1'))
+          .filter(line => line && !/\s/.test(line) && /[./]/.test(line));
+        if (list.length === 0 || !list.every(f => typeof f === 'string')) throw this._invalid(step, 'response has no file list');
+        return { type, data: list };
+      }
+
+      case 'patch': {
+        const fenced = text.match(/```(?:diff|patch)?\n([\s\S]*?)```/);
+        const body = fenced ? fenced[1] : text.slice(Math.max(0, text.search(/^(diff --git|--- )/m)));
+        if (!/^@@ /m.test(body) || !/^\+\+\+ /m.test(body)) throw this._invalid(step, 'response has no unified diff');
+        const files = [...body.matchAll(/^\+\+\+ (?:b\/)?(\S+)/gm)].map(m => m[1]).filter(f => f !== '/dev/null');
+        return { type, data: { patch: body.trimEnd() + '\n', files } };
+      }
+
+      default:
+        return { type: 'text', data: text };
+    }
+  }
+
+  /**
+   * Store a parsed output on disk
+   * @param {string} planId
+   * @param {string} stepId
+   * @param {{ type: string, data: * }} output
+   * @returns {Promise<string>} File path
+   */
+  async save(planId, stepId, output) {
+    const dir = path.join(this.outputDir, planId);
+    const file = path.join(dir, `${stepId}.${EXTENSIONS[output.type] || 'txt'}`);
+    const content = output.type === 'patch' ? output.data.patch
+      : output.type === 'text' ? output.data
+        : JSON.stringify(output.data, null, 2);
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, content);
+    return file;
+  }
+
+  /**
+   * Read a stored output back (when resuming a plan)
+   * @param {string} file - Path returned by save()
+   * @param {string} type
+   * @returns {Promise<*>} The output data
+   */
+  async load(file, type) {
+    const content = await fs.readFile(file, 'utf8');
+    if (type === 'patch') {
+      return { patch: content, files: [...content.matchAll(/^\+\+\+ (?:b\/)?(\S+)/gm)].map(m => m[1]).filter(f => f !== '/dev/null') };
+    }
+    return type === 'text' ? content : JSON.parse(content);
+  }
+
+  /**
+   * Replace `{{steps.X.output...}}` references with the referenced values
+   * (see format())
+   * @param {string} text
+   * @param {Object} outputs - stepId → { stepId, key, index, type, data, path }
+   * @param {string} [backend] - Backend the prompt is for
+   * @returns {string}
+   */
+  resolve(text, outputs, backend = null) {
+    return String(text).replace(REFERENCE, (match, ref, dotted) => {
+      const output = Object.values(outputs).find(o => o.stepId === ref || o.key === ref || String(o.index + 1) === ref);
+      const fieldPath = dotted ? dotted.slice(1).split('.') : [];
+      const value = output ? fieldPath.reduce((obj, key) => obj?.[key], output.data) : undefined;
+
+      if (value === undefined) {
+        console.warn(`[OUTPUTS] ${match} is not available`);
+        return '(not available)';
+      }
+      return this.format(value, output, backend, fieldPath);
+    });
+  }
+
+  /**
+   * An output value as prompt text: inline up to maxInlineChars; beyond that
+   * a pointer to the stored file if the backend can read it, else truncated
+   * @param {*} value - The output data or a field of it
+   * @param {Object} output - { path }
+   * @param {string} [backend] - Backend the prompt is for
+   * @param {Array<string>} [fieldPath] - Field the value came from
+   * @returns {string}
+   */
+  format(value, output, backend = null, fieldPath = []) {
+    const inline = typeof value === 'string' ? value : JSON.stringify(value);
+    if (inline.length <= this.maxInlineChars) return inline;
+
+    const field = fieldPath.length > 0 ? `, field ${fieldPath.join('.')}` : '';
+    if (this.fileBackends.includes(backend)) return `(${inline.length} chars — read ${output.path}${field})`;
+    return `${inline.substring(0, this.maxInlineChars)}\n(truncated from ${inline.length} chars${field})`;
+  }
+
+  /**
+   * @private JSON from a bare, fenced or embedded response (undefined if none)
+   */
+  _parseJson(text) {
+    const candidates = [text.trim()];
+    const fenced = text.match(/```(?:json)?\n([\s\S]*?)```/);
+    if (fenced) candidates.push(fenced[1]);
+    const start = text.search(/[[{]/);
+    if (start >= 0) candidates.push(text.slice(start, Math.max(text.lastIndexOf('}'), text.lastIndexOf(']')) + 1));
+
+    for (const candidate of candidates) {
+      try {
+        return JSON.parse(candidate);
+      } catch (_) { /* try the next form */ }
+    }
+    return undefined;
+  }
+
+  /**
+   * @private Schema problems for a parsed JSON output
+   */
+  _checkSchema(data, schema) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return ['expected a JSON object'];
+    const problems = [];
+    for (const field of schema.required || []) {
+      if (data[field] === undefined) problems.push(`missing field ${field}`);
+    }
+    for (const [field, type] of Object.entries(schema.properties || {})) {
+      if (data[field] === undefined) continue;
+      const actual = Array.isArray(data[field]) ? 'array' : data[field] === null ? 'null' : typeof data[field];
+      if (actual !== type) problems.push(`field ${field} should be ${type}, got ${actual}`);
+    }
+    return problems;
+  }
+
+  /**
+   * @private
+   */
+  _invalid(step, reason) {
+    const error = new Error(`Step ${step.index + 1} output (${step.output.type}) invalid: ${reason}`);
+    error.code = 'INVALID_STEP_OUTPUT';
+    return error;
+  }
+}
+
+module.exports = new StepOutputs();
@@ -0,0 +1,287 @@
+const fs = require('fs').promises;
+const path = require('path');
+const backends = require('./backend-registry');
+const cancellation = require('./cancellation');
+const stepOutputs = require('./step-outputs');
+
+/**
+ * Subtask Reduce Stage for OpenClaw Task Router
+ * codex.executeParallel() runs the subtasks from splitTask() side by side;
+ * this combines their results into one deliverable.
+ *
+ * Strategies:
+ *   concat     — outputs joined in subtask order (docs)
+ *   synthesize — one pass on a chosen backend that turns the parts into a
+ *                single answer (analysis / research); falls back to concat
+ *   merge      — unified diffs from each subtask merged file by file;
+ *                overlapping hunks from different subtasks are conflicts (code)
+ *   none       — leave the results separate
+ *   auto       — picked from the task type (see AUTO_STRATEGY)
+ *
+ * Reduced shape:
+ *   { strategy, success, output, outputPath, parts: [index], missing: [index],
+ *     backend, error,               // synthesize
+ *     patch, files, conflicts,      // merge: conflicts = [{ file, subtasks: [i, j], lines }]
+ *     withoutPatch }                // merge: subtasks whose output had no diff
+ */
+
+const STRATEGIES = ['concat', 'synthesize', 'merge', 'none'];
+const AUTO_STRATEGY = { docs: 'concat', code: 'merge', analysis: 'synthesize', research: 'synthesize' };
+
+class SubtaskReducer {
+  constructor() {
+    this.synthesisBackend = 'claudeCode';
+  }
+
+  /**
+   * Resolve 'auto' (or nothing) to a concrete strategy
+   * @param {string} [strategy]
+   * @param {string} [type] - Task type
+   * @returns {string}
+   * @throws {Error} code 'INVALID_REDUCE_STRATEGY'
+   */
+  resolveStrategy(strategy, type) {
+    if (!strategy || strategy === 'auto') return AUTO_STRATEGY[type] || 'concat';
+    if (!STRATEGIES.includes(strategy)) {
+      const error = new Error(`Unknown reduce strategy ${strategy} (expected auto, ${STRATEGIES.join(', ')})`);
+      error.code = 'INVALID_REDUCE_STRATEGY';
+      throw error;
+    }
+    return strategy;
+  }
+
+  /**
+   * Combine subtask results
+   * @param {Array<Object>} subtasks - In split order: { index, description, success, result }
+   * @param {Object} [options]
+   * @param {string} [options.strategy] - 'auto' | 'concat' | 'synthesize' | 'merge' | 'none'
+   * @param {string} [options.type] - Task type, for 'auto'
+   * @param {string} [options.description] - The original task, for the synthesis prompt
+   * @param {string} [options.backend] - Synthesis backend key (default claudeCode)
+   * @param {string} [options.outputPath] - Write the combined output here (concat / synthesize)
+   * @param {string} [options.taskId] - Task ID the synthesis pass runs under (as `<taskId>:reduce`)
+   * @returns {Promise<Object>} Reduced result
+   * @throws {Error} code 'TASK_CANCELLED' when the task is cancelled before or during synthesis
+   */
+  async reduce(subtasks, options = {}) {
+    const strategy = this.resolveStrategy(options.strategy, options.type);
+    const done = subtasks.filter(s => s.success);
+    const reduced = {
+      strategy,
+      success: false,
+      output: null,
+      outputPath: null,
+      parts: done.map(s => s.index),
+      missing: subtasks.filter(s => !s.success).map(s => s.index)
+    };
+    if (strategy === 'none') return { ...reduced, success: true };
+    if (done.length === 0) return { ...reduced, error: 'No subtask succeeded' };
+
+    const parts = [];
+    for (const subtask of done) {
+      parts.push({ index: subtask.index, description: subtask.description, text: await this._partText(subtask.result, strategy) });
+    }
+
+    if (strategy === 'merge') {
+      const merged = this.mergePatches(parts);
+      console.log(`[REDUCE] Merged ${merged.files.length} file(s) from ${parts.length} subtask(s), ${merged.conflicts.length} conflict(s)`);
+      return {
+        ...reduced,
+        success: Boolean(merged.patch) && merged.conflicts.length === 0,
+        output: merged.patch,
+        patch: merged.patch,
+        files: merged.files,
+        conflicts: merged.conflicts,
+        withoutPatch: merged.withoutPatch,
+        ...(merged.patch ? {} : { error: 'No subtask produced a patch' })
+      };
+    }
+
+    if (strategy === 'synthesize') {
+      // A cancelled run neither starts the synthesis pass nor falls back to concatenation
+      if (cancellation.isCancelled(options.taskId)) throw cancellation.error(options.taskId, options.backend || this.synthesisBackend);
+      try {
+        const synthesis = await this.synthesize(parts, options);
+        return { ...reduced, ...synthesis, success: true, outputPath: await this._write(options.outputPath, synthesis.output) };
+      } catch (error) {
+        if (cancellation.isCancellation(error) || cancellation.isCancelled(options.taskId)) throw error;
+        console.warn(`[REDUCE] Synthesis failed, concatenating instead: ${error.message}`);
+        const output = this.concat(parts);
+        return { ...reduced, success: false, error: error.message, output, outputPath: await this._write(options.outputPath, output) };
+      }
+    }
+
+    const output = this.concat(parts);
+    return { ...reduced, success: true, output, outputPath: await this._write(options.outputPath, output) };
+  }
+
+  /**
+   * Join part outputs in subtask order
+   * @param {Array<Object>} parts - { index, text }
+   * @returns {string}
+   */
+  concat(parts) {
+    return parts
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .map(part => part.text.trim())
+      .filter(Boolean)
+      .join('\n\n') + '\n';
+  }
+
+  /**
+   * One pass on a backend that combines the parts into a single answer
+   * @param {Array<Object>} parts - { index, description, text }
+   * @param {Object} options - { backend, description, taskId }
+   * @returns {Promise<{ output: string, backend: string }>}
+   */
+  async synthesize(parts, options = {}) {
+    const backend = options.backend || this.synthesisBackend;
+    const adapter = backends.get(backend);
+    if (!adapter) throw new Error(`Unknown synthesis backend: ${backend}`);
+
+    const sections = parts.map(part => `--- Part ${part.index + 1}: ${part.description}\n${part.text.trim()}`);
+    const task = {
+      description: `Combine these ${parts.length} partial results${options.description ? ` of "${options.description}"` : ''} ` +
+        'into one coherent deliverable. Keep every finding, remove repetition and resolve contradictions.\n\n' +
+        sections.join('\n\n'),
+      type: 'analysis',
+      urgency: 'normal',
+      complexity: 5,
+      toolsNeeded: [],
+      files: [],
+      outputPath: null,
+      metadata: { reduce: 'synthesize' }
+    };
+
+    console.log(`[REDUCE] Synthesizing ${parts.length} part(s) on ${backend}`);
+    const result = await adapter.execute(task, { taskId: options.taskId ? `${options.taskId}:reduce` : undefined });
+    const output = result?.response ?? result?.output;
+    if (result?.success === false || typeof output !== 'string' || !output.trim()) {
+      throw new Error(result?.error || `${backend} returned no synthesis`);
+    }
+    return { output, backend };
+  }
+
+  /**
+   * Merge the unified diffs found in each part. Hunks are combined per file;
+   * identical hunks are kept once, and hunks from different subtasks that
+   * touch overlapping lines are conflicts (the earlier subtask's hunk is kept).
+   * @param {Array<Object>} parts - { index, text }
+   * @returns {{ patch: string, files: Array<string>, conflicts: Array<Object>, withoutPatch: Array<number> }}
+   */
+  mergePatches(parts) {
+    const byFile = new Map(); // file → { header, hunks: [{ oldStart, oldLines, text, from }] }
+    const withoutPatch = [];
+
+    for (const part of parts) {
+      let diff;
+      try {
+        diff = stepOutputs.parse({ index: part.index, output: { type: 'patch' } }, { response: part.text }).data.patch;
+      } catch (_) {
+        withoutPatch.push(part.index);
+        continue;
+      }
+      for (const filePatch of this._parseDiff(diff)) {
+        if (!byFile.has(filePatch.file)) byFile.set(filePatch.file, { header: filePatch.header, hunks: [] });
+        byFile.get(filePatch.file).hunks.push(...filePatch.hunks.map(hunk => ({ ...hunk, from: part.index })));
+      }
+    }
+
+    const conflicts = [];
+    const sections = [];
+    for (const [file, { header, hunks }] of byFile) {
+      const kept = [];
+      for (const hunk of hunks.sort((a, b) => a.oldStart - b.oldStart || a.from - b.from)) {
+        const overlapping = kept.find(k => hunk.oldStart < k.oldStart + Math.max(k.oldLines, 1) &&
+          k.oldStart < hunk.oldStart + Math.max(hunk.oldLines, 1));
+        if (!overlapping) {
+          kept.push(hunk);
+        } else if (overlapping.text !== hunk.text) {
+          conflicts.push({
+            file,
+            subtasks: [overlapping.from, hunk.from],
+            lines: `${hunk.oldStart}-${hunk.oldStart + Math.max(hunk.oldLines, 1) - 1}`
+          });
+        }
+      }
+      sections.push([...header, ...kept.map(hunk => hunk.text)].join('\n'));
+    }
+
+    return {
+      patch: sections.length > 0 ? sections.join('\n') + '\n' : '',
+      files: [...byFile.keys()],
+      conflicts,
+      withoutPatch
+    };
+  }
+
+  /**
+   * @private Split a unified diff into files and hunks
+   */
+  _parseDiff(diff) {
+    const files = [];
+    let pending = [];
+    let current = null;
+    let hunk = null;
+
+    for (const line of diff.replace(/\n$/, '').split('\n')) {
+      const hunkHeader = line.match(/^@@ -(\d+)(?:,(\d+))? \+\d+(?:,\d+)? @@/);
+      const inHunk = hunk && hunk.remaining > 0;
+      if (line.startsWith('diff --git ') || (line.startsWith('--- ') && !inHunk)) {
+        if (line.startsWith('diff --git ')) pending = [];
+        pending.push(line);
+        current = null;
+        hunk = null;
+      } else if (line.startsWith('+++ ') && !current) {
+        current = { file: line.slice(4).replace(/^b\//, '').trim(), header: [...pending, line], hunks: [] };
+        files.push(current);
+        pending = [];
+      } else if (hunkHeader && current) {
+        const oldLines = hunkHeader[2] === undefined ? 1 : Number(hunkHeader[2]);
+        hunk = { oldStart: Number(hunkHeader[1]), oldLines, text: line, remaining: oldLines };
+        current.hunks.push(hunk);
+      } else if (hunk && (inHunk ? /^([ +\-\\]|$)/.test(line) : /^[+\\]/.test(line))) {
+        // Context and removed lines count against the old range; added lines may trail it
+        hunk.text += `\n${line}`;
+        if (/^([ -]|$)/.test(line)) hunk.remaining--;
+      } else if (!current) {
+        pending.push(line);
+      } else {
+        hunk = null; // Prose after the diff
+      }
+    }
+    return files.map(file => ({
+      ...file,
+      hunks: file.hunks.map(({ oldStart, oldLines, text }) => ({ oldStart, oldLines, text }))
+    }));
+  }
+
+  /**
+   * @private The part's output: the file it wrote to outputPath, else its
+   * response. Patches are looked for in the response first.
+   */
+  async _partText(result, strategy) {
+    const response = String(result?.response ?? result?.output ?? '');
+    if (strategy === 'merge' && /^@@ /m.test(response)) return response;
+    if (result?.outputPath) {
+      try {
+        return await fs.readFile(result.outputPath, 'utf8');
+      } catch (_) { /* fall back to the response */ }
+    }
+    return response;
+  }
+
+  /**
+   * @private Write the combined output (when an outputPath was given)
+   */
+  async _write(outputPath, content) {
+    if (!outputPath) return null;
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, content, 'utf8');
+    console.log(`[REDUCE] Combined output saved to ${outputPath}`);
+    return outputPath;
+  }
+}
+
+module.exports = new SubtaskReducer();
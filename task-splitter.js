@@ -0,0 +1,247 @@
+const fs = require('fs');
+const planner = require('./planner');
+
+/**
+ * Task Splitter for OpenClaw Task Router
+ * Breaks a large task into parts that Codex runs in parallel
+ * (codex.splitTask / codex.executeSplit). Strategies, in order:
+ *   files   — two or more task.files: files grouped into at most `maxParts`
+ *             parts with balanced token estimates
+ *   range   — "pages 1-120", "rows 1 to 50000", "lines 200-900" or
+ *             "records ..." in the description: the range cut into equal slices
+ *   keyword — the original fixed split (analyze/research → 3 parts,
+ *             code/implement → core/validation/docs, otherwise N sections)
+ *   model   — splitWithModel() asks the planner's decomposition model for
+ *             the parts and falls back to the strategies above
+ *
+ * Every subtask is a copy of the task with its own description, files and
+ * outputPath (`-partN`, `-core`, ... before the extension), `estimatedTokens`
+ * and `split: { strategy, index, of, model?, fallbackReason? }`.
+ */
+
+const RANGE_PATTERN = /\b(pages?|rows?|lines?|records?)\s+(\d[\d,]*)\s*(?:-|–|to|through)\s*(\d[\d,]*)/i;
+const TOKENS_PER_UNIT = { page: 500, row: 20, line: 12, record: 20 };
+const TOKENS_PER_FILE = 2000; // When a file can't be measured (same assumption as the router)
+
+class TaskSplitter {
+  /**
+   * Split a task with heuristics
+   * @param {Object} task - Task with description, files, outputPath
+   * @param {Object} [options]
+   * @param {number} [options.maxParts] - Upper bound on parts (Codex's parallelLimit)
+   * @returns {Array<Object>} Subtasks
+   */
+  split(task, options = {}) {
+    const maxParts = Math.max(1, options.maxParts || 3);
+    const files = Array.isArray(task.files) ? task.files : [];
+
+    if (files.length >= 2) return this._byFiles(task, files, maxParts);
+    const range = this.findRange(task.description);
+    if (range && range.end > range.start) return this._byRange(task, range, maxParts);
+    return this._byKeywords(task, maxParts);
+  }
+
+  /**
+   * Split a task with the planning model (planner.decomposition settings),
+   * falling back to split() when the model is unreachable or its parts are unusable
+   * @param {Object} task
+   * @param {Object} [options]
+   * @param {number} [options.maxParts]
+   * @param {string} [options.mode] - 'llm' | 'heuristic'
+   * @returns {Promise<Array<Object>>} Subtasks
+   */
+  async splitWithModel(task, options = {}) {
+    if (options.mode !== 'llm') return this.split(task, options);
+
+    const model = planner.planningModel();
+    const maxParts = Math.max(1, options.maxParts || 3);
+    try {
+      const raw = await planner.requestModelJson(this._splitPrompt(task, maxParts));
+      const parts = this._partsFromModel(task, raw, maxParts);
+      console.log(`[SPLITTER] ${model} split the task into ${parts.length} parts`);
+      return parts.map((part, index) => this._subtask(task, index, parts.length, {
+        ...part,
+        suffix: `-part${index + 1}`,
+        split: { strategy: 'model', model }
+      }));
+    } catch (error) {
+      console.warn(`[SPLITTER] Model split failed (${error.message}) — using heuristics`);
+      return this.split(task, options).map(subtask => ({
+        ...subtask,
+        split: { ...subtask.split, model, fallbackReason: error.message }
+      }));
+    }
+  }
+
+  /**
+   * A page/row/line/record range mentioned in a description
+   * @param {string} description
+   * @returns {{ unit: string, start: number, end: number }|null}
+   */
+  findRange(description) {
+    const match = String(description || '').match(RANGE_PATTERN);
+    if (!match) return null;
+    const number = (text) => Number(text.replace(/,/g, ''));
+    return { unit: match[1].toLowerCase().replace(/s$/, ''), start: number(match[2]), end: number(match[3]) };
+  }
+
+  /**
+   * Token estimate for a part: its description plus its files
+   * @param {string} description
+   * @param {Array<string>} [files]
+   * @returns {number}
+   */
+  estimateTokens(description, files = []) {
+    return Math.ceil(String(description || '').length / 4) + files.reduce((sum, file) => sum + this._fileTokens(file), 0);
+  }
+
+  /**
+   * @private Group files into parts, heaviest first into the lightest part
+   */
+  _byFiles(task, files, maxParts) {
+    const count = Math.min(maxParts, files.length);
+    const groups = Array.from({ length: count }, () => ({ files: [], tokens: 0 }));
+    const weighted = files.map(file => ({ file, tokens: this._fileTokens(file) })).sort((a, b) => b.tokens - a.tokens);
+    for (const { file, tokens } of weighted) {
+      const lightest = groups.reduce((min, group) => group.tokens < min.tokens ? group : min);
+      lightest.files.push(file);
+      lightest.tokens += tokens;
+    }
+
+    const parts = groups.map(group => files.filter(file => group.files.includes(file))); // keep the caller's order
+    return parts.map((partFiles, index) => this._subtask(task, index, parts.length, {
+      description: `${task.description} - Part ${index + 1} of ${parts.length}: only ${partFiles.join(', ')}`,
+      files: partFiles,
+      suffix: `-part${index + 1}`,
+      split: { strategy: 'files' }
+    }));
+  }
+
+  /**
+   * @private Cut a range into equal slices (sizes differ by at most one)
+   */
+  _byRange(task, range, maxParts) {
+    const total = range.end - range.start + 1;
+    const count = Math.min(maxParts, total);
+    const perUnit = TOKENS_PER_UNIT[range.unit] || TOKENS_PER_UNIT.row;
+    const subtasks = [];
+    let start = range.start;
+
+    for (let index = 0; index < count; index++) {
+      const size = Math.floor(total / count) + (index < total % count ? 1 : 0);
+      const end = start + size - 1;
+      subtasks.push(this._subtask(task, index, count, {
+        description: `${task.description} - Part ${index + 1} of ${count}: only ${range.unit}s ${start}-${end}`,
+        suffix: `-part${index + 1}`,
+        extraTokens: size * perUnit,
+        split: { strategy: 'range', range: { unit: range.unit, start, end } }
+      }));
+      start = end + 1;
+    }
+    return subtasks;
+  }
+
+  /**
+   * @private The original keyword split
+   */
+  _byKeywords(task, maxParts) {
+    const description = task.description.toLowerCase();
+    let parts;
+
+    if (description.includes('analyze') || description.includes('research')) {
+      // Research tasks: split by aspects or sections
+      parts = [
+        { label: 'Part 1: Background and context analysis', suffix: '-part1' },
+        { label: 'Part 2: Detailed analysis and findings', suffix: '-part2' },
+        { label: 'Part 3: Conclusions and recommendations', suffix: '-part3' }
+      ];
+    } else if (description.includes('code') || description.includes('implement')) {
+      // Code tasks: split by components
+      parts = [
+        { label: 'Core implementation', suffix: '-core', type: 'code' },
+        { label: 'Error handling and validation', suffix: '-validation', type: 'code' },
+        { label: 'Documentation and tests', suffix: '-docs', type: 'docs' }
+      ];
+    } else {
+      // Generic split: just divide the task
+      const count = Math.min(3, maxParts);
+      parts = Array.from({ length: count }, (_, i) => ({ label: `Section ${i + 1} of ${count}`, suffix: `-section${i + 1}` }));
+    }
+
+    return parts.map((part, index) => this._subtask(task, index, parts.length, {
+      description: `${task.description} - ${part.label}`,
+      type: part.type,
+      suffix: part.suffix,
+      split: { strategy: 'keyword' }
+    }));
+  }
+
+  /**
+   * @private Prompt asking for parts as JSON
+   */
+  _splitPrompt(task, maxParts) {
+    const files = (task.files || []).slice(0, 50);
+    return [
+      `Split the task below into at most ${maxParts} independent parts that separate coding agents can work on in parallel.`,
+      'Together the parts must cover the whole task; each must make sense on its own. Balance them so they take similar effort.',
+      'Respond with JSON only, in this shape:',
+      '{"parts": [{"description": "...", "files": ["src/a.js"], "estimatedTokens": 4000}]}',
+      '"files" lists which of the task\'s files the part needs (omit it if the task has none).',
+      '',
+      `Task: ${task.description}`,
+      files.length > 0 ? `Files: ${files.join(', ')}` : ''
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * @private Check the model's parts
+   */
+  _partsFromModel(task, raw, maxParts) {
+    const proposed = raw?.parts;
+    if (!Array.isArray(proposed) || proposed.length === 0) throw new Error('response has no parts array');
+    if (proposed.length > maxParts) throw new Error(`model proposed ${proposed.length} parts (max ${maxParts})`);
+
+    const taskFiles = Array.isArray(task.files) ? task.files : [];
+    return proposed.map((entry, index) => {
+      const description = typeof entry?.description === 'string' ? entry.description.trim() : '';
+      if (!description) throw new Error(`part ${index + 1} has no description`);
+      const files = Array.isArray(entry.files) ? entry.files : [];
+      const unknown = files.filter(file => !taskFiles.includes(file));
+      if (unknown.length > 0) throw new Error(`part ${index + 1} names files not in the task: ${unknown.join(', ')}`);
+      return {
+        description: `${task.description} - Part ${index + 1} of ${proposed.length}: ${description}`,
+        files,
+        tokens: Number.isFinite(entry.estimatedTokens) && entry.estimatedTokens > 0 ? Math.round(entry.estimatedTokens) : null
+      };
+    });
+  }
+
+  /**
+   * @private Build one subtask
+   */
+  _subtask(task, index, of, part) {
+    const files = part.files || (Array.isArray(task.files) ? task.files : []);
+    return {
+      ...task,
+      description: part.description,
+      type: part.type || task.type,
+      files,
+      outputPath: task.outputPath ? task.outputPath.replace(/(\.[^.]+)$/, `${part.suffix}$1`) : undefined,
+      estimatedTokens: part.tokens || this.estimateTokens(part.description, files) + (part.extraTokens || 0),
+      split: { ...part.split, index, of }
+    };
+  }
+
+  /**
+   * @private Token estimate for a file from its size
+   */
+  _fileTokens(file) {
+    try {
+      return Math.ceil(fs.statSync(file).size / 4);
+    } catch (_) {
+      return TOKENS_PER_FILE;
+    }
+  }
+}
+
+module.exports = new TaskSplitter();
@@ -0,0 +1,128 @@
+const EventEmitter = require('events');
+
+/**
+ * Live Task Output for OpenClaw Task Router
+ * Backend bridges write output chunks here as they arrive (Claude Code and
+ * Codex stdout/stderr, Ollama tokens), keyed by the router task ID. Listeners
+ * attached mid-run first receive the buffered backlog, then live chunks, then
+ * a single 'end' event once the router settles the task.
+ *
+ * Events:
+ *   'chunk' → { taskId, seq, backend, stream, text, at }
+ *   'end'   → { taskId, seq, status, at }
+ */
+class TaskStream extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);         // one listener per connected follower
+    this.tasks = new Map();          // taskId → { events, chars, seq, ended, startedAt }
+    this.maxBufferedChars = 200000;  // Backlog kept per task for late subscribers
+    this.retainMs = 10 * 60 * 1000;  // Keep finished output around for late followers
+  }
+
+  /**
+   * Start tracking a task (called by the router before execution)
+   * @param {string} taskId
+   */
+  open(taskId) {
+    if (!taskId) return;
+    const existing = this.tasks.get(taskId);
+    if (existing && !existing.ended) return;
+    this.tasks.set(taskId, { events: [], chars: 0, seq: 0, ended: false, startedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Append an output chunk (no-op when the run has no task ID)
+   * @param {string} taskId
+   * @param {string} backend - Backend producing the output
+   * @param {string} text
+   * @param {string} [stream] - 'stdout' or 'stderr'
+   */
+  write(taskId, backend, text, stream = 'stdout') {
+    if (!taskId || !text) return;
+    if (!this.tasks.has(taskId)) this.open(taskId);
+
+    const entry = this.tasks.get(taskId);
+    if (entry.ended) return; // Trailing output from a process that was already settled
+    const event = { taskId, seq: ++entry.seq, backend, stream, text, at: new Date().toISOString() };
+    entry.events.push(event);
+    entry.chars += text.length;
+
+    // Drop the oldest chunks once the backlog is over budget
+    while (entry.chars > this.maxBufferedChars && entry.events.length > 1) {
+      entry.chars -= entry.events.shift().text.length;
+    }
+
+    this.emit('chunk', event);
+  }
+
+  /**
+   * Mark a task's output as finished
+   * @param {string} taskId
+   * @param {string} [status] - 'completed', 'failed', 'cancelled', 'queued'
+   */
+  end(taskId, status = 'completed') {
+    const entry = this.tasks.get(taskId);
+    if (!entry || entry.ended) return;
+
+    entry.ended = { taskId, seq: entry.seq + 1, status, at: new Date().toISOString() };
+    this.emit('end', entry.ended);
+
+    setTimeout(() => {
+      if (this.tasks.get(taskId) === entry) this.tasks.delete(taskId);
+    }, this.retainMs).unref();
+  }
+
+  /**
+   * Whether output for a task is being (or was recently) tracked
+   * @param {string} taskId
+   * @returns {boolean}
+   */
+  has(taskId) {
+    return this.tasks.has(taskId);
+  }
+
+  /**
+   * Buffered output for a task
+   * @param {string} taskId
+   * @returns {string}
+   */
+  getOutput(taskId) {
+    const entry = this.tasks.get(taskId);
+    return entry ? entry.events.map(e => e.text).join('') : '';
+  }
+
+  /**
+   * Follow a task: replays the backlog, then forwards live events
+   * @param {string} taskId
+   * @param {Object} handlers
+   * @param {function(Object)} handlers.onChunk
+   * @param {function(Object)} [handlers.onEnd]
+   * @returns {function()} Unsubscribe
+   */
+  subscribe(taskId, { onChunk, onEnd = () => {} }) {
+    const entry = this.tasks.get(taskId);
+    for (const event of entry?.events || []) onChunk(event);
+    if (entry?.ended) {
+      onEnd(entry.ended);
+      return () => {};
+    }
+
+    const chunkListener = (event) => { if (event.taskId === taskId) onChunk(event); };
+    const endListener = (event) => {
+      if (event.taskId !== taskId) return;
+      unsubscribe();
+      onEnd(event);
+    };
+    const unsubscribe = () => {
+      this.removeListener('chunk', chunkListener);
+      this.removeListener('end', endListener);
+    };
+
+    this.on('chunk', chunkListener);
+    this.on('end', endListener);
+    return unsubscribe;
+  }
+}
+
+module.exports = new TaskStream();
@@ -618,10 +618,18 @@ async function testCircuitBreaker() {
   state = circuitBreaker.getState('recoveryBackend');
   assert(state.state === 'CLOSED', 'Success in CLOSED state maintains CLOSED');
 
-  // Test getAll (returns predefined backends, not custom test backends)
+  // Test getAll (every registered backend, including custom ones)
   const allStates = circuitBreaker.getAll();
   assert(typeof allStates === 'object', 'getAll returns object');
   assert(allStates.claudeCode !== undefined, 'getAll includes standard backends');
+  const backends = require('./backend-registry');
+  backends.register('customBreakerBackend', makeTestAdapter());
+  try {
+    assert(circuitBreaker.getAll().customBreakerBackend?.state === 'CLOSED', 'getAll includes registered custom backends');
+  } finally {
+    backends.unregister('customBreakerBackend');
+    circuitBreaker.removeBackend('customBreakerBackend');
+  }
 
   // Clean up test backends (ISSUE 6)
   circuitBreaker.removeBackend('testBackend');
@@ -1188,10 +1196,2768 @@ async function testRefinementQueueBusyCheck() {
   assert(result.reason && result.reason.includes('rate limit'), 'Should report rate limit reason');
 }
 
+// ────────────────────────────────────────────────────────────────
+// Backend Adapter Registry
+// ────────────────────────────────────────────────────────────────
+
+function makeTestAdapter(overrides = {}) {
+  return {
+    execute: async (task) => ({ success: true, backend: 'test', response: task.description }),
+    isAvailable: async () => true,
+    getStatus: async () => ({ enabled: true }),
+    estimateCost: () => 0,
+    healthPing: async () => ({ healthy: true, version: 'test' }),
+    cancel: async () => false,
+    ...overrides
+  };
+}
+
+function testBackendRegistryContract() {
+  console.log('\n--- Backend Registry: adapter contract ---');
+
+  const backends = require('./backend-registry');
+
+  // Built-in bridges implement the full contract
+  for (const name of ['./claude-code', './codex', './local', './api']) {
+    const missing = backends.validate(require(name));
+    assert(missing.length === 0, `${name} implements adapter contract`);
+  }
+
+  const incomplete = makeTestAdapter();
+  delete incomplete.healthPing;
+  delete incomplete.cancel;
+  let error = null;
+  try {
+    backends.register('incompleteBackend', incomplete);
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message.includes('healthPing') && error.message.includes('cancel'), 'Incomplete adapter rejected with missing methods listed');
+  assert(!backends.has('incompleteBackend'), 'Rejected adapter is not registered');
+}
+
+async function testBackendRegistryRegister() {
+  console.log('\n--- Backend Registry: register and dispatch ---');
+
+  const backends = require('./backend-registry');
+  const before = backends.names().length;
+
+  backends.register('testBackend', makeTestAdapter({ displayName: 'Test Backend' }));
+  assert(backends.has('testBackend'), 'Registered backend is present');
+  assert(backends.names().length === before + 1, 'names() includes new backend');
+  assert(backends.names()[backends.names().length - 1] === 'testBackend', 'Registration order preserved');
+  assert(backends.getDisplayName('testBackend') === 'Test Backend', 'Display name taken from adapter');
+  assert(backends.getDisplayName('nope') === 'nope', 'Unknown backend display name falls back to key');
+
+  let duplicateError = null;
+  try {
+    backends.register('testBackend', makeTestAdapter());
+  } catch (err) {
+    duplicateError = err;
+  }
+  assert(duplicateError !== null, 'Duplicate registration rejected');
+
+  const result = await backends.get('testBackend').execute({ description: 'hello' });
+  assert(result.success && result.response === 'hello', 'Adapter execute dispatched');
+
+  assert(backends.unregister('testBackend') === true, 'unregister returns true for registered backend');
+  assert(backends.get('testBackend') === null, 'get returns null after unregister');
+}
+
+function testBackendRegistryLoadFromConfig() {
+  console.log('\n--- Backend Registry: loadFromConfig ---');
+
+  const backends = require('./backend-registry');
+  const adapterPath = path.join(TEST_DATA_DIR, 'custom-adapter.js');
+  fs.writeFileSync(adapterPath, `
+    module.exports = (backendConfig, name) => ({
+      displayName: backendConfig.label,
+      execute: async () => ({ success: true, backend: name }),
+      isAvailable: async () => true,
+      getStatus: async () => ({ enabled: true }),
+      estimateCost: () => backendConfig.costPerTask,
+      healthPing: async () => ({ healthy: true }),
+      cancel: async () => false
+    });
+  `);
+
+  const loaded = backends.loadFromConfig({
+    backends: {
+      claudeCode: { enabled: true },
+      customLlm: { enabled: true, adapter: adapterPath, label: 'Custom LLM', costPerTask: 0.01 },
+      disabledLlm: { enabled: false, adapter: adapterPath },
+      brokenLlm: { enabled: true, adapter: path.join(TEST_DATA_DIR, 'missing-adapter.js') }
+    }
+  });
+
+  assert(loaded.length === 1 && loaded[0] === 'customLlm', 'Only enabled, loadable adapters registered');
+  assert(backends.getDisplayName('customLlm') === 'Custom LLM', 'Factory receives backend config');
+  assert(backends.get('customLlm').estimateCost() === 0.01, 'Custom adapter estimateCost available');
+  assert(backends.list().find(b => b.name === 'customLlm').custom === true, 'Config backends flagged as custom');
+  assert(!backends.has('disabledLlm'), 'Disabled backend skipped');
+
+  backends.unregister('customLlm');
+}
+
+// ────────────────────────────────────────────────────────────────
+// API Provider Clients (against a local mock server)
+// ────────────────────────────────────────────────────────────────
+
+function startMockProviderServer() {
+  const http = require('http');
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const parsed = body ? JSON.parse(body) : {};
+      requests.push({ url: req.url, headers: req.headers, body: parsed });
+
+      const respond = (status, payload, headers = {}) => {
+        res.writeHead(status, { 'content-type': 'application/json', ...headers });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (parsed.model === 'slow-model') {
+        setTimeout(() => respond(200, {}), 2000).unref();
+        return;
+      }
+      if (parsed.model === 'limited-model') {
+        respond(429, { error: { message: 'Too many requests' } }, { 'retry-after': '30' });
+        return;
+      }
+      if (parsed.model === 'reset-model') {
+        respond(429, { error: { message: 'Too many requests' } }, { 'x-ratelimit-reset': String(Date.parse('2030-01-01T00:00:00Z')) });
+        return;
+      }
+
+      if (req.url === '/v1/messages') {
+        respond(200, {
+          id: 'msg_test',
+          model: parsed.model,
+          content: [{ type: 'text', text: 'anthropic says hi' }],
+          stop_reason: 'end_turn',
+          usage: { input_tokens: 120, output_tokens: 30 }
+        });
+      } else if (req.url === '/v1/chat/completions') {
+        respond(200, {
+          id: 'chatcmpl_test',
+          model: parsed.model,
+          choices: [{ message: { role: 'assistant', content: 'openai says hi' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 200, completion_tokens: 50, total_tokens: 250 }
+        });
+      } else {
+        respond(404, { error: { message: 'not found' } });
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, baseUrl, requests });
+    });
+  });
+}
+
+function stopMockProviderServer(server) {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+}
+
+function mockProviderConfig(baseUrl) {
+  const realConfig = require('./config.json');
+  return {
+    ...realConfig,
+    backends: {
+      ...realConfig.backends,
+      api: {
+        ...realConfig.backends.api,
+        providers: {
+          anthropic: { baseUrl, apiKey: 'test-anthropic-key' },
+          openai: { baseUrl, apiKey: 'test-openai-key' },
+          openrouter: { baseUrl, apiKey: 'test-openrouter-key' }
+        }
+      }
+    }
+  };
+}
+
+async function testProviderClients() {
+  console.log('\n--- Provider Clients: request/response normalization ---');
+
+  const providerClients = require('./provider-clients');
+  const { server, baseUrl, requests } = await startMockProviderServer();
+  const savedConfig = providerClients.config;
+  providerClients.config = mockProviderConfig(baseUrl);
+
+  try {
+    const request = {
+      model: 'test-model',
+      system: 'Be brief.',
+      messages: [{ role: 'user', content: 'Hello' }],
+      maxTokens: 256
+    };
+
+    const anthropic = await providerClients.complete('anthropic', request);
+    const anthropicReq = requests[requests.length - 1];
+    assert(anthropicReq.url === '/v1/messages', 'Anthropic uses Messages endpoint');
+    assert(anthropicReq.headers['x-api-key'] === 'test-anthropic-key', 'Anthropic sends x-api-key header');
+    assert(anthropicReq.headers['anthropic-version'] !== undefined, 'Anthropic sends version header');
+    assert(anthropicReq.body.system === 'Be brief.' && anthropicReq.body.max_tokens === 256, 'Anthropic body carries system + max_tokens');
+    assert(anthropic.text === 'anthropic says hi', 'Anthropic text extracted');
+    assert(anthropic.usage.inputTokens === 120 && anthropic.usage.outputTokens === 30, 'Anthropic usage normalized');
+    assert(anthropic.usage.totalTokens === 150, 'Anthropic total tokens computed');
+
+    const openai = await providerClients.complete('openai', request);
+    const openaiReq = requests[requests.length - 1];
+    assert(openaiReq.url === '/v1/chat/completions', 'OpenAI uses Chat Completions endpoint');
+    assert(openaiReq.headers.authorization === 'Bearer test-openai-key', 'OpenAI sends bearer token');
+    assert(openaiReq.body.messages[0].role === 'system', 'OpenAI system prompt sent as first message');
+    assert(openai.text === 'openai says hi' && openai.finishReason === 'stop', 'OpenAI response normalized');
+    assert(openai.usage.inputTokens === 200 && openai.usage.outputTokens === 50, 'OpenAI usage normalized');
+
+    await providerClients.complete('openrouter', request);
+    const routerReq = requests[requests.length - 1];
+    assert(routerReq.headers.authorization === 'Bearer test-openrouter-key', 'OpenRouter sends its own key');
+    assert(routerReq.headers['x-title'] !== undefined, 'OpenRouter sends attribution headers');
+
+    const parsed = providerClients.parseModelId('openrouter/anthropic/claude-sonnet-4-20250514');
+    assert(parsed.provider === 'openrouter' && parsed.model === 'anthropic/claude-sonnet-4-20250514', 'parseModelId keeps nested OpenRouter model path');
+
+    console.log('\n--- Provider Clients: errors, timeouts, cancellation ---');
+
+    let limitError = null;
+    try {
+      await providerClients.complete('openai', { ...request, model: 'limited-model' });
+    } catch (err) {
+      limitError = err;
+    }
+    assert(limitError && limitError.status === 429 && limitError.message.includes('rate limit'), '429 surfaces as rate limit error');
+    assert(limitError && limitError.shouldFallback === true, '429 is fallback-eligible');
+    const retryIn = Date.parse(limitError?.resetAt) - Date.now();
+    assert(retryIn > 25000 && retryIn <= 30000, '429 retry-after becomes resetAt');
+    const resetError = await providerClients.complete('openrouter', { ...request, model: 'reset-model' }).then(() => null, err => err);
+    assert(resetError?.resetAt === '2030-01-01T00:00:00.000Z', '429 x-ratelimit-reset (epoch ms) becomes resetAt');
+    assert(providerClients._resetAt({ 'x-ratelimit-reset': '6m0s' }, 0) === new Date(360000).toISOString() &&
+      providerClients._resetAt({ 'retry-after': 'soon' }) === null, 'Reset durations parsed, unreadable values ignored');
+
+    let timeoutError = null;
+    try {
+      await providerClients.complete('anthropic', { ...request, model: 'slow-model' }, { timeoutMs: 100 });
+    } catch (err) {
+      timeoutError = err;
+    }
+    assert(timeoutError && timeoutError.code === 'API_TIMEOUT', 'Slow response raises API_TIMEOUT');
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    let cancelError = null;
+    try {
+      await providerClients.complete('anthropic', { ...request, model: 'slow-model' }, { signal: controller.signal });
+    } catch (err) {
+      cancelError = err;
+    }
+    assert(cancelError && cancelError.code === 'API_CANCELLED', 'Aborted request raises API_CANCELLED');
+
+    let noKeyError = null;
+    providerClients.config = { backends: { api: { providers: { anthropic: { baseUrl, apiKeyEnv: 'OPENCLAW_TEST_MISSING_KEY' } } } } };
+    try {
+      await providerClients.complete('anthropic', request);
+    } catch (err) {
+      noKeyError = err;
+    }
+    assert(noKeyError && noKeyError.code === 'API_NO_KEY', 'Missing key raises API_NO_KEY');
+  } finally {
+    providerClients.config = savedConfig;
+    await stopMockProviderServer(server);
+  }
+}
+
+async function testApiBridgeExecution() {
+  console.log('\n--- API Bridge: real execution records provider usage ---');
+
+  const api = require('./api');
+  const ledger = require('./ledger');
+  const providerClients = require('./provider-clients');
+  const { server, baseUrl, requests } = await startMockProviderServer();
+  const savedApiConfig = api.config;
+  const savedClientConfig = providerClients.config;
+  const testConfig = mockProviderConfig(baseUrl);
+  api.config = testConfig;
+  providerClients.config = testConfig;
+
+  try {
+    await ledger.load();
+    const tasksBefore = ledger.data.api.tasksCompleted;
+    const spendBefore = ledger.data.api.dailySpendUsd;
+    const inputBefore = ledger.data.api.monthlyInputTokens || 0;
+
+    const result = await api.execute({
+      description: 'Summarize the release notes',
+      type: 'docs',
+      complexity: 3,
+      files: [],
+      metadata: {}
+    }, { taskId: 'api_test_task' });
+
+    const lastRequest = requests[requests.length - 1];
+    assert(result.success === true && result.backend === 'api', 'API bridge returns success');
+    assert(lastRequest.body.messages.some(m => m.content.includes('Summarize the release notes')), 'Task description sent to provider');
+    assert(result.response.endsWith('says hi'), 'Provider text returned as response');
+    assert(result.tokens === result.usage.totalTokens && result.tokens > 0, 'Result tokens come from provider usage');
+    assert(ledger.data.api.tasksCompleted === tasksBefore + 1, 'Ledger task count incremented');
+    assert(ledger.data.api.monthlyInputTokens === inputBefore + result.usage.inputTokens, 'Ledger records real input tokens');
+    assert(Math.abs(ledger.data.api.dailySpendUsd - spendBefore - result.cost) < 1e-9, 'Ledger spend matches priced usage');
+
+    assert(await api.cancel('not_running') === false, 'Cancel returns false when nothing in flight');
+  } finally {
+    api.config = savedApiConfig;
+    providerClients.config = savedClientConfig;
+    await stopMockProviderServer(server);
+  }
+}
+
+// ────────────────────────────────────────────────────────────────
+// Routing Policy Engine
+// ────────────────────────────────────────────────────────────────
+
+function policyTask(overrides = {}) {
+  return {
+    description: 'Test task',
+    type: 'other',
+    urgency: 'normal',
+    complexity: 5,
+    toolsNeeded: [],
+    files: [],
+    metadata: {},
+    ...overrides
+  };
+}
+
+const ALL_AVAILABLE = { claudeCode: true, codex: true, api: true, local: true };
+
+function testRoutingPolicyDefaults() {
+  console.log('\n--- Routing Policy: shipped rules mirror legacy routing ---');
+
+  const routingPolicy = require('./routing-policy');
+  const shipped = JSON.parse(fs.readFileSync(path.join(__dirname, 'routing-policy.json'), 'utf8'));
+  assert(routingPolicy.validate(shipped).length === 0, 'Shipped routing-policy.json is valid');
+  assert(routingPolicy.validate(routingPolicy.EMPTY_POLICY).length === 0, 'Empty fallback policy is valid');
+  const missing = new routingPolicy.RoutingPolicy();
+  missing.load(path.join(__dirname, 'data', 'no-such-policy.json'));
+  assert(missing.source === routingPolicy.DEFAULT_POLICY_PATH && JSON.stringify(missing.policy) === JSON.stringify(shipped),
+    'Missing policy file falls back to the shipped rules');
+
+  routingPolicy.load(path.join(__dirname, 'routing-policy.json'));
+  const config = { routing: { hybridEnabled: true } };
+
+  let d = routingPolicy.evaluate(policyTask({ toolsNeeded: ['web'] }), { ...ALL_AVAILABLE, api: false }, config);
+  assert(d.backend === 'api' && d.rule === 'tools-require-api', 'Tools force API even when over budget');
+
+  d = routingPolicy.evaluate(policyTask({ toolsNeeded: ['Email'] }), ALL_AVAILABLE, config);
+  assert(d.rule === 'tools-require-api', 'API tools match case-insensitively');
+
+  d = routingPolicy.evaluate(policyTask({ toolsNeeded: ['git', 'web_search'] }), ALL_AVAILABLE, config);
+  assert(d.rule !== 'tools-require-api', 'Tools the API sub-agent does not provide are not forced to API');
+
+  d = routingPolicy.evaluate(policyTask({ urgency: 'immediate' }), ALL_AVAILABLE, config);
+  assert(d.backend === 'api' && d.action === 'prefer', 'Immediate urgency prefers API');
+
+  d = routingPolicy.evaluate(policyTask({ type: 'code', files: ['a.js', 'b.js'] }), ALL_AVAILABLE, config);
+  assert(d.backend === 'claudeCode' && d.rule === 'multi-file-code', 'Multi-file code prefers Claude Code');
+
+  d = routingPolicy.evaluate(policyTask({ type: 'code', files: ['a.js', 'b.js'] }), { ...ALL_AVAILABLE, claudeCode: false }, config);
+  assert(d.rule !== 'multi-file-code', 'Prefer skipped when backend unavailable');
+
+  d = routingPolicy.evaluate(policyTask({ type: 'docs', complexity: 4 }), ALL_AVAILABLE, config);
+  assert(d.backend === 'local' && d.rule === 'simple-review-docs-local', 'Simple docs forced local');
+
+  d = routingPolicy.evaluate(policyTask({ complexity: 9 }), ALL_AVAILABLE, config);
+  assert(d.backend === 'local' && d.rule === 'hybrid-complex-local', 'Hybrid config condition matches');
+
+  d = routingPolicy.evaluate(policyTask({ complexity: 9 }), ALL_AVAILABLE, { routing: { hybridEnabled: false } });
+  assert(d.backend === null, 'No rule fires when hybrid disabled for normal task');
+}
+
+function testRoutingPolicyActions() {
+  console.log('\n--- Routing Policy: forbid, weight, source and user matching ---');
+
+  const routingPolicy = require('./routing-policy');
+  const policyPath = path.join(TEST_DATA_DIR, 'routing-policy.json');
+  fs.writeFileSync(policyPath, JSON.stringify({
+    version: 1,
+    rules: [
+      { id: 'github-no-api', match: { source: 'github-webhook' }, action: { forbid: 'api', weight: { local: 15 } } },
+      { id: 'vip-user', match: { user: ['alice'] }, action: { force: 'claudeCode' } },
+      { id: 'github-prefer', match: { source: 'github-webhook' }, action: { prefer: ['api', 'codex'] } }
+    ]
+  }));
+
+  const result = routingPolicy.load(policyPath);
+  assert(result.loaded === true, 'Custom policy loads');
+
+  let d = routingPolicy.evaluate(policyTask({ source: 'github-webhook' }), ALL_AVAILABLE);
+  assert(d.backend === 'codex', 'Forbidden backend skipped by later prefer');
+  assert(d.available.api === false, 'Forbid removes backend from candidate set');
+  assert(d.weights.local === 15, 'Weight action accumulates');
+  assert(d.fired.length === 2 && d.fired[0].rule === 'github-no-api', 'Fired rules recorded in order');
+  assert(d.forbidden.api === 'github-no-api', 'Forbidding rule recorded per backend');
+
+  d = routingPolicy.evaluate(policyTask({ metadata: { userId: 'alice' } }), ALL_AVAILABLE);
+  assert(d.backend === 'claudeCode' && d.rule === 'vip-user', 'User condition matches metadata.userId');
+
+  const status = routingPolicy.getStatus();
+  assert(status.rules.find(r => r.id === 'github-no-api').hits >= 1, 'Rule hit counts tracked');
+}
+
+function testRoutingPolicyValidationAndReload() {
+  console.log('\n--- Routing Policy: validation and hot reload ---');
+
+  const routingPolicy = require('./routing-policy');
+  const errors = routingPolicy.validate({
+    rules: [
+      { id: 'bad', match: { colour: 'red', complexity: 'high' }, action: { force: 'nowhere', explode: true } },
+      { id: 'bad', action: {} }
+    ]
+  });
+  assert(errors.some(e => e.includes('unknown condition "colour"')), 'Unknown match condition rejected');
+  assert(errors.some(e => e.includes('complexity')), 'Malformed range rejected');
+  assert(errors.some(e => e.includes('unknown backend "nowhere"')), 'Unknown backend rejected');
+  assert(errors.some(e => e.includes('unknown action "explode"')), 'Unknown action rejected');
+  assert(errors.some(e => e.includes('duplicate id')), 'Duplicate rule ids rejected');
+
+  const policyPath = path.join(TEST_DATA_DIR, 'routing-policy.json');
+  routingPolicy.load(policyPath);
+  const rulesBefore = routingPolicy.getStatus().rules.length;
+
+  // Invalid edit is rejected and the previous policy stays active
+  fs.writeFileSync(policyPath, JSON.stringify({ rules: [{ id: 'broken', action: { force: 'nowhere' } }] }));
+  routingPolicy.lastModified = null;
+  assert(routingPolicy.reloadIfChanged() === true, 'Changed file triggers reload');
+  assert(routingPolicy.getStatus().rules.length === rulesBefore, 'Invalid policy keeps previous rules');
+  assert(routingPolicy.getStatus().lastError !== null, 'Validation error surfaced in status');
+
+  // Valid edit replaces the policy
+  fs.writeFileSync(policyPath, JSON.stringify({ rules: [{ id: 'all-local', match: {}, action: { force: 'local' } }] }));
+  routingPolicy.lastModified = null;
+  routingPolicy.reloadIfChanged();
+  const d = routingPolicy.evaluate(policyTask(), ALL_AVAILABLE);
+  assert(d.rule === 'all-local', 'Reloaded policy takes effect');
+  assert(routingPolicy.reloadIfChanged() === false, 'Unchanged file is not reloaded');
+
+  // Restore shipped policy for later tests
+  routingPolicy.load(path.join(__dirname, 'routing-policy.json'));
+}
+
+// ────────────────────────────────────────────────────────────────
+// Routing Decision Traces
+// ────────────────────────────────────────────────────────────────
+
+function sampleTrace(taskId) {
+  const decisionTrace = require('./decision-trace');
+  const trace = decisionTrace.create(taskId, policyTask({ description: 'Refactor auth module', type: 'code', files: ['a.js', 'b.js'] }), {
+    complexity: 6, urgency: 5, toolRequirement: 0, estimatedTokens: 4000, estimatedCost: 0.06
+  });
+  trace.candidates = {
+    claudeCode: { available: true, factors: { budget: 'ok', circuitBreaker: 'CLOSED', rateLimit: 'ok' }, rejections: [] },
+    codex: { available: false, factors: { budget: 'ok', circuitBreaker: 'OPEN' }, rejections: [{ factor: 'circuitBreaker', reason: 'breaker OPEN after 8 failures' }] },
+    api: { available: false, factors: { budget: 'exceeded' }, rejections: [{ factor: 'budget', reason: 'Estimated cost exceeds daily remaining' }] }
+  };
+  trace.policy = { rule: 'multi-file-code', action: 'prefer', fired: [{ rule: 'multi-file-code', action: ['prefer'] }] };
+  trace.selected = 'claudeCode';
+  trace.decidedBy = 'policy:multi-file-code';
+  trace.fallbacks.push({ from: 'claudeCode', to: 'local', reason: 'timeout: Claude Code timed out' });
+  trace.outcome = { status: 'completed', backend: 'local', duration: 4200 };
+  return trace;
+}
+
+async function testDecisionTraceRecord() {
+  console.log('\n--- Decision Trace: record, persist and look up ---');
+
+  const decisionTrace = require('./decision-trace');
+  const trace = sampleTrace('route_trace_1');
+  assert(trace.task.fileCount === 2 && trace.task.type === 'code', 'Trace captures task summary');
+  assert(trace.scoring.estimatedTokens === 4000, 'Trace captures scoring');
+
+  await decisionTrace.record(trace);
+  assert(fs.existsSync(path.join(TEST_DATA_DIR, 'route-traces.json')), 'Traces persisted to data dir');
+
+  // Fresh load from disk (as the CLI / dashboard would)
+  decisionTrace.traces = {};
+  decisionTrace.loaded = false;
+  const loaded = await decisionTrace.get('route_trace_1');
+  assert(loaded !== null && loaded.selected === 'claudeCode', 'Trace survives reload');
+  assert(loaded.candidates.api.rejections[0].factor === 'budget', 'Rejection reasons persisted');
+  assert(await decisionTrace.get('route_missing') === null, 'Unknown task has no trace');
+
+  // Oldest traces are pruned past the cap
+  const maxBefore = decisionTrace.maxTraces;
+  decisionTrace.maxTraces = 2;
+  for (const id of ['route_trace_2', 'route_trace_3']) {
+    const t = sampleTrace(id);
+    t.createdAt = new Date(Date.now() + 1000).toISOString();
+    await decisionTrace.record(t);
+  }
+  assert(Object.keys(decisionTrace.traces).length === 2, 'Trace store capped');
+  assert(!decisionTrace.traces.route_trace_1, 'Oldest trace pruned first');
+  decisionTrace.maxTraces = maxBefore;
+
+  const recent = await decisionTrace.list(1);
+  assert(recent.length === 1, 'list() honours limit');
+}
+
+async function testRouterToolScoreNonStrings() {
+  console.log('\n--- Router: tool scoring tolerates non-string tool names ---');
+
+  const router = require('./index');
+  const decisionTrace = require('./decision-trace');
+  const backends = require('./backend-registry');
+  backends.register('toolScoreBackend', makeTestAdapter());
+  try {
+    const result = await router.route({ description: 'Summarize the inbox', toolsNeeded: ['Web', { name: 'email' }, 42, null], forceBackend: 'toolScoreBackend' },
+      { taskId: 'tools_mixed', skipConfidence: true, skipDedup: true });
+    assert(result.success, 'Task with non-string tools routes');
+    assert((await decisionTrace.get('tools_mixed'))?.scoring.toolRequirement === 25, 'Only string tool names count towards the tool score');
+  } finally {
+    backends.unregister('toolScoreBackend');
+  }
+}
+
+function testDecisionTraceFormat() {
+  console.log('\n--- Decision Trace: human-readable explanation ---');
+
+  const decisionTrace = require('./decision-trace');
+  const text = decisionTrace.format(sampleTrace('route_trace_fmt'));
+  assert(text.includes('→ claudeCode'), 'Selected backend marked');
+  assert(text.includes('rejected (circuitBreaker): breaker OPEN'), 'Breaker rejection explained');
+  assert(text.includes('rejected (budget)'), 'Budget rejection explained');
+  assert(text.includes('decided by policy:multi-file-code'), 'Deciding step shown');
+  assert(text.includes('Fallback: claudeCode → local'), 'Fallbacks shown');
+  assert(text.includes('Outcome: completed on local in 4.2s'), 'Outcome shown');
+}
+
+// ────────────────────────────────────────────────────────────────
+// Routing Simulator
+// ────────────────────────────────────────────────────────────────
+
+function simulatorHistory() {
+  const day = (n) => new Date(Date.now() - n * 60 * 60 * 1000).toISOString();
+  const result = (hoursAgo, taskType, success, tokens) => ({
+    timestamp: day(hoursAgo), success, duration: 1000, tokens, taskType, urgency: 'normal', complexity: 4
+  });
+  return {
+    claudeCode: { results: [1, 2, 3, 4].map(h => result(h, 'docs', true, 500)), totalTasks: 4 },
+    codex: { results: [result(5, 'code', false, 800), result(6, 'code', true, 800)], totalTasks: 2 },
+    api: { results: [7, 8, 9].map(h => result(h, 'code', true, 2000)), totalTasks: 3 },
+    local: { results: [], totalTasks: 0 },
+    unknown: { results: [result(10, 'other', false, 0)], totalTasks: 1 }
+  };
+}
+
+async function testSimulatorReplay() {
+  console.log('\n--- Simulator: replay history under a candidate config ---');
+
+  const router = require('./index');
+  const monitor = require('./monitor');
+  const simulator = require('./simulator');
+  if (!monitor.loaded) await monitor.load();
+  const savedBackends = monitor.data.backends;
+  monitor.data.backends = simulatorHistory();
+
+  try {
+    const merged = simulator.mergeConfig({ a: { b: 1, c: [1] }, d: 2 }, { a: { c: [2] } });
+    assert(merged.a.b === 1 && merged.a.c[0] === 2 && merged.d === 2, 'Candidate config deep-merges over current');
+
+    const history = await simulator.loadHistory();
+    assert(history.length === 9, 'History excludes unattributed failures');
+    assert(new Date(history[0].timestamp) < new Date(history[8].timestamp), 'History replayed oldest first');
+    assert((await simulator.loadHistory({ limit: 2 })).length === 2, 'History limit honoured');
+
+    const report = await router.simulate({ backends: { api: { enabled: false } } });
+    assert(report.tasksReplayed === 9, 'All recorded tasks replayed');
+    assert(report.actual.distribution.api.tasks === 3, 'Actual distribution from monitor history');
+    assert(!report.simulated.distribution.api, 'Disabled backend receives no simulated tasks');
+    assert(report.simulated.apiSpendUsd === 0 && report.delta.apiSpendUsd < 0, 'Projected API spend drops');
+    assert(Object.keys(report.moves).some(move => move.startsWith('api→')), 'API tasks reported as moved away');
+    assert(report.changedTasks > 0, 'Rerouted tasks counted');
+    assert(Math.abs(report.actual.successRate - 88.9) < 0.1, 'Actual success rate from recorded outcomes');
+    assert(report.simulated.successRate >= 0 && report.simulated.successRate <= 100, 'Expected success rate in range');
+
+    const text = simulator.format(report);
+    assert(text.includes('API spend:') && text.includes('Tasks rerouted:'), 'Report formats as text');
+  } finally {
+    monitor.data.backends = savedBackends;
+  }
+}
+
+async function testSimulatorCandidatePolicy() {
+  console.log('\n--- Simulator: candidate routing policy ---');
+
+  const router = require('./index');
+  const monitor = require('./monitor');
+  if (!monitor.loaded) await monitor.load();
+  const savedBackends = monitor.data.backends;
+  monitor.data.backends = simulatorHistory();
+
+  const policyPath = path.join(TEST_DATA_DIR, 'sim-policy.json');
+  try {
+    fs.writeFileSync(policyPath, JSON.stringify({ rules: [{ id: 'all-codex', match: {}, action: { force: 'codex' } }] }));
+    const report = await router.simulate({ routing: { policyFile: policyPath } });
+    assert(report.simulated.distribution.codex.share === 100, 'Candidate policy drives every decision');
+    assert(report.decidedBy['policy:all-codex'] === 9, 'Deciding step tallied');
+    // codex/code ran 1 of 2; others estimated from codex's overall rate (50%)
+    assert(Math.abs(report.simulated.successRate - 50) < 0.1, 'Outcomes estimated from recorded backend success');
+
+    const livePolicy = require('./routing-policy').getStatus();
+    assert(!livePolicy.rules.some(r => r.id === 'all-codex'), 'Live policy untouched by simulation');
+
+    // Rules on source, user, tools and files see the recorded task
+    await monitor.recordResult('codex', {
+      type: 'code', files: ['a.js', 'b.js'], toolsNeeded: ['web'], source: 'github-webhook', metadata: { userId: 'alice' }
+    }, true, 1000, 800);
+    const recorded = monitor.data.backends.codex.results.slice(-1)[0];
+    assert(recorded.files.length === 2 && recorded.toolsNeeded[0] === 'web' && recorded.source === 'github-webhook' && recorded.userId === 'alice',
+      'Monitor records files, tools, source and user for replay');
+    fs.writeFileSync(policyPath, JSON.stringify({ rules: [
+      { id: 'by-source', match: { source: 'github-webhook', user: 'alice', tools: 'web', fileCount: { min: 2 } }, action: { force: 'local' } }
+    ] }));
+    const fieldReport = await router.simulate({ routing: { policyFile: policyPath } });
+    assert(fieldReport.decidedBy['policy:by-source'] === 1, 'Replayed task keeps files, tools, source and user');
+
+    fs.writeFileSync(policyPath, JSON.stringify({ rules: [{ id: 'bad', action: { force: 'nowhere' } }] }));
+    let threw = false;
+    try {
+      await router.simulate({ routing: { policyFile: policyPath } });
+    } catch (error) {
+      threw = error.message.includes('invalid');
+    }
+    assert(threw, 'Invalid candidate policy rejected');
+  } finally {
+    monitor.data.backends = savedBackends;
+  }
+}
+
+// ────────────────────────────────────────────────────────────────
+// Cancellation
+// ────────────────────────────────────────────────────────────────
+
+/**
+ * Adapter whose runs hang until cancel(taskId) is called, then reject the
+ * way the real bridges do
+ */
+function makeSlowAdapter(started) {
+  const cancellation = require('./cancellation');
+  const pending = new Map();
+  return makeTestAdapter({
+    execute: (task, context = {}) => new Promise((resolve, reject) => {
+      pending.set(context.taskId, reject);
+      started.push(context.taskId);
+    }),
+    cancel: async (taskId) => {
+      const reject = pending.get(taskId);
+      if (!reject) return false;
+      pending.delete(taskId);
+      reject(cancellation.error(taskId, 'slowBackend'));
+      return true;
+    }
+  });
+}
+
+async function testCancellationPrimitives() {
+  console.log('\n--- Cancellation: markers, errors and process trees ---');
+
+  const cancellation = require('./cancellation');
+  const { spawn } = require('child_process');
+
+  cancellation.markCancelled('cancel_prim', 'user changed their mind');
+  assert(cancellation.isCancelled('cancel_prim'), 'Cancelled task ID tracked');
+  assert(!cancellation.isCancelled(undefined), 'Missing task ID is never cancelled');
+
+  const error = cancellation.error('cancel_prim', 'codex', { tokens: 120 });
+  assert(error.code === 'TASK_CANCELLED' && error.backend === 'codex' && error.tokens === 120, 'Cancellation error carries code, backend and usage');
+  assert(error.message.includes('user changed their mind'), 'Cancellation reason in message');
+  assert(cancellation.isCancellation(error), 'Cancellation error recognised');
+  assert(!cancellation.isCancellation(new Error('timeout')), 'Ordinary errors not treated as cancellation');
+
+  cancellation.clear('cancel_prim');
+  assert(!cancellation.isCancelled('cancel_prim'), 'Marker cleared');
+
+  if (process.platform !== 'win32') {
+    const child = spawn('sh', ['-c', 'sleep 30 & wait'], { detached: true, stdio: 'ignore' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const exited = new Promise(resolve => child.on('exit', (code, signal) => resolve(signal)));
+    assert(cancellation.killProcessTree(child, { graceMs: 1000 }) === true, 'Signal delivered to process group');
+    assert(await exited === 'SIGTERM', 'Process tree terminated');
+    assert(cancellation.killProcessTree(child) === false, 'Exited process is not signalled again');
+  }
+
+  assert(await require('./local').cancel('nothing_running') === false, 'Local cancel is a no-op when idle');
+  assert(await require('./claude-code').cancel('nothing_running') === false, 'Claude Code cancel is a no-op when idle');
+}
+
+async function testCancellationBookkeeping() {
+  console.log('\n--- Cancellation: scheduler slots, session and ledger ---');
+
+  // Active scheduler task: slot released immediately and recorded as cancelled
+  const item = { id: 'sched_active_cancel', task: { description: 'long job' }, backend: 'codex' };
+  scheduler.active.set(item.id, { item, startedAt: new Date().toISOString(), cancelled: false });
+  const cancelled = await scheduler.cancel(item.id);
+  assert(cancelled === true, 'Cancel returns true for active task');
+  assert(!scheduler.active.has(item.id), 'Concurrency slot released');
+  const record = scheduler.completed[scheduler.completed.length - 1];
+  assert(record.id === item.id && record.cancelled === true, 'Active cancellation recorded in history');
+  require('./cancellation').clear(item.id);
+
+  const session = require('./session');
+  await session.addTask({ taskId: 'session_cancel', description: 'cancel me' });
+  const sessionTask = await session.cancelTask('session_cancel', 'user request');
+  assert(sessionTask.status === 'cancelled' && sessionTask.lastUpdate.includes('user request'), 'Session task marked cancelled');
+  assert(session.getActiveTask('session_cancel') === null, 'Cancelled task leaves active context');
+
+  const ledger = require('./ledger');
+  if (!ledger.loaded) await ledger.load();
+  const before = ledger.data.codex.sessionUsagePercent;
+  await ledger.recordCancellation('codex', { description: 'x' }, 5000);
+  assert(ledger.data.codex.sessionUsagePercent > before, 'Partial subscription usage reconciled');
+  assert(ledger.data.cancellations.codex.count >= 1 && ledger.data.cancellations.codex.tokens >= 5000, 'Cancellation tallied in ledger');
+}
+
+async function testRouterCancel() {
+  console.log('\n--- Cancellation: router tasks and running plans ---');
+
+  const router = require('./index');
+  const backends = require('./backend-registry');
+  const started = [];
+  backends.register('slowBackend', makeSlowAdapter(started));
+
+  try {
+    const run = router.forceRoute({ description: 'never finishes', type: 'docs' }, 'slowBackend', { taskId: 'route_cancel_1' });
+    const outcome = run.then(() => null, error => error);
+    while (!started.includes('route_cancel_1')) await new Promise(resolve => setTimeout(resolve, 5));
+
+    const result = await router.cancel('route_cancel_1');
+    assert(result.cancelled && result.scopes.includes('route'), 'Running route found and cancelled');
+    assert(result.stoppedOn.includes('slowBackend'), 'Backend reported the stop');
+    const error = await outcome;
+    assert(error && error.code === 'TASK_CANCELLED', 'Caller sees a cancellation error');
+
+    const missing = await router.cancel('no_such_task');
+    assert(missing.cancelled === false && missing.scopes.length === 0, 'Unknown ID reports nothing cancelled');
+
+    const step = (id, deps) => ({
+      id, index: deps.length, description: `Step ${id}`, type: 'docs', backend: 'slowBackend',
+      dependencies: deps, estimatedTokens: 1000, critical: true
+    });
+    const plan = { id: 'plan_cancel_1', steps: [step('s1', []), step('s2', ['s1'])] };
+    const planRun = router.executePlan(plan);
+    while (!started.includes('plan_cancel_1:s1')) await new Promise(resolve => setTimeout(resolve, 5));
+
+    const planCancel = await router.cancel('plan_cancel_1');
+    assert(planCancel.scopes.includes('plan') && planCancel.stoppedOn.includes('slowBackend'), 'Running plan step stopped');
+    const planResult = await planRun;
+    assert(planResult.cancelled === true && planResult.success === false, 'Plan result marked cancelled');
+    assert(planResult.cancelledSteps === 2, 'Running and unstarted steps cancelled');
+    assert(plan.steps.every(s => s.status === 'cancelled'), 'Plan steps carry cancelled status');
+    assert(started.filter(id => id === 'plan_cancel_1:s1').length === 1, 'Cancelled step not retried');
+  } finally {
+    backends.unregister('slowBackend');
+  }
+}
+
+async function testRouterFallbackCancel() {
+  console.log('\n--- Cancellation: route fallbacks ---');
+
+  const router = require('./index');
+  const backends = require('./backend-registry');
+  const session = require('./session');
+  const local = require('./local');
+  const started = [];
+  const slow = makeSlowAdapter(started);
+  backends.register('failingPrimaryBackend', makeTestAdapter({ execute: async () => { throw new Error('primary down'); } }));
+  local.isAvailable = async () => true;
+  local.execute = slow.execute;
+  local.cancel = slow.cancel;
+
+  try {
+    // A fallback still running is reachable by router.cancel(taskId)
+    const run = router.route({ description: 'Summarize the fallback notes', type: 'docs', forceBackend: 'failingPrimaryBackend' },
+      { taskId: 'route_fallback_cancel', skipConfidence: true, skipDedup: true });
+    while (!started.includes('route_fallback_cancel')) await new Promise(resolve => setTimeout(resolve, 5));
+    const cancelled = await router.cancel('route_fallback_cancel');
+    assert(cancelled.scopes.includes('route') && cancelled.stoppedOn.includes('local'), 'Cancel reaches a running fallback');
+    const outcome = await run;
+    assert(outcome.cancelled === true && started.length === 1, 'Cancelled fallback resolves as cancelled without trying further fallbacks');
+
+    // A fallback that completes gets the same bookkeeping as the selected backend
+    local.execute = async (task) => ({ success: true, backend: 'local', response: `${task.description} done`, duration: 5, tokens: 10 });
+    const recovered = await router.route({ description: 'Summarize the recovery notes', type: 'docs', forceBackend: 'failingPrimaryBackend' },
+      { taskId: 'route_fallback_ok', skipConfidence: true, skipDedup: true });
+    assert(recovered.fallback === true && recovered.fallbackUsed === 'local', 'Fallback result returned');
+    assert(session.getContext().recentCompleted.some(t => t.taskId === 'route_fallback_ok'), 'Fallback completion recorded in the session context');
+    assert(!require('./cancellation').isCancelled('route_fallback_ok') && (await router.cancel('route_fallback_ok')).cancelled === false,
+      'Completed fallback leaves no active task behind');
+  } finally {
+    backends.unregister('failingPrimaryBackend');
+    delete local.isAvailable;
+    delete local.execute;
+    delete local.cancel;
+  }
+}
+
+async function testBackendsStopAll() {
+  console.log('\n--- Cancellation: stopping every backend on shutdown ---');
+
+  const backends = require('./backend-registry');
+  const cancellation = require('./cancellation');
+  const api = require('./api');
+  const local = require('./local');
+  const cancelled = [];
+  backends.register('cancelOnlyBackend', makeTestAdapter({ cancel: async (taskId) => { cancelled.push(taskId); return taskId === 'shutdown_task'; } }));
+  let killed = 0;
+  backends.register('killAllBackend', makeTestAdapter({ killAllSessions: async () => { killed++; } }));
+  const aborted = [];
+  api.inFlight.set('shutdown_api', { abort: () => aborted.push('api') });
+  local.inFlight.set('shutdown_local', { abort: () => aborted.push('local') });
+
+  try {
+    const stopped = await backends.stopAll(['shutdown_task', 'shutdown_other']);
+    assert(cancelled.join() === 'shutdown_task,shutdown_other' && stopped.includes('cancelOnlyBackend'), 'Adapters without killAllSessions cancel each in-flight task');
+    assert(killed === 1 && stopped.includes('killAllBackend'), 'Custom killAllSessions called');
+    assert(aborted.sort().join() === 'api,local' && api.inFlight.size === 0 && local.inFlight.size === 0, 'API and local requests aborted');
+    assert(['claudeCode', 'codex', 'api', 'local'].every(name => stopped.includes(name)), 'Every built-in backend stopped');
+  } finally {
+    backends.unregister('cancelOnlyBackend');
+    backends.unregister('killAllBackend');
+    cancellation.clear('shutdown_api');
+    cancellation.clear('shutdown_local');
+  }
+}
+
+// ────────────────────────────────────────────────────────────────
+// Live Task Output
+// ────────────────────────────────────────────────────────────────
+
+function testTaskStreamBuffering() {
+  console.log('\n--- Task stream: backlog, live chunks and end ---');
+
+  const taskStream = require('./task-stream');
+  taskStream.open('stream_1');
+  taskStream.write('stream_1', 'claudeCode', 'first ');
+  taskStream.write(undefined, 'claudeCode', 'ignored');
+
+  const seen = [];
+  let ended = null;
+  const unsubscribe = taskStream.subscribe('stream_1', { onChunk: c => seen.push(c), onEnd: e => { ended = e; } });
+  assert(seen.length === 1 && seen[0].text === 'first ', 'Late subscriber receives backlog');
+
+  taskStream.write('stream_1', 'claudeCode', 'oops', 'stderr');
+  taskStream.write('other_task', 'codex', 'not mine');
+  assert(seen.length === 2 && seen[1].stream === 'stderr' && seen[1].seq === 2, 'Live chunks forwarded in sequence');
+
+  taskStream.end('stream_1', 'completed');
+  assert(ended && ended.status === 'completed' && ended.seq === 3, 'End event delivered once');
+  taskStream.write('stream_1', 'claudeCode', 'after end');
+  assert(seen.length === 2 && taskStream.getOutput('stream_1') === 'first oops', 'Output after end is dropped');
+  unsubscribe();
+
+  let replayedEnd = null;
+  taskStream.subscribe('stream_1', { onChunk: () => {}, onEnd: e => { replayedEnd = e; } });
+  assert(replayedEnd && replayedEnd.status === 'completed', 'Finished task replays its end event');
+
+  const savedMax = taskStream.maxBufferedChars;
+  taskStream.maxBufferedChars = 10;
+  taskStream.open('stream_2');
+  for (const text of ['aaaa', 'bbbb', 'cccc', 'dddd']) taskStream.write('stream_2', 'local', text);
+  assert(taskStream.getOutput('stream_2') === 'ccccdddd', 'Backlog trimmed to the newest output');
+  taskStream.maxBufferedChars = savedMax;
+  taskStream.end('stream_2');
+}
+
+async function testOllamaStreamParsing() {
+  console.log('\n--- Task stream: Ollama NDJSON streaming ---');
+
+  const { Readable } = require('stream');
+  const local = require('./local');
+  const body = [
+    '{"response":"Hel","done":false}\n{"respo',
+    'nse":"lo","done":false}\n',
+    '{"response":"","done":true,"eval_count":7}'
+  ];
+
+  const chunks = [];
+  const result = await local.readOllamaStream(Readable.from(body), text => chunks.push(text));
+  assert(chunks.join('|') === 'Hel|lo', 'Tokens forwarded as they arrive (split lines reassembled)');
+  assert(result.response === 'Hello' && result.eval_count === 7, 'Full response and final stats returned');
+
+  let error = null;
+  try {
+    await local.readOllamaStream(Readable.from(['{"error":"model not found"}\n']), () => {});
+  } catch (err) {
+    error = err;
+  }
+  assert(error && error.message.includes('model not found'), 'Streamed Ollama error surfaced');
+}
+
+async function testRouterStreamsOutput() {
+  console.log('\n--- Task stream: router opens and closes task streams ---');
+
+  const router = require('./index');
+  const backends = require('./backend-registry');
+  const taskStream = require('./task-stream');
+  backends.register('chattyBackend', makeTestAdapter({
+    execute: async (task, context = {}) => {
+      taskStream.write(context.taskId, 'chattyBackend', 'working...');
+      return { success: true, backend: 'chattyBackend', response: 'done', duration: 5, tokens: 10 };
+    }
+  }));
+
+  try {
+    const seen = [];
+    let ended = null;
+    taskStream.subscribe('stream_route_1', { onChunk: c => seen.push(c.text), onEnd: e => { ended = e; } });
+    await router.forceRoute({ description: 'stream me', type: 'docs' }, 'chattyBackend', { taskId: 'stream_route_1' });
+    assert(seen.join('') === 'working...', 'Adapter output streamed under the router task ID');
+    assert(ended && ended.status === 'completed', 'Stream closed when the task settles');
+  } finally {
+    backends.unregister('chattyBackend');
+  }
+}
+
+// ────────────────────────────────────────────────────────────────
+// Resumable Plans
+// ────────────────────────────────────────────────────────────────
+
+function resumablePlan(id) {
+  const step = (stepId, index, deps) => ({
+    id: stepId, index, description: `Step ${stepId}`, type: 'docs', backend: 'recordingBackend',
+    dependencies: deps, estimatedTokens: 1000, critical: true
+  });
+  return {
+    id,
+    task: { description: 'Three step plan' },
+    steps: [step('s1', 0, []), step('s2', 1, ['s1']), step('s3', 2, ['s2'])]
+  };
+}
+
+async function testPlanCheckpoints() {
+  console.log('\n--- Plan runs: checkpointed execution ---');
+
+  const router = require('./index');
+  const backends = require('./backend-registry');
+  const planStore = require('./plan-store');
+  const ran = [];
+  backends.register('recordingBackend', makeTestAdapter({
+    execute: async (task, context = {}) => {
+      ran.push(context.taskId);
+      return { success: true, backend: 'recordingBackend', response: `output of ${context.taskId}`, duration: 1 };
+    }
+  }));
+
+  try {
+    const result = await router.executePlan(resumablePlan('plan_ckpt_1'));
+    assert(result.success && result.completedSteps === 3 && result.resumed === false, 'Plan runs to completion');
+
+    const run = await planStore.get('plan_ckpt_1');
+    assert(run && run.status === 'completed' && run.completed.length === 3, 'Final checkpoint marks run completed');
+    assert(run.plan.steps.every(s => s.status === 'completed'), 'Step statuses persisted');
+    assert(fs.existsSync(path.join(TEST_DATA_DIR, 'plan-runs.json')), 'Checkpoints persisted to data dir');
+
+    let error = null;
+    try {
+      await router.resumePlan('plan_ckpt_1');
+    } catch (err) {
+      error = err;
+    }
+    assert(error && error.message.includes('already completed'), 'Completed plan cannot be resumed');
+
+    error = null;
+    try {
+      await router.resumePlan('plan_never_ran');
+    } catch (err) {
+      error = err;
+    }
+    assert(error && error.message.includes('no saved execution state'), 'Unknown plan rejected');
+  } finally {
+    backends.unregister('recordingBackend');
+  }
+}
+
+async function testPlanResume() {
+  console.log('\n--- Plan runs: resume an interrupted plan ---');
+
+  const router = require('./index');
+  const backends = require('./backend-registry');
+  const planStore = require('./plan-store');
+  const ran = [];
+  backends.register('recordingBackend', makeTestAdapter({
+    execute: async (task, context = {}) => {
+      ran.push(context.taskId);
+      return { success: true, backend: 'recordingBackend', response: task.description, duration: 1 };
+    }
+  }));
+
+  try {
+    // State as a crashed process would have left it: s1 done, s2 in flight
+    const plan = resumablePlan('plan_resume_1');
+    plan.steps[0].status = 'completed';
+    await planStore.checkpoint({
+      plan,
+      status: 'running',
+      results: { s1: { success: true, response: 'saved s1 output' } },
+      errors: {},
+      context: { s1: 'saved s1 output' },
+      completed: new Set(['s1'])
+    });
+    planStore.runs.plan_resume_1.pid = 2 ** 22 + 1; // Above Linux pid_max: never a live process
+    await planStore.save();
+
+    const resumable = await router.listPlanRuns({ resumableOnly: true });
+    const listed = resumable.find(r => r.planId === 'plan_resume_1');
+    assert(listed && listed.status === 'interrupted', 'Crashed run listed as interrupted');
+    assert(listed.completedSteps === 1 && listed.totalSteps === 3, 'Progress shown in listing');
+    assert(!resumable.some(r => r.planId === 'plan_ckpt_1'), 'Completed runs not resumable');
+
+    const result = await router.resumePlan('plan_resume_1');
+    assert(result.success && result.resumed === true, 'Resumed plan completes');
+    assert(ran.join(',') === 'plan_resume_1:s2,plan_resume_1:s3', 'Only unfinished steps re-run');
+    assert(result.results.s1.response === 'saved s1 output', 'Finished step results restored');
+    assert(ran.length === 2 && result.completedSteps === 3, 'Restored steps count as completed');
+
+    const run = await planStore.get('plan_resume_1');
+    assert(run.status === 'completed' && run.resumedCount === 1, 'Checkpoint records completion and resume count');
+
+    // A lookup that reloads while a checkpoint is saving must not roll it back
+    const raceState = (id, status) => ({ plan: resumablePlan(id), status, results: {}, errors: {}, context: {}, completed: new Set() });
+    const saving = planStore.checkpoint(raceState('plan_race_1', 'running'));
+    await planStore.get('plan_race_other');
+    await saving;
+    await planStore.checkpoint(raceState('plan_race_2', 'running'));
+    const onDisk = JSON.parse(fs.readFileSync(path.join(TEST_DATA_DIR, 'plan-runs.json'), 'utf8')).runs;
+    assert(onDisk.plan_race_1 && onDisk.plan_race_2, 'Reload during a checkpoint keeps it');
+    assert(!fs.readdirSync(TEST_DATA_DIR).some(name => name.startsWith('plan-runs.json.')), 'Checkpoints written via temp file and rename');
+
+    if (planStore.pidStartedAt) {
+      const live = { ...onDisk.plan_race_1, pid: process.pid, pidStartedAt: planStore.pidStartedAt };
+      assert(!planStore.isInterrupted(live, new Set(['plan_race_1'])), 'Run of this process is live while executing');
+      assert(planStore.isInterrupted({ ...live, pidStartedAt: '1' }, new Set(['plan_race_1'])), 'Run from an earlier process with the same pid is interrupted');
+      assert(planStore.isInterrupted({ ...live, pid: process.ppid, pidStartedAt: '1' }), 'Live process that reused the pid does not keep a run alive');
+    }
+    await planStore.remove('plan_race_1');
+    await planStore.remove('plan_race_2');
+  } finally {
+    backends.unregister('recordingBackend');
+  }
+}
+
+// ────────────────────────────────────────────────────────────────
+// Planner — model-assisted decomposition
+// ────────────────────────────────────────────────────────────────
+
+/**
+ * Minimal Ollama /api/generate stand-in that answers with `reply` (a string
+ * or a function of the request body)
+ */
+async function startMockOllama(reply) {
+  const http = require('http');
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const parsed = JSON.parse(body || '{}');
+      requests.push(parsed);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ response: typeof reply === 'function' ? reply(parsed) : reply, done: true }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+const COMPLEX_TASK = {
+  description: 'Research the top 5 competitors, analyze their pricing strategies, write a comprehensive report with recommendations, and generate a formatted PDF summary',
+  complexity: 8
+};
+
+function testPlanValidation() {
+  console.log('\n--- Planner: plan schema validation ---');
+
+  const heuristicPlan = planner.decompose(COMPLEX_TASK);
+  assert(planner.validatePlan(heuristicPlan).length === 0, 'Heuristic plans pass validation');
+
+  const broken = JSON.parse(JSON.stringify(heuristicPlan));
+  broken.steps[0].backend = 'mainframe';
+  broken.steps[1].estimatedTokens = -5;
+  const errors = planner.validatePlan(broken);
+  assert(errors.some(e => e.includes('backend')) && errors.some(e => e.includes('estimatedTokens')), 'Bad fields reported');
+
+  const cyclic = JSON.parse(JSON.stringify(heuristicPlan));
+  cyclic.steps[0].dependencies = [cyclic.steps[cyclic.steps.length - 1].id];
+  assert(planner.validatePlan(cyclic).some(e => e.startsWith('dependency cycle')), 'Dependency cycle detected');
+
+  const dangling = JSON.parse(JSON.stringify(heuristicPlan));
+  dangling.steps[0].dependencies = ['nope'];
+  assert(planner.validatePlan(dangling).some(e => e.includes('unknown step nope')), 'Unknown dependency reported');
+}
+
+async function testModelDecomposition() {
+  console.log('\n--- Planner: model-assisted decomposition ---');
+
+  const modelPlan = {
+    steps: [
+      { description: 'Collect competitor pricing pages', backend: 'codex', type: 'research', dependsOn: [], estimatedTokens: 6000 },
+      { description: 'Compare pricing models', backend: 'claude-code', type: 'analysis', dependsOn: [1] },
+      { description: 'Draft the report', backend: 'local', type: 'docs', dependsOn: [2], critical: false }
+    ]
+  };
+  const { server, requests, baseUrl } = await startMockOllama(() => JSON.stringify(modelPlan));
+  planner.loadConfig();
+  const savedConfig = planner.config;
+  const useModel = (overrides = {}) => {
+    planner.config = {
+      ...savedConfig,
+      planner: { ...savedConfig.planner, decomposition: { mode: 'llm', model: 'test-model', ollamaUrl: baseUrl, timeoutSeconds: 5, ...overrides } }
+    };
+  };
+
+  try {
+    useModel();
+    const plan = await planner.decomposeWithModel(COMPLEX_TASK);
+    assert(plan.decomposition.mode === 'llm' && plan.decomposition.model === 'test-model', 'Plan marked as model-decomposed');
+    assert(requests[0].format === 'json' && requests[0].model === 'test-model', 'Ollama asked for JSON from configured model');
+    assert(plan.steps.length === 3 && plan.steps[1].backend === 'claude-code', 'Model steps and backends used');
+    assert(plan.steps[2].dependencies[0] === plan.steps[1].id, 'dependsOn mapped to step IDs');
+    assert(plan.steps[0].estimatedTokens === 6000 && plan.steps[1].estimatedTokens > 0, 'Token estimates kept or filled in');
+    assert(plan.steps[2].critical === false, 'Optional steps preserved');
+    assert(planner.validatePlan(plan).length === 0, 'Model plan matches plan schema');
+    assert(planner.formatPlanForUser(plan).includes('Planned by: test-model'), 'Formatted plan names the model');
+
+    const asked = await planner.requestModelJson('Return the plan');
+    assert(planner.planningModel() === 'test-model' && asked.steps.length === 3 && requests[1].prompt === 'Return the plan', 'Planning model answers other modules\' prompts as JSON');
+    requests.length = 1;
+
+    const simple = await planner.decomposeWithModel({ description: 'Fix typo in README' });
+    assert(simple.steps.length === 1 && requests.length === 1, 'Simple tasks skip the model');
+
+    // Invalid model output falls back to heuristics
+    modelPlan.steps[0].dependsOn = [3];
+    const cyclic = await planner.decomposeWithModel(COMPLEX_TASK);
+    assert(cyclic.decomposition.mode === 'heuristic' && cyclic.decomposition.fallbackReason.includes('cycle'), 'Cyclic model plan rejected');
+    assert(cyclic.steps.length === planner.decompose(COMPLEX_TASK).steps.length, 'Heuristic plan returned instead');
+
+    useModel({ ollamaUrl: 'http://127.0.0.1:1' });
+    const unreachable = await planner.decomposeWithModel(COMPLEX_TASK);
+    assert(unreachable.decomposition.mode === 'heuristic' && unreachable.decomposition.fallbackReason, 'Unreachable model falls back to heuristics');
+
+    // Without decomposition.ollamaUrl the endpoint comes from backends.local.endpoints
+    const local = require('./local');
+    const savedLocalConfig = local.config;
+    const cfg = require('./config.json');
+    local.config = { ...cfg, backends: { ...cfg.backends, local: { ...cfg.backends.local, endpoints: [{ id: 'planner-box', type: 'ollama', url: baseUrl }] } } };
+    try {
+      modelPlan.steps[0].dependsOn = [];
+      useModel({ ollamaUrl: undefined });
+      const viaEndpoint = await planner.decomposeWithModel(COMPLEX_TASK);
+      assert(viaEndpoint.decomposition.mode === 'llm', 'Ollama URL resolved from configured local endpoints');
+    } finally {
+      local.config = savedLocalConfig;
+    }
+
+    planner.config = savedConfig;
+    const heuristic = await planner.decomposeWithModel(COMPLEX_TASK);
+    assert(heuristic.decomposition.mode === 'heuristic' && !heuristic.decomposition.fallbackReason, 'Heuristic mode by default');
+  } finally {
+    planner.config = savedConfig;
+    server.close();
+  }
+}
+
+// ────────────────────────────────────────────────────────────────
+// Planner — editing pending plans
+// ────────────────────────────────────────────────────────────────
+
+function testPlanEdits() {
+  console.log('\n--- Planner: applyEdits ---');
+
+  const plan = planner.decompose(COMPLEX_TASK);
+  const first = plan.steps[0];
+  const last = plan.steps[plan.steps.length - 1];
+
+  const toApi = planner.applyEdits(plan, { op: 'update', step: 1, backend: 'api', description: 'Gather pricing data' });
+  assert(toApi.steps[0].backend === 'api' && toApi.steps[0].description === 'Gather pricing data', 'Step backend and description edited');
+  assert(toApi.steps[0].estimatedCost > 0 && toApi.totalCost > plan.totalCost, 'Step and plan cost recomputed');
+  assert(!toApi.allSubscription && toApi.revision === 1, 'Plan flags and revision updated');
+  assert(plan.steps[0].backend === first.backend, 'Original plan untouched');
+
+  const edited = planner.applyEdits(plan, [
+    { op: 'update', step: last.id, optional: true, dependencies: [] },
+    { op: 'add', description: 'Proofread the summary', backend: 'local', after: 1, dependencies: [1] },
+    { op: 'remove', step: 3 }
+  ]);
+  const added = edited.steps[1];
+  assert(added.description === 'Proofread the summary' && added.dependencies[0] === first.id, 'Step inserted after step 1 with dependency');
+  assert(!plan.steps.some(s => s.id === added.id), 'New step gets a fresh ID');
+  assert(edited.steps.length === plan.steps.length && edited.steps.every((s, i) => s.index === i), 'Steps re-indexed after add and remove');
+  assert(!edited.steps.some(s => s.dependencies.includes(plan.steps[1].id)), 'Removed step dropped from dependencies');
+  assert(edited.steps[edited.steps.length - 1].critical === false, 'Step marked optional');
+  assert(planner.validatePlan(edited).length === 0, 'Edited plan still valid');
+
+  let cycleError = null;
+  try {
+    planner.applyEdits(plan, { op: 'update', step: 1, dependencies: [last.id] });
+  } catch (error) {
+    cycleError = error;
+  }
+  assert(cycleError?.code === 'INVALID_PLAN_EDIT' && cycleError.errors.some(e => e.startsWith('dependency cycle')), 'Edit creating a cycle rejected');
+
+  let unknownError = null;
+  try {
+    planner.applyEdits(plan, { op: 'remove', step: 99 });
+  } catch (error) {
+    unknownError = error;
+  }
+  assert(unknownError?.code === 'INVALID_PLAN_EDIT', 'Unknown step reference rejected');
+
+  let dependenciesError = null;
+  try {
+    planner.applyEdits(plan, { op: 'update', step: 2, dependencies: first.id });
+  } catch (error) {
+    dependenciesError = error;
+  }
+  assert(dependenciesError?.code === 'INVALID_PLAN_EDIT' && dependenciesError.errors[0].includes('must be an array'), 'Non-array dependencies rejected');
+}
+
+async function testRouterEditPlan() {
+  console.log('\n--- Router: editPlan ---');
+  const router = require('./index');
+  const notify = require('./notify');
+
+  const { plan } = await router.route(COMPLEX_TASK, { plan: true });
+  assert(notify.getPendingPlan(plan.id) !== null, 'Plan mode stores the plan as pending');
+
+  const result = router.editPlan(plan.id, { op: 'update', step: 1, backend: 'api' });
+  assert(result.costBreakdown.totalApiCost > 0 && result.formatted.includes('revision 1'), 'Edit returns recomputed cost and formatted plan');
+  assert(notify.getPendingPlan(plan.id).plan.steps[0].backend === 'api', 'Pending plan replaced with edited plan');
+
+  let missing = null;
+  try {
+    router.editPlan('plan_does_not_exist', { op: 'remove', step: 1 });
+  } catch (error) {
+    missing = error;
+  }
+  assert(missing?.code === 'PLAN_NOT_FOUND', 'Editing an unknown plan fails with PLAN_NOT_FOUND');
+
+  notify.removePendingPlan(plan.id);
+}
+
+// ────────────────────────────────────────────────────────────────
+// Plan Templates
+// ────────────────────────────────────────────────────────────────
+
+const REPORT_TEMPLATE = {
+  name: 'weekly-report',
+  description: 'Weekly report for {{team}}',
+  params: { team: { required: true }, format: { default: 'markdown' } },
+  steps: [
+    { id: 'collect', description: 'Collect the week\'s merged PRs for {{team}}', backend: 'codex', type: 'research' },
+    { id: 'notes', description: 'Collect meeting notes for {{team}}', backend: 'local', type: 'research', critical: false },
+    { id: 'write', description: 'Write a {{format}} report', backend: 'api', type: 'docs', dependsOn: ['collect', 'notes'], estimatedTokens: 3000 }
+  ]
+};
+
+async function testPlanTemplateStore() {
+  console.log('\n--- Plan templates: validation and storage ---');
+  const planTemplates = require('./plan-templates');
+
+  const builtIns = await planTemplates.list();
+  assert(builtIns.some(t => t.name === 'pr-review') && builtIns.some(t => t.name === 'ocr-analyze'), 'Built-in templates listed');
+  for (const name of Object.keys(planTemplates.builtIn)) {
+    assert(planTemplates.validate(planTemplates.builtIn[name]).length === 0, `Built-in template ${name} is valid`);
+  }
+
+  const saved = await planTemplates.put(REPORT_TEMPLATE);
+  assert(saved.createdAt && (await planTemplates.get('weekly-report')).steps.length === 3, 'Template saved and retrievable');
+  assert(fs.existsSync(path.join(TEST_DATA_DIR, 'plan-templates.json')), 'Templates persisted to data dir');
+
+  const invalid = {
+    ...REPORT_TEMPLATE,
+    name: 'broken',
+    steps: [
+      { id: 'a', description: 'Uses {{missing}}', backend: 'local', dependsOn: ['b'] },
+      { id: 'b', description: 'Second', backend: 'local', dependsOn: ['a'] }
+    ]
+  };
+  const invalidErrors = planTemplates.validate(invalid);
+  assert(invalidErrors.some(e => e.includes('{{missing}}')), 'Undeclared param reported');
+  assert(planTemplates.validate({ ...invalid, steps: invalid.steps.map(st => ({ ...st, description: 'x' })) })
+    .some(e => e.startsWith('dependency cycle')), 'Template dependency cycle reported');
+  assert(planTemplates.validate({ ...REPORT_TEMPLATE, steps: [{ id: 'a', description: 'x', backend: 'mainframe' }] })
+    .some(e => e.includes('backend must be one of')), 'Template checked against planner step schema');
+
+  let error = null;
+  try {
+    await planTemplates.put(invalid);
+  } catch (err) {
+    error = err;
+  }
+  assert(error?.code === 'INVALID_TEMPLATE' && !(await planTemplates.get('broken')), 'Invalid template not saved');
+
+  error = null;
+  try {
+    await planTemplates.remove('pr-review');
+  } catch (err) {
+    error = err;
+  }
+  assert(error?.code === 'TEMPLATE_READ_ONLY', 'Built-in templates cannot be deleted');
+}
+
+async function testPlanTemplateInstantiate() {
+  console.log('\n--- Plan templates: instantiation ---');
+  const planTemplates = require('./plan-templates');
+  const router = require('./index');
+  const notify = require('./notify');
+
+  const plan = await planTemplates.instantiate('weekly-report', { team: 'platform' });
+  assert(plan.task.description === 'Weekly report for platform', 'Task description rendered from template');
+  assert(plan.steps[0].description.includes('platform') && plan.steps[2].description === 'Write a markdown report', 'Params and defaults substituted');
+  assert(plan.steps[2].dependencies.join() === [plan.steps[0].id, plan.steps[1].id].join(), 'dependsOn mapped to plan step IDs');
+  assert(plan.steps[1].critical === false && plan.steps[2].estimatedCost > 0, 'Step options and costs carried over');
+  assert(plan.template.name === 'weekly-report' && plan.template.params.team === 'platform', 'Plan records its template');
+
+  let error = null;
+  try {
+    await planTemplates.instantiate('weekly-report', { format: 'pdf', tema: 'typo' });
+  } catch (err) {
+    error = err;
+  }
+  assert(error?.code === 'INVALID_TEMPLATE_PARAMS' && error.errors.length === 2, 'Missing and unknown params rejected');
+
+  error = null;
+  try {
+    await router.route({ description: 'x' }, { template: 'nope', plan: true });
+  } catch (err) {
+    error = err;
+  }
+  assert(error?.code === 'TEMPLATE_NOT_FOUND', 'Unknown template rejected');
+
+  const result = await router.route({ description: 'Review PR 42' }, { template: 'pr-review', params: { pr: '#42' }, plan: true });
+  assert(result.mode === 'plan' && result.plan.steps.length === 3, 'route() builds the plan from the template');
+  assert(result.plan.task.description === 'Review PR 42' && result.plan.steps[1].description.includes('npm test'), 'Task description kept, defaults filled');
+  assert(notify.getPendingPlan(result.plan.id) !== null, 'Template plan stored as pending');
+
+  notify.removePendingPlan(result.plan.id);
+  await planTemplates.remove('weekly-report');
+}
+
+// ────────────────────────────────────────────────────────────────
+// Conditional and Looping Steps
+// ────────────────────────────────────────────────────────────────
+
+function controlFlowPlan(id, steps) {
+  return {
+    id,
+    task: { description: 'Control flow plan' },
+    steps: steps.map((step, index) => ({
+      index, type: 'code', backend: 'recordingBackend', estimatedTokens: 1000,
+      estimatedMinutes: 1, estimatedCost: 0, parallelizable: false, critical: true, dependencies: [], ...step
+    }))
+  };
+}
+
+function testStepConditionsValidation() {
+  console.log('\n--- Planner: step conditions and loops ---');
+
+  assert(planner.evaluateCondition({ contains: ['FAIL', 'error'] }, '3 tests failed'), 'contains matches any of, case-insensitive');
+  assert(!planner.evaluateCondition({ notContains: 'fail' }, '3 tests failed'), 'notContains rejects');
+  assert(planner.evaluateCondition({ matches: '\\d+ passing', notMatches: 'fail' }, '12 passing'), 'Regex tests combined');
+  assert(!planner.evaluateCondition({ notContains: 'fail' }, undefined), 'Missing output never meets a condition');
+
+  const plan = controlFlowPlan('plan_cf_validate', [
+    { id: 's1', description: 'Run tests', backend: 'codex' },
+    { id: 's2', description: 'Fix failing tests', backend: 'codex', dependencies: ['s1'], condition: { step: 's1', contains: 'failed' } },
+    { id: 's3', description: 'Run tests until green', backend: 'codex', dependencies: ['s2'], loop: { until: { notContains: 'failed' }, maxIterations: 3 } }
+  ]);
+  assert(planner.validatePlan(plan).length === 0, 'Valid conditions and loops pass validation');
+
+  const formatted = planner.formatPlanForUser(plan);
+  assert(formatted.includes('Runs if: step 1 output contains "failed"'), 'Condition shown in formatted plan');
+  assert(formatted.includes('Repeats until: output does not contain "failed" (max 3 runs)'), 'Loop shown in formatted plan');
+
+  const broken = JSON.parse(JSON.stringify(plan));
+  broken.steps[1].condition = { step: 's3', matches: '(' , colour: 'red' };
+  broken.steps[2].loop = { until: { step: 's1', contains: 'ok' }, maxIterations: 50 };
+  const errors = planner.validatePlan(broken);
+  assert(errors.some(e => e.includes('condition.step must be one of')), 'Condition on a non-dependency rejected');
+  assert(errors.some(e => e.includes('condition.matches')) && errors.some(e => e.includes('unknown test "colour"')), 'Bad regex and unknown tests rejected');
+  assert(errors.some(e => e.includes('maxIterations')) && errors.some(e => e.includes('takes no step')), 'Loop bounds and self-condition enforced');
+}
+
+async function testConditionalAndLoopingSteps() {
+  console.log('\n--- Router: conditional and looping steps ---');
+  const router = require('./index');
+  const backends = require('./backend-registry');
+
+  const calls = [];
+  const outputs = {}; // step description → list of outputs, one per call
+  backends.register('recordingBackend', makeTestAdapter({
+    execute: async (task) => {
+      const name = task.description.split('\n')[0];
+      calls.push(name);
+      const queue = outputs[name] || ['done'];
+      return { success: true, backend: 'recordingBackend', response: queue.length > 1 ? queue.shift() : queue[0], duration: 1 };
+    }
+  }));
+
+  try {
+    outputs['Run tests'] = ['2 tests failed'];
+    const branching = await router.executePlan(controlFlowPlan('plan_cf_branch', [
+      { id: 's1', description: 'Run tests' },
+      { id: 's2', description: 'Fix failing tests', dependencies: ['s1'], condition: { step: 's1', contains: 'failed' } },
+      { id: 's3', description: 'Publish release notes', dependencies: ['s1'], condition: { step: 's1', notContains: 'failed' } },
+      { id: 's4', description: 'Summarize', dependencies: ['s2', 's3'] }
+    ]));
+    assert(calls.includes('Fix failing tests') && !calls.includes('Publish release notes'), 'Only the branch whose condition holds runs');
+    assert(branching.errors.s3.startsWith('Skipped (condition not met)'), 'Skipped step records why');
+    assert(branching.success && calls.includes('Summarize'), 'Steps after a skipped step still run');
+
+    calls.length = 0;
+    outputs['Run tests until green'] = ['1 failed', '1 failed', 'all passing'];
+    const looping = await router.executePlan(controlFlowPlan('plan_cf_loop', [
+      { id: 's1', description: 'Run tests until green', loop: { until: { contains: 'passing' }, maxIterations: 3 } }
+    ]));
+    assert(looping.success && calls.length === 3 && looping.results.s1.iterations === 3, 'Loop repeats until its condition holds');
+
+    calls.length = 0;
+    outputs['Keep trying'] = ['still failing'];
+    const exhausted = await router.executePlan(controlFlowPlan('plan_cf_exhausted', [
+      { id: 's1', description: 'Keep trying', loop: { until: { contains: 'passing' }, maxIterations: 2 } }
+    ]));
+    assert(!exhausted.success && exhausted.errors.s1.includes('after 2 run(s)'), 'Exhausted loop fails the step');
+    assert(calls.length === 2, 'Exhausted loop is not retried or sent to fallback');
+  } finally {
+    backends.unregister('recordingBackend');
+  }
+}
+
+// ────────────────────────────────────────────────────────────────
+// Step Approval Gates
+// ────────────────────────────────────────────────────────────────
+
+async function testStepApprovalGates() {
+  console.log('\n--- Router: step approval gates ---');
+  const router = require('./index');
+  const backends = require('./backend-registry');
+  const stepApprovals = require('./step-approvals');
+
+  const gatedPlan = (id) => controlFlowPlan(id, [
+    { id: 's1', description: 'Build release' },
+    { id: 's2', description: 'Deploy to production', dependencies: ['s1'], requiresApproval: true }
+  ]);
+  const waitForGate = async (planId) => {
+    let gates = [];
+    while (gates.length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      gates = await router.listStepApprovals({ planId });
+    }
+    return gates[0];
+  };
+
+  const onCodex = gatedPlan('plan_gate_valid');
+  onCodex.steps.forEach(step => { step.backend = 'codex'; });
+  assert(planner.validatePlan(onCodex).length === 0, 'requiresApproval passes validation');
+  onCodex.steps[1].requiresApproval = 'yes';
+  assert(planner.validatePlan(onCodex).some(e => e.includes('requiresApproval')), 'Non-boolean requiresApproval rejected');
+  assert(planner.formatPlanForUser(gatedPlan('plan_gate_fmt')).includes('[needs approval]'), 'Gate shown in formatted plan');
+
+  const calls = [];
+  backends.register('recordingBackend', makeTestAdapter({
+    execute: async (task) => {
+      calls.push(task.description.split('\n')[0]);
+      return { success: true, backend: 'recordingBackend', response: 'build ok: v1.2.3', duration: 1 };
+    }
+  }));
+  const savedPollMs = stepApprovals.pollMs;
+  stepApprovals.pollMs = 20;
+
+  try {
+    const approvedRun = router.executePlan(gatedPlan('plan_gate_approve'));
+    const gate = await waitForGate('plan_gate_approve');
+    assert(gate.stepNumber === 2 && gate.priorOutput.includes('build ok'), 'Gate records the step and prior output');
+    assert(!calls.includes('Deploy to production'), 'Gated step waits for approval');
+
+    let missing = null;
+    try {
+      await router.approveStep('plan_gate_approve', 1);
+    } catch (error) {
+      missing = error;
+    }
+    assert(missing?.code === 'APPROVAL_NOT_FOUND', 'Only steps at a gate can be approved');
+
+    await router.approveStep('plan_gate_approve', 2, { by: 'test', note: 'ship it' });
+    const approved = await approvedRun;
+    assert(approved.success && calls.includes('Deploy to production'), 'Approved step runs and plan completes');
+    assert((await router.listStepApprovals()).length === 0, 'Settled gate removed');
+
+    // A decision written by another process is picked up by polling
+    calls.length = 0;
+    const rejectedRun = router.executePlan(gatedPlan('plan_gate_reject'));
+    await waitForGate('plan_gate_reject');
+    const stored = JSON.parse(fs.readFileSync(stepApprovals.dataPath, 'utf8'));
+    Object.assign(stored.gates['plan_gate_reject:s2'], { status: 'rejected', decidedBy: 'cli', note: 'not on a Friday' });
+    fs.writeFileSync(stepApprovals.dataPath, JSON.stringify(stored));
+    const rejected = await rejectedRun;
+    assert(!rejected.success && rejected.errors.s2.includes('not on a Friday'), 'Rejected step fails the plan with the note');
+    assert(calls.length === 1, 'Rejected step never runs or retries');
+
+    const cancelledRun = router.executePlan(gatedPlan('plan_gate_cancel'));
+    await waitForGate('plan_gate_cancel');
+    await router.cancel('plan_gate_cancel');
+    const cancelled = await cancelledRun;
+    assert(cancelled.cancelled && cancelled.cancelledSteps === 1, 'Cancelling the plan releases the gate');
+
+    // Cancelling while a poll's load() has swapped out the in-memory gates
+    const racedRun = router.executePlan(gatedPlan('plan_gate_cancel_race'));
+    await waitForGate('plan_gate_cancel_race');
+    stepApprovals.gates = {};
+    await router.cancel('plan_gate_cancel_race');
+    const raced = await racedRun;
+    assert(raced.cancelled && raced.cancelledSteps === 1, 'Cancelling releases gates missing from the in-memory map');
+    assert(stepApprovals.planGates.size === 0, 'Settled gates no longer tracked per plan');
+  } finally {
+    stepApprovals.pollMs = savedPollMs;
+    backends.unregister('recordingBackend');
+  }
+}
+
+// ────────────────────────────────────────────────────────────────
+// Structured Step Outputs
+// ────────────────────────────────────────────────────────────────
+
+function testStepOutputParsing() {
+  console.log('\n--- Step outputs: parsing and validation ---');
+  const stepOutputs = require('./step-outputs');
+
+  const jsonStep = { index: 0, output: { type: 'json', schema: { required: ['tables'], properties: { tables: 'array' } } } };
+  const parsed = stepOutputs.parse(jsonStep, { response: 'Here you go:\n```json\n{"tables": ["a", "b"]}\n```' });
+  assert(parsed.type === 'json' && parsed.data.tables.length === 2, 'Fenced JSON parsed');
+
+  let error = null;
+  try {
+    stepOutputs.parse(jsonStep, { response: '{"tables": "a"}' });
+  } catch (e) {
+    error = e;
+  }
+  assert(error?.code === 'INVALID_STEP_OUTPUT' && error.message.includes('should be array'), 'Schema mismatch rejected');
+
+  const files = stepOutputs.parse({ index: 1, output: { type: 'files' } }, { response: 'Changed:\n- src/a.js\n- `lib/b.js`' });
+  assert(files.data.join(',') === 'src/a.js,lib/b.js', 'File list parsed from bullets');
+
+  const patch = stepOutputs.parse({ index: 2, output: { type: 'patch' } }, {
+    response: 'Fix:\n```diff\n--- a/x.js\n+++ b/x.js\n@@ -1 +1 @@\n-a\n+b\n```'
+  });
+  assert(patch.data.files[0] === 'x.js' && patch.data.patch.startsWith('--- a/x.js'), 'Patch parsed with touched files');
+
+  const plan = controlFlowPlan('plan_out_validate', [
+    { id: 's1', key: 'extract', description: 'Extract tables', backend: 'codex', output: { type: 'json' } },
+    { id: 's2', description: 'Summarise {{steps.extract.output.tables}}', backend: 'codex', dependencies: ['s1'] }
+  ]);
+  assert(planner.validatePlan(plan).length === 0, 'Reference to a dependency output passes validation');
+
+  const broken = JSON.parse(JSON.stringify(plan));
+  broken.steps[0].output = { type: 'csv' };
+  broken.steps[1].description = 'Summarise {{steps.s9.output}}';
+  const errors = planner.validatePlan(broken);
+  assert(errors.some(e => e.includes('output.type')) && errors.some(e => e.includes('s9')), 'Bad output type and unknown reference rejected');
+}
+
+async function testStructuredStepOutputs() {
+  console.log('\n--- Router: structured step outputs ---');
+  const router = require('./index');
+  const backends = require('./backend-registry');
+
+  const prompts = {};
+  const calls = [];
+  backends.register('recordingBackend', makeTestAdapter({
+    execute: async (task) => {
+      const name = task.description.split(':')[0];
+      prompts[name] = task.description;
+      calls.push(name);
+      const response = name === 'Extract tables' ? 'Found {"tables": ["users", "orders"], "rows": 12}'
+        : name === 'Broken extract' ? 'no tables here' : 'ok';
+      return { success: true, backend: 'recordingBackend', response, duration: 1 };
+    }
+  }));
+
+  try {
+    const result = await router.executePlan(controlFlowPlan('plan_out_run', [
+      { id: 's1', key: 'extract', description: 'Extract tables: from the dump', output: { type: 'json', schema: { required: ['tables'] } } },
+      { id: 's2', description: 'Describe tables: {{steps.extract.output.tables}}', dependencies: ['s1'] }
+    ]));
+    const stored = result.results.s1.structuredOutput;
+    assert(result.success && stored.type === 'json' && fs.existsSync(stored.path), 'Structured output stored on disk');
+    assert(prompts['Describe tables'].includes('["users","orders"]'), 'Referenced field resolved into the prompt');
+    assert(prompts['Describe tables'].includes('"rows":12') && !prompts['Describe tables'].includes(stored.path), 'Small dependency output inlined');
+
+    // Large outputs: truncated for backends without file access, by path for the rest
+    const stepOutputs = require('./step-outputs');
+    const longAdapter = makeTestAdapter({
+      execute: async (task) => {
+        const name = task.description.split(':')[0];
+        prompts[name] = task.description;
+        return { success: true, backend: 'longBackend', response: name === 'Long report' ? 'z'.repeat(2500) : 'ok', duration: 1 };
+      }
+    });
+    backends.register('longBackend', longAdapter);
+    backends.register('longFileBackend', longAdapter);
+    stepOutputs.fileBackends.push('longFileBackend');
+    try {
+      const long = await router.executePlan(controlFlowPlan('plan_out_long', [
+        { id: 's1', description: 'Long report: write it', backend: 'longBackend', output: { type: 'text' } },
+        { id: 's2', description: 'Use inline: summarise', backend: 'longBackend', dependencies: ['s1'] },
+        { id: 's3', description: 'Use file: summarise', backend: 'longFileBackend', dependencies: ['s1'] }
+      ]));
+      const longPath = long.results.s1.structuredOutput.path;
+      assert(prompts['Use inline'].includes('z'.repeat(stepOutputs.maxInlineChars)) && prompts['Use inline'].includes('truncated') &&
+        !prompts['Use inline'].includes(longPath), 'Large output truncated inline for backends without file access');
+      assert(prompts['Use file'].includes(`read ${longPath}`) && !prompts['Use file'].includes('z'.repeat(100)), 'Large output passed by path to filesystem backends');
+    } finally {
+      stepOutputs.fileBackends.pop();
+      backends.unregister('longBackend');
+      backends.unregister('longFileBackend');
+    }
+
+    const invalid = await router.executePlan(controlFlowPlan('plan_out_invalid', [
+      { id: 's1', description: 'Broken extract: from the dump', output: { type: 'json' } }
+    ]));
+    assert(!invalid.success && invalid.errors.s1, 'Invalid output fails the step');
+    assert(calls.filter(name => name === 'Broken extract').length === 2, 'Invalid output is retried like a failed run');
+  } finally {
+    backends.unregister('recordingBackend');
+  }
+}
+
 // ────────────────────────────────────────────────────────────────
 // Run all tests
 // ────────────────────────────────────────────────────────────────
 
+// ────────────────────────────────────────────────────────────────
+// Artifact Store
+// ────────────────────────────────────────────────────────────────
+
+async function testArtifactStore() {
+  console.log('\n--- Artifacts: store, limits and retention ---');
+  const artifacts = require('./artifacts');
+  const savedConfig = { ...artifacts.config };
+
+  const outDir = path.join(TEST_DATA_DIR, 'artifact-out');
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'report.md'), '# Report');
+  fs.writeFileSync(path.join(outDir, 'report-part1.md'), 'part one');
+  fs.writeFileSync(path.join(outDir, 'report-core.md'), 'core');
+  fs.writeFileSync(path.join(outDir, 'report-notes.md'), 'not from splitTask');
+
+  try {
+    const recorded = await artifacts.recordResult('task_art_1', {
+      backend: 'codex', response: 'Wrote the report', outputPath: path.join(outDir, 'report.md'), patch: '--- a/x\n+++ b/x\n'
+    });
+    const names = recorded.map(a => a.name).sort();
+    assert(names.join(',') === 'changes.patch,report-core.md,report-part1.md,report.md,response.txt', 'Response, patch, outputPath and split siblings recorded');
+    assert(recorded.every(a => a.taskId === 'task_art_1' && a.backend === 'codex' && a.stored), 'Artifacts indexed by task with metadata');
+
+    const response = recorded.find(a => a.kind === 'response');
+    assert((await artifacts.read(response.id)).toString() === 'Wrote the report', 'Content readable by artifact ID');
+
+    const again = await artifacts.put('Wrote the report', { taskId: 'task_art_2', kind: 'response', name: 'response.txt' });
+    assert(again.id !== response.id && again.sha256 === response.sha256, 'Identical content in another task shares its stored object');
+    const repeat = await artifacts.recordResult('task_art_1', { response: 'Wrote the report' });
+    assert(repeat[0].id === response.id, 'Recording the same content twice keeps one artifact');
+
+    await artifacts.recordResult('plan_art:plan_art_s1', { response: 'step one' }, { planId: 'plan_art', stepId: 'plan_art_s1' });
+    const planArtifacts = await artifacts.list('plan_art');
+    assert(planArtifacts.length === 1 && planArtifacts[0].stepId === 'plan_art_s1', 'Plan ID lists its steps\' artifacts');
+
+    artifacts.configure({ maxArtifactBytes: 10 });
+    const big = await artifacts.put('x'.repeat(50), { taskId: 'task_art_3', kind: 'response', name: 'response.txt' });
+    assert(!big.stored && big.size === 50 && (await artifacts.read(big.id)) === null, 'Oversized artifact indexed without content');
+
+    const bigFile = path.join(outDir, 'big.log');
+    fs.writeFileSync(bigFile, 'y'.repeat(64));
+    const [bigArtifact] = await artifacts.recordResult('task_art_4', { files: [bigFile] });
+    const bigHash = require('crypto').createHash('sha256').update('y'.repeat(64)).digest('hex');
+    assert(!bigArtifact.stored && bigArtifact.size === 64 && bigArtifact.sha256 === bigHash, 'Oversized file recorded as metadata from its size and streamed hash');
+    assert(!fs.existsSync(artifacts._objectPath(bigHash)), 'Oversized file content not stored');
+
+    artifacts.configure({ maxArtifactBytes: savedConfig.maxArtifactBytes, retentionDays: 1 });
+    const old = await artifacts.put('old output', { taskId: 'task_art_old', kind: 'response', name: 'response.txt' });
+    artifacts.artifacts[old.id].createdAt = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+    await artifacts.put('new output', { taskId: 'task_art_new', kind: 'response', name: 'response.txt' });
+    assert(!(await artifacts.get(old.id)) && !fs.existsSync(artifacts._objectPath(old.sha256)), 'Expired artifacts and their content pruned');
+
+    // A lookup that reloads the index while a put is saving must not drop it
+    const racing = artifacts.put('racing output', { taskId: 'task_art_race', kind: 'response', name: 'response.txt' });
+    await artifacts.list('task_art_unknown');
+    const raced = await racing;
+    const onDisk = JSON.parse(fs.readFileSync(artifacts.indexPath, 'utf8')).artifacts;
+    assert((await artifacts.get(raced.id)) && onDisk[raced.id], 'Reload during a put keeps the new artifact');
+    assert(!fs.readdirSync(artifacts.rootDir).some(name => name.endsWith('.tmp')), 'Index written via temp file and rename');
+  } finally {
+    artifacts.configure(savedConfig);
+  }
+}
+
+async function testRouterRecordsArtifacts() {
+  console.log('\n--- Router: plan step artifacts ---');
+  const router = require('./index');
+  const backends = require('./backend-registry');
+
+  backends.register('recordingBackend', makeTestAdapter({
+    execute: async (task) => ({
+      success: true,
+      backend: 'recordingBackend',
+      response: task.description.startsWith('List') ? 'src/a.js\nsrc/b.js' : 'Two files changed',
+      duration: 1
+    })
+  }));
+
+  try {
+    const result = await router.executePlan(controlFlowPlan('plan_art_run', [
+      { id: 's1', description: 'List changed files', output: { type: 'files' } },
+      { id: 's2', description: 'Summarise', dependencies: ['s1'] }
+    ]));
+    assert(result.success, 'Plan with artifacts completes');
+  } finally {
+    backends.unregister('recordingBackend');
+  }
+
+  const recorded = await router.listArtifacts('plan_art_run');
+  assert(recorded.filter(a => a.kind === 'response').length === 2, 'Each step\'s response recorded under the plan');
+  assert(recorded.some(a => a.kind === 'output' && a.stepId === 's1' && a.taskId === 'plan_art_run:s1'), 'Structured step output recorded with its step');
+}
+
+// ────────────────────────────────────────────────────────────────
+// Parallel Subtask Reduce Stage
+// ────────────────────────────────────────────────────────────────
+
+async function testSubtaskReducer() {
+  console.log('\n--- Reduce: concat, merge and synthesize ---');
+  const reducer = require('./subtask-reducer');
+  const backends = require('./backend-registry');
+
+  const done = (index, response) => ({ index, description: `Part ${index + 1}`, success: true, result: { response } });
+  const concat = await reducer.reduce([done(1, 'Second'), { index: 2, success: false }, done(0, 'First')], { type: 'docs' });
+  assert(concat.strategy === 'concat' && concat.output === 'First\n\nSecond\n', 'Docs parts concatenated in subtask order');
+  assert(concat.missing.join() === '2' && concat.parts.length === 2, 'Failed subtasks reported as missing');
+
+  const diff = (file, start, line) => `--- a/${file}\n+++ b/${file}\n@@ -${start},1 +${start},1 @@\n-old\n+${line}\n`;
+  const merged = await reducer.reduce([
+    done(0, `Core:\n${diff('src/a.js', 1, 'core')}`),
+    done(1, `\`\`\`diff\n${diff('src/a.js', 20, 'validate')}${diff('src/b.js', 1, 'b')}\`\`\``),
+    done(2, 'Docs only, no diff')
+  ], { type: 'code' });
+  assert(merged.strategy === 'merge' && merged.success && merged.files.join() === 'src/a.js,src/b.js', 'Code patches merged per file');
+  assert(merged.patch.split('+++ b/src/a.js').length === 2 && merged.patch.includes('+core') && merged.patch.includes('+validate'), 'Non-overlapping hunks combined under one header');
+  assert(merged.withoutPatch.join() === '2', 'Subtask without a diff reported');
+
+  const conflicting = await reducer.reduce([done(0, diff('src/a.js', 5, 'one')), done(1, diff('src/a.js', 5, 'two'))], { strategy: 'merge' });
+  assert(!conflicting.success && conflicting.conflicts[0].file === 'src/a.js' && conflicting.conflicts[0].subtasks.join() === '0,1', 'Overlapping hunks reported as a conflict');
+  assert(conflicting.patch.includes('+one') && !conflicting.patch.includes('+two'), 'Earlier subtask wins a conflict');
+
+  let prompt = null;
+  backends.register('recordingBackend', makeTestAdapter({
+    execute: async (task) => { prompt = task.description; return { success: true, response: 'Combined findings' }; }
+  }));
+  try {
+    const outputPath = path.join(TEST_DATA_DIR, 'reduce', 'analysis.md');
+    const synthesized = await reducer.reduce([done(0, 'Background'), done(1, 'Findings')], {
+      type: 'research', backend: 'recordingBackend', description: 'Analyze churn', outputPath
+    });
+    assert(synthesized.strategy === 'synthesize' && synthesized.backend === 'recordingBackend', 'Research parts synthesized on the chosen backend');
+    assert(prompt.includes('Analyze churn') && prompt.includes('Part 2: Part 2\nFindings'), 'Synthesis prompt carries every part');
+    assert(fs.readFileSync(outputPath, 'utf8') === 'Combined findings', 'Synthesis written to outputPath');
+  } finally {
+    backends.unregister('recordingBackend');
+  }
+
+  const fallback = await reducer.reduce([done(0, 'A'), done(1, 'B')], { strategy: 'synthesize', backend: 'noSuchBackend' });
+  assert(!fallback.success && fallback.output === 'A\n\nB\n' && fallback.error.includes('noSuchBackend'), 'Failed synthesis falls back to concatenation');
+
+  let invalid = null;
+  try {
+    reducer.resolveStrategy('zip');
+  } catch (error) {
+    invalid = error;
+  }
+  assert(invalid?.code === 'INVALID_REDUCE_STRATEGY', 'Unknown strategy rejected');
+}
+
+async function testCodexExecuteParallel() {
+  console.log('\n--- Codex: parallel subtasks with reduce ---');
+  const codex = require('./codex');
+  const cancellation = require('./cancellation');
+  const reducer = require('./subtask-reducer');
+  const backends = require('./backend-registry');
+
+  codex.getSessionStatus = async () => ({ availableSlots: 2 });
+  codex.executeTask = async (task) => {
+    if (task.description.includes('Section 2')) throw new Error('session crashed');
+    return { success: true, backend: 'codex', response: `${task.description.split(' - ')[1]} done`, duration: 5 };
+  };
+  try {
+    const subtasks = codex.splitTask({ description: 'Tidy the changelog', type: 'docs' });
+    const result = await codex.executeParallel(subtasks, { reduce: 'concat' });
+    assert(result.totalTasks === 3 && result.completedTasks === 2 && result.failedTasks === 1, 'Runs every subtask across batches');
+    assert(result.subtasks[1].success === false && result.subtasks[1].error === 'session crashed' && result.subtasks[2].success, 'Per-subtask success reported in order');
+    assert(result.reduced.output === 'Section 1 of 3 done\n\nSection 3 of 3 done\n' && result.reduced.missing.join() === '1', 'Results reduced into one deliverable');
+
+    const split = await codex.executeSplit({ description: 'Tidy the changelog', type: 'docs' }, { reduce: 'none' });
+    assert(split.reduced.strategy === 'none' && split.results.length === 2, 'executeSplit splits, runs and reduces');
+
+    // Subtasks run under <taskId>:partN, and cancelling the task reaches them
+    const started = [];
+    const killed = [];
+    cancellation.killProcessTree = (session) => killed.push(session.id);
+    codex.executeTask = (task, context) => {
+      started.push(context.taskId);
+      codex.activeSessions.set(context.taskId, { id: context.taskId });
+      return new Promise((resolve, reject) => {
+        const timer = setInterval(() => {
+          if (!cancellation.isCancelled(context.taskId)) return;
+          clearInterval(timer);
+          codex.activeSessions.delete(context.taskId);
+          reject(cancellation.error(context.taskId, 'codex'));
+        }, 5);
+      });
+    };
+    const running = codex.executeParallel(subtasks, { reduce: 'concat', taskId: 'codex_cancel_run' }).catch(error => error);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const stopped = await codex.cancel('codex_cancel_run');
+    const cancelled = await running;
+    assert(started.join() === 'codex_cancel_run:part1,codex_cancel_run:part2', 'Parallel subtasks run under <taskId>:partN');
+    assert(stopped && killed.join() === started.join(), 'cancel(taskId) kills every running subtask session');
+    assert(cancelled.code === 'TASK_CANCELLED' && cancelled.subtasks[2].error === 'Not run: cancelled', 'Cancelled run starts no further batches');
+    assert(!cancellation.isCancelled('codex_cancel_run:part1') && codex.parallelRuns.size === 0, 'Subtask cancellations cleared once the run unwinds');
+
+    // Cancelling during the reduce stage stops the synthesis pass
+    const synthesisCalls = [];
+    const synthesisCancels = [];
+    let synthesisStarted;
+    const synthesisRunning = new Promise(resolve => { synthesisStarted = resolve; });
+    let stopSynthesis = null;
+    backends.register('cancellableSynthesisBackend', makeTestAdapter({
+      execute: (task, context) => {
+        synthesisCalls.push(context.taskId);
+        synthesisStarted();
+        return new Promise((resolve, reject) => { stopSynthesis = () => reject(cancellation.error(context.taskId, 'cancellableSynthesisBackend')); });
+      },
+      cancel: async (id) => {
+        synthesisCancels.push(id);
+        if (!stopSynthesis) return false;
+        stopSynthesis();
+        return true;
+      }
+    }));
+    codex.executeTask = async (task) => ({ success: true, backend: 'codex', response: `${task.description} done` });
+    try {
+      const reducing = codex.executeParallel(subtasks, { reduce: 'synthesize', synthesisBackend: 'cancellableSynthesisBackend', taskId: 'codex_reduce_run' })
+        .catch(error => error);
+      await synthesisRunning;
+      assert(codex.parallelRuns.has('codex_reduce_run'), 'Parallel run stays registered during reduce');
+      const stoppedDuringReduce = await codex.cancel('codex_reduce_run');
+      const reduceCancelled = await reducing;
+      assert(stoppedDuringReduce && synthesisCancels.includes('codex_reduce_run:reduce'), 'cancel(taskId) reaches the <taskId>:reduce synthesis pass');
+      assert(reduceCancelled.code === 'TASK_CANCELLED' && reduceCancelled.message.includes('codex_reduce_run'), 'Run cancelled during reduce rejects as cancelled');
+      assert(!cancellation.isCancelled('codex_reduce_run:reduce'), 'Reduce cancellation cleared once the run unwinds');
+      cancellation.clear('codex_reduce_run');
+
+      cancellation.markCancelled('codex_reduce_early');
+      const early = await reducer.reduce([{ index: 0, description: 'A', success: true, result: { response: 'A' } }],
+        { strategy: 'synthesize', backend: 'cancellableSynthesisBackend', taskId: 'codex_reduce_early' }).catch(error => error);
+      assert(early.code === 'TASK_CANCELLED' && synthesisCalls.length === 1, 'Cancelled task never starts synthesis');
+    } finally {
+      backends.unregister('cancellableSynthesisBackend');
+      cancellation.clear('codex_reduce_run');
+      cancellation.clear('codex_reduce_early');
+    }
+  } finally {
+    delete codex.getSessionStatus;
+    delete codex.executeTask;
+    delete cancellation.killProcessTree;
+    cancellation.clear('codex_cancel_run');
+  }
+}
+
+// ────────────────────────────────────────────────────────────────
+// Task splitter — files, ranges and model-proposed parts
+// ────────────────────────────────────────────────────────────────
+
+async function testTaskSplitter() {
+  console.log('\n--- Task splitter ---');
+  const taskSplitter = require('./task-splitter');
+  const dir = path.join(TEST_DATA_DIR, 'split-src');
+  fs.mkdirSync(dir, { recursive: true });
+  const file = (name, bytes) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, 'x'.repeat(bytes));
+    return filePath;
+  };
+  const big = file('big.js', 12000);
+  const mid = file('mid.js', 10000);
+  const small = [file('a.js', 8000), file('b.js', 6000), file('c.js', 4000)];
+
+  const byFiles = taskSplitter.split({ description: 'Add JSDoc', type: 'docs', files: [big, mid, ...small], outputPath: '/tmp/out/docs.md' }, { maxParts: 3 });
+  assert(byFiles.length === 3 && byFiles.every(s => s.split.strategy === 'files'), 'Tasks with files split by file');
+  assert(byFiles.flatMap(s => s.files).sort().join() === [big, mid, ...small].sort().join(), 'Every file assigned exactly once');
+  const tokens = byFiles.map(s => s.estimatedTokens);
+  assert(Math.max(...tokens) - Math.min(...tokens) <= 600, 'File parts balanced by estimated tokens');
+  assert(byFiles[1].outputPath === '/tmp/out/docs-part2.md' && byFiles[1].split.index === 1 && byFiles[1].split.of === 3, 'Split parts numbered with -partN outputs');
+  assert(taskSplitter.split({ description: 'Lint', files: [big, mid] }, { maxParts: 4 }).length === 2, 'No more parts than files');
+
+  const byRange = taskSplitter.split({ description: 'Summarize pages 1-100 of the audit report', type: 'analysis' }, { maxParts: 3 });
+  assert(byRange.map(s => `${s.split.range.start}-${s.split.range.end}`).join() === '1-34,35-67,68-100', 'Page ranges cut into contiguous slices');
+  assert(byRange[0].description.endsWith('only pages 1-34') && byRange[0].estimatedTokens > 34 * 500, 'Range parts name their slice and estimate tokens');
+  const rows = taskSplitter.findRange('Clean rows 1,001 to 51,000 of users.csv');
+  assert(rows.unit === 'row' && rows.start === 1001 && rows.end === 51000, 'Row ranges with separators and "to" recognized');
+
+  const legacy = taskSplitter.split({ description: 'Implement the export code', outputPath: '/tmp/out/export.js' }, { maxParts: 3 });
+  assert(legacy.map(s => s.outputPath.match(/-(\w+)\.js$/)[1]).join() === 'core,validation,docs' && legacy[2].type === 'docs', 'Keyword split kept as the fallback');
+
+  const proposal = {
+    parts: [
+      { description: 'Parser changes', files: [big], estimatedTokens: 9000 },
+      { description: 'Everything else', files: [mid, ...small] }
+    ]
+  };
+  const { server, requests, baseUrl } = await startMockOllama(() => JSON.stringify(proposal));
+  planner.loadConfig();
+  const savedConfig = planner.config;
+  planner.config = {
+    ...savedConfig,
+    planner: { ...savedConfig.planner, decomposition: { mode: 'llm', model: 'test-model', ollamaUrl: baseUrl, timeoutSeconds: 5 } }
+  };
+  const task = { description: 'Refactor the parser', type: 'code', files: [big, mid, ...small] };
+  try {
+    const modelParts = await taskSplitter.splitWithModel(task, { mode: 'llm', maxParts: 3 });
+    assert(requests.length === 1 && requests[0].model === 'test-model', 'Planning model asked for parts');
+    assert(modelParts.length === 2 && modelParts.every(s => s.split.strategy === 'model'), 'Model parts used');
+    assert(modelParts[0].estimatedTokens === 9000 && modelParts[1].estimatedTokens > 0, 'Model token estimates kept or filled in');
+
+    proposal.parts[1].files = ['/elsewhere/secret.js'];
+    const rejected = await taskSplitter.splitWithModel(task, { mode: 'llm', maxParts: 3 });
+    assert(rejected[0].split.strategy === 'files' && rejected[0].split.fallbackReason.includes('not in the task'), 'Parts naming unknown files rejected');
+
+    const heuristic = await taskSplitter.splitWithModel(task, { mode: 'heuristic', maxParts: 3 });
+    assert(heuristic[0].split.strategy === 'files' && requests.length === 2, 'Heuristic mode skips the model');
+  } finally {
+    planner.config = savedConfig;
+    server.close();
+  }
+}
+
+// ────────────────────────────────────────────────────────────────
+// Claude Code — stream-json output
+// ────────────────────────────────────────────────────────────────
+
+async function testClaudeStreamJson() {
+  console.log('\n--- Claude Code: stream-json parsing ---');
+  const claudeCode = require('./claude-code');
+  const ledger = require('./ledger');
+  const rateGovernor = require('./rate-governor');
+  const lines = (...events) => events.map(e => JSON.stringify(e)).join('\n') + '\n';
+
+  const stdout = lines(
+    { type: 'system', subtype: 'init', session_id: 'sess-1', model: 'claude-sonnet-4' },
+    { type: 'assistant', session_id: 'sess-1', message: { content: [
+      { type: 'text', text: 'Reading the config. Note: this mentions a rate limit.' },
+      { type: 'tool_use', id: 'tu1', name: 'Read', input: { file_path: 'src/config.js' } },
+      { type: 'tool_use', id: 'tu2', name: 'Bash', input: { command: 'npm test\nnpm run lint' } }
+    ] } },
+    { type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 'tu2', is_error: true, content: 'exit 1' }] } },
+    { type: 'result', subtype: 'success', is_error: false, result: 'Updated the config loader.', session_id: 'sess-1', num_turns: 4,
+      total_cost_usd: 0.0421, usage: { input_tokens: 1200, cache_creation_input_tokens: 300, cache_read_input_tokens: 9000, output_tokens: 450 } }
+  );
+  const run = claudeCode.parseStreamOutput(stdout);
+  assert(run.structured && run.output === 'Updated the config loader.', 'Final result taken from the result event');
+  assert(run.tokens === 1950 && run.usage.cacheReadTokens === 9000 && run.costUsd === 0.0421, 'Real token usage and cost captured');
+  assert(run.toolCalls.length === 2 && run.toolCalls[0].target === 'src/config.js' && run.toolCalls[1].target === 'npm test', 'Tool calls recorded with their targets');
+  assert(run.toolCalls[1].isError && !run.toolCalls[0].isError, 'Failed tool results flagged');
+  assert(run.sessionId === 'sess-1' && run.model === 'claude-sonnet-4' && run.numTurns === 4, 'Session ID, model and turns captured');
+  assert(!run.rateLimited && run.error === null, 'Rate-limit wording in assistant text is not a rate limit');
+
+  const limited = claudeCode.parseStreamOutput(lines({ type: 'result', subtype: 'success', is_error: true, result: 'Claude AI usage limit reached|1893456000' }));
+  assert(limited.rateLimited && limited.resetAt === new Date(1893456000 * 1000).toISOString(), 'Usage limit and reset time parsed');
+  const failed = claudeCode.parseStreamOutput(lines({ type: 'result', subtype: 'error_max_turns', is_error: true, result: '' }));
+  assert(failed.error === 'error_max_turns' && !failed.rateLimited, 'Error results reported by subtype');
+  const apiError = claudeCode.parseStreamOutput(lines({ type: 'result', subtype: 'success', is_error: true, result: 'API Error: 500' }));
+  assert(apiError.error === 'error' && apiError.output === 'API Error: 500', 'Error result with a success subtype is not labelled success');
+
+  const text = claudeCode.parseStreamOutput('Working...\nDone ✓ (1234 tokens)\n');
+  assert(!text.structured && text.tokens === 1234 && !text.rateLimited, 'Plain text falls back to the token regex');
+  assert(claudeCode.parseStreamOutput('Error: usage limit reached\n').rateLimited, 'Plain text falls back to rate-limit substrings');
+
+  if (!ledger.loaded) await ledger.load();
+  const savedBefore = ledger.data.savings?.totalSaved || 0;
+  const sessionBefore = ledger.data.claudeCode.sessionUsagePercent;
+  await claudeCode.updateSessionUsage(2, { task: { description: 'x' }, tokens: run.tokens, output: run.output, usage: run.usage });
+  assert(Math.abs(ledger.data.savings.totalSaved - savedBefore - 0.0421) < 1e-9, 'Ledger savings use the reported cost');
+  assert(Math.abs(ledger.data.claudeCode.sessionUsagePercent - sessionBefore - 450 / 50000 * 10) < 1e-9, 'Ledger session usage counts output tokens only');
+  const heavy = { inputTokens: 40000, cacheCreationTokens: 30000, outputTokens: 2500 };
+  assert(claudeCode.usagePercent(heavy, 72500) === 2.5 && claudeCode.usagePercent(null, 3000) === 3, 'Session usage from output tokens, not the whole context');
+
+  await rateGovernor.load();
+  const resetAt = new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString();
+  rateGovernor.recordThrottle('claudeCode', { errorMessage: 'rate limit', resetAt });
+  assert(rateGovernor.data.backends.claudeCode.cooldownUntil === resetAt, 'Rate governor cooldown lasts until the reported reset');
+  rateGovernor.resetBackend('claudeCode');
+}
+
+// ────────────────────────────────────────────────────────────────
+// Workspace isolation — worktrees and scratch copies
+// ────────────────────────────────────────────────────────────────
+
+async function testWorkspaceIsolation() {
+  console.log('\n--- Workspace isolation ---');
+  const os = require('os');
+  const { execFileSync } = require('child_process');
+  const workspaces = require('./workspaces');
+  const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd, encoding: 'utf8' }).trim();
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'router-ws-test-'));
+  const repo = path.join(scratch, 'repo');
+  fs.mkdirSync(path.join(repo, 'src'), { recursive: true });
+  fs.writeFileSync(path.join(repo, 'src', 'a.txt'), 'one\n');
+  git(repo, 'init', '-q');
+  git(repo, 'add', '-A');
+  git(repo, 'commit', '-q', '-m', 'base');
+  fs.writeFileSync(path.join(repo, 'src', 'a.txt'), 'one\nuncommitted\n');
+  fs.writeFileSync(path.join(repo, 'src', 'draft.txt'), 'not committed yet\n');
+  fs.appendFileSync(path.join(repo, '.git', 'info', 'exclude'), 'debug.log\n');
+  fs.writeFileSync(path.join(repo, 'src', 'debug.log'), 'ignored\n');
+
+  workspaces.loadConfig();
+  const savedConfig = workspaces.config;
+  workspaces.config = { ...savedConfig, enabled: false, rootDir: path.join(scratch, 'workspaces') };
+
+  try {
+    assert(workspaces.resolve({ description: 'x' }, 'claudeCode') === null, 'Isolation off by default');
+    assert(workspaces.resolve({ isolation: 'branch' }, 'codex').onComplete === 'branch', 'Task can request isolation');
+    let error = null;
+    try { workspaces.resolve({ isolation: 'sideways' }, 'codex'); } catch (e) { error = e; }
+    assert(error?.code === 'INVALID_ISOLATION', 'Unknown isolation rejected');
+
+    let seen = null;
+    const applied = await workspaces.runIsolated('ws_apply', { isolation: 'apply' }, 'claudeCode', path.join(repo, 'src'), async (cwd) => {
+      seen = { cwd, a: fs.readFileSync(path.join(cwd, 'a.txt'), 'utf8'), draft: fs.existsSync(path.join(cwd, 'draft.txt')), log: fs.existsSync(path.join(cwd, 'debug.log')) };
+      fs.writeFileSync(path.join(cwd, 'a.txt'), 'one\nuncommitted\nfrom task\n');
+      fs.writeFileSync(path.join(cwd, 'b.txt'), 'new\n');
+      return 'done';
+    });
+    assert(seen.cwd !== path.join(repo, 'src') && seen.cwd.endsWith(path.join('ws_apply', 'src')), 'Task runs in the matching directory of a worktree');
+    assert(seen.a.includes('uncommitted'), 'Worktree includes uncommitted changes');
+    assert(seen.draft && !seen.log, 'Worktree includes untracked files but not ignored ones');
+    assert(applied.result === 'done' && applied.isolation.applied && applied.isolation.files.join() === 'src/a.txt,src/b.txt', 'Changes applied back');
+    assert(fs.readFileSync(path.join(repo, 'src', 'a.txt'), 'utf8').endsWith('from task\n') && fs.existsSync(path.join(repo, 'src', 'b.txt')), 'Original checkout has the task\'s changes');
+    assert(applied.isolation.patch.includes('+from task'), 'Diff captured as a patch');
+    assert(!fs.existsSync(seen.cwd) && git(repo, 'worktree', 'list').split('\n').length === 1, 'Worktree removed after completion');
+
+    const branched = await workspaces.runIsolated('ws_branch', { isolation: 'branch' }, 'codex', repo, async (cwd) => {
+      fs.writeFileSync(path.join(cwd, 'c.txt'), 'branch only\n');
+    });
+    assert(branched.isolation.branch === 'openclaw/ws_branch' && !fs.existsSync(path.join(repo, 'c.txt')), 'Branch mode leaves the checkout alone');
+    assert(git(repo, 'show', 'openclaw/ws_branch:c.txt') === 'branch only', 'Changes committed on the task branch');
+    assert(git(repo, 'rev-parse', 'openclaw/ws_branch~1') === git(repo, 'rev-parse', 'HEAD') && git(repo, 'show', 'openclaw/ws_branch:src/a.txt') === 'one', 'Task branch based on HEAD without the uncommitted changes');
+    const overlapping = await workspaces.runIsolated('ws_overlap', { isolation: 'branch' }, 'codex', repo, async (cwd) => {
+      const file = path.join(cwd, 'src', 'a.txt');
+      fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('uncommitted', 'edited'));
+    });
+    assert(overlapping.isolation.branch === 'openclaw/ws_overlap' && overlapping.isolation.error.includes('uncommitted changes'), 'Changes on top of uncommitted lines stay on a branch with them, reported');
+
+    assert(!branched.isolation.patch.includes('draft.txt') && git(repo, 'ls-tree', '-r', '--name-only', 'openclaw/ws_branch').split('\n').every(f => f !== 'src/draft.txt'),
+      'Untracked files are part of the base, not the task\'s changes');
+
+    // Work that isn't applied is kept as a commit a follow-up can start from
+    const discarded = await workspaces.runIsolated('ws_discard', { isolation: 'discard' }, 'codex', repo, async (cwd) => {
+      fs.writeFileSync(path.join(cwd, 'd.txt'), 'first pass\n');
+    });
+    assert(discarded.isolation.commit && git(repo, 'show', `${discarded.isolation.commit}:d.txt`) === 'first pass' && !fs.existsSync(path.join(repo, 'd.txt')),
+      'Discarded work kept as a commit, checkout untouched');
+    let followSeen = null;
+    const followed = await workspaces.runIsolated('ws_follow', { isolation: 'branch' }, 'codex', repo, async (cwd) => {
+      followSeen = fs.readFileSync(path.join(cwd, 'd.txt'), 'utf8');
+      fs.writeFileSync(path.join(cwd, 'e.txt'), 'second pass\n');
+    }, { from: discarded.isolation.commit });
+    assert(followSeen === 'first pass\n' && followed.isolation.files.join() === 'e.txt', 'Follow-up workspace starts from the earlier run\'s work');
+    assert(git(repo, 'show', 'openclaw/ws_follow:d.txt') === 'first pass' && git(repo, 'show', 'openclaw/ws_follow:e.txt') === 'second pass', 'Follow-up branch carries both runs\' work');
+    const stale = await workspaces.runIsolated('ws_stale', { isolation: 'discard' }, 'codex', repo, async (cwd) => fs.existsSync(path.join(cwd, 'src', 'draft.txt')),
+      { from: 'f'.repeat(40) });
+    assert(stale.result === true, 'Missing commit falls back to the checkout');
+
+    const fields = workspaces.resultFields(branched.isolation);
+    assert(fields.patch.includes('c.txt') && fields.isolation.patch === undefined && fields.isolation.branch, 'Result carries the patch separately');
+
+    const plain = path.join(scratch, 'plain');
+    fs.mkdirSync(plain);
+    fs.writeFileSync(path.join(plain, 'notes.md'), '# Notes\n');
+    let copyDir = null;
+    const copied = await workspaces.runIsolated('ws_copy', { isolation: 'discard' }, 'claudeCode', plain, async (cwd) => {
+      copyDir = cwd;
+      fs.appendFileSync(path.join(cwd, 'notes.md'), 'more\n');
+    });
+    assert(copied.isolation.kind === 'copy' && copied.isolation.files.join() === 'notes.md', 'Non-git directories use a scratch copy');
+    assert(fs.readFileSync(path.join(plain, 'notes.md'), 'utf8') === '# Notes\n' && !copied.isolation.applied, 'Discard keeps only the patch');
+    assert(!fs.existsSync(copyDir), 'Scratch copy removed');
+
+    // The bridges hand the agent paths inside the workspace
+    const claudeCode = require('./claude-code');
+    const outputPath = path.join(repo, 'src', 'report.md');
+    let spec = null;
+    claudeCode.isAvailable = async () => true;
+    claudeCode.getSessionStatus = async () => ({ usagePercentage: 0 });
+    claudeCode.updateSessionUsage = async () => {};
+    claudeCode.runClaudeSession = async (taskFile, task, taskId, cwd) => {
+      spec = { task, cwd, file: fs.readFileSync(taskFile, 'utf8') };
+      fs.writeFileSync(task.outputPath, '# Report\n');
+      return { output: 'written', tokens: 10 };
+    };
+    try {
+      const bridged = await claudeCode.executeTask({ description: 'Write the report', isolation: 'apply', outputPath, files: [path.join(repo, 'src', 'a.txt'), 'src/a.txt'] }, { taskId: 'ws_paths' });
+      assert(spec.task.outputPath === path.join(spec.cwd, 'report.md') && spec.file.includes(`Save the result to: \`${spec.task.outputPath}\``), 'Isolated run writes its output inside the worktree');
+      assert(spec.task.files[0] === path.join(spec.cwd, 'a.txt') && spec.task.files[1] === 'src/a.txt', 'Absolute task files mapped into the worktree');
+      assert(bridged.isolation.files.join() === 'src/report.md' && fs.readFileSync(outputPath, 'utf8') === '# Report\n' && bridged.outputPath === outputPath, 'Output applied back to the original path');
+
+      // A follow-up to a discarded run continues from its commit
+      const notesPath = path.join(repo, 'src', 'notes.md');
+      claudeCode.runClaudeSession = async (taskFile, task) => {
+        fs.writeFileSync(task.outputPath, '# Notes\n');
+        return { output: 'drafted', tokens: 10, sessionId: 'sess_ws_resume' };
+      };
+      const first = await claudeCode.executeTask({ description: 'Draft notes', isolation: 'discard', outputPath: notesPath }, { taskId: 'ws_resume_1' });
+      assert(first.sessionLink.commit === first.isolation.commit && first.sessionLink.commit, 'Session link records the unapplied work');
+      let resumedFrom = null;
+      claudeCode.runClaudeSession = async (taskFile, task, taskId, cwd) => {
+        resumedFrom = fs.readFileSync(path.join(cwd, 'notes.md'), 'utf8');
+        return { output: 'expanded', tokens: 10 };
+      };
+      await claudeCode.executeTask({ description: 'Expand the notes', outputPath: notesPath, continueSession: { fromTaskId: 'ws_resume_1', ...first.sessionLink } }, { taskId: 'ws_resume_2' });
+      assert(resumedFrom === '# Notes\n', 'Follow-up sees the earlier run\'s discarded output');
+    } finally {
+      delete claudeCode.isAvailable;
+      delete claudeCode.getSessionStatus;
+      delete claudeCode.updateSessionUsage;
+      delete claudeCode.runClaudeSession;
+    }
+
+    let failedDir = null;
+    const failure = await workspaces.runIsolated('ws_fail', { isolation: true }, 'codex', repo, async (cwd) => {
+      failedDir = cwd;
+      throw new Error('cancelled mid-run');
+    }).then(() => null, e => e);
+    assert(failure?.message === 'cancelled mid-run' && !fs.existsSync(failedDir) && workspaces.active.size === 0, 'Workspace removed when the task fails or is cancelled');
+  } finally {
+    workspaces.config = savedConfig;
+    fs.rmSync(scratch, { recursive: true, force: true });
+  }
+}
+
+// ────────────────────────────────────────────────────────────────
+// Claude Code tool permission profiles
+// ────────────────────────────────────────────────────────────────
+
+function testPermissionProfiles() {
+  console.log('\n--- Claude Code permission profiles ---');
+  const permissionProfiles = require('./permission-profiles');
+  const routingPolicy = require('./routing-policy');
+  const decisionTrace = require('./decision-trace');
+
+  let profile = permissionProfiles.resolve(policyTask({ type: 'docs' }));
+  assert(profile.name === 'docs-writer' && profile.decidedBy === 'type:docs', 'Docs tasks get the docs-writer profile');
+  assert(permissionProfiles.resolve(policyTask({ type: 'review' })).name === 'read-only', 'Review tasks are read-only');
+  assert(permissionProfiles.resolve(policyTask({ type: 'code' })).name === 'full-dev', 'Other tasks default to full-dev');
+
+  profile = permissionProfiles.resolve(policyTask({ type: 'code', source: 'github-webhook' }));
+  assert(profile.name === 'read-only' && profile.decidedBy === 'source:github-webhook', 'GitHub-sourced tasks are read-only');
+  profile = permissionProfiles.resolve(policyTask({ type: 'review', permissionProfile: 'full-dev' }));
+  assert(profile.name === 'full-dev' && profile.decidedBy === 'task', 'Task can choose its profile');
+
+  let error = null;
+  try { permissionProfiles.resolve(policyTask({ permissionProfile: 'root' })); } catch (e) { error = e; }
+  assert(error?.code === 'UNKNOWN_PERMISSION_PROFILE', 'Unknown profile rejected');
+
+  const readOnlyArgs = permissionProfiles.cliArgs(permissionProfiles.get('read-only'));
+  assert(!readOnlyArgs.includes('--dangerously-skip-permissions'), 'Read-only sessions keep permission checks');
+  const disallowed = readOnlyArgs[readOnlyArgs.indexOf('--disallowedTools') + 1].split(',');
+  assert(disallowed.includes('Bash') && disallowed.includes('Edit') && !disallowed.includes('Read'), 'Read-only sessions refuse shell and edits');
+  assert(permissionProfiles.cliArgs(permissionProfiles.get('full-dev')).join(' ') === '--allowedTools Edit,Write,Bash,Read --dangerously-skip-permissions', 'full-dev keeps the previous arguments');
+
+  const errors = routingPolicy.validate({ rules: [{ id: 'bad-profile', action: { permissionProfile: 'root' } }] });
+  assert(errors.some(e => e.includes('unknown profile "root"')), 'Policy rejects unknown profiles');
+
+  const policyPath = path.join(TEST_DATA_DIR, 'routing-policy.json');
+  fs.writeFileSync(policyPath, JSON.stringify({
+    rules: [
+      { id: 'security-read-only', match: { type: 'code', user: ['auditor'] }, action: { permissionProfile: 'read-only' } },
+      { id: 'code-to-claude', match: { type: 'code' }, action: { force: 'claudeCode' } }
+    ]
+  }));
+  routingPolicy.load(policyPath);
+  try {
+    const task = policyTask({ type: 'code', metadata: { userId: 'auditor' } });
+    profile = permissionProfiles.resolve(task);
+    assert(profile.name === 'read-only' && profile.decidedBy === 'policy:security-read-only', 'Policy rule assigns a profile');
+    assert(routingPolicy.evaluate(task, ALL_AVAILABLE).backend === 'claudeCode', 'Profile rule does not stop backend selection');
+    assert(permissionProfiles.resolve(policyTask({ type: 'code' })).name === 'full-dev', 'Profile rule only applies where it matches');
+  } finally {
+    routingPolicy.load(path.join(__dirname, 'routing-policy.json'));
+  }
+
+  const trace = sampleTrace('route_trace_perm');
+  trace.permissions = permissionProfiles.summary(permissionProfiles.resolve(policyTask({ type: 'review' })));
+  assert(decisionTrace.format(trace).includes('Permissions: read-only (type:review) — Read, Grep, Glob'), 'Trace explains the permission profile');
+}
+
+// ────────────────────────────────────────────────────────────────
+// Claude Code session resume
+// ────────────────────────────────────────────────────────────────
+
+async function testClaudeSessionResume() {
+  console.log('\n--- Claude Code session resume ---');
+  const os = require('os');
+  const router = require('./index');
+  const session = require('./session');
+  const claudeCode = require('./claude-code');
+  const shadowBench = require('./shadow-bench');
+  const workspaces = require('./workspaces');
+  const decisionTrace = require('./decision-trace');
+  const backends = require('./backend-registry');
+
+  const profile = require('./permission-profiles').get('full-dev');
+  const args = claudeCode.cliArgs({ description: 'Now add tests', continueSession: { sessionId: 'sess-abc' } }, profile);
+  assert(args[1] === 'Now add tests' && args.join(' ').includes('--resume sess-abc'), 'Follow-up resumes the session with the new prompt');
+  assert(!claudeCode.cliArgs({ description: 'Write it' }, profile).includes('--resume'), 'New tasks start a fresh session');
+
+  const runs = [];
+  claudeCode.isAvailable = async () => true;
+  claudeCode.getSessionStatus = async () => ({ usagePercentage: 0 });
+  claudeCode.updateSessionUsage = async () => {};
+  claudeCode.runClaudeSession = async (taskFile, task, taskId, cwd) => {
+    runs.push({ taskId, cwd, resumed: task.continueSession?.sessionId || null });
+    return { output: `done ${taskId}`, tokens: 10, sessionId: task.continueSession?.sessionId || `sess-${taskId}` };
+  };
+  const shadowTask = shadowBench.shadowTask;
+  shadowBench.shadowTask = async () => {};
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'router-resume-test-'));
+  workspaces.loadConfig();
+  const savedWorkspaces = workspaces.config;
+  workspaces.config = { ...savedWorkspaces, enabled: false, rootDir: path.join(scratch, 'workspaces') };
+
+  try {
+    const first = await router.route({ description: 'Write a slugify helper', type: 'code', forceBackend: 'claudeCode' },
+      { taskId: 'resume_1', skipConfidence: true, skipDedup: true });
+    const link = session.getClaudeSession('resume_1');
+    assert(first.sessionId === 'sess-resume_1' && link?.sessionId === 'sess-resume_1', 'Session ID linked to the task');
+    assert(link.cwd === runs[0].cwd && !link.expired, 'Link records where the session ran');
+    const hours = (Date.parse(link.expiresAt) - Date.parse(link.linkedAt)) / 3600000;
+    assert(hours === require('./config.json').backends.claudeCode.sessionResetHours, 'Link expires after sessionResetHours');
+    assert(session.getContext().recentCompleted.find(t => t.taskId === 'resume_1')?.claudeSessionId === 'sess-resume_1', 'Active context shows the session ID');
+    assert((await decisionTrace.get('resume_1'))?.permissions?.profile === 'full-dev', 'Claude Code run records its permission profile');
+
+    // Other backends don't apply a profile; an unknown one is rejected before routing
+    backends.register('permissionlessBackend', makeTestAdapter());
+    try {
+      await router.route({ description: 'Write a slugify helper in Go', type: 'code', forceBackend: 'permissionlessBackend' },
+        { taskId: 'perm_other', skipConfidence: true, skipDedup: true });
+      assert((await decisionTrace.get('perm_other'))?.permissions === null, 'Non-Claude run records no permission profile');
+    } finally {
+      backends.unregister('permissionlessBackend');
+    }
+    const unknownProfile = await router.route({ description: 'Audit the repo', permissionProfile: 'root' }, { taskId: 'perm_bad' }).then(() => null, e => e);
+    assert(unknownProfile?.code === 'UNKNOWN_PERMISSION_PROFILE' && await decisionTrace.get('perm_bad') === null && runs.length === 1,
+      'Unknown permission profile rejected before routing');
+
+    const second = await router.route({ description: 'Now document it', type: 'docs' }, { taskId: 'resume_2', continueFrom: 'resume_1' });
+    assert(runs[1].resumed === 'sess-resume_1' && runs[1].cwd === runs[0].cwd, 'Follow-up resumes the session in the same directory');
+    assert(second.backend === 'claudeCode' && second.routing.decidedBy === 'forceBackend' && second.continuedFrom === 'resume_1', 'Follow-up runs on Claude Code');
+    assert(session.getClaudeSession('resume_2')?.continuedFrom === 'resume_1', 'Follow-up linked to the task it continued');
+
+    const failure = (options) => router.route({ description: 'And again' }, options).then(() => null, e => e);
+    assert((await failure({ continueFrom: 'resume_missing' }))?.code === 'CLAUDE_SESSION_NOT_FOUND', 'Unknown task rejected');
+    assert((await failure({ continueFrom: 'resume_1', plan: true }))?.code === 'INVALID_CONTINUATION', 'Plans cannot continue a session');
+    await session.linkClaudeSession('resume_old', { sessionId: 'sess-old' }, 0);
+    assert((await failure({ continueFrom: 'resume_old' }))?.code === 'CLAUDE_SESSION_EXPIRED', 'Expired session rejected');
+    await session.linkClaudeSession('resume_3', { sessionId: 'sess-3' }, 1);
+    assert(session.getClaudeSession('resume_old') === null, 'Expired links pruned');
+
+    // The dashboard endpoint reports caller mistakes as client errors
+    const server = require('./dashboard-server').listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const post = async (query, body) => {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/api/route${query}`, {
+        method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body)
+      });
+      return { status: res.status, body: await res.json() };
+    };
+    const wrappedRoute = router.route;
+    try {
+      let reply = await post('', { description: 'Audit the repo', permissionProfile: 'root' });
+      assert(reply.status === 400 && reply.body.code === 'UNKNOWN_PERMISSION_PROFILE', 'POST /api/route: unknown permission profile is a 400');
+      reply = await post('?continueFrom=resume_missing', { description: 'And again' });
+      assert(reply.status === 404 && reply.body.code === 'CLAUDE_SESSION_NOT_FOUND', 'POST /api/route: unknown session is a 404');
+      reply = await post('?continueFrom=resume_old', { description: 'And again' });
+      assert(reply.status === 404, 'POST /api/route: pruned session is a 404');
+      router.route = (task) => wrappedRoute(task, { continueFrom: 'resume_1', plan: true });
+      reply = await post('?continueFrom=resume_1', { description: 'And again' });
+      assert(reply.status === 400 && reply.body.code === 'INVALID_CONTINUATION', 'POST /api/route: invalid continuation is a 400');
+      router.route = async () => { throw new Error('All fallbacks exhausted'); };
+      reply = await post('', { description: 'And again' });
+      assert(reply.status === 500 && reply.body.code === undefined, 'POST /api/route: routing failures stay 500');
+    } finally {
+      router.route = wrappedRoute;
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    // Isolated sessions: the follow-up gets a workspace at the same path
+    const plain = path.join(scratch, 'plain');
+    fs.mkdirSync(plain);
+    const isolated = await claudeCode.executeTask({ description: 'Draft notes', isolation: 'discard', outputPath: path.join(plain, 'notes.md') }, { taskId: 'resume_ws_1' });
+    assert(isolated.sessionLink.workspace === 'resume_ws_1' && isolated.sessionLink.sourceDir === plain, 'Isolated run records its workspace');
+    await claudeCode.executeTask({ description: 'Expand the notes', continueSession: { fromTaskId: 'resume_ws_1', ...isolated.sessionLink } }, { taskId: 'resume_ws_2' });
+    assert(runs[3].cwd === runs[2].cwd && runs[3].cwd !== plain, 'Isolated follow-up runs at the original workspace path');
+  } finally {
+    delete claudeCode.isAvailable;
+    delete claudeCode.getSessionStatus;
+    delete claudeCode.updateSessionUsage;
+    delete claudeCode.runClaudeSession;
+    shadowBench.shadowTask = shadowTask;
+    workspaces.config = savedWorkspaces;
+    fs.rmSync(scratch, { recursive: true, force: true });
+  }
+}
+
+// ────────────────────────────────────────────────────────────────
+// Local model bridge — chat API, context window, sampling
+// ────────────────────────────────────────────────────────────────
+
+async function testLocalChat() {
+  console.log('\n--- Local: Ollama chat API and context sizing ---');
+  const http = require('http');
+  const local = require('./local');
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const parsed = JSON.parse(body || '{}');
+      requests.push({ url: req.url, body: parsed });
+      if (req.url === '/api/tags') {
+        res.end(JSON.stringify({ models: [{ name: 'big:latest' }] }));
+      } else if (req.url === '/api/show') {
+        const lengths = { 'big:latest': 32768, 'small:latest': 8192 };
+        res.writeHead(lengths[parsed.model] ? 200 : 404);
+        res.end(lengths[parsed.model] ? JSON.stringify({ model_info: { 'llama.context_length': lengths[parsed.model] } }) : '{"error":"model not found"}');
+      } else if (parsed.stream) {
+        res.end([
+          { message: { role: 'assistant', content: 'Hel' }, done: false },
+          { message: { role: 'assistant', content: 'lo' }, done: false },
+          { message: { role: 'assistant', content: '' }, done: true, prompt_eval_count: 30, eval_count: 2 }
+        ].map(m => JSON.stringify(m)).join('\n'));
+      } else {
+        res.end(JSON.stringify({ message: { role: 'assistant', content: 'Hi there' }, done: true }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const cfg = require('./config.json');
+  const savedConfig = local.config;
+  local.config = { ...cfg, backends: { ...cfg.backends, local: { ...cfg.backends.local, ollamaUrl: `http://127.0.0.1:${server.address().port}` } } };
+  local.contextLengths.clear();
+  await local.checkModelsAvailability();
+
+  try {
+    const messages = local.buildMessages({ description: 'Add a retry helper', type: 'code' });
+    assert(messages[0].role === 'system' && messages[0].content.includes('expert programmer'), 'System message set by task type');
+    assert(messages[1].role === 'user' && messages[1].content.startsWith('Task: Add a retry helper'), 'Task sent as the user message');
+
+    assert(local.samplingOptions('code').temperature === 0.3 && local.samplingOptions('code').top_k === 40, 'Code sampling overlays the defaults');
+    assert(local.samplingOptions('docs').temperature === 0.7, 'Other types use the default sampling');
+    local.config.backends.local = { ...local.config.backends.local, sampling: { default: { temperature: 0.5 }, docs: { temperature: 0.9, top_p: 0.8 } } };
+    assert(local.samplingOptions('docs').temperature === 0.9 && local.samplingOptions('docs').top_p === 0.8, 'Sampling per task type from config');
+
+    let size = await local.contextWindow('big:latest', 'short prompt');
+    assert(size.numCtx === 4096 && size.modelMax === 32768, 'Small prompts keep the minimum window');
+    size = await local.contextWindow('big:latest', 'x'.repeat(40000));
+    assert(size.promptTokens === 10000 && size.numCtx === 12288, 'Window sized from prompt plus response room');
+    size = await local.contextWindow('small:latest', 'x'.repeat(28000));
+    assert(size.numCtx === 8192, 'Window capped at the model context length');
+    let error = null;
+    try { await local.contextWindow('small:latest', 'x'.repeat(40000)); } catch (e) { error = e; }
+    assert(error?.code === 'LOCAL_CONTEXT_OVERFLOW' && error.shouldFallback, 'Prompt larger than the model fails instead of truncating');
+    size = await local.contextWindow('unknown:latest', 'x'.repeat(4000));
+    assert(size.modelMax === 8192 && size.numCtx === 4096, 'Unreported context length falls back to context.fallbackMax');
+    assert(requests.filter(r => r.url === '/api/show' && r.body.model === 'big:latest').length === 1, 'Context length cached per model');
+
+    const plain = await local.callOllama('big:latest', 'Say hi');
+    const chatRequest = requests.filter(r => r.url === '/api/chat').pop().body;
+    assert(plain.response === 'Hi there' && chatRequest.messages[0].role === 'user' && chatRequest.stream === false, 'Prompt strings sent to /api/chat as a user message');
+
+    const result = await local.executeTask({ description: 'Summarize the release', type: 'docs' }, { taskId: 'local_chat_1' });
+    const streamed = requests.filter(r => r.url === '/api/chat').pop().body;
+    assert(streamed.stream === true && streamed.messages.length === 2 && streamed.options.num_ctx === 4096, 'Task streamed through /api/chat with a sized window');
+    assert(streamed.options.temperature === 0.9, 'Task sampling follows its type');
+    assert(result.response === 'Hello' && result.tokens === 32 && result.contextWindow.numCtx === 4096, 'Streamed tokens assembled and counts reported');
+    assert(!local.inFlight.has('local_chat_1'), 'Request released after completion');
+  } finally {
+    local.config = savedConfig;
+    local.contextLengths.clear();
+    server.close();
+  }
+}
+
+async function testLocalEndpoints() {
+  console.log('\n--- Local: multiple Ollama and OpenAI-compatible endpoints ---');
+  const http = require('http');
+  const local = require('./local');
+  const requests = [];
+  const listen = async (handler) => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const parsed = JSON.parse(body || '{}');
+        requests.push({ url: req.url, body: parsed, auth: req.headers.authorization });
+        handler(req, parsed, res);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server;
+  };
+  const ollama = await listen((req, body, res) => {
+    if (req.url === '/api/tags') return res.end(JSON.stringify({ models: [{ name: 'llama3.2:latest' }] }));
+    if (req.url === '/api/show') return res.end(JSON.stringify({ model_info: { 'llama.context_length': 8192 } }));
+    res.end(JSON.stringify({ message: { role: 'assistant', content: 'from ollama' }, done: true }));
+  });
+  const openai = await listen((req, body, res) => {
+    if (req.url === '/v1/models') {
+      return res.end(JSON.stringify({ data: [{ id: 'qwen2.5-coder-7b', max_model_len: 16384 }, { id: 'llama3.2:latest' }] }));
+    }
+    if (req.url !== '/v1/chat/completions') { res.writeHead(404); return res.end(); }
+    if (!body.stream) {
+      return res.end(JSON.stringify({ model: body.model, choices: [{ message: { role: 'assistant', content: 'from llama.cpp' } }], usage: { prompt_tokens: 5, completion_tokens: 4 } }));
+    }
+    res.end([
+      { choices: [{ delta: { role: 'assistant', content: 'Hi' } }], model: body.model },
+      { choices: [{ delta: { content: ' there' } }] },
+      { choices: [], usage: { prompt_tokens: 12, completion_tokens: 3 } }
+    ].map(e => `data: ${JSON.stringify(e)}\n\n`).join('') + 'data: [DONE]\n\n');
+  });
+
+  const cfg = require('./config.json');
+  const savedConfig = local.config;
+  const withLocal = (overrides) => {
+    local.config = { ...cfg, backends: { ...cfg.backends, local: { ...cfg.backends.local, ...overrides } } };
+  };
+  withLocal({
+    models: { ...cfg.backends.local.models, code: 'qwen2.5-coder-7b' },
+    endpoints: [
+      { id: 'ollama-a', type: 'ollama', url: `http://127.0.0.1:${ollama.address().port}` },
+      { id: 'llamacpp', type: 'openai', url: `http://127.0.0.1:${openai.address().port}/`, apiKeyEnv: 'ROUTER_TEST_LOCAL_KEY', maxConcurrent: 1 },
+      { id: 'down', type: 'openai', url: 'http://127.0.0.1:1' }
+    ]
+  });
+  process.env.ROUTER_TEST_LOCAL_KEY = 'test-key';
+  local.contextLengths.clear();
+
+  try {
+    await local.checkModelsAvailability();
+    const [a, b, down] = local.getEndpoints();
+    assert(a.models.join() === 'llama3.2:latest' && b.models.length === 2, 'Each endpoint has its own model list');
+    assert(down.healthy === false && down.error && a.healthy && b.healthy, 'Each endpoint has its own health');
+    assert(local.availableModels.length === 2 && local.availableModels.includes('qwen2.5-coder-7b'), 'Available models merged across endpoints');
+    assert(local.selectModel('code') === 'qwen2.5-coder-7b' && local.selectEndpoint('qwen2.5-coder-7b').id === 'llamacpp', 'Model picked across endpoints and routed to its server');
+
+    a.lastUsed = 2; b.lastUsed = 1;
+    assert(local.selectEndpoint('llama3.2:latest').id === 'llamacpp', 'Least recently used endpoint wins a tie');
+    b.inFlight = 1; a.inFlight = 2;
+    assert(local.selectEndpoint('llama3.2:latest').id === 'ollama-a', 'Endpoint at maxConcurrent skipped while another is free');
+    b.inFlight = 0; a.inFlight = 1;
+    assert(local.selectEndpoint('llama3.2:latest').id === 'llamacpp', 'Fewest in-flight requests wins');
+    a.inFlight = 0;
+    let error = null;
+    try { local.selectEndpoint('mistral:latest'); } catch (e) { error = e; }
+    assert(error?.code === 'LOCAL_NO_ENDPOINT', 'Model served nowhere rejected');
+    assert(await local.getContextLength('qwen2.5-coder-7b', b) === 16384, 'Context length read from the /v1/models listing');
+
+    const result = await local.executeTask({ description: 'Add a retry helper', type: 'code' }, { taskId: 'local_ep_1' });
+    const sent = requests.filter(r => r.url === '/v1/chat/completions').pop();
+    assert(result.response === 'Hi there' && result.endpoint === 'llamacpp' && result.tokens === 15, 'OpenAI-compatible stream assembled with reported usage');
+    assert(sent.body.messages[0].role === 'system' && sent.body.temperature === 0.3 && sent.body.num_ctx === undefined, 'Chat completion request carries messages and sampling');
+    assert(sent.auth === 'Bearer test-key', 'API key sent from apiKeyEnv');
+    assert(b.inFlight === 0 && b.lastUsed > 2, 'Endpoint load released after the request');
+
+    const plain = await local.callModel('llama3.2:latest', 'Say hi', { endpoint: b });
+    assert(plain.response === 'from llama.cpp' && plain.eval_count === 4, 'Non-streamed completion parsed');
+    assert((await local.callModel('llama3.2:latest', 'Say hi', { endpoint: a })).response === 'from ollama', 'Ollama endpoints still use /api/chat');
+
+    const ping = await local.healthPing();
+    assert(ping.healthy && ping.version.includes('2/3 endpoints'), 'Health ping reports endpoints up');
+    const status = await local.getStatus();
+    assert(status.endpoints.length === 3 && status.endpoints[2].healthy === false, 'Status lists every endpoint');
+
+    withLocal({ endpoints: [{ id: 'grpc', type: 'grpc', url: 'http://127.0.0.1:2' }] });
+    error = null;
+    try { local.getEndpoints(); } catch (e) { error = e; }
+    assert(error?.code === 'INVALID_LOCAL_ENDPOINT', 'Unknown endpoint type rejected');
+  } finally {
+    local.config = savedConfig;
+    local.contextLengths.clear();
+    delete process.env.ROUTER_TEST_LOCAL_KEY;
+    ollama.close();
+    openai.close();
+  }
+}
+
+async function testLocalProvisioning() {
+  console.log('\n--- Local: model provisioning and benchmarks ---');
+  const http = require('http');
+  const local = require('./local');
+  const localProvisioner = require('./local-provisioner');
+  const installed = ['good-coder:latest', 'fast-small:latest'];
+  const requests = [];
+  const goodAnswers = [
+    [/isPalindrome/, 'function isPalindrome(str) { const s = str.toLowerCase(); return s === [...s].reverse().join(\'\'); }'],
+    [/bug/, 'The loop starts at 1, so it skips the first element.'],
+    [/JSON/, '```json\n{"name": "router", "version": 2}\n```'],
+    [/17 multiplied/, '391'],
+    [/Summarize/, 'The router sends simple work to free local models and complex changes to Claude Code.'],
+    [/three benefits/, '- Catch regressions early\n- Document behavior\n- Make refactoring safer']
+  ];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const parsed = JSON.parse(body || '{}');
+      requests.push({ url: req.url, body: parsed });
+      if (req.url === '/api/tags') return res.end(JSON.stringify({ models: installed.map(name => ({ name })) }));
+      if (req.url === '/api/show') return res.end(JSON.stringify({ model_info: { 'llama.context_length': 8192 } }));
+      if (req.url === '/api/pull') {
+        installed.push(parsed.name);
+        return res.end(JSON.stringify({ status: 'success' }));
+      }
+      const prompt = parsed.messages[parsed.messages.length - 1].content;
+      const good = parsed.model === 'good-coder:latest';
+      const content = good ? goodAnswers.find(([re]) => re.test(prompt))[1] : 'I am not sure.';
+      // good-coder: 10 tok/s, the others: 40 tok/s
+      res.end(JSON.stringify({ message: { role: 'assistant', content }, eval_count: 20, eval_duration: good ? 2e9 : 0.5e9, done: true }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const cfg = require('./config.json');
+  const savedConfig = local.config;
+  local.config = {
+    ...cfg,
+    backends: {
+      ...cfg.backends,
+      local: {
+        ...cfg.backends.local,
+        models: { code: 'fast-small:latest', docs: 'fast-small:latest', review: 'new-model:latest' },
+        endpoints: [{ id: 'bench', type: 'ollama', url: `http://127.0.0.1:${server.address().port}` }],
+        provisioning: { ...cfg.backends.local.provisioning, models: ['good-coder:latest'] }
+      }
+    }
+  };
+  local.contextLengths.clear();
+  localProvisioner.results = {};
+  localProvisioner.loaded = true;
+
+  try {
+    await local.checkModelsAvailability();
+    assert(local.selectModel('code') === 'fast-small:latest', 'Without benchmarks the configured model is used');
+
+    const first = localProvisioner.provision();
+    assert(localProvisioner.provision() === first, 'Concurrent provisioning runs share one run');
+    const report = await first;
+    const pull = requests.find(r => r.url === '/api/pull');
+    assert(report.pulled.join() === 'new-model:latest' && pull.body.stream === false, 'Missing configured model pulled');
+    assert(report.benchmarked.length === 3 && local.availableModels.includes('new-model:latest'), 'Every installed model benchmarked, including the pulled one');
+    assert(requests.filter(r => r.url === '/api/chat').length === 3 * localProvisioner.BENCHMARK_PROMPTS.length, 'Each model gets every benchmark prompt');
+
+    const results = localProvisioner.getResults();
+    const good = results['good-coder:latest'];
+    const fast = results['fast-small:latest'];
+    assert(good.quality.overall === 1 && good.quality.byType.code === 1 && fast.quality.overall === 0, 'Benchmark answers scored by their checks');
+    assert(Math.round(good.tokensPerSec) === 10 && Math.round(fast.tokensPerSec) === 40 && good.latencyMs >= 0, 'Tokens/sec taken from Ollama eval timings');
+    assert(good.prompts.every(p => p.passed && p.error === null) && good.endpoint === 'bench', 'Per-prompt results and endpoint recorded');
+
+    const saved = JSON.parse(fs.readFileSync(localProvisioner.dataPath, 'utf8'));
+    assert(saved.models['good-coder:latest'].quality.overall === 1, 'Benchmarks persisted');
+    localProvisioner.load();
+    assert(localProvisioner.getResults()['fast-small:latest'].tokensPerSec === fast.tokensPerSec, 'Benchmarks reloaded from disk');
+
+    assert(local.selectModel('code') === 'good-coder:latest', 'Measured quality beats the configured model');
+    assert(localProvisioner.rankModels('docs', ['fast-small:latest']).length === 0, 'Models below minQuality are not ranked');
+
+    const again = await localProvisioner.provision();
+    assert(again.benchmarked.length === 0 && again.skipped.length === 3 && again.pulled.length === 0, 'Recent benchmarks not rerun');
+    const rerun = await localProvisioner.provision({ rerun: true, models: ['fast-small:latest'] });
+    assert(rerun.benchmarked.join() === 'fast-small:latest', 'Rerun benchmarks only the requested models');
+
+    // Same quality: the faster model wins
+    localProvisioner.results['fast-small:latest'] = { ...good, model: 'fast-small:latest', tokensPerSec: 40 };
+    const ranked = localProvisioner.rankModels('code', ['good-coder:latest', 'fast-small:latest']);
+    assert(ranked[0].model === 'fast-small:latest' && ranked[0].score > ranked[1].score, 'Speed breaks ties between equally good models');
+
+    local.config.backends.local.provisioning = { ...local.config.backends.local.provisioning, useBenchmarks: false };
+    assert(local.selectModel('code') === 'fast-small:latest', 'useBenchmarks: false keeps the configured model');
+
+    local.config.backends.local.provisioning = { pull: false };
+    local.config.backends.local.models = { code: 'absent:latest' };
+    const noPull = await localProvisioner.provision({ benchmark: false });
+    assert(noPull.missing.join() === 'absent:latest' && noPull.pulled.length === 0, 'pull: false reports missing models');
+  } finally {
+    local.config = savedConfig;
+    local.contextLengths.clear();
+    localProvisioner.results = {};
+    localProvisioner.loaded = false;
+    try { fs.unlinkSync(localProvisioner.dataPath); } catch (_) { /* not written */ }
+    server.close();
+  }
+}
+
+async function testSemanticDedup() {
+  console.log('\n--- Dedup: semantic similarity with embeddings ---');
+  const http = require('http');
+  const dedup = require('./dedup');
+  // One dimension per concept, so paraphrases embed alike and different subjects don't;
+  // platforms get a smaller dimension each, so the same fix on another platform is close but distinct
+  const concepts = [/login|sign in|auth/, /payment/, /email/, /report|dashboard/];
+  const platforms = [/web/, /mobile/];
+  const embedded = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const parsed = JSON.parse(body || '{}');
+      embedded.push(parsed.input);
+      const vector = [...concepts.map(re => (re.test(parsed.input) ? 1 : 0)), ...platforms.map(re => (re.test(parsed.input) ? 0.5 : 0)), 0.1];
+      res.end(JSON.stringify({ model: parsed.model, embeddings: [vector] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const savedTasks = dedup.tasks;
+  const savedConfig = { ...dedup.config };
+  const url = `http://127.0.0.1:${server.address().port}`;
+  dedup.tasks = new Map();
+  dedup._embeddingCache.clear();
+  dedup._embeddingsDownUntil = 0;
+
+  try {
+    assert(dedup._cosine([1, 0, 0.1], [1, 0, 0.1]) > 0.99 && dedup._cosine([1, 0], [0, 1]) === 0 && dedup._cosine([1], [1, 0]) === 0, 'Cosine similarity of embeddings');
+
+    dedup.configure({ semantic: { enabled: false } });
+    dedup.register('sem_login', { description: 'Fix the login bug' });
+    const off = await dedup.checkSemantic({ description: 'Repair the sign-in issue' });
+    assert(off.method === 'lexical' && off.recommendation === 'proceed' && embedded.length === 0, 'Semantic mode off: word overlap only, no embedding calls');
+
+    dedup.configure({ semantic: { enabled: true, model: 'test-embed', url } });
+    let backfills = 0;
+    dedup._backfill = () => { backfills++; return Promise.resolve(); };
+    const first = await dedup.checkSemantic({ description: 'Repair the sign-in issue' });
+    delete dedup._backfill;
+    assert(embedded.length === 1 && embedded[0] === 'repair the sign in issue' && backfills === 1, 'Route path makes one embedding call and leaves tracked tasks to the background');
+    assert(first.method === 'lexical' && !first.isDuplicate, 'Tracked task without an embedding compared by word overlap meanwhile');
+
+    await dedup._backfill();
+    assert(dedup.tasks.get('sem_login').embeddingModel === 'test-embed', 'Tracked task embedded in the background');
+    const paraphrase = await dedup.checkSemantic({ description: 'Repair the sign-in issue' });
+    assert(paraphrase.method === 'semantic' && paraphrase.isDuplicate && paraphrase.existingTaskId === 'sem_login', 'Paraphrase with no shared words matched through embeddings');
+
+    const calls = embedded.length;
+    await dedup.checkSemantic({ description: 'Repair the sign-in issue' });
+    assert(embedded.length === calls, 'Embeddings cached per task and description');
+
+    const payment = 'Write unit tests for the payment service module';
+    await dedup.checkSemantic({ description: payment });
+    dedup.register('sem_payment', { description: payment });
+    await new Promise(resolve => setImmediate(resolve));
+    assert(dedup.tasks.get('sem_payment').embedding && embedded.length === calls + 1, 'Registered task reuses the embedding from its check');
+    const email = { description: 'Write unit tests for the email service module' };
+    assert(dedup.check(email).isDuplicate === true, 'Word overlap alone flags tasks that share boilerplate');
+    const blended = await dedup.checkSemantic(email);
+    assert(!blended.isDuplicate && blended.recommendation === 'proceed' && blended.similarity < 0.5, 'Blended score clears unrelated tasks with shared wording');
+
+    await dedup.save();
+    const saved = JSON.parse(fs.readFileSync(dedup.persistPath, 'utf8'));
+    assert(saved.tasks.find(t => t.id === 'sem_payment').embeddingModel === 'test-embed', 'Embeddings persisted with tracked tasks');
+
+    // Near but distinct: over the word-overlap threshold, under the semantic one
+    const local = require('./local');
+    const savedLocalConfig = local.config;
+    const cfg = require('./config.json');
+    local.config = { ...cfg, backends: { ...cfg.backends, local: { ...cfg.backends.local, endpoints: [{ id: 'embedder', type: 'ollama', url }] } } };
+    const tracked = dedup.tasks;
+    try {
+      dedup.configure({ semantic: { enabled: true, model: 'test-embed', url: null } });
+      dedup.tasks = new Map();
+      const web = { description: 'Fix the login bug in the web app' };
+      const before = embedded.length;
+      await dedup.checkSemantic(web);
+      assert(embedded.length === before + 1, 'Embedding URL resolved from backends.local.endpoints');
+      dedup.register('sem_web', web);
+      await new Promise(resolve => setImmediate(resolve));
+      const mobile = await dedup.checkSemantic({ description: 'Fix the login bug in the mobile app' });
+      assert(mobile.method === 'semantic' && mobile.similarity >= dedup.config.similarityThreshold, 'Near-but-distinct task scores over the word-overlap threshold');
+      assert(!mobile.isDuplicate && mobile.recommendation === 'warn', 'Semantic threshold only warns about near-but-distinct tasks');
+
+      // Mixed matches: each is judged by its own method's thresholds, so a lexical
+      // duplicate isn't masked by a higher-scoring semantic near-miss
+      dedup.configure({ semantic: { enabled: false } });
+      dedup.tasks = new Map();
+      dedup.register('mix_lexical', { description: 'Update the quarterly sales report for the regional board meeting' });
+      dedup.register('mix_semantic', { description: 'Draft the slides for the regional board meeting' });
+      dedup.configure({ semantic: { enabled: true } });
+      Object.assign(dedup.tasks.get('mix_semantic'), { embedding: [0.85, Math.sqrt(1 - 0.85 * 0.85)], embeddingModel: 'test-embed' });
+      const query = { description: 'Refresh the quarterly sales report for the regional board meeting' };
+      const alone = dedup.check(query, { embedding: [1, 0] });
+      const semanticMiss = dedup._score(dedup._extractWords(dedup._normalize(query.description)), [1, 0], dedup.tasks.get('mix_semantic'));
+      assert(semanticMiss.similarity > 0.75 && semanticMiss.similarity < dedup.config.semantic.similarityThreshold, 'Semantic near-miss outscores the lexical match');
+      assert(alone.isDuplicate && alone.recommendation === 'skip' && alone.method === 'lexical' && alone.existingTaskId === 'mix_lexical',
+        'Lexical duplicate still skipped next to a higher-scoring semantic warn');
+      dedup.tasks.delete('mix_lexical');
+      const onlySemantic = dedup.check(query, { embedding: [1, 0] });
+      assert(onlySemantic.recommendation === 'warn' && onlySemantic.method === 'semantic', 'Semantic near-miss alone only warns');
+
+      // configure() merges over the current semantic settings
+      dedup.configure({ semantic: { weight: 0.5 } });
+      assert(dedup.config.semantic.enabled === true && dedup.config.semantic.model === 'test-embed' && dedup.config.semantic.weight === 0.5,
+        'Partial semantic config keeps the other settings');
+      dedup.configure({ semantic: { weight: 0.9 } });
+    } finally {
+      local.config = savedLocalConfig;
+      dedup.tasks = tracked;
+    }
+
+    dedup.configure({ semantic: { enabled: true, model: 'test-embed', url: 'http://127.0.0.1:1', timeoutMs: 500 } });
+    dedup._embeddingCache.clear();
+    const down = await dedup.checkSemantic(email);
+    assert(down.method === 'lexical' && down.isDuplicate === true, 'Unreachable embedding model falls back to word overlap');
+    assert(dedup._embeddingsDownUntil > Date.now(), 'Embedding calls paused after a failure');
+
+    dedup.configure({ semantic: { enabled: true, model: 'other-embed', url } });
+    dedup._embeddingsDownUntil = 0;
+    const otherModel = dedup.check(email, { embedding: [0, 0, 1, 0, 0.1] });
+    assert(otherModel.method === 'lexical', 'Embeddings from another model are not compared');
+  } finally {
+    dedup.tasks = savedTasks;
+    dedup.config = savedConfig;
+    dedup._embeddingCache.clear();
+    dedup._embeddingsDownUntil = 0;
+    await dedup.save();
+    server.close();
+  }
+}
+
 async function runAllTests() {
   const startTime = Date.now();
 
@@ -1242,6 +4008,85 @@ async function runAllTests() {
   await testRefinementQueueIdleCheck();
   await testRefinementQueueBusyCheck();
 
+  // Backend registry tests
+  testBackendRegistryContract();
+  await testBackendRegistryRegister();
+  testBackendRegistryLoadFromConfig();
+
+  // API provider client tests
+  await testProviderClients();
+  await testApiBridgeExecution();
+
+  // Routing policy tests
+  testRoutingPolicyDefaults();
+  testRoutingPolicyActions();
+  testRoutingPolicyValidationAndReload();
+
+  // Decision trace tests
+  await testDecisionTraceRecord();
+  await testRouterToolScoreNonStrings();
+  testDecisionTraceFormat();
+
+  // Simulator tests
+  await testSimulatorReplay();
+  await testSimulatorCandidatePolicy();
+
+  // Cancellation tests
+  await testCancellationPrimitives();
+  await testCancellationBookkeeping();
+  await testRouterCancel();
+  await testRouterFallbackCancel();
+  await testBackendsStopAll();
+
+  // Live task output tests
+  testTaskStreamBuffering();
+  await testOllamaStreamParsing();
+  await testRouterStreamsOutput();
+
+  // Resumable plan tests
+  await testPlanCheckpoints();
+  await testPlanResume();
+
+  // Model-assisted decomposition tests
+  testPlanValidation();
+  await testModelDecomposition();
+
+  // Plan editing tests
+  testPlanEdits();
+  await testRouterEditPlan();
+
+  // Plan template tests
+  await testPlanTemplateStore();
+  await testPlanTemplateInstantiate();
+
+  // Conditional and looping step tests
+  testStepConditionsValidation();
+  await testConditionalAndLoopingSteps();
+
+  // Step approval gate tests
+  await testStepApprovalGates();
+
+  // Structured step output tests
+  testStepOutputParsing();
+  await testStructuredStepOutputs();
+
+  // Artifact store tests
+  await testArtifactStore();
+  await testRouterRecordsArtifacts();
+
+  // Parallel subtask reduce tests
+  await testSubtaskReducer();
+  await testCodexExecuteParallel();
+  await testTaskSplitter();
+  await testClaudeStreamJson();
+  await testWorkspaceIsolation();
+  testPermissionProfiles();
+  await testClaudeSessionResume();
+  await testLocalChat();
+  await testLocalEndpoints();
+  await testLocalProvisioning();
+  await testSemanticDedup();
+
   const duration = Date.now() - startTime;
 
   console.log('\n' + '='.repeat(50));
@@ -33,6 +33,7 @@ const HEALTH_FILE = path.join(DATA_DIR, 'backend-health.json');
 const DEFAULT_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
 const WARM_THRESHOLD_MS   =  5 * 60 * 1000; //  5 minutes
 const HEALTHY_THRESHOLD_MS = 15 * 60 * 1000; // 15 minutes
+const BUILT_IN_BACKENDS = ['claudeCode', 'codex', 'local', 'api'];
 
 // ─── State ──────────────────────────────────────────────────────────
 let healthState = {};
@@ -67,7 +68,7 @@ async function loadState() {
   }
 
   // Ensure all backends exist
-  for (const name of ['claudeCode', 'codex', 'local', 'api']) {
+  for (const name of BUILT_IN_BACKENDS) {
     if (!healthState[name]) {
       healthState[name] = defaultBackendState(name);
     }
@@ -264,27 +265,18 @@ async function pingApi() {
   healthState[name].lastPing = new Date().toISOString();
 
   try {
-    // Check if OpenClaw API key is configured
-    const openclawConfig = process.env.OPENCLAW_API_KEY;
-    if (!openclawConfig) {
-      // API backend is configured but no key - mark as always healthy to avoid false failures
-      healthState[name].lastSuccess = new Date().toISOString();
-      healthState[name].lastError = null;
-      healthState[name].version = 'API available (no key configured)';
-      healthState[name].consecutiveFailures = 0;
-      healthState[name].status = 'warm';
-      console.log(`[WARMUP] API: OK (no key required for health check)`);
-      return;
+    // Provider credentials check — never issues a billable request
+    const result = await require('./api').healthPing();
+    if (!result.healthy) {
+      throw new Error(result.error);
     }
 
-    // If we have a key, we could try a lightweight API call here
-    // For now, just mark as healthy if key exists
     healthState[name].lastSuccess = new Date().toISOString();
     healthState[name].lastError = null;
-    healthState[name].version = 'API key configured';
+    healthState[name].version = result.version;
     healthState[name].consecutiveFailures = 0;
     healthState[name].status = 'warm';
-    console.log(`[WARMUP] API: OK (API key present)`);
+    console.log(`[WARMUP] API: OK (${result.version})`);
 
   } catch (err) {
     healthState[name].lastError = err.message || String(err);
@@ -304,6 +296,59 @@ async function pingApi() {
   }
 }
 
+/**
+ * Ping a backend registered through the adapter registry using its healthPing()
+ * @param {string} name — registered backend name
+ */
+async function pingAdapter(name) {
+  if (!healthState[name]) healthState[name] = defaultBackendState(name);
+  healthState[name].lastPing = new Date().toISOString();
+
+  const backends = require('./backend-registry');
+  const adapter = backends.get(name);
+
+  let result;
+  try {
+    result = adapter ? await adapter.healthPing() : { healthy: false, error: 'Backend not registered' };
+  } catch (err) {
+    result = { healthy: false, error: err.message || String(err) };
+  }
+
+  if (result.healthy) {
+    healthState[name].lastSuccess = new Date().toISOString();
+    healthState[name].lastError = null;
+    healthState[name].version = result.version || null;
+    healthState[name].consecutiveFailures = 0;
+    healthState[name].status = 'warm';
+    console.log(`[WARMUP] ${name}: OK${result.version ? ` (${result.version})` : ''}`);
+    return;
+  }
+
+  healthState[name].lastError = result.error || 'Health ping failed';
+  healthState[name].consecutiveFailures++;
+  healthState[name].status = 'dead';
+  console.warn(`[WARMUP] ${name}: FAIL — ${healthState[name].lastError}`);
+
+  // Record probe failure in circuit breaker
+  const circuitBreaker = getCircuitBreaker();
+  if (circuitBreaker) {
+    circuitBreaker.recordFailure(name, {
+      isProbe: true,
+      error: healthState[name].lastError,
+      probeType: 'health-check'
+    });
+  }
+}
+
+/**
+ * Backends registered in the adapter registry beyond the four built-ins
+ * @returns {Array<string>}
+ */
+function customBackends() {
+  const backends = require('./backend-registry');
+  return backends.names().filter(name => !BUILT_IN_BACKENDS.includes(name));
+}
+
 // ─── Full ping cycle ────────────────────────────────────────────────
 
 async function pingAll() {
@@ -313,7 +358,8 @@ async function pingAll() {
     pingClaudeCode(),
     pingCodex(),
     pingOllama(),
-    pingApi()
+    pingApi(),
+    ...customBackends().map(pingAdapter)
   ]);
 
   refreshStatuses();
@@ -445,7 +491,7 @@ function getHealth(backend) {
 
 /**
  * Force an immediate health check on a specific backend
- * @param {string} backend — 'claudeCode' | 'codex' | 'local' | 'api'
+ * @param {string} backend — 'claudeCode' | 'codex' | 'local' | 'api' | any registered adapter
  * @returns {Promise<Object>} Updated backend health state
  */
 async function pingNow(backend) {
@@ -455,7 +501,10 @@ async function pingNow(backend) {
     case 'local':      await pingOllama(); break;
     case 'api':        await pingApi(); break;
     default:
-      throw new Error(`Unknown backend: ${backend}`);
+      if (!require('./backend-registry').has(backend)) {
+        throw new Error(`Unknown backend: ${backend}`);
+      }
+      await pingAdapter(backend);
   }
 
   refreshStatuses();
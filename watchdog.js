@@ -102,6 +102,32 @@ async function loadWatchdogState() {
   }
 }
 
+function defaultWatchdogBackendState() {
+  return {
+    isHealthy: true,
+    lastHealthy: null,
+    lastDown: null,
+    uptimeMinutes: 0,
+    downtimeMinutes: 0,
+    totalChecks: 0,
+    healthyChecks: 0,
+    consecutiveFailures: 0
+  };
+}
+
+/**
+ * Register adapters declared in config.backends and start watching them
+ */
+function registerConfigBackends() {
+  const backends = require('./backend-registry');
+  backends.loadFromConfig(config);
+  for (const name of backends.names()) {
+    if (!watchdogState.backends[name]) {
+      watchdogState.backends[name] = defaultWatchdogBackendState();
+    }
+  }
+}
+
 async function saveWatchdogState() {
   await ensureDataDir();
   try {
@@ -299,6 +325,20 @@ async function checkAPI() {
   }
 }
 
+async function checkAdapter(adapter) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve({ healthy: false, error: 'Health check timed out' }), BACKEND_TIMEOUT);
+  });
+  try {
+    return await Promise.race([adapter.healthPing(), timeout]);
+  } catch (err) {
+    return { healthy: false, error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 // ─── Main Health Check Cycle ───────────────────────────────────────
 
 async function performHealthCheck(backend) {
@@ -320,9 +360,15 @@ async function performHealthCheck(backend) {
     case 'api':
       result = await checkAPI();
       break;
-    default:
-      console.warn(`[WATCHDOG] Unknown backend: ${backend}`);
-      return;
+    default: {
+      const adapter = require('./backend-registry').get(backend);
+      if (!adapter) {
+        console.warn(`[WATCHDOG] Unknown backend: ${backend}`);
+        return;
+      }
+      result = await checkAdapter(adapter);
+      break;
+    }
   }
 
   const wasHealthy = backendState.isHealthy;
@@ -441,6 +487,7 @@ async function main() {
   await ensureDataDir();
   await loadConfig();
   await loadWatchdogState();
+  registerConfigBackends();
 
   console.log(`[WATCHDOG] Monitoring ${Object.keys(watchdogState.backends).length} backends every ${HEALTH_CHECK_INTERVAL / 1000}s`);
   console.log(`[WATCHDOG] Backends: ${Object.keys(watchdogState.backends).join(', ')}`);
@@ -489,6 +536,7 @@ if (require.main === module) {
     performHealthCheck,
     loadConfig,
     loadWatchdogState,
-    saveWatchdogState
+    saveWatchdogState,
+    registerConfigBackends
   };
 }
\ No newline at end of file
@@ -0,0 +1,315 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+
+/**
+ * Workspace Isolation for OpenClaw Task Router
+ * Code-writing backends (Claude Code, Codex) run with full permissions in a
+ * directory; concurrent tasks in the same checkout overwrite each other.
+ * With isolation on, each task runs in its own workspace:
+ *   worktree — a detached `git worktree` of the repository containing the
+ *              task's directory, based on HEAD plus any uncommitted changes
+ *              and untracked (not ignored) files
+ *   copy     — for directories outside git: a scratch copy (without .git
+ *              and node_modules) with a throwaway repository to diff against
+ *
+ * When the task finishes, the workspace's changes become a patch (returned
+ * as `result.patch`, which the artifact store records) and, per `onComplete`:
+ *   apply    — the patch is applied to the original directory
+ *   branch   — committed on `<branchPrefix><taskId>` (worktrees only), on
+ *              top of HEAD; the caller's uncommitted changes stay out of it
+ *   discard  — only the patch is kept
+ * Work that wasn't applied is also committed in the repository (`commit`), so
+ * a follow-up (`continueFrom`) can start its workspace from it.
+ * The workspace is removed afterwards, also when the task fails or is cancelled.
+ *
+ * config.json `isolation`:
+ *   { enabled, backends: ['claudeCode', 'codex'], onComplete, branchPrefix, rootDir }
+ * A task can override it with `isolation`: false, true, or an onComplete value.
+ */
+
+const ON_COMPLETE = ['apply', 'branch', 'discard'];
+const COPY_EXCLUDES = ['.git', 'node_modules'];
+const GIT_IDENTITY = ['-c', 'user.name=OpenClaw Task Router', '-c', 'user.email=router@openclaw.local'];
+
+class WorkspaceManager {
+  constructor() {
+    this.config = null;
+    this.active = new Map(); // taskId → workspace
+  }
+
+  /**
+   * Lazy-load config
+   */
+  loadConfig() {
+    if (!this.config) {
+      const cfg = require('./config.json').isolation || {};
+      this.config = {
+        enabled: cfg.enabled === true,
+        backends: cfg.backends || ['claudeCode', 'codex'],
+        onComplete: cfg.onComplete || 'apply',
+        branchPrefix: cfg.branchPrefix || 'openclaw/',
+        rootDir: cfg.rootDir || path.join(os.tmpdir(), 'openclaw-workspaces')
+      };
+    }
+    return this.config;
+  }
+
+  /**
+   * Isolation settings for a task on a backend
+   * @param {Object} task - Task, optionally with `isolation`
+   * @param {string} backend - Backend key
+   * @returns {{ onComplete: string }|null} null when the task runs in place
+   * @throws {Error} code 'INVALID_ISOLATION'
+   */
+  resolve(task, backend) {
+    const config = this.loadConfig();
+    const requested = task?.isolation;
+    if (requested === false || requested === 'off') return null;
+    if (requested === undefined || requested === null) {
+      return config.enabled && config.backends.includes(backend) ? { onComplete: config.onComplete } : null;
+    }
+    if (requested === true) return { onComplete: config.onComplete };
+    if (!ON_COMPLETE.includes(requested)) {
+      const error = new Error(`Unknown isolation ${requested} (expected true, false, ${ON_COMPLETE.join(', ')})`);
+      error.code = 'INVALID_ISOLATION';
+      throw error;
+    }
+    return { onComplete: requested };
+  }
+
+  /**
+   * Create a workspace for a task
+   * @param {string} taskId
+   * @param {string} sourceDir - Directory the task would otherwise run in
+   * @param {Object} [options] - { onComplete, name, from } — `name` sets the directory (default: the task ID);
+   *   `from` is a commit to start from instead of the caller's checkout (a follow-up continuing earlier work)
+   * @returns {Promise<Object>} Workspace { taskId, name, kind, sourceDir, root, dir, cwd, head, base, onComplete }
+   * @throws {Error} code 'WORKSPACE_BUSY' if another running task uses that directory
+   */
+  async create(taskId, sourceDir, options = {}) {
+    const config = this.loadConfig();
+    const source = path.resolve(sourceDir);
+    const name = String(options.name || taskId).replace(/[^\w.-]/g, '_');
+    const dir = path.join(config.rootDir, name);
+    const busy = [...this.active.values()].find(w => w.dir === dir);
+    if (busy) {
+      const error = new Error(`Workspace ${name} is in use by ${busy.taskId}`);
+      error.code = 'WORKSPACE_BUSY';
+      throw error;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+    await fs.mkdir(config.rootDir, { recursive: true });
+
+    const root = await this._git(source, ['rev-parse', '--show-toplevel']).catch(() => null);
+    let workspace;
+    const from = root && options.from ? await this._git(root, ['rev-parse', '--verify', '-q', `${options.from}^{commit}`]).catch(() => null) : null;
+    if (options.from && root && !from) {
+      console.warn(`[WORKSPACE] Commit ${options.from} for ${taskId} no longer exists; starting from the checkout`);
+    }
+    if (from) {
+      // Continue earlier work: its commit is both the base to diff against and the branch point
+      await this._git(root, ['worktree', 'add', '--detach', dir, from]);
+      workspace = { kind: 'worktree', root, head: from, base: from, cwd: path.join(dir, path.relative(root, source)) };
+    } else if (root) {
+      // Include uncommitted changes of tracked files, so the task sees what the caller sees
+      const head = await this._git(root, ['rev-parse', 'HEAD']);
+      let base = await this._git(root, ['stash', 'create']) || head;
+      await this._git(root, ['worktree', 'add', '--detach', dir, base]);
+      base = await this._addUntracked(root, dir) || base;
+      workspace = { kind: 'worktree', root, head, base, cwd: path.join(dir, path.relative(root, source)) };
+    } else {
+      await fs.cp(source, dir, { recursive: true, filter: (src) => !COPY_EXCLUDES.includes(path.basename(src)) });
+      await this._git(dir, ['init', '-q']);
+      await this._git(dir, ['add', '-A']);
+      await this._git(dir, [...GIT_IDENTITY, 'commit', '-q', '--allow-empty', '-m', 'workspace base']);
+      workspace = { kind: 'copy', root: source, base: 'HEAD', cwd: dir };
+    }
+
+    Object.assign(workspace, { taskId, name, sourceDir: source, dir, onComplete: options.onComplete || config.onComplete });
+    this.active.set(taskId, workspace);
+    console.log(`[WORKSPACE] ${workspace.kind} for ${taskId} at ${dir}`);
+    return workspace;
+  }
+
+  /**
+   * Map a path in the original directory into the workspace (paths outside
+   * it are returned unchanged)
+   * @param {Object} workspace
+   * @param {string} filePath
+   * @returns {string}
+   */
+  mapPath(workspace, filePath) {
+    const relative = path.relative(workspace.root, path.resolve(filePath));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) return filePath;
+    return path.join(workspace.dir, relative);
+  }
+
+  /**
+   * The task as it should run in the workspace: `outputPath`, `workdir` and
+   * absolute `files` under the original directory point into the workspace.
+   * Relative files are left alone, as the agent runs in the matching
+   * directory of the workspace.
+   * @param {Object|null} workspace - null when the task runs in place
+   * @param {Object} task
+   * @returns {Object}
+   */
+  mapTask(workspace, task) {
+    if (!workspace) return task;
+    const mapped = { ...task };
+    if (task.outputPath) mapped.outputPath = this.mapPath(workspace, task.outputPath);
+    if (task.workdir) mapped.workdir = this.mapPath(workspace, task.workdir);
+    if (Array.isArray(task.files)) {
+      mapped.files = task.files.map(file => (typeof file === 'string' && path.isAbsolute(file) ? this.mapPath(workspace, file) : file));
+    }
+    return mapped;
+  }
+
+  /**
+   * Collect the workspace's changes and apply them, commit them on a branch
+   * or just return them, per workspace.onComplete
+   * @param {Object} workspace
+   * @returns {Promise<Object>} { kind, onComplete, patch, files, applied, branch, commit, error } — `commit`
+   *   holds work that wasn't applied (worktrees only)
+   */
+  async finish(workspace) {
+    await this._git(workspace.dir, ['add', '-A']);
+    const patch = await this._git(workspace.dir, ['diff', '--cached', '--binary', workspace.base], { trim: false });
+    const files = (await this._git(workspace.dir, ['diff', '--cached', '--name-only', workspace.base])).split('\n').filter(Boolean);
+    const outcome = { kind: workspace.kind, name: workspace.name, onComplete: workspace.onComplete, patch, files, applied: false, branch: null, commit: null, error: null };
+    if (!patch) return outcome;
+
+    if (workspace.onComplete === 'apply') {
+      try {
+        await this._git(workspace.root, ['apply', '--binary', '--whitespace=nowarn', '-'], { input: patch });
+        outcome.applied = true;
+        console.log(`[WORKSPACE] Applied ${files.length} changed file(s) from ${workspace.taskId}`);
+      } catch (error) {
+        // The original changed underneath the task; keep the work on a branch instead
+        outcome.error = `Patch did not apply: ${error.message}`;
+        console.warn(`[WORKSPACE] ${outcome.error}`);
+      }
+    }
+
+    if (workspace.kind === 'worktree' && !outcome.applied && workspace.onComplete !== 'branch' && !outcome.error) {
+      // Discarded: commit anyway so a follow-up can continue from it (unreferenced, so git gc collects it eventually)
+      await this._git(workspace.dir, [...GIT_IDENTITY, 'commit', '-q', '--no-verify', '-m', `OpenClaw task ${workspace.taskId}`]);
+      outcome.commit = await this._git(workspace.dir, ['rev-parse', 'HEAD']);
+    }
+
+    if (workspace.kind === 'worktree' && (workspace.onComplete === 'branch' || outcome.error)) {
+      const branch = `${this.loadConfig().branchPrefix}${workspace.taskId}`.replace(/[^\w./-]/g, '_');
+      await this._git(workspace.dir, ['checkout', '-q', '-B', branch]);
+      await this._git(workspace.dir, [...GIT_IDENTITY, 'commit', '-q', '--no-verify', '-m', `OpenClaw task ${workspace.taskId}`]);
+      if (workspace.base !== workspace.head) {
+        // The workspace started from the caller's uncommitted changes; move the task's commit onto HEAD
+        try {
+          await this._git(workspace.dir, [...GIT_IDENTITY, 'rebase', '-q', '--onto', workspace.head, workspace.base, branch]);
+        } catch (error) {
+          await this._git(workspace.dir, ['rebase', '--abort']).catch(() => {});
+          outcome.error = [outcome.error, 'Changes overlap uncommitted changes, so the branch also contains those'].filter(Boolean).join('; ');
+          console.warn(`[WORKSPACE] ${workspace.taskId}: ${outcome.error}`);
+        }
+      }
+      outcome.branch = branch;
+      outcome.commit = await this._git(workspace.dir, ['rev-parse', 'HEAD']);
+      console.log(`[WORKSPACE] Changes from ${workspace.taskId} left on branch ${branch}`);
+    }
+    return outcome;
+  }
+
+  /**
+   * Remove a workspace (worktree registration included). Never throws.
+   * @param {Object} workspace
+   * @returns {Promise<void>}
+   */
+  async cleanup(workspace) {
+    this.active.delete(workspace.taskId);
+    try {
+      if (workspace.kind === 'worktree') {
+        await this._git(workspace.root, ['worktree', 'remove', '--force', workspace.dir]).catch(() => {});
+        await this._git(workspace.root, ['worktree', 'prune']);
+      }
+      await fs.rm(workspace.dir, { recursive: true, force: true });
+    } catch (error) {
+      console.warn(`[WORKSPACE] Could not remove ${workspace.dir}:`, error.message);
+    }
+  }
+
+  /**
+   * Run a task in an isolated workspace when isolation applies, else in place.
+   * `run(cwd, workspace)` does the work; the workspace is finished on success
+   * and removed either way.
+   * @param {string} taskId
+   * @param {Object} task
+   * @param {string} backend - Backend key
+   * @param {string} sourceDir - Directory the task would otherwise run in
+   * @param {Function} run - async (cwd, workspace|null) => result
+   * @param {Object} [options] - { name, from } workspace directory name and starting commit (see create())
+   * @returns {Promise<{ result: *, isolation: Object|null }>}
+   */
+  async runIsolated(taskId, task, backend, sourceDir, run, options = {}) {
+    const settings = this.resolve(task, backend);
+    if (!settings) return { result: await run(sourceDir, null), isolation: null };
+
+    const workspace = await this.create(taskId, sourceDir, { ...settings, name: options.name, from: options.from });
+    try {
+      const result = await run(workspace.cwd, workspace);
+      return { result, isolation: await this.finish(workspace) };
+    } finally {
+      await this.cleanup(workspace);
+    }
+  }
+
+  /**
+   * Fields a bridge adds to its result for an isolated run: the patch (which
+   * the router records as an artifact) and what happened to it
+   * @param {Object|null} isolation - finish() outcome
+   * @returns {Object}
+   */
+  resultFields(isolation) {
+    if (!isolation) return {};
+    const { patch, ...summary } = isolation;
+    return { patch: patch || undefined, isolation: summary };
+  }
+
+  /**
+   * @private Copy the checkout's untracked, non-ignored files into a new
+   * worktree and commit them there, so they are part of the base the task's
+   * changes are diffed against
+   * @returns {Promise<string|null>} The new base commit, or null if there was nothing to copy
+   */
+  async _addUntracked(root, dir) {
+    const untracked = (await this._git(root, ['ls-files', '--others', '--exclude-standard', '-z'], { trim: false }))
+      .split('\0')
+      .filter(file => file && !file.endsWith('/')); // nested repositories are listed as directories
+    if (untracked.length === 0) return null;
+
+    for (const file of untracked) {
+      await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+      await fs.cp(path.join(root, file), path.join(dir, file));
+    }
+    await this._git(dir, ['add', '-A']);
+    await this._git(dir, [...GIT_IDENTITY, 'commit', '-q', '--no-verify', '-m', 'workspace base (untracked files)']);
+    return this._git(dir, ['rev-parse', 'HEAD']);
+  }
+
+  /**
+   * @private Run git; resolves with trimmed stdout
+   */
+  _git(cwd, args, options = {}) {
+    return new Promise((resolve, reject) => {
+      const child = execFile('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`git ${args.find(a => !a.startsWith('-') && !a.includes('=')) || ''} failed: ${(stderr || error.message).trim()}`));
+          return;
+        }
+        resolve(options.trim === false ? stdout : stdout.trim());
+      });
+      if (options.input !== undefined) child.stdin.end(options.input);
+    });
+  }
+}
+
+module.exports = new WorkspaceManager();